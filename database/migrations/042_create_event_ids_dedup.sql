@@ -0,0 +1,58 @@
+-- ============================================================================
+-- MIGRATION: 042_create_event_ids_dedup.sql
+-- Purpose: Idempotent event ingestion using client-supplied event IDs
+-- Date: 2026-10-19
+--
+-- The Flutter client retries batches on flaky networks. Retried events carry
+-- the same event_id (UUID), so we claim each ID here before inserting into
+-- the events table.
+--
+-- A unique index on the partitioned events table must include received_at,
+-- which would only catch duplicates inside the same weekly partition. This
+-- non-partitioned table catches duplicates across ALL partitions.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS event_ids (
+  event_id UUID PRIMARY KEY,
+  event_type VARCHAR(50) NOT NULL,
+  user_id VARCHAR(255) NOT NULL,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Duplicate tracking (reported by GET /api/events/stats)
+  duplicate_count INT NOT NULL DEFAULT 0,
+  last_duplicate_at TIMESTAMP WITH TIME ZONE
+);
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: Purge of old IDs (weekly cleanup cron)
+CREATE INDEX IF NOT EXISTS idx_event_ids_received_at
+  ON event_ids(received_at);
+
+-- Index: Duplicate stats
+CREATE INDEX IF NOT EXISTS idx_event_ids_last_duplicate
+  ON event_ids(last_duplicate_at DESC)
+  WHERE last_duplicate_at IS NOT NULL;
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON TABLE event_ids IS 'Client event IDs already stored in events (deduplication across weekly partitions)';
+COMMENT ON COLUMN event_ids.event_id IS 'Client-supplied UUID - also used as events.id';
+COMMENT ON COLUMN event_ids.duplicate_count IS 'Number of retried copies of this event that were dropped';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'event_ids') THEN
+    RAISE EXCEPTION 'Migration failed: event_ids table not created';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 042_create_event_ids_dedup.sql completed successfully';
+END $$;
@@ -0,0 +1,68 @@
+-- ============================================================================
+-- MIGRATION: 043_create_event_dead_letters.sql
+-- Purpose: Persist events rejected by schema validation (dead-letter store)
+-- Date: 2026-10-19
+--
+-- validateEvent() failures used to be logged and dropped, so schema drift in a
+-- new app version stayed invisible until dashboards looked wrong. Rejected
+-- payloads are now kept here with their Joi error details and can be
+-- re-submitted through EventProcessor once a schema fix lands.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS event_dead_letters (
+  id BIGSERIAL PRIMARY KEY,
+
+  -- Event identity (nullable: the payload failed validation)
+  event_type VARCHAR(100),
+  user_id VARCHAR(255),
+  app_version VARCHAR(50),
+  platform VARCHAR(20),
+
+  -- Rejected payload and Joi error details ([{ message, path, type }])
+  payload JSONB NOT NULL,
+  errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+  -- Re-submission tracking
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  resubmit_attempts INT NOT NULL DEFAULT 0,
+  resubmitted_at TIMESTAMP WITH TIME ZONE,
+  resubmitted_event_id UUID,
+
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Constraints
+  CONSTRAINT valid_dead_letter_status CHECK (status IN ('pending', 'resubmitted'))
+);
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: Listing pending dead letters (most common)
+CREATE INDEX IF NOT EXISTS idx_event_dead_letters_status_received
+  ON event_dead_letters(status, received_at DESC);
+
+-- Index: Drill-down by event type / app version (schema drift per release)
+CREATE INDEX IF NOT EXISTS idx_event_dead_letters_type_version
+  ON event_dead_letters(event_type, app_version, received_at DESC);
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON TABLE event_dead_letters IS 'Events rejected by Joi schema validation (dead-letter store)';
+COMMENT ON COLUMN event_dead_letters.errors IS 'Joi error details: [{ message, path, type }]';
+COMMENT ON COLUMN event_dead_letters.status IS 'pending = still invalid, resubmitted = stored in events after a schema fix';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'event_dead_letters') THEN
+    RAISE EXCEPTION 'Migration failed: event_dead_letters table not created';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 043_create_event_dead_letters.sql completed successfully';
+END $$;
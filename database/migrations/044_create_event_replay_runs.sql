@@ -0,0 +1,91 @@
+-- ============================================================================
+-- MIGRATION: 044_create_event_replay_runs.sql
+-- Purpose: Historical event replay into derived tables (resumable checkpoints)
+-- Date: 2026-10-19
+--
+-- services/event-replayer.js re-runs special-event handlers and aggregators
+-- over a date range of the events table. Each run keeps its cursor here so an
+-- interrupted replay resumes where it stopped.
+--
+-- performance_metrics and crash_logs get a source_event_id so replaying the
+-- same event never inserts a second row.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS event_replay_runs (
+  id BIGSERIAL PRIMARY KEY,
+
+  -- Parameters
+  from_ts TIMESTAMP WITH TIME ZONE NOT NULL,
+  to_ts TIMESTAMP WITH TIME ZONE NOT NULL,
+  handlers TEXT[] NOT NULL,
+  dry_run BOOLEAN NOT NULL DEFAULT false,
+  batch_size INT NOT NULL DEFAULT 500,
+
+  -- Checkpoint: last (received_at, id) replayed
+  cursor_received_at TIMESTAMP WITH TIME ZONE,
+  cursor_event_id UUID,
+
+  -- Progress
+  status VARCHAR(20) NOT NULL DEFAULT 'running',
+  events_replayed INT NOT NULL DEFAULT 0,
+  events_failed INT NOT NULL DEFAULT 0,
+  rows_changed JSONB NOT NULL DEFAULT '{}'::jsonb,
+  error TEXT,
+
+  requested_by VARCHAR(255),
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE,
+
+  -- Constraints
+  CONSTRAINT valid_replay_status CHECK (status IN ('running', 'completed', 'failed')),
+  CONSTRAINT valid_replay_range CHECK (from_ts < to_ts)
+);
+
+-- Idempotent inserts from special-event handlers (live + replay)
+ALTER TABLE performance_metrics ADD COLUMN IF NOT EXISTS source_event_id UUID;
+ALTER TABLE crash_logs ADD COLUMN IF NOT EXISTS source_event_id UUID;
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: Recent runs (admin route)
+CREATE INDEX IF NOT EXISTS idx_event_replay_runs_started
+  ON event_replay_runs(started_at DESC);
+
+-- Index: ON CONFLICT target for handler inserts (NULLs stay distinct for legacy rows)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_performance_metrics_source_event
+  ON performance_metrics(source_event_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_crash_logs_source_event
+  ON crash_logs(source_event_id);
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON TABLE event_replay_runs IS 'Historical event replay runs with resumable checkpoints';
+COMMENT ON COLUMN event_replay_runs.rows_changed IS 'Rows changed per table: { table: { inserted, updated, deleted } }';
+COMMENT ON COLUMN performance_metrics.source_event_id IS 'events.id this row was derived from (NULL for rows stored before migration 044)';
+COMMENT ON COLUMN crash_logs.source_event_id IS 'events.id this row was derived from (NULL for rows stored before migration 044)';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'event_replay_runs') THEN
+    RAISE EXCEPTION 'Migration failed: event_replay_runs table not created';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'crash_logs' AND column_name = 'source_event_id'
+  ) THEN
+    RAISE EXCEPTION 'Migration failed: crash_logs.source_event_id not added';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 044_create_event_replay_runs.sql completed successfully';
+END $$;
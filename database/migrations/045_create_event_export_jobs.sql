@@ -0,0 +1,63 @@
+-- ============================================================================
+-- MIGRATION: 045_create_event_export_jobs.sql
+-- Purpose: Bulk event export jobs (gzip NDJSON / CSV files for analysts)
+-- Date: 2026-10-19
+--
+-- services/event-exporter.js streams a date range of the events table into
+-- files on disk. Each job's progress and output files are tracked here and
+-- downloaded from GET /api/events/exports/:id/download.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS event_export_jobs (
+  id BIGSERIAL PRIMARY KEY,
+
+  -- Parameters
+  from_ts TIMESTAMP WITH TIME ZONE NOT NULL,
+  to_ts TIMESTAMP WITH TIME ZONE NOT NULL,
+  event_types TEXT[],                       -- NULL = all event types
+  formats TEXT[] NOT NULL DEFAULT ARRAY['ndjson', 'csv'],
+
+  -- Progress
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',
+  total_events INT,
+  events_exported INT NOT NULL DEFAULT 0,
+  files JSONB NOT NULL DEFAULT '{}'::jsonb, -- { format: { path, size_bytes } }
+  error TEXT,
+
+  requested_by VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+
+  -- Constraints
+  CONSTRAINT valid_export_status CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  CONSTRAINT valid_export_range CHECK (from_ts < to_ts)
+);
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: Recent jobs (admin route)
+CREATE INDEX IF NOT EXISTS idx_event_export_jobs_created
+  ON event_export_jobs(created_at DESC);
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON TABLE event_export_jobs IS 'Bulk event export jobs (gzip NDJSON / CSV)';
+COMMENT ON COLUMN event_export_jobs.files IS 'Output files per format: { format: { path, size_bytes } }';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'event_export_jobs') THEN
+    RAISE EXCEPTION 'Migration failed: event_export_jobs table not created';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 045_create_event_export_jobs.sql completed successfully';
+END $$;
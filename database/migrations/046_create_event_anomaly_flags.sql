@@ -0,0 +1,69 @@
+-- ============================================================================
+-- MIGRATION: 046_create_event_anomaly_flags.sql
+-- Purpose: Abuse detection flags for event ingestion (for later review)
+-- Date: 2026-10-19
+--
+-- services/event-rate-limiter.js enforces per-user_id and per-IP sliding
+-- windows in Redis and flags impossible event rates (e.g. 50 game_ended per
+-- minute). Flags are stored here and reviewed via /api/events/anomalies.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS event_anomaly_flags (
+  id BIGSERIAL PRIMARY KEY,
+
+  -- Who (user_id is NULL for IP-level flags)
+  user_id VARCHAR(255),
+  ip VARCHAR(45),
+
+  -- What
+  rule VARCHAR(50) NOT NULL,                -- e.g. impossible_game_rate, user_rate_limited
+  event_type VARCHAR(100),
+  observed_count INT NOT NULL,
+  threshold INT NOT NULL,
+  window_seconds INT NOT NULL,
+  sample JSONB,                             -- One offending event (for review)
+
+  -- Review
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  reviewed_by VARCHAR(255),
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  review_note TEXT,
+
+  detected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Constraints
+  CONSTRAINT valid_anomaly_status CHECK (status IN ('open', 'confirmed', 'dismissed'))
+);
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: Review queue (open flags, newest first)
+CREATE INDEX IF NOT EXISTS idx_event_anomaly_flags_status
+  ON event_anomaly_flags(status, detected_at DESC);
+
+-- Index: Flags per user (flagged users query)
+CREATE INDEX IF NOT EXISTS idx_event_anomaly_flags_user
+  ON event_anomaly_flags(user_id, detected_at DESC)
+  WHERE user_id IS NOT NULL;
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON TABLE event_anomaly_flags IS 'Impossible event rates and rate-limit violations flagged at ingestion';
+COMMENT ON COLUMN event_anomaly_flags.observed_count IS 'Sliding-window count when the flag was raised';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'event_anomaly_flags') THEN
+    RAISE EXCEPTION 'Migration failed: event_anomaly_flags table not created';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 046_create_event_anomaly_flags.sql completed successfully';
+END $$;
@@ -0,0 +1,63 @@
+-- ============================================================================
+-- MIGRATION: 047_create_event_quarantine.sql
+-- Purpose: Quarantine for unsigned / badly signed event batches
+-- Date: 2026-10-19
+--
+-- POST /api/events verifies the optional X-Event-Signature HMAC before
+-- queuing (services/event-batch-verifier.js). Batches that fail are kept
+-- here instead of reaching analytics, and can be released or discarded
+-- from /api/events/quarantine.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS event_quarantine (
+  id BIGSERIAL PRIMARY KEY,
+
+  -- Why
+  reason VARCHAR(30) NOT NULL,              -- invalid, missing, unsigned_version
+  app_version VARCHAR(50),
+  signature VARCHAR(200),
+
+  -- What
+  ip VARCHAR(45),
+  user_ids TEXT[],
+  event_count INT NOT NULL,
+  events JSONB NOT NULL,                    -- Parsed batch
+
+  -- Review
+  status VARCHAR(20) NOT NULL DEFAULT 'quarantined',
+  reviewed_by VARCHAR(255),
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Constraints
+  CONSTRAINT valid_quarantine_status CHECK (status IN ('quarantined', 'released', 'discarded'))
+);
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: Review queue (newest first)
+CREATE INDEX IF NOT EXISTS idx_event_quarantine_status
+  ON event_quarantine(status, received_at DESC);
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON TABLE event_quarantine IS 'Event batches held back by signature verification';
+COMMENT ON COLUMN event_quarantine.reason IS 'Verifier verdict: invalid, missing or unsigned_version (EVENT_SIGNATURE_REQUIRED)';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'event_quarantine') THEN
+    RAISE EXCEPTION 'Migration failed: event_quarantine table not created';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 047_create_event_quarantine.sql completed successfully';
+END $$;
@@ -0,0 +1,100 @@
+-- ============================================================================
+-- MIGRATION: 048_create_sessions.sql
+-- Purpose: Server-side sessions reconstructed from events (sessionizer)
+-- Date: 2026-10-19
+--
+-- session_ended is often lost when the app is killed, so session metrics can't
+-- rely on it. services/sessionizer.js stitches sessions from session_id and
+-- event timestamps with an inactivity timeout, closes orphaned sessions and
+-- stores them here. Dashboard session endpoints read from this table.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+
+  -- "<session_id>@<epoch of first event>" ("auto@<epoch>" for events sent
+  -- without a session_id) - a session_id reused after inactivity gets a new key
+  session_key VARCHAR(300) NOT NULL,
+  client_session_id VARCHAR(255),
+
+  -- Timing (client event timestamps)
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_event_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  ended_at TIMESTAMP WITH TIME ZONE,
+  duration_seconds INT NOT NULL DEFAULT 0,
+  client_duration_seconds INT,              -- duration_seconds from session_ended (when it arrived)
+
+  -- Activity
+  event_count INT NOT NULL DEFAULT 0,
+  games_played INT NOT NULL DEFAULT 0,
+  revenue_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+
+  -- Lifecycle
+  status VARCHAR(10) NOT NULL DEFAULT 'open',
+  end_reason VARCHAR(20),                   -- session_ended, inactivity, superseded
+
+  platform VARCHAR(20),
+  app_version VARCHAR(50),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Constraints
+  CONSTRAINT unique_user_session UNIQUE (user_id, session_key),
+  CONSTRAINT valid_session_status CHECK (status IN ('open', 'closed'))
+);
+
+-- Sessionizer checkpoint: last (received_at, id) read from events
+CREATE TABLE IF NOT EXISTS sessionizer_checkpoint (
+  id INT PRIMARY KEY DEFAULT 1,
+  cursor_received_at TIMESTAMP WITH TIME ZONE,
+  cursor_event_id UUID,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT single_checkpoint CHECK (id = 1)
+);
+
+INSERT INTO sessionizer_checkpoint (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: Dashboard session metrics by day
+CREATE INDEX IF NOT EXISTS idx_sessions_started
+  ON sessions(started_at DESC);
+
+-- Index: Sessionizer lookups (latest sessions per user)
+CREATE INDEX IF NOT EXISTS idx_sessions_user_last_event
+  ON sessions(user_id, last_event_at DESC);
+
+-- Index: Closing stale open sessions
+CREATE INDEX IF NOT EXISTS idx_sessions_open
+  ON sessions(last_event_at)
+  WHERE status = 'open';
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON TABLE sessions IS 'Sessions reconstructed server-side from events (services/sessionizer.js)';
+COMMENT ON COLUMN sessions.duration_seconds IS 'last_event_at (or ended_at) - started_at, from client timestamps';
+COMMENT ON COLUMN sessions.client_duration_seconds IS 'Duration reported by session_ended, NULL when the event was lost';
+COMMENT ON COLUMN sessions.revenue_usd IS 'IAP (price_usd) + ad revenue (revenue_usd) within the session';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'sessions') THEN
+    RAISE EXCEPTION 'Migration failed: sessions table not created';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM sessionizer_checkpoint WHERE id = 1) THEN
+    RAISE EXCEPTION 'Migration failed: sessionizer_checkpoint not seeded';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 048_create_sessions.sql completed successfully';
+END $$;
@@ -0,0 +1,117 @@
+-- ============================================================================
+-- MIGRATION: 049_create_webhooks.sql
+-- Purpose: Event-triggered webhooks for external systems (marketing, community)
+-- Date: 2026-10-19
+--
+-- Admins register a URL, event-type filters and a secret (/api/webhooks).
+-- EventProcessor hands each stored event to services/webhook-dispatcher.js,
+-- which creates one delivery per matching subscription and POSTs it signed
+-- (HMAC-SHA256), retrying with exponential backoff. Every attempt is logged;
+-- failed deliveries can be replayed.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  url TEXT NOT NULL,
+  event_types TEXT[] NOT NULL,              -- '*' = every event type
+  secret VARCHAR(255) NOT NULL,             -- HMAC key for X-Webhook-Signature
+  is_active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Health
+  consecutive_failures INT NOT NULL DEFAULT 0,
+  last_success_at TIMESTAMP WITH TIME ZONE,
+  last_failure_at TIMESTAMP WITH TIME ZONE,
+
+  created_by VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  subscription_id INT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+
+  -- What
+  event_id UUID,
+  event_type VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,                   -- Request body sent to the subscriber
+
+  -- Delivery state
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_status_code INT,
+  last_error TEXT,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Constraints
+  CONSTRAINT valid_webhook_delivery_status CHECK (status IN ('pending', 'delivering', 'succeeded', 'failed'))
+);
+
+-- Delivery log: one row per HTTP attempt
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  delivery_id BIGINT NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+  attempt INT NOT NULL,
+  status_code INT,                          -- NULL = no response (timeout, DNS, refused)
+  error TEXT,
+  response_body TEXT,                       -- First 1KB
+  duration_ms INT,
+  attempted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: Retry worker (due deliveries)
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+  ON webhook_deliveries(next_attempt_at)
+  WHERE status = 'pending';
+
+-- Index: Delivery log per subscription
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+  ON webhook_deliveries(subscription_id, created_at DESC);
+
+-- Index: Replay of failed deliveries
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_failed
+  ON webhook_deliveries(subscription_id, created_at)
+  WHERE status = 'failed';
+
+-- Index: Attempts per delivery
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery
+  ON webhook_delivery_attempts(delivery_id, attempt);
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON TABLE webhook_subscriptions IS 'Admin-registered webhook endpoints with event-type filters (services/webhook-dispatcher.js)';
+COMMENT ON TABLE webhook_deliveries IS 'One delivery per event per matching subscription, retried with exponential backoff';
+COMMENT ON TABLE webhook_delivery_attempts IS 'Delivery log: every HTTP attempt with status code, error and duration';
+COMMENT ON COLUMN webhook_deliveries.status IS 'pending (due at next_attempt_at), delivering, succeeded, failed (retries exhausted - replayable)';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'webhook_subscriptions') THEN
+    RAISE EXCEPTION 'Migration failed: webhook_subscriptions table not created';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'webhook_deliveries') THEN
+    RAISE EXCEPTION 'Migration failed: webhook_deliveries table not created';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'webhook_delivery_attempts') THEN
+    RAISE EXCEPTION 'Migration failed: webhook_delivery_attempts table not created';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 049_create_webhooks.sql completed successfully';
+END $$;
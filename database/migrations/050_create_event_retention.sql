@@ -0,0 +1,149 @@
+-- ============================================================================
+-- MIGRATION: 050_create_event_retention.sql
+-- Purpose: Per-event-type retention policies and raw-event archival
+-- Date: 2026-10-19
+--
+-- Weekly partitions used to be dropped after 12 months whatever they held.
+-- services/event-retention-manager.js now applies event_retention_policies:
+-- - Short-lived types (crashes, performance) are deleted after retention_days
+-- - Types with archive = true are moved to events_archive before their rows
+--   are deleted or their partition is dropped
+-- - The '*' policy is the default and sets the partition window
+-- Every run writes a report to event_archival_runs.
+--
+-- maintain_weekly_partitions() no longer drops partitions (it would skip the
+-- archive step) - it only creates future ones.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS event_retention_policies (
+  event_type VARCHAR(100) PRIMARY KEY,     -- '*' = default for types without a policy
+  retention_days INT NOT NULL,             -- Days kept in the events table
+  archive BOOLEAN NOT NULL DEFAULT false,  -- Move to events_archive instead of deleting
+  archive_retention_days INT,              -- Days kept in events_archive (NULL = forever)
+  description TEXT,
+
+  updated_by VARCHAR(255),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Constraints
+  CONSTRAINT valid_retention_days CHECK (retention_days > 0),
+  CONSTRAINT valid_archive_retention_days CHECK (archive_retention_days IS NULL OR archive_retention_days > 0)
+);
+
+-- Long-lived raw events (same shape as events, not partitioned)
+CREATE TABLE IF NOT EXISTS events_archive (
+  id UUID PRIMARY KEY,
+  event_type VARCHAR(100) NOT NULL,
+  user_id VARCHAR(255),
+  payload JSONB NOT NULL,
+  campaign_id VARCHAR(255),
+  received_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  processed_at TIMESTAMP WITH TIME ZONE,
+
+  archived_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  archive_run_id BIGINT
+);
+
+CREATE TABLE IF NOT EXISTS event_archival_runs (
+  id BIGSERIAL PRIMARY KEY,
+  status VARCHAR(20) NOT NULL DEFAULT 'running',
+  dry_run BOOLEAN NOT NULL DEFAULT false,
+  trigger VARCHAR(20) NOT NULL DEFAULT 'cron',
+
+  -- Totals (details per event type / partition in report)
+  events_deleted BIGINT NOT NULL DEFAULT 0,
+  events_archived BIGINT NOT NULL DEFAULT 0,
+  partitions_dropped INT NOT NULL DEFAULT 0,
+  archive_purged BIGINT NOT NULL DEFAULT 0,
+  report JSONB NOT NULL DEFAULT '{}'::jsonb,
+  error TEXT,
+
+  requested_by VARCHAR(255),
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE,
+
+  -- Constraints
+  CONSTRAINT valid_archival_run_status CHECK (status IN ('running', 'completed', 'failed')),
+  CONSTRAINT valid_archival_run_trigger CHECK (trigger IN ('cron', 'manual'))
+);
+
+-- Default policies (events_week_* partitions used to be kept 52 weeks)
+INSERT INTO event_retention_policies (event_type, retention_days, archive, archive_retention_days, description)
+VALUES
+  ('*', 365, false, NULL, 'Default - partitions older than this are dropped'),
+  ('app_crashed', 30, false, NULL, 'Crash reports are noise after a month (crash_logs keeps the summary)'),
+  ('app_error', 30, false, NULL, 'Non-fatal errors'),
+  ('performance_metrics', 30, false, NULL, 'FPS / load times (performance_metrics keeps the summary)'),
+  ('purchase_completed', 365, true, NULL, 'Revenue - archived for finance and refunds'),
+  ('ad_revenue', 365, true, NULL, 'Revenue - archived for finance'),
+  ('user_installed', 365, true, NULL, 'Install cohorts'),
+  ('user_acquired', 365, true, NULL, 'Campaign attribution (ROI)')
+ON CONFLICT (event_type) DO NOTHING;
+
+-- Partition drops move to EventRetentionManager (archives first)
+CREATE OR REPLACE FUNCTION maintain_weekly_partitions()
+RETURNS VOID AS $$
+DECLARE
+  current_week_start DATE;
+  week_offset INT;
+BEGIN
+  current_week_start := DATE_TRUNC('week', CURRENT_DATE)::DATE;
+
+  FOR week_offset IN 0..12 LOOP
+    PERFORM create_weekly_partition((current_week_start + (week_offset * INTERVAL '7 days'))::DATE);
+  END LOOP;
+
+  RAISE NOTICE '✅ Partition maintenance completed';
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: Archive queries and archive purge per type
+CREATE INDEX IF NOT EXISTS idx_events_archive_type_received
+  ON events_archive(event_type, received_at);
+
+-- Index: GDPR lookups by user
+CREATE INDEX IF NOT EXISTS idx_events_archive_user
+  ON events_archive(user_id, received_at);
+
+-- Index: Recent runs (admin route)
+CREATE INDEX IF NOT EXISTS idx_event_archival_runs_started
+  ON event_archival_runs(started_at DESC);
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON TABLE event_retention_policies IS 'Per-event-type retention (services/event-retention-manager.js) - ''*'' is the default and the partition window';
+COMMENT ON TABLE events_archive IS 'Raw events of archive = true types, moved here before deletion or partition drop';
+COMMENT ON TABLE event_archival_runs IS 'Retention/archival run reports (deleted, archived, dropped partitions per run)';
+COMMENT ON COLUMN event_retention_policies.retention_days IS 'Days kept in events - capped by the ''*'' policy (partition window)';
+COMMENT ON FUNCTION maintain_weekly_partitions() IS 'Creates future weekly partitions (old partitions are dropped by EventRetentionManager after archival)';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'event_retention_policies') THEN
+    RAISE EXCEPTION 'Migration failed: event_retention_policies table not created';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM event_retention_policies WHERE event_type = '*') THEN
+    RAISE EXCEPTION 'Migration failed: default retention policy not seeded';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'events_archive') THEN
+    RAISE EXCEPTION 'Migration failed: events_archive table not created';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'event_archival_runs') THEN
+    RAISE EXCEPTION 'Migration failed: event_archival_runs table not created';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 050_create_event_retention.sql completed successfully';
+END $$;
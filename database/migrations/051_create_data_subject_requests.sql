@@ -0,0 +1,69 @@
+-- ============================================================================
+-- MIGRATION: 051_create_data_subject_requests.sql
+-- Purpose: Audit trail for GDPR/CCPA player data export and erasure
+-- Date: 2026-10-19
+--
+-- services/player-data-manager.js exports everything held for a user_id and
+-- erases it (delete or pseudonymize, per table). Each request is recorded
+-- here with a per-table report and a verification pass (rows left per table)
+-- proving completion.
+--
+-- The plaintext user_id is only kept while an erasure is pending/failed (so it
+-- can be retried) - completed requests keep the SHA-256 subject_hash only.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS data_subject_requests (
+  id BIGSERIAL PRIMARY KEY,
+  request_type VARCHAR(20) NOT NULL,
+  subject_hash VARCHAR(64) NOT NULL,        -- SHA-256 of the user_id
+  user_id VARCHAR(255),                     -- Cleared when an erasure completes
+
+  status VARCHAR(20) NOT NULL DEFAULT 'running',
+  reference VARCHAR(255),                   -- Support ticket / request reference
+  requested_by VARCHAR(255),
+
+  -- { table: { action, rows } } and { table: rows_remaining }
+  report JSONB NOT NULL DEFAULT '{}'::jsonb,
+  verification JSONB,
+  error TEXT,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+
+  -- Constraints
+  CONSTRAINT valid_data_subject_request_type CHECK (request_type IN ('export', 'erasure')),
+  CONSTRAINT valid_data_subject_request_status CHECK (status IN ('running', 'completed', 'failed'))
+);
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: "Was this player erased?" lookups
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_subject
+  ON data_subject_requests(subject_hash, created_at DESC);
+
+-- Index: Recent requests (admin route)
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_created
+  ON data_subject_requests(created_at DESC);
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON TABLE data_subject_requests IS 'GDPR/CCPA export and erasure audit trail (services/player-data-manager.js)';
+COMMENT ON COLUMN data_subject_requests.subject_hash IS 'SHA-256 of the user_id - identifies the subject after the user_id is cleared';
+COMMENT ON COLUMN data_subject_requests.verification IS 'Rows still matching the user_id per table after erasure (all 0 = proof of completion)';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'data_subject_requests') THEN
+    RAISE EXCEPTION 'Migration failed: data_subject_requests table not created';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 051_create_data_subject_requests.sql completed successfully';
+END $$;
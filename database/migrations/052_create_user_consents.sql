@@ -0,0 +1,150 @@
+-- ============================================================================
+-- MIGRATION: 052_create_user_consents.sql
+-- Purpose: Per-user tracking consent (iOS ATT, GDPR, CCPA) + consent_updated event type
+-- Date: 2026-10-19
+--
+-- Players can decline tracking. The app reports the answer as a consent_updated
+-- event; services/consent-manager.js keeps the latest state per user here, and
+-- the event processor, campaign attribution and push targeting honor it.
+-- The consent_updated events themselves (events table) are the history.
+--
+-- consented_at is the client timestamp of the event - an older event arriving
+-- late (retried batch) never overwrites a newer answer.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_consents (
+  user_id VARCHAR(255) PRIMARY KEY,
+
+  attribution BOOLEAN NOT NULL,              -- Campaign attribution / ad identifiers
+  personalized_push BOOLEAN NOT NULL,        -- Personalized push notification targeting
+  source VARCHAR(20) NOT NULL,               -- att | gdpr | ccpa | settings
+  att_status VARCHAR(20),                    -- iOS ATTrackingManager status
+
+  consented_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  app_version VARCHAR(50),
+  platform VARCHAR(20),
+  source_event_id UUID,                      -- events.id of the consent_updated event
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Constraints
+  CONSTRAINT valid_user_consent_source CHECK (source IN ('att', 'gdpr', 'ccpa', 'settings')),
+  CONSTRAINT valid_user_consent_att_status CHECK (
+    att_status IS NULL OR att_status IN ('authorized', 'denied', 'restricted', 'not_determined')
+  )
+);
+
+-- ============================================================================
+-- EVENT TYPE CONSTRAINT (add consent_updated)
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM pg_constraint 
+    WHERE conname = 'valid_event_type' 
+    AND conrelid = 'events'::regclass
+  ) THEN
+    ALTER TABLE events DROP CONSTRAINT valid_event_type;
+    RAISE NOTICE '✅ Dropped existing valid_event_type constraint';
+  END IF;
+END $$;
+
+ALTER TABLE events ADD CONSTRAINT valid_event_type CHECK (
+  event_type IN (
+    -- User Lifecycle (12 events) ✅ UPDATED: Added consent_updated
+    'app_installed', 'app_launched', 'user_registered', 'user_installed', 'user_acquired',
+    'nickname_changed', 'settings_changed', 'app_uninstalled',
+    'first_open', 'session_started', 'session_ended',
+    'consent_updated', -- ✅ NEW
+    
+    -- Rate Us Events (8 events)
+    'rate_us_initialized', 'rate_us_popup_shown', 'rate_us_rate_tapped',
+    'rate_us_prompt_shown', 'rate_us_store_opened', 'rate_us_maybe_later',
+    'rate_us_declined', 'rate_us_completed',
+    
+    -- Game Session (10 events)
+    'game_started', 'game_ended', 'game_paused', 'game_resumed', 'continue_used',
+    'level_started', 'level_completed', 'level_failed', 'level_unlocked',
+    'bonus_collected', 'powerup_activated',
+    
+    -- Economy & Purchases (9 events)
+    'currency_earned', 'currency_spent', 'purchase_initiated', 'purchase_completed',
+    'skin_purchased', 'no_ads_purchased', 'currency_bundle_purchased', 'bundle_purchased',
+    'special_offer_purchased',
+    
+    -- Progression (10 events)
+    'skin_unlocked', 'skin_equipped', 'achievement_unlocked', 'achievement_claimed',
+    'mission_unlocked', 'mission_completed',
+    'item_unlocked', 'item_equipped',
+    'prize_available', 'prize_claimed',
+    
+    -- Daily Streak (4 events)
+    'daily_streak_claimed', 'daily_streak_milestone', 'daily_streak_broken',
+    'daily_streak_cycle_completed',
+    
+    -- Tournament Events (17 events)
+    'tournament_entered', 'tournament_round_started', 'tournament_round_completed',
+    'tournament_round_advanced', 'tournament_round_failed', 'tournament_try_failed',
+    'tournament_level_started', 'tournament_level_completed', 
+    'tournament_start_over', 'tournament_game_over_dismissed',
+    'tournament_completed', 'tournament_abandoned',
+    'playoff_battle_started', 'playoff_battle_won', 'playoff_battle_lost',
+    'tournament_manager_initialized',
+    'tournament_ticket_granted',
+    
+    -- Ads & Monetization (10 events)
+    'ad_watched', 'ad_revenue', 'ad_failed_to_load', 'ad_skipped',
+    'interstitial_shown', 'interstitial_dismissed', 'interstitial_clicked',
+    'loss_streak_ad_shown', 'tournament_interstitial_shown',
+    
+    -- Social & Engagement (3 events)
+    'leaderboard_viewed', 'share_clicked', 'notification_received',
+    
+    -- Tutorial/FTUE (3 events)
+    'tutorial_started', 'tutorial_completed', 'tutorial_skipped',
+    
+    -- Performance & Errors (6 events)
+    'performance_metrics', 'app_load_time', 'game_load_time', 'memory_usage',
+    'app_crashed', 'app_error'
+  )
+  OR event_type LIKE 'conversion_%'
+);
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: Push targeting excludes users who declined personalized push
+CREATE INDEX IF NOT EXISTS idx_user_consents_push_declined
+  ON user_consents(user_id)
+  WHERE personalized_push = false;
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON TABLE user_consents IS 'Latest tracking consent per user from consent_updated events (services/consent-manager.js)';
+COMMENT ON COLUMN user_consents.attribution IS 'false = no campaign attribution, ad identifiers stripped from events';
+COMMENT ON COLUMN user_consents.personalized_push IS 'false = excluded from personalized push targeting';
+COMMENT ON COLUMN user_consents.consented_at IS 'Client timestamp of the consent_updated event (older events never overwrite newer ones)';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'user_consents') THEN
+    RAISE EXCEPTION 'Migration failed: user_consents table not created';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint 
+    WHERE conname = 'valid_event_type' 
+    AND conrelid = 'events'::regclass
+  ) THEN
+    RAISE EXCEPTION 'Migration failed: valid_event_type constraint not created';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 052_create_user_consents.sql completed successfully';
+END $$;
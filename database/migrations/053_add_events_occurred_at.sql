@@ -0,0 +1,77 @@
+-- ============================================================================
+-- MIGRATION: 053_add_events_occurred_at.sql
+-- Purpose: Clock-skew corrected event time (occurred_at) and implausible timestamp flags
+-- Date: 2026-10-19
+--
+-- Dashboard SQL groups by server received_at, so offline batches sent hours
+-- later land on the wrong day. services/enrichers/occurred-at.js corrects the
+-- client timestamp by the device clock offset (batch sent_at vs receipt) and
+-- stores it here; implausible timestamps fall back to received_at and are
+-- flagged in timestamp_flag.
+--
+-- Existing rows keep occurred_at NULL - queries use COALESCE(occurred_at, received_at).
+-- Columns added to the partitioned parent apply to every partition.
+-- ============================================================================
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS occurred_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS timestamp_flag VARCHAR(20);
+
+ALTER TABLE events_archive ADD COLUMN IF NOT EXISTS occurred_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE events_archive ADD COLUMN IF NOT EXISTS timestamp_flag VARCHAR(20);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint 
+    WHERE conname = 'valid_timestamp_flag' 
+    AND conrelid = 'events'::regclass
+  ) THEN
+    ALTER TABLE events ADD CONSTRAINT valid_timestamp_flag CHECK (
+      timestamp_flag IS NULL OR timestamp_flag IN ('future', 'stale', 'skewed_clock')
+    );
+  END IF;
+END $$;
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: Dashboard grouping by occurred_at (time_basis=occurred_at)
+CREATE INDEX IF NOT EXISTS idx_events_occurred
+  ON events(occurred_at DESC)
+  WHERE occurred_at IS NOT NULL;
+
+-- Index: Review of implausible timestamps
+CREATE INDEX IF NOT EXISTS idx_events_timestamp_flag
+  ON events(timestamp_flag, received_at DESC)
+  WHERE timestamp_flag IS NOT NULL;
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON COLUMN events.occurred_at IS 'Client timestamp corrected by the device clock offset (received_at - batch sent_at)';
+COMMENT ON COLUMN events.timestamp_flag IS 'future | stale (occurred_at fell back to received_at) | skewed_clock (corrected)';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'events' AND column_name = 'occurred_at'
+  ) THEN
+    RAISE EXCEPTION 'Migration failed: events.occurred_at column not created';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'events_archive' AND column_name = 'occurred_at'
+  ) THEN
+    RAISE EXCEPTION 'Migration failed: events_archive.occurred_at column not created';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 053_add_events_occurred_at.sql completed successfully';
+END $$;
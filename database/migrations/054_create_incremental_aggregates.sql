@@ -0,0 +1,105 @@
+-- ============================================================================
+-- MIGRATION: 054_create_incremental_aggregates.sql
+-- Purpose: Incremental daily/cohort aggregates with late-arrival tracking
+-- Date: 2026-10-19
+--
+-- Offline batches (POST /api/events, POST /api/events/backfill) carry events
+-- that happened days ago (occurred_at, migration 053). REFRESH MATERIALIZED VIEW rebuilt 90 days of aggregates every
+-- 4 hours without knowing what changed; daily_aggregations and
+-- cohort_aggregations become plain tables that
+-- services/incremental-aggregate-refresher.js updates for affected dates only.
+--
+-- Changes:
+-- 1. daily_aggregations / cohort_aggregations: materialized views -> tables
+--    (same names and columns, current rows kept, + computed_at)
+-- 2. aggregate_dirty_dates: dates that received late events since the last run
+--
+-- Aggregates count events on their occurred_at day; run
+-- MaterializedViewRefresher.refreshAll({ rebuild: true }) once so the kept rows follow it too.
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_matviews WHERE matviewname = 'daily_aggregations') THEN
+    CREATE TABLE daily_aggregations_incremental AS
+      SELECT *, NOW()::TIMESTAMP WITH TIME ZONE AS computed_at FROM daily_aggregations;
+    DROP MATERIALIZED VIEW daily_aggregations;
+    ALTER TABLE daily_aggregations_incremental RENAME TO daily_aggregations;
+    ALTER TABLE daily_aggregations ADD PRIMARY KEY (date);
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM pg_matviews WHERE matviewname = 'cohort_aggregations') THEN
+    CREATE TABLE cohort_aggregations_incremental AS
+      SELECT *, NOW()::TIMESTAMP WITH TIME ZONE AS computed_at FROM cohort_aggregations;
+    DROP MATERIALIZED VIEW cohort_aggregations;
+    ALTER TABLE cohort_aggregations_incremental RENAME TO cohort_aggregations;
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS aggregate_dirty_dates (
+  date DATE PRIMARY KEY,
+  event_count INTEGER NOT NULL DEFAULT 0,
+  source VARCHAR(30) NOT NULL DEFAULT 'backfill',
+  first_marked_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  last_marked_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: Date range queries (dashboard trends)
+CREATE INDEX IF NOT EXISTS idx_daily_aggregations_date_range
+  ON daily_aggregations(date DESC);
+
+-- Index: One row per cohort/campaign/platform (same as the view's unique index)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cohort_aggregations_cohort_campaign
+  ON cohort_aggregations(cohort_date, campaign_id, platform);
+
+CREATE INDEX IF NOT EXISTS idx_cohort_aggregations_cohort_date
+  ON cohort_aggregations(cohort_date DESC);
+
+CREATE INDEX IF NOT EXISTS idx_cohort_aggregations_campaign
+  ON cohort_aggregations(campaign_id, cohort_date DESC)
+  WHERE campaign_id IS NOT NULL;
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON TABLE daily_aggregations IS
+  'Daily metrics by occurred_at date (90 days) - affected dates recomputed by services/incremental-aggregate-refresher.js';
+COMMENT ON TABLE cohort_aggregations IS
+  'Cohort metrics (retention D0-D30, LTV, revenue, CPI, ROI) by install date and campaign - affected cohorts recomputed incrementally';
+COMMENT ON COLUMN daily_aggregations.computed_at IS 'When this date was last recomputed';
+COMMENT ON COLUMN cohort_aggregations.computed_at IS 'When this cohort was last recomputed';
+COMMENT ON TABLE aggregate_dirty_dates IS
+  'Dates that received events after the fact (offline batches older than yesterday) - cleared by the next incremental refresh';
+COMMENT ON COLUMN aggregate_dirty_dates.event_count IS 'Late events stored for this date since the last refresh';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_tables WHERE tablename = 'daily_aggregations'
+  ) THEN
+    RAISE EXCEPTION 'Migration failed: daily_aggregations table not created';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_tables WHERE tablename = 'cohort_aggregations'
+  ) THEN
+    RAISE EXCEPTION 'Migration failed: cohort_aggregations table not created';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_tables WHERE tablename = 'aggregate_dirty_dates'
+  ) THEN
+    RAISE EXCEPTION 'Migration failed: aggregate_dirty_dates table not created';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 054_create_incremental_aggregates.sql completed successfully';
+END $$;
@@ -0,0 +1,119 @@
+-- ============================================================================
+-- MIGRATION: 055_create_admin_identity.sql
+-- Purpose: Admin users, API keys and the admin audit log
+-- Date: 2026-10-19
+--
+-- The dashboard API and several admin endpoints (retry-failed, recent events,
+-- tournament start/end, test pushes) were reachable without credentials, and
+-- the rest relied on player JWTs listed in ADMIN_PLAYER_IDS. Admins now sign in
+-- with their own identity and a role (services/admin-identity.js), every route
+-- checks a permission and mutating calls are audited (middleware/admin-auth.js).
+--
+-- Tables:
+-- 1. admin_users: email + bcrypt password, role, active flag
+-- 2. admin_api_keys: keys for scripts/integrations (SHA-256 only, role <= owner)
+-- 3. admin_audit_log: one row per mutating admin call (denied attempts included)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS admin_users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  name VARCHAR(100),
+  password_hash VARCHAR(100) NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'analyst', 'live_ops', 'superadmin')),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS admin_api_keys (
+  id SERIAL PRIMARY KEY,
+  admin_user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'analyst', 'live_ops', 'superadmin')),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  admin_user_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+  actor VARCHAR(255),
+  role VARCHAR(20) NOT NULL,
+  auth_method VARCHAR(20) NOT NULL,
+  permission VARCHAR(50) NOT NULL,
+  method VARCHAR(10) NOT NULL,
+  path VARCHAR(500) NOT NULL,
+  status_code INTEGER,
+  params JSONB,
+  ip VARCHAR(45),
+  user_agent VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: Keys of an admin (GET /api/admin/api-keys)
+CREATE INDEX IF NOT EXISTS idx_admin_api_keys_admin_user
+  ON admin_api_keys(admin_user_id, created_at DESC);
+
+-- Index: Audit log, newest first
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created
+  ON admin_audit_log(created_at DESC);
+
+-- Index: Audit log of one admin
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_admin_user
+  ON admin_audit_log(admin_user_id, created_at DESC)
+  WHERE admin_user_id IS NOT NULL;
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON TABLE admin_users IS
+  'Dashboard/admin API users - separate from players (services/admin-identity.js)';
+COMMENT ON COLUMN admin_users.role IS
+  'viewer: dashboard | analyst: + events read/export | live_ops: + events and live-ops management | superadmin: everything';
+COMMENT ON TABLE admin_api_keys IS
+  'API keys (fjk_<prefix>_...) for scripts and integrations - only the SHA-256 is stored';
+COMMENT ON COLUMN admin_api_keys.key_prefix IS 'Public part of the key, shown in listings to tell keys apart';
+COMMENT ON COLUMN admin_api_keys.role IS 'Role of the key - never above the owner''s role at creation';
+COMMENT ON TABLE admin_audit_log IS
+  'Mutating admin calls (POST/PUT/PATCH/DELETE) with actor, permission and response status';
+COMMENT ON COLUMN admin_audit_log.actor IS 'Admin email, or player_id for legacy ADMIN_PLAYER_IDS tokens';
+COMMENT ON COLUMN admin_audit_log.params IS 'Route params, query and body with secrets redacted';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_tables WHERE tablename = 'admin_users'
+  ) THEN
+    RAISE EXCEPTION 'Migration failed: admin_users table not created';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_tables WHERE tablename = 'admin_api_keys'
+  ) THEN
+    RAISE EXCEPTION 'Migration failed: admin_api_keys table not created';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_tables WHERE tablename = 'admin_audit_log'
+  ) THEN
+    RAISE EXCEPTION 'Migration failed: admin_audit_log table not created';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 055_create_admin_identity.sql completed successfully';
+END $$;
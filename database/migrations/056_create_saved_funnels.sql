@@ -0,0 +1,60 @@
+-- ============================================================================
+-- MIGRATION: 056_create_saved_funnels.sql
+-- Purpose: Analyst-defined funnels with ordered steps and conversion windows
+-- Date: 2026-10-19
+--
+-- user_funnel_daily (migration 036) only serves one fixed install -> level 10
+-- funnel. Saved funnels store arbitrary ordered steps (event type + payload
+-- filters) and are evaluated from the events table on demand
+-- (services/funnel-analyzer.js, /api/funnels).
+--
+-- Tables:
+-- 1. saved_funnels: name, steps JSONB, conversion window
+--    steps: [{ event_type, label?, filters?: [{ field, op, value }] }]
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS saved_funnels (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  steps JSONB NOT NULL CHECK (jsonb_typeof(steps) = 'array'),
+  conversion_window_hours INTEGER NOT NULL DEFAULT 168
+    CHECK (conversion_window_hours > 0 AND conversion_window_hours <= 2160),
+  created_by VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================================================
+
+-- Index: Funnel list (GET /api/funnels), newest first
+CREATE INDEX IF NOT EXISTS idx_saved_funnels_created
+  ON saved_funnels(created_at DESC);
+
+-- ============================================================================
+-- COMMENTS FOR DOCUMENTATION
+-- ============================================================================
+
+COMMENT ON TABLE saved_funnels IS
+  'Analyst-defined ordered funnels, evaluated from events (services/funnel-analyzer.js)';
+COMMENT ON COLUMN saved_funnels.steps IS
+  'Ordered steps: [{ event_type, label, filters: [{ field, op, value }] }] - fields whitelisted by the event schemas';
+COMMENT ON COLUMN saved_funnels.conversion_window_hours IS
+  'Every later step must happen within this many hours of the first step';
+
+-- ============================================================================
+-- VERIFY MIGRATION
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_tables WHERE tablename = 'saved_funnels'
+  ) THEN
+    RAISE EXCEPTION 'Migration failed: saved_funnels table not created';
+  END IF;
+
+  RAISE NOTICE '✅ Migration 056_create_saved_funnels.sql completed successfully';
+END $$;
@@ -0,0 +1,18 @@
+-- ============================================================================
+-- MIGRATION: 057_add_dead_letter_raw_payload.sql
+-- Purpose: Keep the unscrubbed payload of dead letters for re-submission
+-- Date: 2026-10-19
+--
+-- payload holds the pseudonymized copy shown by GET /api/events/dead-letters.
+-- Re-submitting that copy would hash device identifiers a second time and lose
+-- the attribution fields the privacy filter drops (gclid), so
+-- EventProcessor.resubmitDeadLetters reads raw_payload instead.
+--
+-- raw_payload is only read for re-submission (never listed) and is removed with
+-- the row by player data erasure (services/player-data-manager.js).
+-- Rows stored before this migration keep raw_payload NULL and re-submit payload.
+-- ============================================================================
+
+ALTER TABLE event_dead_letters ADD COLUMN IF NOT EXISTS raw_payload JSONB;
+
+COMMENT ON COLUMN event_dead_letters.raw_payload IS 'Unscrubbed payload, read only for re-submission';
@@ -0,0 +1,212 @@
+/**
+ * Admin Authentication Middleware
+ * Admin identities, per-route permissions and the audit log for /api/dashboard
+ * and the admin APIs (see services/admin-identity.js)
+ *
+ * Credentials (checked in this order):
+ * - X-API-Key: fjk_... or Authorization: Bearer fjk_...   (scripts, integrations)
+ * - Authorization: Bearer <admin session token>            (dashboard login)
+ * - Authorization: Bearer <player JWT of ADMIN_PLAYER_IDS> (legacy, superadmin)
+ *
+ * Usage:
+ *   router.post('/replay', adminRoute('events:manage'), handler)
+ *   router.use(adminRoute('dashboard:read'))
+ *
+ * Every mutating call (POST/PUT/PATCH/DELETE) that passes authentication is
+ * written to admin_audit_log once the response is sent - denied attempts included.
+ */
+
+const logger = require('../utils/logger');
+const AdminIdentityService = require('../services/admin-identity');
+const { validateToken, isAdminPlayer } = require('./auth');
+const { truncateIP } = require('../utils/privacy');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const SENSITIVE_PARAM = /password|secret|token|api_?key|authorization/i;
+const MAX_AUDIT_ARRAY = 10;
+const MAX_AUDIT_DEPTH = 3;
+
+function getIdentityService(req) {
+  return req.app.locals.adminIdentity || new AdminIdentityService(req.app.locals.db);
+}
+
+/**
+ * X-API-Key or bearer credential of a request
+ */
+function requestCredential(req) {
+  const authHeader = req.headers['authorization'];
+  const bearer = authHeader && authHeader.split(' ')[1];
+  return req.headers['x-api-key'] || bearer;
+}
+
+/**
+ * Resolve the admin behind a request
+ * @param {Object} req
+ * @param {Object} options - For callers outside Express (the WebSocket upgrade)
+ * @param {string} options.credential - Credential to check (default: X-API-Key / bearer header)
+ * @param {Object} options.identityService - AdminIdentityService (default: from app.locals)
+ * @returns {Promise<Object|null>} - { id, email, role, auth } or null
+ */
+async function resolveAdmin(req, { credential = requestCredential(req), identityService = null } = {}) {
+  if (!credential) return null;
+
+  const identity = identityService || getIdentityService(req);
+
+  if (AdminIdentityService.isApiKey(credential)) {
+    return identity.verifyApiKey(credential);
+  }
+
+  const decoded = validateToken(credential);
+  if (!decoded) return null;
+
+  if (decoded.type === 'admin') {
+    return identity.verifySessionToken(credential);
+  }
+
+  // Legacy: player accounts listed in ADMIN_PLAYER_IDS
+  if (decoded.playerId && isAdminPlayer(decoded.playerId)) {
+    return { id: null, player_id: decoded.playerId, role: 'superadmin', auth: 'legacy_player' };
+  }
+
+  return null;
+}
+
+/**
+ * Require an admin identity (sets req.admin, and req.user for handlers that
+ * record req.user.playerId as the requester)
+ */
+const authenticateAdmin = async (req, res, next) => {
+  if (req.admin) return next();
+
+  let admin;
+  try {
+    admin = await resolveAdmin(req);
+  } catch (error) {
+    logger.error('🛡️ Admin authentication error', { error: error.message });
+    return res.status(500).json({
+      success: false,
+      error: 'Admin authentication unavailable'
+    });
+  }
+
+  if (!admin) {
+    const hasCredential = Boolean(req.headers['x-api-key'] || req.headers['authorization']);
+    logger.warn('🛡️ Admin auth failed', {
+      endpoint: req.originalUrl,
+      method: req.method,
+      reason: hasCredential ? 'invalid_credentials' : 'no_credentials'
+    });
+    return res.status(401).json({
+      success: false,
+      error: hasCredential ? 'Invalid or expired admin credentials' : 'Admin credentials required',
+      code: hasCredential ? 'ADMIN_AUTH_INVALID' : 'ADMIN_AUTH_REQUIRED'
+    });
+  }
+
+  req.admin = admin;
+  const actor = admin.email || admin.player_id;
+  req.user = {
+    ...req.user,
+    id: admin.player_id || actor,
+    playerId: admin.player_id || actor,
+    username: actor,
+    isAdmin: true
+  };
+
+  next();
+};
+
+/**
+ * Request parameters as stored in the audit log (secrets redacted, long arrays counted)
+ */
+function auditParams(value, depth = 0) {
+  if (Array.isArray(value)) {
+    return value.length > MAX_AUDIT_ARRAY
+      ? `[${value.length} items]`
+      : value.map(item => auditParams(item, depth + 1));
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_AUDIT_DEPTH) return '[object]';
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_PARAM.test(key) ? '[redacted]' : auditParams(item, depth + 1);
+  }
+  return result;
+}
+
+function auditOnFinish(req, res, permission) {
+  // One entry per call, also when a router-level and a route-level check both apply
+  if (res.locals.adminAudited) return;
+  res.locals.adminAudited = true;
+
+  res.on('finish', () => {
+    const params = auditParams({ params: req.params, query: req.query, body: req.body });
+
+    getIdentityService(req).recordAudit({
+      admin: req.admin,
+      permission,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      params,
+      ip: truncateIP(req.ip),
+      userAgent: req.get('User-Agent')
+    }).catch(error => {
+      logger.error('🛡️ Failed to write admin audit log', {
+        method: req.method,
+        path: req.originalUrl,
+        error: error.message
+      });
+    });
+  });
+}
+
+/**
+ * Require a permission (after authenticateAdmin)
+ * @param {string} permission - Key of AdminIdentityService.ROLE_PERMISSIONS
+ */
+const requirePermission = (permission) => {
+  // Fail at startup on typos, not on the first request
+  AdminIdentityService.can('superadmin', permission);
+
+  return (req, res, next) => {
+    if (!req.admin) {
+      return res.status(401).json({
+        success: false,
+        error: 'Admin credentials required',
+        code: 'ADMIN_AUTH_REQUIRED'
+      });
+    }
+
+    if (MUTATING_METHODS.includes(req.method)) {
+      auditOnFinish(req, res, permission);
+    }
+
+    if (!AdminIdentityService.can(req.admin.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `Permission required: ${permission}`,
+        code: 'ADMIN_PERMISSION_DENIED',
+        role: req.admin.role
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * authenticateAdmin + requirePermission
+ * @param {string} permission
+ * @returns {Array<Function>} - Express middleware chain
+ */
+const adminRoute = (permission) => [authenticateAdmin, requirePermission(permission)];
+
+module.exports = {
+  resolveAdmin,
+  authenticateAdmin,
+  requirePermission,
+  adminRoute,
+  auditParams
+};
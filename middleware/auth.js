@@ -134,6 +134,19 @@ const optionalAuth = (req, res, next) => {
   });
 };
 
+/**
+ * Check if a player is an admin (ADMIN_PLAYER_IDS)
+ * Shared by requireAdmin and the WebSocket admin channel
+ */
+const isAdminPlayer = (playerId) => {
+  // TODO: Implement proper admin role checking from database
+  // For now, check if user has admin flag or is in admin list
+  const adminPlayerIds = process.env.ADMIN_PLAYER_IDS ?
+    process.env.ADMIN_PLAYER_IDS.split(',') : [];
+
+  return !!playerId && adminPlayerIds.includes(playerId);
+};
+
 /**
  * Middleware to check if user is admin
  * Checks for admin role in user data
@@ -147,12 +160,7 @@ const requireAdmin = (req, res, next) => {
     });
   }
 
-  // TODO: Implement proper admin role checking from database
-  // For now, check if user has admin flag or is in admin list
-  const adminPlayerIds = process.env.ADMIN_PLAYER_IDS ?
-    process.env.ADMIN_PLAYER_IDS.split(',') : [];
-
-  if (!adminPlayerIds.includes(req.user.playerId)) {
+  if (!isAdminPlayer(req.user.playerId)) {
     return res.status(403).json({
       success: false,
       error: 'Admin access required',
@@ -199,6 +207,7 @@ module.exports = {
   authenticateToken,
   optionalAuth,
   requireAdmin,
+  isAdminPlayer,
   generateToken,
   validateToken,
   generateDeviceId
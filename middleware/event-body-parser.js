@@ -0,0 +1,96 @@
+/**
+ * Event Body Parser Middleware
+ * JSON body parser for POST /api/events with gzip / deflate / brotli support
+ *
+ * Mobile clients compress large batches (up to 100 events) over cellular.
+ * express.json() only inflates gzip/deflate, so this parser runs first on the
+ * ingestion route and:
+ * 1. Decompresses the body by Content-Encoding (gzip, deflate, br, identity)
+ * 2. Caps the DECOMPRESSED size (a small brotli body can expand enormously)
+ * 3. Keeps the decompressed bytes on req.rawBody (batch signatures are
+ *    computed over them - see services/event-batch-verifier.js)
+ *
+ * Errors use the same shape as body-parser (status + type) so the global
+ * error handler in server.js treats them the same way.
+ */
+
+const zlib = require('zlib');
+
+const DECODERS = {
+  gzip: () => zlib.createGunzip(),
+  'x-gzip': () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate(),
+  br: () => zlib.createBrotliDecompress(),
+};
+
+function createError(status, type, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.type = type;
+  return error;
+}
+
+/**
+ * @param {Object} options
+ * @param {number} options.limit - Max decompressed body size in bytes (default 10MB, same as express.json)
+ */
+const eventBodyParser = ({ limit = 10 * 1024 * 1024 } = {}) => (req, res, next) => {
+  if (req._body || req.method !== 'POST' || req.path !== '/' || !req.is('application/json')) {
+    return next();
+  }
+
+  const encoding = (req.headers['content-encoding'] || 'identity').trim().toLowerCase();
+  if (encoding !== 'identity' && !DECODERS[encoding]) {
+    return next(createError(415, 'encoding.unsupported', `Unsupported content encoding "${encoding}"`));
+  }
+
+  const stream = encoding === 'identity' ? req : req.pipe(DECODERS[encoding]());
+  const chunks = [];
+  let size = 0;
+  let finished = false;
+
+  const fail = (error) => {
+    if (finished) return;
+    finished = true;
+    if (stream !== req) {
+      req.unpipe(stream);
+      stream.destroy();
+    }
+    req.resume();
+    next(error);
+  };
+
+  req.on('aborted', () => fail(createError(400, 'request.aborted', 'request aborted')));
+
+  stream.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > limit) {
+      fail(createError(413, 'entity.too.large', 'request entity too large'));
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  stream.on('error', (error) => {
+    fail(createError(400, 'encoding.invalid', `Invalid ${encoding} body: ${error.message}`));
+  });
+
+  stream.on('end', () => {
+    if (finished) return;
+    finished = true;
+
+    const rawBody = Buffer.concat(chunks);
+    req.rawBody = rawBody;
+    req._body = true;
+
+    try {
+      req.body = rawBody.length > 0 ? JSON.parse(rawBody.toString('utf8')) : {};
+    } catch (error) {
+      return next(createError(400, 'entity.parse.failed', error.message));
+    }
+
+    next();
+  });
+};
+
+module.exports = { eventBodyParser };
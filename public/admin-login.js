@@ -0,0 +1,139 @@
+// 🛡️ Admin login for the dashboards
+// /api/dashboard and the admin APIs need an admin session (POST /api/admin/login)
+// or an API key - see middleware/admin-auth.js.
+//
+// Usage:
+//   adminAuth.ready(start)           // start() runs once the admin is signed in
+//   adminAuth.fetch(url, options)    // fetch with the session token, shows the login on 401
+//   adminAuth.logout()
+(function () {
+    const TOKEN_KEY = 'flappyjet_admin_token';
+    const ADMIN_API = window.location.origin + '/api/admin';
+
+    let onReady = null;
+    let started = false;
+    let overlay = null;
+
+    function getToken() {
+        return localStorage.getItem(TOKEN_KEY);
+    }
+
+    function authHeaders(headers = {}) {
+        const token = getToken();
+        return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+    }
+
+    function buildOverlay() {
+        overlay = document.createElement('div');
+        overlay.id = 'adminLoginOverlay';
+        overlay.style.cssText = 'position:fixed;inset:0;background:rgba(15,23,42,0.85);display:none;' +
+            'align-items:center;justify-content:center;z-index:10000;font-family:inherit;';
+        overlay.innerHTML = `
+            <form id="adminLoginForm" style="background:white;padding:30px;border-radius:12px;width:320px;box-shadow:0 10px 40px rgba(0,0,0,0.3);">
+                <h2 style="margin:0 0 5px;color:#1e293b;">✈️ FlappyJet Admin</h2>
+                <p style="margin:0 0 20px;color:#64748b;font-size:14px;">Sign in to view the dashboard</p>
+                <input id="adminLoginEmail" type="email" placeholder="Email" autocomplete="username" required
+                    style="width:100%;box-sizing:border-box;padding:10px;margin-bottom:10px;border:1px solid #cbd5e1;border-radius:6px;">
+                <input id="adminLoginPassword" type="password" placeholder="Password" autocomplete="current-password" required
+                    style="width:100%;box-sizing:border-box;padding:10px;margin-bottom:10px;border:1px solid #cbd5e1;border-radius:6px;">
+                <div id="adminLoginError" style="color:#dc2626;font-size:13px;min-height:18px;margin-bottom:10px;"></div>
+                <button type="submit" style="width:100%;padding:10px;border:none;border-radius:6px;background:#667eea;color:white;font-weight:600;cursor:pointer;">
+                    Sign in
+                </button>
+            </form>`;
+        document.body.appendChild(overlay);
+        overlay.querySelector('#adminLoginForm').addEventListener('submit', login);
+    }
+
+    function showLogin(message = '') {
+        if (!overlay) buildOverlay();
+        overlay.querySelector('#adminLoginError').textContent = message;
+        overlay.style.display = 'flex';
+        overlay.querySelector('#adminLoginEmail').focus();
+    }
+
+    function hideLogin() {
+        if (overlay) overlay.style.display = 'none';
+    }
+
+    function showIdentity(admin) {
+        const badge = document.getElementById('adminIdentity');
+        if (badge) {
+            badge.textContent = `${admin.email || admin.player_id} (${admin.role})`;
+        }
+    }
+
+    function signedIn(admin) {
+        hideLogin();
+        showIdentity(admin);
+        if (!started && onReady) {
+            started = true;
+            onReady(admin);
+        }
+    }
+
+    async function login(event) {
+        event.preventDefault();
+        const email = overlay.querySelector('#adminLoginEmail').value;
+        const password = overlay.querySelector('#adminLoginPassword').value;
+
+        try {
+            const response = await fetch(`${ADMIN_API}/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email, password })
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                showLogin(data.error || `Sign-in failed (HTTP ${response.status})`);
+                return;
+            }
+
+            localStorage.setItem(TOKEN_KEY, data.token);
+            overlay.querySelector('#adminLoginPassword').value = '';
+            signedIn(data.admin);
+        } catch (error) {
+            showLogin(`Sign-in failed: ${error.message}`);
+        }
+    }
+
+    async function adminFetch(url, options = {}) {
+        const response = await fetch(url, { ...options, headers: authHeaders(options.headers) });
+
+        // Session expired or revoked - sign in again, the page keeps its state
+        if (response.status === 401) {
+            localStorage.removeItem(TOKEN_KEY);
+            showLogin('Your session has expired - please sign in again');
+        }
+        return response;
+    }
+
+    async function ready(start) {
+        onReady = start;
+
+        if (!getToken()) {
+            showLogin();
+            return;
+        }
+
+        try {
+            const response = await adminFetch(`${ADMIN_API}/me`);
+            if (response.ok) {
+                const data = await response.json();
+                signedIn(data.admin);
+            }
+        } catch (error) {
+            showLogin(`Cannot reach the server: ${error.message}`);
+        }
+    }
+
+    function logout() {
+        localStorage.removeItem(TOKEN_KEY);
+        const badge = document.getElementById('adminIdentity');
+        if (badge) badge.textContent = '';
+        showLogin();
+    }
+
+    window.adminAuth = { ready, fetch: adminFetch, logout };
+})();
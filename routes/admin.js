@@ -0,0 +1,271 @@
+/**
+ * Admin API Routes
+ * Admin users, sessions, API keys and the audit log (see services/admin-identity.js)
+ *
+ * POST /api/admin/login - Email + password -> session token (dashboard login)
+ * GET /api/admin/me - Current admin identity with its permissions
+ * GET /api/admin/users - List admin users (admin:manage)
+ * POST /api/admin/users - Create an admin user (admin:manage)
+ * PATCH /api/admin/users/:id - Change role, name, password or deactivate (admin:manage)
+ * POST /api/admin/api-keys - Create an API key (admin:manage)
+ * GET /api/admin/api-keys - Own API keys (all keys with admin:manage)
+ * DELETE /api/admin/api-keys/:id - Revoke an API key (own keys; admin:manage for any)
+ * GET /api/admin/audit-log - Mutating admin calls (admin:manage)
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const AdminIdentityService = require('../services/admin-identity');
+const { authenticateAdmin, adminRoute } = require('../middleware/admin-auth');
+const { rateLimitMiddleware } = require('../middleware/rate-limit');
+
+function getIdentityService(req) {
+  return req.app.locals.adminIdentity || new AdminIdentityService(req.app.locals.db);
+}
+
+/**
+ * Whether the admin may act on other admins' users and keys
+ */
+function canManageAdmins(admin) {
+  return AdminIdentityService.can(admin.role, 'admin:manage');
+}
+
+function sendError(res, error, message) {
+  if (error.status === 400) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      field: error.field
+    });
+  }
+  logger.error(`❌ ${message}`, { error: error.message });
+  res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+/**
+ * POST /api/admin/login
+ * Body: { email, password }
+ * 10 attempts per 15 minutes per IP
+ */
+router.post('/login', rateLimitMiddleware('admin-login', 900, 10), async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const session = await getIdentityService(req).login(email, password);
+
+    if (!session) {
+      logger.warn('🛡️ Admin login failed', { email: typeof email === 'string' ? email.toLowerCase() : null });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password',
+        code: 'ADMIN_AUTH_INVALID'
+      });
+    }
+
+    logger.info('🛡️ Admin signed in', { admin_id: session.admin.id, role: session.admin.role });
+
+    res.json({
+      success: true,
+      ...session,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error during admin login');
+  }
+});
+
+/**
+ * GET /api/admin/me
+ */
+router.get('/me', authenticateAdmin, (req, res) => {
+  res.json({
+    success: true,
+    admin: {
+      ...req.admin,
+      permissions: AdminIdentityService.permissionsFor(req.admin.role)
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/admin/users
+ */
+router.get('/users', adminRoute('admin:manage'), async (req, res) => {
+  try {
+    const users = await getIdentityService(req).listUsers();
+
+    res.json({
+      success: true,
+      users,
+      count: users.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error listing admin users');
+  }
+});
+
+/**
+ * POST /api/admin/users
+ * Body: { email, password, role: viewer|analyst|live_ops|superadmin, name? }
+ */
+router.post('/users', adminRoute('admin:manage'), async (req, res) => {
+  try {
+    const user = await getIdentityService(req).createUser(req.body || {}, req.user.playerId);
+
+    res.status(201).json({
+      success: true,
+      user,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error creating admin user');
+  }
+});
+
+/**
+ * PATCH /api/admin/users/:id
+ * Body: any of { role, name, is_active, password }
+ */
+router.patch('/users/:id', adminRoute('admin:manage'), async (req, res) => {
+  try {
+    const user = await getIdentityService(req).updateUser(parseInt(req.params.id, 10), req.body || {});
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin user not found'
+      });
+    }
+
+    logger.info('🛡️ Admin user updated', { admin_id: user.id, by: req.user.playerId });
+
+    res.json({
+      success: true,
+      user,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error updating admin user');
+  }
+});
+
+/**
+ * POST /api/admin/api-keys
+ * Body: { name, role?, expires_in_days?, admin_user_id? (default: own key) }
+ * The key role may only hold permissions its owner has. The key is only returned in this response.
+ */
+router.post('/api-keys', adminRoute('admin:manage'), async (req, res) => {
+  try {
+    const { admin_user_id: ownerId, ...options } = req.body || {};
+    const targetId = ownerId !== undefined ? parseInt(ownerId, 10) : req.admin.id;
+
+    if (!targetId) {
+      return res.status(400).json({
+        success: false,
+        error: 'admin_user_id is required for legacy admin players',
+        field: 'admin_user_id'
+      });
+    }
+
+    const { key, api_key: apiKey } = await getIdentityService(req).createApiKey(targetId, options);
+
+    res.status(201).json({
+      success: true,
+      key,
+      api_key: apiKey,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error creating admin API key');
+  }
+});
+
+/**
+ * GET /api/admin/api-keys
+ */
+router.get('/api-keys', adminRoute('dashboard:read'), async (req, res) => {
+  try {
+    const apiKeys = await getIdentityService(req).listApiKeys(canManageAdmins(req.admin) ? null : req.admin.id);
+
+    res.json({
+      success: true,
+      api_keys: apiKeys,
+      count: apiKeys.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error listing admin API keys');
+  }
+});
+
+/**
+ * DELETE /api/admin/api-keys/:id
+ */
+router.delete('/api-keys/:id', adminRoute('dashboard:read'), async (req, res) => {
+  try {
+    const identity = getIdentityService(req);
+    const id = parseInt(req.params.id, 10);
+
+    if (!canManageAdmins(req.admin)) {
+      const ownKeys = await identity.listApiKeys(req.admin.id);
+      if (!ownKeys.some(apiKey => apiKey.id === id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found'
+        });
+      }
+    }
+
+    const apiKey = await identity.revokeApiKey(id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found or already revoked'
+      });
+    }
+
+    logger.info('🛡️ Admin API key revoked', { key_prefix: apiKey.key_prefix, by: req.user.playerId });
+
+    res.json({
+      success: true,
+      api_key: apiKey,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error revoking admin API key');
+  }
+});
+
+/**
+ * GET /api/admin/audit-log
+ * Query: admin_user_id, method, path (prefix), since, limit (max 500)
+ */
+router.get('/audit-log', adminRoute('admin:manage'), async (req, res) => {
+  try {
+    const entries = await getIdentityService(req).listAudit(req.query);
+
+    res.json({
+      success: true,
+      entries,
+      count: entries.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error reading admin audit log');
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,36 @@
 /// Optimized endpoints with Redis caching for zero game impact
 
 const express = require('express');
-const router = express.Router();
 const logger = require('../utils/logger');
+const { adminRoute } = require('../middleware/admin-auth');
+const DashboardFilters = require('../services/dashboard-filters');
+const CohortEngine = require('../services/cohort-engine');
 
 module.exports = (db, cacheManager) => {
+  // One router per call - handlers close over this call's db and cacheManager
+  const router = express.Router();
+
+  // ✅ Admin identities only (viewer and up, see middleware/admin-auth.js)
+  router.use(adminRoute('dashboard:read'));
+
+  // ✅ Shared date range + segment filters, honored by every endpoint below
+  // (?start_date=&end_date=&platform=&country=&app_version=&cohort_start=&cohort_end=&campaign_id=)
+  router.use((req, res, next) => {
+    try {
+      req.dashboardFilters = DashboardFilters.fromQuery(req.query);
+      next();
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          field: error.field
+        });
+      }
+      next(error);
+    }
+  });
+
   // ============================================================================
   // CACHING STRATEGY
   // ============================================================================
@@ -16,6 +42,9 @@ module.exports = (db, cacheManager) => {
   const CACHE_TTL = 300; // 5 minutes
   const CACHE_PREFIX = 'dashboard:';
 
+  // Cohort retention matrices (/retention-table, /cohort-retention)
+  const cohortEngine = new CohortEngine(db);
+
   /**
    * Helper: Get cache manager dynamically from app.locals (supports runtime upgrades)
    */
@@ -129,6 +158,182 @@ module.exports = (db, cacheManager) => {
     }
   }
 
+  /**
+   * Helper: Event time basis from ?time_basis= (received_at | occurred_at)
+   * occurred_at is the client time corrected for device clock skew (migration 053),
+   * so offline batches count on the day they were played, not the day they arrived
+   */
+  function getTimeBasis(req) {
+    return req.query.time_basis === 'occurred_at' ? 'occurred_at' : 'received_at';
+  }
+
+  /**
+   * Helper: SQL expression for the event time (rows stored before migration 053 fall back to received_at)
+   */
+  function timeColumn(basis, alias = '') {
+    const prefix = alias ? `${alias}.` : '';
+    return basis === 'occurred_at'
+      ? `COALESCE(${prefix}occurred_at, ${prefix}received_at)`
+      : `${prefix}received_at`;
+  }
+
+  /**
+   * Helper: Cache key suffix (received_at keys stay unchanged for the cache warmer)
+   */
+  function timeBasisKey(basis) {
+    return basis === 'occurred_at' ? ':occurred' : '';
+  }
+
+  /**
+   * Helper: ?date= of the level endpoints ('YYYY-MM-DD', 'all' or the last 7 days).
+   * An explicit start_date/end_date range takes precedence.
+   * @returns {Object} - { eventFilter(params) -> conditions on events, dateLabel }
+   */
+  function levelDateFilter(filters, dateParam) {
+    if (filters.hasRange) {
+      return {
+        eventFilter: (params) => filters.where('events', { params }),
+        dateLabel: `${filters.startDate} - ${filters.endDate}`
+      };
+    }
+    if (dateParam === 'all') {
+      return {
+        eventFilter: (params) => filters.where('events', { params, range: false }),
+        dateLabel: 'All Time'
+      };
+    }
+    if (dateParam && /^\d{4}-\d{2}-\d{2}$/.test(dateParam)) {
+      // Specific date: filter for that day only
+      return {
+        eventFilter: (params) => {
+          params.push(dateParam);
+          const day = `DATE(received_at) = $${params.length}::date`;
+          return `${day} AND ${filters.where('events', { params, range: false })}`;
+        },
+        dateLabel: dateParam
+      };
+    }
+    return {
+      eventFilter: (params) => filters.where('events', { params, days: 7 }),
+      dateLabel: 'Last 7 Days'
+    };
+  }
+
+  /**
+   * Helper: Level tries/completions per level from events (level_performance_daily columns)
+   * @param {string} where - Conditions on events e
+   * @param {Object} options - newUsersOnly: only users who installed that day; perDay: group by date too
+   * @returns {string} - SQL
+   */
+  function levelEventsQuery(where, { newUsersOnly = false, perDay = false } = {}) {
+    const started = "event_type = 'level_started'";
+    const completed = "event_type = 'level_completed'";
+    const firstStarted = `${started} AND (payload->>'is_first_attempt')::boolean = true`;
+    const firstCompleted = `${completed} AND (payload->>'first_attempt')::boolean = true`;
+
+    return `
+      SELECT 
+        ${perDay ? 'DATE(e.received_at) as date,' : ''}
+        CAST(e.payload->>'level_id' AS INTEGER) as level_id,
+        CAST(e.payload->>'zone_id' AS INTEGER) as zone_id,
+        COUNT(CASE WHEN ${started} THEN 1 END) as total_tries,
+        COUNT(CASE WHEN ${completed} THEN 1 END) as total_completions,
+        COUNT(CASE WHEN ${firstStarted} THEN 1 END) as first_tries,
+        COUNT(CASE WHEN ${firstCompleted} THEN 1 END) as first_completions,
+        CASE 
+          WHEN COUNT(CASE WHEN ${started} THEN 1 END) > 0
+          THEN ROUND(100.0 * COUNT(CASE WHEN ${completed} THEN 1 END) / 
+                    COUNT(CASE WHEN ${started} THEN 1 END), 1)
+          ELSE 0
+        END as completion_rate,
+        CASE 
+          WHEN COUNT(CASE WHEN ${firstStarted} THEN 1 END) > 0
+          THEN ROUND(100.0 * COUNT(CASE WHEN ${firstCompleted} THEN 1 END) / 
+                    COUNT(CASE WHEN ${firstStarted} THEN 1 END), 1)
+          ELSE 0
+        END as first_time_completion_rate
+      FROM events e
+      ${newUsersOnly ? `INNER JOIN user_acquisitions ua ON e.user_id = ua.user_id
+        AND DATE(ua.install_date) = DATE(e.received_at)` : ''}
+      WHERE e.event_type IN ('level_started', 'level_completed', 'level_failed')
+        AND e.payload->>'level_id' IS NOT NULL
+        AND ${where}
+      GROUP BY ${perDay ? 'DATE(e.received_at), ' : ''}e.payload->>'level_id', e.payload->>'zone_id'
+    `;
+  }
+
+  /**
+   * Helper: Daily metrics (date, dau, mau?, games, sessions) for trend endpoints
+   * daily_aggregations only holds unsegmented received_at days - segment filters
+   * and time_basis=occurred_at compute the same metrics from events (migration 038 definitions)
+   */
+  async function getDailyMetrics(filters, days, basis = 'received_at', { mau = false } = {}) {
+    const params = [];
+
+    if (basis === 'received_at' && filters.supports('daily_aggregations')) {
+      const result = await db.query(`
+        SELECT *
+        FROM daily_aggregations
+        WHERE ${filters.where('daily_aggregations', { params, days })}
+        ORDER BY date ASC
+      `, params);
+      return result.rows;
+    }
+
+    const t = timeColumn(basis);
+    const where = filters.where('events', { params, days, basis });
+    const mauWhere = mau ? filters.where('events', { params, alias: 'm', range: false }) : null;
+
+    const result = await db.query(`
+      WITH daily AS (
+        SELECT 
+          DATE(${t}) as date,
+          COUNT(DISTINCT user_id) as dau,
+          COUNT(CASE WHEN event_type = 'game_started' THEN 1 END) as games_started,
+          COUNT(CASE WHEN event_type = 'game_ended' THEN 1 END) as games_ended,
+          COUNT(DISTINCT NULLIF(payload->>'session_id', '')) as total_sessions,
+          AVG(CASE
+            WHEN event_type = 'session_ended' AND (payload->>'duration_seconds')::numeric > 0
+            THEN (payload->>'duration_seconds')::numeric
+          END) as avg_session_length_seconds
+        FROM events
+        WHERE ${where}
+        GROUP BY DATE(${t})
+      ),
+      user_sessions AS (
+        SELECT 
+          DATE(${t}) as date,
+          user_id,
+          COUNT(DISTINCT payload->>'session_id') as session_count
+        FROM events
+        WHERE ${where}
+          AND NULLIF(payload->>'session_id', '') IS NOT NULL
+        GROUP BY DATE(${t}), user_id
+      )
+      SELECT 
+        d.date,
+        d.dau,
+        ${mau ? `GREATEST((
+          SELECT COUNT(DISTINCT m.user_id)
+          FROM events m
+          WHERE ${timeColumn(basis, 'm')} >= d.date - INTERVAL '29 days'
+            AND ${timeColumn(basis, 'm')} < d.date + 1
+            AND m.received_at >= d.date - INTERVAL '29 days'
+            AND m.event_type IN ('app_launched', 'game_started', 'session_started', 'app_installed', 'first_open')
+            AND ${mauWhere}
+        ), d.dau) as mau,` : ''}
+        d.games_started,
+        d.games_ended,
+        d.total_sessions,
+        CASE WHEN d.dau > 0 THEN ROUND(d.games_started::numeric / d.dau, 2) ELSE 0 END as avg_games_per_user,
+        COALESCE((SELECT ROUND(AVG(us.session_count)::numeric, 2) FROM user_sessions us WHERE us.date = d.date), 0) as avg_sessions_per_user,
+        ROUND(d.avg_session_length_seconds) as avg_session_length_seconds
+      FROM daily d
+      ORDER BY d.date ASC
+    `, params);
+    return result.rows;
+  }
+
   // ============================================================================
   // 1. OVERVIEW METRICS (Top Cards)
   // ============================================================================
@@ -136,61 +341,43 @@ module.exports = (db, cacheManager) => {
   /**
    * GET /api/dashboard/overview
    * Returns top-level metrics for dashboard cards
+   * Daily cards show today, or the last day of an explicit start_date/end_date range
    */
   router.get('/overview', async (req, res) => {
     try {
-      const data = await getCachedQuery(req, 'overview', async () => {
-        const today = new Date().toISOString().split('T')[0];
+      const filters = req.dashboardFilters;
+      const day = filters.lastDay();
+
+      const data = await getCachedQuery(req, `overview${filters.cacheKey()}`, async () => {
+        const totalPlayersParams = [];
+        const avgSessionParams = [];
+        const gameDurationParams = [];
+        const sessionsPerUserParams = [];
 
         // ✅ OPTIMIZED: Use materialized views for better performance
         // Query all metrics in parallel for speed
-        const [todayAggResult, totalPlayersResult, avgSessionResult, avgGameDurationResult, sessionsPerUserResult] = await Promise.all([
-          // Daily Active Users, MAU, and games (today) - from daily_aggregations materialized view ✅ ENHANCED
-          db.query(`
-            SELECT 
-              dau,
-              mau,
-              games_started,
-              games_ended,
-              avg_games_per_user,
-              avg_sessions_per_user,
-              avg_session_length_seconds,
-              CASE 
-                WHEN games_started > 0 
-                THEN ROUND(100.0 * games_ended / games_started, 1)
-                ELSE 0
-              END as completion_rate
-            FROM daily_aggregations
-            WHERE date = CURRENT_DATE
-            LIMIT 1
-          `),
+        const [todayRows, totalPlayersResult, avgSessionResult, avgGameDurationResult, sessionsPerUserResult] = await Promise.all([
+          // Daily Active Users, MAU, and games (today) - from daily_aggregations ✅ ENHANCED
+          // (computed from events when segment filters are set)
+          getDailyMetrics(day, 0, 'received_at', { mau: true }),
           
           // Total players (all-time) - still need events table for this
           db.query(`
             SELECT COUNT(DISTINCT user_id) as total_players
             FROM events
-          `),
+            WHERE ${filters.where('events', { params: totalPlayersParams, range: false })}
+          `, totalPlayersParams),
           
-          // Average session duration (last 7 days) - still need events table for session calculation
+          // Average session duration (last 7 days) - from sessionizer sessions
           // ✅ Measures: Total app engagement time (not just gameplay)
-          // ✅ Capped at 60 minutes to filter outliers (background sessions)
-          // Uses: Events grouped by user_id + session_id
+          // ✅ Sessions split on inactivity, so backgrounded apps don't inflate it
           db.query(`
             SELECT 
               ROUND(AVG(duration_seconds)) as avg_session_seconds
-            FROM (
-              SELECT 
-                user_id,
-                payload->>'session_id' as session_id,
-                EXTRACT(EPOCH FROM (MAX(received_at) - MIN(received_at))) as duration_seconds
-              FROM events
-              WHERE received_at >= CURRENT_DATE - INTERVAL '7 days'
-                AND payload->>'session_id' IS NOT NULL
-              GROUP BY user_id, payload->>'session_id'
-              HAVING EXTRACT(EPOCH FROM (MAX(received_at) - MIN(received_at))) > 0
-                AND EXTRACT(EPOCH FROM (MAX(received_at) - MIN(received_at))) <= 3600
-            ) sessions
-          `),
+            FROM sessions
+            WHERE ${filters.where('sessions', { params: avgSessionParams, days: 7 })}
+              AND duration_seconds > 0
+          `, avgSessionParams),
           
           // Average game duration from game_ended events (today) - still need events table
           db.query(`
@@ -198,30 +385,22 @@ module.exports = (db, cacheManager) => {
               ROUND(AVG((payload->>'duration_seconds')::int)) as avg_game_duration
             FROM events
             WHERE event_type = 'game_ended'
-              AND received_at >= CURRENT_DATE
+              AND ${day.where('events', { params: gameDurationParams, days: 0 })}
               AND (payload->>'duration_seconds')::int > 0
-          `),
+          `, gameDurationParams),
 
-          // Average sessions per user (today) - still need events table
-          // ✅ Counts distinct session_id per user_id for today
-          // ✅ Uses Redis cache to avoid DB load
+          // Average sessions per user (today) - from sessionizer sessions
           db.query(`
             SELECT 
-              ROUND(AVG(session_count)::numeric, 1) as avg_sessions_per_user
-            FROM (
-              SELECT 
-                user_id,
-                COUNT(DISTINCT payload->>'session_id') as session_count
-              FROM events
-              WHERE received_at >= CURRENT_DATE
-                AND payload->>'session_id' IS NOT NULL
-              GROUP BY user_id
-              HAVING COUNT(DISTINCT payload->>'session_id') > 0
-            ) user_sessions
-          `)
+              ROUND(COUNT(*)::numeric / NULLIF(COUNT(DISTINCT user_id), 0), 1) as avg_sessions_per_user
+            FROM sessions
+            WHERE ${day.where('sessions', { params: sessionsPerUserParams, days: 0 })}
+          `, sessionsPerUserParams)
         ]);
 
-        const todayData = todayAggResult.rows[0] || {};
+        const todayData = todayRows[todayRows.length - 1] || {};
+        const gamesStarted = parseInt(todayData.games_started || 0);
+        const gamesEnded = parseInt(todayData.games_ended || 0);
 
         return {
           dau: parseInt(todayData.dau || 0),
@@ -231,9 +410,10 @@ module.exports = (db, cacheManager) => {
           avg_game_duration: parseInt(avgGameDurationResult.rows[0]?.avg_game_duration || 0),
           avg_sessions_per_user: parseFloat(todayData.avg_sessions_per_user || sessionsPerUserResult.rows[0]?.avg_sessions_per_user || 0), // ✅ ENHANCED: Use from daily_aggregations
           avg_games_per_user: parseFloat(todayData.avg_games_per_user || 0), // ✅ NEW
-          games_started: parseInt(todayData.games_started || 0),
-          games_ended: parseInt(todayData.games_ended || 0),
-          completion_rate: parseFloat(todayData.completion_rate || 0),
+          games_started: gamesStarted,
+          games_ended: gamesEnded,
+          completion_rate: gamesStarted > 0 ? parseFloat((100 * gamesEnded / gamesStarted).toFixed(1)) : 0,
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -250,27 +430,25 @@ module.exports = (db, cacheManager) => {
   // ============================================================================
 
   /**
-   * GET /api/dashboard/dau-trend?days=30
+   * GET /api/dashboard/dau-trend?days=30&time_basis=received_at
    * Returns DAU for the last N days
+   * time_basis=occurred_at counts from events (daily_aggregations is by received_at)
    */
   router.get('/dau-trend', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 30), 90); // Max 90 days
+      const basis = getTimeBasis(req);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `dau-trend-${days}`, async () => {
+      const data = await getCachedQuery(req, `dau-trend-${days}${timeBasisKey(basis)}${filters.cacheKey()}`, async () => {
         // ✅ OPTIMIZED: Use daily_aggregations materialized view for better performance
-        const result = await db.query(`
-          SELECT 
-            date,
-            dau
-          FROM daily_aggregations
-          WHERE date >= CURRENT_DATE - INTERVAL '${days} days'
-          ORDER BY date ASC
-        `);
+        const rows = await getDailyMetrics(filters, days, basis);
 
         return {
-          dates: result.rows.map(r => r.date),
-          values: result.rows.map(r => parseInt(r.dau || 0)),
+          dates: rows.map(r => r.date),
+          values: rows.map(r => parseInt(r.dau || 0)),
+          time_basis: basis,
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -293,20 +471,13 @@ module.exports = (db, cacheManager) => {
   router.get('/games-per-player-trend', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 7), 90);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `games-per-player-trend-${days}`, async () => {
+      const data = await getCachedQuery(req, `games-per-player-trend-${days}${filters.cacheKey()}`, async () => {
         // ✅ OPTIMIZED: Use daily_aggregations materialized view for better performance
-        const result = await db.query(`
-          SELECT 
-            date,
-            games_started,
-            dau
-          FROM daily_aggregations
-          WHERE date >= CURRENT_DATE - INTERVAL '${days} days'
-          ORDER BY date ASC
-        `);
+        const rows = await getDailyMetrics(filters, days);
 
-        const daily = result.rows.map(row => ({
+        const daily = rows.map(row => ({
           date: row.date,
           games_per_player: row.dau > 0 
             ? parseFloat((parseInt(row.games_started || 0) / parseInt(row.dau || 1)).toFixed(1))
@@ -323,6 +494,7 @@ module.exports = (db, cacheManager) => {
         return {
           daily,
           avg_7days: avgGamesPerPlayer,
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -345,38 +517,33 @@ module.exports = (db, cacheManager) => {
   router.get('/completion-trend', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 7), 90);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `completion-trend-${days}`, async () => {
+      const data = await getCachedQuery(req, `completion-trend-${days}${filters.cacheKey()}`, async () => {
         // ✅ OPTIMIZED: Use daily_aggregations materialized view
-        const result = await db.query(`
-          SELECT 
-            date,
-            games_started,
-            games_ended,
-            CASE 
-              WHEN games_started > 0 
-              THEN ROUND(100.0 * games_ended / games_started, 1)
-              ELSE 0
-            END as completion_rate
-          FROM daily_aggregations
-          WHERE date >= CURRENT_DATE - INTERVAL '${days} days'
-          ORDER BY date ASC
-        `);
+        const rows = (await getDailyMetrics(filters, days)).map(r => {
+          const started = parseInt(r.games_started || 0);
+          return {
+            ...r,
+            completion_rate: started > 0 ? parseFloat((100 * parseInt(r.games_ended || 0) / started).toFixed(1)) : 0
+          };
+        });
 
         return {
-          trend: result.rows.map(r => ({
+          trend: rows.map(r => ({
             date: r.date,
             games_started: parseInt(r.games_started || 0),
             games_ended: parseInt(r.games_ended || 0),
             completion_rate: parseFloat(r.completion_rate || 0)
           })).reverse(), // Oldest to newest for charts
           summary: {
-            avg_completion_rate: result.rows.length > 0 
-              ? parseFloat((result.rows.reduce((sum, r) => sum + parseFloat(r.completion_rate || 0), 0) / result.rows.length).toFixed(1))
+            avg_completion_rate: rows.length > 0 
+              ? parseFloat((rows.reduce((sum, r) => sum + parseFloat(r.completion_rate || 0), 0) / rows.length).toFixed(1))
               : 0,
-            total_started: result.rows.reduce((sum, r) => sum + parseInt(r.games_started || 0), 0),
-            total_ended: result.rows.reduce((sum, r) => sum + parseInt(r.games_ended || 0), 0)
+            total_started: rows.reduce((sum, r) => sum + parseInt(r.games_started || 0), 0),
+            total_ended: rows.reduce((sum, r) => sum + parseInt(r.games_ended || 0), 0)
           },
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -403,8 +570,10 @@ module.exports = (db, cacheManager) => {
       const zone = parseInt(req.query.zone || 1);
       const daily = req.query.daily === 'true';
       const days = parseInt(req.query.days || 7); // ✅ Support days parameter
+      const filters = req.dashboardFilters;
       
-      const cacheKey = daily ? `level-performance-daily-zone${zone}-${days}` : `level-performance-zone${zone}-${days}`;
+      const cacheKey = (daily ? `level-performance-daily-zone${zone}-${days}` : `level-performance-zone${zone}-${days}`) + filters.cacheKey();
+      const params = [];
       
       const data = await getCachedQuery(req, cacheKey, async () => {
         // Calculate level range for zone (Zone 1 = Levels 1-10, Zone 2 = 11-20, etc.)
@@ -423,10 +592,10 @@ module.exports = (db, cacheManager) => {
             FROM events
             WHERE payload->>'level_id' IN (${levelIds})
               AND event_type IN ('level_started', 'level_failed')
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params, days })}
             GROUP BY DATE(received_at), payload->>'level_id'
             ORDER BY DATE(received_at) DESC, CAST(payload->>'level_id' AS INTEGER)
-          `);
+          `, params);
 
           // Group by date
           const dailyData = {};
@@ -483,6 +652,7 @@ module.exports = (db, cacheManager) => {
             zone,
             daily: dailyArray,
             averages,
+            ...filters.meta(),
             last_updated: new Date().toISOString()
           };
         } else {
@@ -500,10 +670,10 @@ module.exports = (db, cacheManager) => {
             FROM events
             WHERE payload->>'level_id' IN (${levelIds})
               AND event_type IN ('level_started', 'level_failed')
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params, days })}
             GROUP BY payload->>'level_id'
             ORDER BY CAST(payload->>'level_id' AS INTEGER)
-          `);
+          `, params);
 
           return {
             zone,
@@ -526,6 +696,7 @@ module.exports = (db, cacheManager) => {
                 avg_attempts: avgAttempts // ✅ Frontend expects avg_attempts
               };
             }),
+            ...filters.meta(),
             last_updated: new Date().toISOString()
           };
         }
@@ -553,26 +724,11 @@ module.exports = (db, cacheManager) => {
     try {
       const zone = parseInt(req.query.zone || 1);
       const dateParam = req.query.date; // 'YYYY-MM-DD', 'all', or undefined (default: 7 days)
-      
-      // Build date filter
-      let dateFilter = '';
-      let dateLabel = 'Last 7 Days';
-      
-      if (dateParam === 'all') {
-        dateFilter = ''; // No date filter
-        dateLabel = 'All Time';
-      } else if (dateParam && /^\d{4}-\d{2}-\d{2}$/.test(dateParam)) {
-        // Specific date: filter for that day only
-        dateFilter = `AND DATE(received_at) = '${dateParam}'`;
-        dateLabel = dateParam;
-      } else {
-        // Default: last 7 days
-        dateFilter = `AND received_at >= CURRENT_DATE - INTERVAL '7 days'`;
-        dateLabel = 'Last 7 Days';
-      }
-      
-      const cacheKey = `level-completion-stats-v2-zone${zone}-${dateParam || '7days'}`;
-      
+      const filters = req.dashboardFilters;
+      const { eventFilter, dateLabel } = levelDateFilter(filters, dateParam);
+
+      const cacheKey = `level-completion-stats-v2-zone${zone}-${dateParam || '7days'}${filters.cacheKey()}`;
+
       const data = await getCachedQuery(req, cacheKey, async () => {
         // Calculate level range for zone (Zone 1 = Levels 1-10, Zone 2 = 11-20, etc.)
         const startLevel = (zone - 1) * 10 + 1;
@@ -582,6 +738,7 @@ module.exports = (db, cacheManager) => {
         // ============================================================================
         // QUERY 1: Get completion stats (total completions + first attempt completions)
         // ============================================================================
+        const completionsParams = [];
         const completionsResult = await db.query(`
           SELECT 
             payload->>'level_id' as level,
@@ -592,13 +749,14 @@ module.exports = (db, cacheManager) => {
           FROM events
           WHERE event_type = 'level_completed'
             AND payload->>'level_id' IN (${levelIds})
-            ${dateFilter}
+            AND ${eventFilter(completionsParams)}
           GROUP BY payload->>'level_id'
-        `);
+        `, completionsParams);
 
         // ============================================================================
         // QUERY 2: Get total level_started counts (for Success Rate denominator)
         // ============================================================================
+        const totalStartsParams = [];
         const totalStartsResult = await db.query(`
           SELECT 
             payload->>'level_id' as level,
@@ -606,14 +764,15 @@ module.exports = (db, cacheManager) => {
           FROM events
           WHERE event_type = 'level_started'
             AND payload->>'level_id' IN (${levelIds})
-            ${dateFilter}
+            AND ${eventFilter(totalStartsParams)}
           GROUP BY payload->>'level_id'
-        `);
+        `, totalStartsParams);
 
         // ============================================================================
         // QUERY 3: Get FIRST-TIME starts (for First Attempt % denominator)
         // Users who started the level with is_first_attempt=true
         // ============================================================================
+        const firstTimeStartsParams = [];
         const firstTimeStartsResult = await db.query(`
           SELECT 
             payload->>'level_id' as level,
@@ -622,9 +781,9 @@ module.exports = (db, cacheManager) => {
           WHERE event_type = 'level_started'
             AND payload->>'level_id' IN (${levelIds})
             AND (payload->>'is_first_attempt')::boolean = true
-            ${dateFilter}
+            AND ${eventFilter(firstTimeStartsParams)}
           GROUP BY payload->>'level_id'
-        `);
+        `, firstTimeStartsParams);
 
         // Create lookup maps
         const completionsMap = {};
@@ -704,6 +863,7 @@ module.exports = (db, cacheManager) => {
               ? parseFloat(((totalFirstAttemptCompletions / totalFirstTimeStarts) * 100).toFixed(1)) 
               : 0
           },
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -731,24 +891,11 @@ module.exports = (db, cacheManager) => {
     try {
       const zone = parseInt(req.query.zone || 1);
       const dateParam = req.query.date;
-      
-      // Build date filter
-      let dateFilter = '';
-      let dateLabel = 'Last 7 Days';
-      
-      if (dateParam === 'all') {
-        dateFilter = '';
-        dateLabel = 'All Time';
-      } else if (dateParam && /^\d{4}-\d{2}-\d{2}$/.test(dateParam)) {
-        dateFilter = `AND DATE(received_at) = '${dateParam}'`;
-        dateLabel = dateParam;
-      } else {
-        dateFilter = `AND received_at >= CURRENT_DATE - INTERVAL '7 days'`;
-        dateLabel = 'Last 7 Days';
-      }
-      
-      const cacheKey = `bonus-collection-stats-zone${zone}-${dateParam || '7days'}`;
-      
+      const filters = req.dashboardFilters;
+      const { eventFilter, dateLabel } = levelDateFilter(filters, dateParam);
+
+      const cacheKey = `bonus-collection-stats-zone${zone}-${dateParam || '7days'}${filters.cacheKey()}`;
+
       const data = await getCachedQuery(req, cacheKey, async () => {
         // Calculate level range for zone
         const startLevel = (zone - 1) * 10 + 1;
@@ -758,6 +905,7 @@ module.exports = (db, cacheManager) => {
         // ============================================================================
         // QUERY: Get bonus collection stats grouped by level and bonus type
         // ============================================================================
+        const bonusParams = [];
         const bonusResult = await db.query(`
           SELECT 
             payload->>'level_id' as level,
@@ -770,10 +918,10 @@ module.exports = (db, cacheManager) => {
           FROM events
           WHERE event_type = 'bonus_collected'
             AND payload->>'level_id' IN (${levelIds})
-            ${dateFilter}
+            AND ${eventFilter(bonusParams)}
           GROUP BY payload->>'level_id', payload->>'bonus_type', payload->>'shield_tier'
           ORDER BY payload->>'level_id', payload->>'bonus_type'
-        `);
+        `, bonusParams);
 
         // Aggregate by level
         const levelStats = {};
@@ -831,6 +979,7 @@ module.exports = (db, cacheManager) => {
           date_filter: dateLabel,
           levels,
           totals,
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -852,7 +1001,7 @@ module.exports = (db, cacheManager) => {
    * 
    * Parameters:
    * - days: Number of days to look back for cohorts (default: 30)
-   * - country: Optional 2-letter country code to filter (e.g., "US", "IL")
+   * - country: Optional 2-letter country code for the top_countries breakdown (e.g., "US", "IL")
    * 
    * Returns per cohort (install date):
    * - users: Number of users installed that day
@@ -864,16 +1013,19 @@ module.exports = (db, cacheManager) => {
   router.get('/cohort-roi', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 30), 90);
-      const country = req.query.country?.toUpperCase() || null;
+      const filters = req.dashboardFilters;
+      const country = filters.country;
       const cpi = parseFloat(req.query.cpi || 3.0); // Default CPI estimate
       
       const cacheKey = country 
-        ? `cohort-roi-${days}d-${country}-cpi${cpi}` 
-        : `cohort-roi-${days}d-all-cpi${cpi}`;
-      
+        ? `cohort-roi-${days}d-${country}-cpi${cpi}${filters.cacheKey()}` 
+        : `cohort-roi-${days}d-all-cpi${cpi}${filters.cacheKey()}`;
+
       const data = await getCachedQuery(req, cacheKey, async () => {
         // ✅ OPTIMIZED: Use cohort_aggregations for installs and revenue
         // Get cohort data with installs and revenue from materialized view
+        // (no country column - the country filter applies to top_countries)
+        const cohortParams = [];
         const cohortQuery = `
           SELECT 
             cohort_date as install_date,
@@ -886,24 +1038,29 @@ module.exports = (db, cacheManager) => {
             cpi,
             roi_percentage
           FROM cohort_aggregations
-          WHERE cohort_date >= CURRENT_DATE - INTERVAL '${days} days'
+          WHERE ${filters.where('cohort_aggregations', { params: cohortParams, days })}
           ORDER BY cohort_date DESC, campaign_id NULLS LAST
         `;
 
-        const cohortResult = await db.query(cohortQuery);
+        const cohortResult = await db.query(cohortQuery, cohortParams);
 
         // Get country breakdown if needed (still need events table for country data)
         let countryBreakdown = {};
         if (country) {
+          const countryParams = [];
           const countryResult = await db.query(`
             SELECT 
               DATE(ua.install_date) as install_date,
               COUNT(DISTINCT ua.user_id) as users
             FROM user_acquisitions ua
-            WHERE DATE(ua.install_date) >= CURRENT_DATE - INTERVAL '${days} days'
-              AND ua.country = '${country}'
+            WHERE ${filters.where('user_acquisitions', {
+              params: countryParams,
+              days,
+              alias: 'ua',
+              time: 'DATE(ua.install_date)'
+            })}
             GROUP BY DATE(ua.install_date)
-          `);
+          `, countryParams);
           
           countryResult.rows.forEach(row => {
             const date = row.install_date.toISOString().split('T')[0];
@@ -978,6 +1135,7 @@ module.exports = (db, cacheManager) => {
               : 0,
           },
           cohorts,
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       }, 300); // 5 minute cache
@@ -996,9 +1154,11 @@ module.exports = (db, cacheManager) => {
   router.get('/campaign-performance', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 30), 90);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `campaign-performance-${days}`, async () => {
+      const data = await getCachedQuery(req, `campaign-performance-${days}${filters.cacheKey()}`, async () => {
         // ✅ Aggregate by campaign_id from cohort_aggregations
+        const params = [];
         const result = await db.query(`
           SELECT 
             COALESCE(campaign_id, 'Organic') as campaign_id,
@@ -1016,10 +1176,10 @@ module.exports = (db, cacheManager) => {
               ELSE 0
             END as roi_percentage
           FROM cohort_aggregations
-          WHERE cohort_date >= CURRENT_DATE - INTERVAL '${days} days'
+          WHERE ${filters.where('cohort_aggregations', { params, days })}
           GROUP BY campaign_id
           ORDER BY installs DESC
-        `);
+        `, params);
 
         return {
           campaigns: result.rows.map(r => ({
@@ -1030,6 +1190,7 @@ module.exports = (db, cacheManager) => {
             revenue_usd: parseFloat(r.total_revenue || 0),
             roi_percentage: parseFloat(r.roi_percentage || 0)
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       }, 300); // 5 minute cache
@@ -1047,7 +1208,10 @@ module.exports = (db, cacheManager) => {
    */
   router.get('/countries', async (req, res) => {
     try {
-      const data = await getCachedQuery(req, 'countries-list', async () => {
+      const filters = req.dashboardFilters;
+
+      const data = await getCachedQuery(req, `countries-list${filters.cacheKey()}`, async () => {
+        const params = [];
         const result = await db.query(`
           SELECT 
             payload->>'country' as country,
@@ -1055,17 +1219,18 @@ module.exports = (db, cacheManager) => {
           FROM events
           WHERE event_type IN ('user_installed', 'app_installed')
             AND payload->>'country' IS NOT NULL
-            AND received_at >= CURRENT_DATE - INTERVAL '90 days'
+            AND ${filters.where('events', { params, days: 90 })}
           GROUP BY payload->>'country'
           ORDER BY COUNT(DISTINCT user_id) DESC
           LIMIT 50
-        `);
+        `, params);
         
         return {
           countries: result.rows.map(r => ({
             code: r.country,
             users: parseInt(r.users || 0)
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       }, 3600); // 1 hour cache
@@ -1090,10 +1255,13 @@ module.exports = (db, cacheManager) => {
   router.get('/top-events', async (req, res) => {
     try {
       const limit = Math.min(parseInt(req.query.limit || 10), 50);
+      const filters = req.dashboardFilters;
       
       // Cache for only 30 seconds (this is for "live" feed)
       // ✅ Redis caching reduces DB queries from every request to every 30s
-      const data = await getCachedQuery(req, `top-events-${limit}`, async () => {
+      const data = await getCachedQuery(req, `top-events-${limit}${filters.cacheKey()}`, async () => {
+        // Live feed: segment filters only, the window stays the last 5 minutes
+        const params = [limit];
         const result = await db.query(`
           WITH user_metadata AS (
             -- Get latest user profile data (country, device, days since install, nickname)
@@ -1141,9 +1309,10 @@ module.exports = (db, cacheManager) => {
           LEFT JOIN user_game_counts ugc ON e.user_id = ugc.user_id
           LEFT JOIN authoritative_nicknames an ON e.user_id = an.user_id
           WHERE e.received_at >= NOW() - INTERVAL '5 minutes'
+            AND ${filters.where('events', { params, alias: 'e', range: false })}
           ORDER BY e.received_at DESC
           LIMIT $1
-        `, [limit]);
+        `, params);
 
         // Country code to name mapping
         const countryNames = {
@@ -1179,6 +1348,7 @@ module.exports = (db, cacheManager) => {
             data: r.payload,
             timestamp: r.received_at
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       }, 30); // 30 second cache - Redis handles all requests for 30s without hitting DB
@@ -1201,7 +1371,12 @@ module.exports = (db, cacheManager) => {
    */
   router.get('/ad-performance', async (req, res) => {
     try {
-      const data = await getCachedQuery(req, 'ad-performance', async () => {
+      const filters = req.dashboardFilters;
+      const data = await getCachedQuery(req, `ad-performance${filters.cacheKey()}`, async () => {
+        const rewardedParams = [];
+        const interstitialParams = [];
+        const dailyParams = [];
+        const dismissedParams = [];
         const [rewardedResult, interstitialResult, interstitialDailyResult, interstitialDismissedResult] = await Promise.all([
           // Rewarded ads
           db.query(`
@@ -1212,8 +1387,8 @@ module.exports = (db, cacheManager) => {
                     NULLIF(COUNT(CASE WHEN event_type = 'rewarded_ad_shown' THEN 1 END), 0), 1) as completion_rate
             FROM events
             WHERE event_type LIKE 'rewarded_ad_%'
-              AND received_at >= CURRENT_DATE - INTERVAL '7 days'
-          `),
+              AND ${filters.where('events', { params: rewardedParams, days: 7 })}
+          `, rewardedParams),
           
           // Interstitial ads (total)
           db.query(`
@@ -1221,8 +1396,8 @@ module.exports = (db, cacheManager) => {
               COUNT(*) as shown
             FROM events
             WHERE event_type = 'interstitial_shown'
-              AND received_at >= CURRENT_DATE - INTERVAL '7 days'
-          `),
+              AND ${filters.where('events', { params: interstitialParams, days: 7 })}
+          `, interstitialParams),
           
           // Interstitial ads daily breakdown (7 days) - shown
           db.query(`
@@ -1231,10 +1406,10 @@ module.exports = (db, cacheManager) => {
               COUNT(*) as shown
             FROM events
             WHERE event_type = 'interstitial_shown'
-              AND received_at >= CURRENT_DATE - INTERVAL '7 days'
+              AND ${filters.where('events', { params: dailyParams, days: 7 })}
             GROUP BY DATE(received_at)
             ORDER BY date ASC
-          `),
+          `, dailyParams),
           
           // Interstitial ads daily breakdown (7 days) - early dismissals (viewed < 5 seconds)
           db.query(`
@@ -1243,11 +1418,11 @@ module.exports = (db, cacheManager) => {
               COUNT(*) as early_dismissed
             FROM events
             WHERE event_type = 'interstitial_dismissed'
-              AND received_at >= CURRENT_DATE - INTERVAL '7 days'
+              AND ${filters.where('events', { params: dismissedParams, days: 7 })}
               AND (payload->>'is_early_dismissal')::boolean = true
             GROUP BY DATE(received_at)
             ORDER BY date ASC
-          `)
+          `, dismissedParams)
         ]);
 
         // Merge shown and early dismissed data by date
@@ -1273,6 +1448,7 @@ module.exports = (db, cacheManager) => {
           message: (parseInt(rewardedResult.rows[0]?.shown || 0) === 0 && parseInt(interstitialResult.rows[0]?.shown || 0) === 0) 
             ? 'No ad events tracked yet. Add ad event tracking to Flutter app to see data.' 
             : null,
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -1296,8 +1472,12 @@ module.exports = (db, cacheManager) => {
   router.get('/interstitial-by-trigger', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 7), 90);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `interstitial-by-trigger-${days}days`, async () => {
+      const data = await getCachedQuery(req, `interstitial-by-trigger-${days}days${filters.cacheKey()}`, async () => {
+        const triggerParams = [];
+        const dailyParams = [];
+        const engagementParams = [];
         const [byTrigger, dailyByTrigger, engagementByTrigger] = await Promise.all([
           // Total breakdown by trigger_reason
           db.query(`
@@ -1307,10 +1487,10 @@ module.exports = (db, cacheManager) => {
               COUNT(DISTINCT user_id) as unique_users
             FROM events
             WHERE event_type = 'interstitial_shown'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: triggerParams, days })}
             GROUP BY COALESCE(payload->>'trigger_reason', 'unknown')
             ORDER BY shown DESC
-          `),
+          `, triggerParams),
           
           // Daily breakdown by trigger_reason
           db.query(`
@@ -1320,10 +1500,10 @@ module.exports = (db, cacheManager) => {
               COUNT(*) as shown
             FROM events
             WHERE event_type = 'interstitial_shown'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: dailyParams, days })}
             GROUP BY DATE(received_at), COALESCE(payload->>'trigger_reason', 'unknown')
             ORDER BY date ASC, trigger_reason
-          `),
+          `, dailyParams),
           
           // Engagement by trigger_reason (clicks, early dismissals)
           db.query(`
@@ -1335,10 +1515,10 @@ module.exports = (db, cacheManager) => {
               ROUND(AVG(COALESCE((payload->>'view_duration_seconds')::int, 0)), 1) as avg_view_duration_seconds
             FROM events
             WHERE event_type = 'interstitial_dismissed'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: engagementParams, days })}
             GROUP BY COALESCE(payload->>'trigger_reason', 'unknown')
             ORDER BY total_dismissed DESC
-          `)
+          `, engagementParams)
         ]);
 
         // Calculate click rates and engagement metrics
@@ -1395,7 +1575,8 @@ module.exports = (db, cacheManager) => {
               ? ((summary.find(r => r.trigger_reason === 'loss_streak').shown / summary.reduce((acc, r) => acc + r.shown, 0)) * 100).toFixed(1) + '%'
               : '0%',
           },
-          days_analyzed: days,
+          days_analyzed: filters.dayCount(days),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -1419,8 +1600,13 @@ module.exports = (db, cacheManager) => {
   router.get('/rate-us', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 7), 90);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `rate-us-${days}days`, async () => {
+      const data = await getCachedQuery(req, `rate-us-${days}days${filters.cacheKey()}`, async () => {
+        const funnelParams = [];
+        const dailyParams = [];
+        const sessionParams = [];
+        const declineParams = [];
         const [funnelStats, dailyStats, conversionBySession, declineStats] = await Promise.all([
           // Funnel breakdown
           db.query(`
@@ -1437,7 +1623,7 @@ module.exports = (db, cacheManager) => {
               'rate_us_maybe_later',
               'rate_us_declined'
             )
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: funnelParams, days })}
             GROUP BY event_type
             ORDER BY 
               CASE event_type
@@ -1448,7 +1634,7 @@ module.exports = (db, cacheManager) => {
                 WHEN 'rate_us_maybe_later' THEN 5
                 WHEN 'rate_us_declined' THEN 6
               END
-          `),
+          `, funnelParams),
           
           // Daily popup shown and completions
           db.query(`
@@ -1460,10 +1646,10 @@ module.exports = (db, cacheManager) => {
               COUNT(*) FILTER (WHERE event_type = 'rate_us_declined') as declined
             FROM events
             WHERE event_type IN ('rate_us_popup_shown', 'rate_us_rate_tapped', 'rate_us_completed', 'rate_us_declined')
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: dailyParams, days })}
             GROUP BY DATE(received_at)
             ORDER BY date ASC
-          `),
+          `, dailyParams),
           
           // Conversion by session count (when do users rate?)
           db.query(`
@@ -1472,11 +1658,11 @@ module.exports = (db, cacheManager) => {
               COUNT(*) as completions
             FROM events
             WHERE event_type = 'rate_us_completed'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: sessionParams, days })}
             GROUP BY COALESCE((payload->>'session_count')::int, 0)
             ORDER BY session_count
             LIMIT 20
-          `),
+          `, sessionParams),
           
           // Decline analysis
           db.query(`
@@ -1485,10 +1671,10 @@ module.exports = (db, cacheManager) => {
               COUNT(*) as declines
             FROM events
             WHERE event_type = 'rate_us_declined'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: declineParams, days })}
             GROUP BY COALESCE((payload->>'prompt_count')::int, 1)
             ORDER BY prompt_number
-          `)
+          `, declineParams)
         ]);
 
         // Build funnel with conversion rates
@@ -1551,7 +1737,8 @@ module.exports = (db, cacheManager) => {
                  conversionBySession.rows.reduce((sum, r) => sum + parseInt(r.completions), 0)).toFixed(1)
               : 'N/A'
           },
-          days_analyzed: days,
+          days_analyzed: filters.dayCount(days),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -1575,8 +1762,11 @@ module.exports = (db, cacheManager) => {
     try {
       const level = req.query.level || '6';
       const date = req.query.date || new Date().toISOString().split('T')[0];
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `level-ends-${level}-${date}`, async () => {
+      const data = await getCachedQuery(req, `level-ends-${level}-${date}${filters.cacheKey()}`, async () => {
+        // ?date= picks the day - only the segment filters apply
+        const params = [level, date];
         const result = await db.query(`
           SELECT 
             COUNT(*) as total_games,
@@ -1586,7 +1776,8 @@ module.exports = (db, cacheManager) => {
           WHERE event_type = 'level_failed'
             AND payload->>'level_id' = $1
             AND DATE(received_at) = $2
-        `, [level, date]);
+            AND ${filters.where('events', { params, range: false })}
+        `, params);
 
         return {
           level: parseInt(level),
@@ -1594,6 +1785,7 @@ module.exports = (db, cacheManager) => {
           total_games: parseInt(result.rows[0]?.total_games || 0),
           unique_players: parseInt(result.rows[0]?.unique_players || 0),
           avg_score: parseFloat(result.rows[0]?.avg_score || 0),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -1613,156 +1805,25 @@ module.exports = (db, cacheManager) => {
    * GET /api/dashboard/retention-table
    * Returns cohort retention table: 30 rows (last 30 install dates) × 30 columns (D1-D30)
    * Each cell shows retention % for that cohort on that day
+   * (the default definition of /cohort-retention: install cohorts, any activity, classic)
    */
   router.get('/retention-table', async (req, res) => {
     try {
-      const data = await getCachedQuery(req, 'retention-table', async () => {
-        // Get last 30 install dates and calculate retention for each cohort and day (D1-D30)
-        const result = await db.query(`
-          WITH last_30_install_dates AS (
-            -- Get last 30 unique install dates
-            SELECT DISTINCT install_date
-            FROM (
-              SELECT 
-                user_id,
-                MIN(DATE(received_at)) as install_date
-              FROM events
-              WHERE event_type IN ('user_installed', 'app_launched')
-              GROUP BY user_id
-            ) user_installs
-            WHERE install_date >= CURRENT_DATE - INTERVAL '30 days'
-            ORDER BY install_date DESC
-            LIMIT 30
-          ),
-          cohort_sizes AS (
-            -- Get cohort size for each install date
-            SELECT 
-              install_date,
-              COUNT(DISTINCT user_id) as cohort_size
-            FROM (
-              SELECT 
-                user_id,
-                MIN(DATE(received_at)) as install_date
-              FROM events
-              WHERE event_type IN ('user_installed', 'app_launched')
-              GROUP BY user_id
-            ) user_installs
-            WHERE install_date IN (SELECT install_date FROM last_30_install_dates)
-            GROUP BY install_date
-          ),
-          user_activity AS (
-            -- Get all user activity with days since install (D1-D30)
-            SELECT DISTINCT
-              fs.user_id,
-              fs.install_date,
-              DATE(e.received_at) - fs.install_date as days_since_install
-            FROM (
-              SELECT 
-                user_id,
-                MIN(DATE(received_at)) as install_date
-              FROM events
-              WHERE event_type IN ('user_installed', 'app_launched')
-              GROUP BY user_id
-            ) fs
-            JOIN events e ON fs.user_id = e.user_id
-            WHERE e.event_type IN ('app_launched', 'game_started', 'level_started')
-              AND DATE(e.received_at) > fs.install_date
-              AND fs.install_date IN (SELECT install_date FROM last_30_install_dates)
-              AND DATE(e.received_at) - fs.install_date BETWEEN 1 AND 30
-          ),
-          cohort_retention AS (
-            -- Calculate retention for each cohort and day
-            SELECT
-              ua.install_date,
-              ua.days_since_install,
-              COUNT(DISTINCT ua.user_id) as returned_users,
-              cs.cohort_size
-            FROM user_activity ua
-            JOIN cohort_sizes cs ON ua.install_date = cs.install_date
-            GROUP BY ua.install_date, ua.days_since_install, cs.cohort_size
-          )
-          SELECT
-            cr.install_date,
-            cr.days_since_install,
-            cr.returned_users,
-            cr.cohort_size,
-            ROUND(100.0 * cr.returned_users / NULLIF(cr.cohort_size, 0), 1) as retention_rate
-          FROM cohort_retention cr
-          ORDER BY cr.install_date DESC, cr.days_since_install ASC
-        `);
-
-        // Get all install dates with cohort sizes (last 30)
-        const installDatesWithSizes = await db.query(`
-          SELECT 
-            install_date,
-            COUNT(DISTINCT user_id) as cohort_size
-          FROM (
-            SELECT 
-              user_id,
-              MIN(DATE(received_at)) as install_date
-            FROM events
-            WHERE event_type IN ('user_installed', 'app_launched')
-            GROUP BY user_id
-          ) user_installs
-          WHERE install_date >= CURRENT_DATE - INTERVAL '30 days'
-          GROUP BY install_date
-          ORDER BY install_date DESC
-          LIMIT 30
-        `);
-
-        // Build cohort retention table
-        const cohorts = [];
-        const retentionMap = {};
-        const cohortSizeMap = {};
-
-        // Build cohort size map
-        installDatesWithSizes.rows.forEach(row => {
-          const date = row.install_date.toISOString().split('T')[0];
-          cohortSizeMap[date] = parseInt(row.cohort_size) || 0;
-        });
+      const basis = getTimeBasis(req);
+      const filters = req.dashboardFilters;
 
-        // Build retention map: install_date -> { d1: rate, d2: rate, ... }
-        result.rows.forEach(row => {
-          const date = row.install_date.toISOString().split('T')[0];
-          if (!retentionMap[date]) {
-            retentionMap[date] = {};
-          }
-          retentionMap[date][`d${row.days_since_install}`] = parseFloat(row.retention_rate) || 0;
-        });
-
-        // Build cohorts array with all D1-D30 columns
-        installDatesWithSizes.rows.forEach(row => {
-          const installDate = row.install_date.toISOString().split('T')[0];
-          const cohortData = retentionMap[installDate] || {};
-          const cohortSize = cohortSizeMap[installDate] || 0;
-
-          // Build retention object for D1-D30
-          const retention = {};
-          const today = new Date();
-          today.setHours(0, 0, 0, 0);
-          const installDateObj = new Date(installDate);
-          installDateObj.setHours(0, 0, 0, 0);
-          const daysSinceInstall = Math.floor((today - installDateObj) / (1000 * 60 * 60 * 24));
-
-          for (let day = 1; day <= 30; day++) {
-            const key = `d${day}`;
-            // Only show data if enough time has passed
-            if (daysSinceInstall >= day) {
-              retention[key] = cohortData[key] ?? null;
-            } else {
-              retention[key] = null; // Not enough time has passed
-            }
-          }
-
-          cohorts.push({
-            install_date: installDate,
-            cohort_size: cohortSize,
-            retention,
-          });
-        });
+      const data = await getCachedQuery(req, `retention-table${timeBasisKey(basis)}${filters.cacheKey()}`, async () => {
+        const definition = CohortEngine.normalizeDefinition({ time_basis: basis });
+        const matrix = await cohortEngine.compute(definition, { filters });
 
         return {
-          cohorts,
+          cohorts: matrix.cohorts.map(cohort => ({
+            install_date: cohort.cohort_date,
+            cohort_size: cohort.cohort_size,
+            retention: cohort.retention,
+          })),
+          time_basis: basis,
+          ...filters.meta(),
           last_updated: new Date().toISOString(),
         };
       }, 10800); // Cache for 3 hours (10800 seconds)
@@ -1774,6 +1835,59 @@ module.exports = (db, cacheManager) => {
     }
   });
 
+  /**
+   * GET /api/dashboard/cohort-retention
+   * Configurable cohort retention matrix (services/cohort-engine.js)
+   *
+   * Query params:
+   * - cohort_event: install (default) | first_purchase | any event type (e.g. tournament_entered)
+   * - return_event: any_activity (default) | any event type (e.g. game_ended)
+   * - granularity: day (default) | week | month
+   * - retention_type: classic (default, returned in period N) | rolling (returned in period N or later)
+   * - periods: matrix columns (default 30 days / 12 weeks / 6 months)
+   * - cohorts: latest cohorts to show when no start_date/end_date is given (same defaults)
+   * - time_basis: received_at (default) | occurred_at
+   *
+   * Cached for 3 hours per definition and filters.
+   */
+  router.get('/cohort-retention', async (req, res) => {
+    try {
+      const filters = req.dashboardFilters;
+      const definition = CohortEngine.normalizeDefinition({
+        cohort_event: req.query.cohort_event,
+        return_event: req.query.return_event,
+        granularity: req.query.granularity,
+        retention_type: req.query.retention_type,
+        periods: req.query.periods,
+        cohorts: req.query.cohorts,
+        time_basis: getTimeBasis(req),
+      });
+
+      const cacheKey = `cohort-retention:${CohortEngine.cacheKey(definition)}${filters.cacheKey()}`;
+      const data = await getCachedQuery(req, cacheKey, async () => {
+        const matrix = await cohortEngine.compute(definition, { filters });
+
+        return {
+          ...matrix,
+          ...filters.meta(),
+          last_updated: new Date().toISOString(),
+        };
+      }, 10800); // Cache for 3 hours (10800 seconds)
+
+      res.json(data);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          field: error.field
+        });
+      }
+      logger.error('📊 Error fetching cohort retention:', error);
+      res.status(500).json({ error: 'Failed to fetch cohort retention data' });
+    }
+  });
+
   /**
    * GET /api/dashboard/retention
    * Returns Day 1, Day 3, Day 7, Day 14, Day 30 retention rates (aggregated)
@@ -1781,16 +1895,24 @@ module.exports = (db, cacheManager) => {
    */
   router.get('/retention', async (req, res) => {
     try {
-      const data = await getCachedQuery(req, 'retention-cohorts', async () => {
-        // Find users and their install date
+      const basis = getTimeBasis(req);
+      const filters = req.dashboardFilters;
+
+      const data = await getCachedQuery(req, `retention-cohorts${timeBasisKey(basis)}${filters.cacheKey()}`, async () => {
+        const t = timeColumn(basis);
+        const te = timeColumn(basis, 'e');
+
+        // Find users and their install date (an explicit date range picks install dates)
+        const params = [];
         const result = await db.query(`
           WITH first_sessions AS (
             SELECT 
               user_id,
-              MIN(DATE(received_at)) as install_date
+              MIN(DATE(${t})) as install_date
             FROM events
-            WHERE event_type = 'user_installed' 
-               OR event_type = 'app_launched'
+            WHERE (event_type = 'user_installed' 
+               OR event_type = 'app_launched')
+              AND ${filters.where('events', { params, range: false })}
             GROUP BY user_id
           ),
           cohort_sizes AS (
@@ -1804,12 +1926,12 @@ module.exports = (db, cacheManager) => {
             SELECT DISTINCT
               fs.user_id,
               fs.install_date,
-              DATE(e.received_at) - fs.install_date as days_since_install
+              DATE(${te}) - fs.install_date as days_since_install
             FROM first_sessions fs
             JOIN events e ON fs.user_id = e.user_id
             WHERE e.event_type IN ('app_launched', 'game_started', 'level_started')
-              AND DATE(e.received_at) > fs.install_date
-              AND DATE(e.received_at) - fs.install_date IN (1, 3, 7, 14, 30)
+              AND DATE(${te}) > fs.install_date
+              AND DATE(${te}) - fs.install_date IN (1, 3, 7, 14, 30)
           ),
           cohort_retention AS (
             SELECT
@@ -1829,9 +1951,10 @@ module.exports = (db, cacheManager) => {
             ROUND(100.0 * SUM(returned_users) / NULLIF(SUM(cohort_size), 0), 1) as retention_rate
           FROM cohort_retention
           WHERE install_date <= CURRENT_DATE - days_since_install
+            AND ${filters.range('install_date', { params })}
           GROUP BY days_since_install
           ORDER BY days_since_install
-        `);
+        `, params);
 
         // Map SQL column names to API response format
         const formatRetentionRow = (row) => {
@@ -1851,6 +1974,8 @@ module.exports = (db, cacheManager) => {
             day14: formatRetentionRow(result.rows.find(r => r.days_since_install === 14)),
             day30: formatRetentionRow(result.rows.find(r => r.days_since_install === 30))
           },
+          time_basis: basis,
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       }, 3600); // Cache for 1 hour (retention changes slowly)
@@ -1873,8 +1998,12 @@ module.exports = (db, cacheManager) => {
   router.get('/economy', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 7), 90);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `economy-${days}days`, async () => {
+      const data = await getCachedQuery(req, `economy-${days}days${filters.cacheKey()}`, async () => {
+        const gemsParams = [];
+        const coinsParams = [];
+        const spendingParams = [];
         const [gemsResult, coinsResult, spendingResult] = await Promise.all([
           // Gems earned vs spent
           db.query(`
@@ -1885,12 +2014,12 @@ module.exports = (db, cacheManager) => {
               SUM(CASE WHEN event_type = 'currency_spent' AND payload->>'currency_type' = 'gems' 
                   THEN (payload->>'amount')::int ELSE 0 END) as gems_spent
             FROM events
-            WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
+            WHERE ${filters.where('events', { params: gemsParams, days })}
               AND event_type IN ('currency_earned', 'currency_spent')
             GROUP BY DATE(received_at)
             ORDER BY date DESC
-            LIMIT ${days}
-          `),
+            LIMIT ${filters.dayCount(days)}
+          `, gemsParams),
           
           // Coins earned vs spent
           db.query(`
@@ -1901,12 +2030,12 @@ module.exports = (db, cacheManager) => {
               SUM(CASE WHEN event_type = 'currency_spent' AND payload->>'currency_type' = 'coins' 
                   THEN (payload->>'amount')::int ELSE 0 END) as coins_spent
             FROM events
-            WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
+            WHERE ${filters.where('events', { params: coinsParams, days })}
               AND event_type IN ('currency_earned', 'currency_spent')
             GROUP BY DATE(received_at)
             ORDER BY date DESC
-            LIMIT ${days}
-          `),
+            LIMIT ${filters.dayCount(days)}
+          `, coinsParams),
           
           // Spending breakdown (what are they buying?)
           db.query(`
@@ -1917,10 +2046,10 @@ module.exports = (db, cacheManager) => {
               SUM((payload->>'amount')::int) as total_spent
             FROM events
             WHERE event_type = 'currency_spent'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: spendingParams, days })}
             GROUP BY payload->>'item_type', payload->>'currency_type'
             ORDER BY total_spent DESC
-          `)
+          `, spendingParams)
         ]);
 
         return {
@@ -1933,6 +2062,7 @@ module.exports = (db, cacheManager) => {
             total_coins_earned: coinsResult.rows.reduce((sum, r) => sum + parseInt(r.coins_earned || 0), 0),
             total_coins_spent: coinsResult.rows.reduce((sum, r) => sum + parseInt(r.coins_spent || 0), 0)
           },
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -1955,8 +2085,12 @@ module.exports = (db, cacheManager) => {
   router.get('/continues', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 7), 90);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `continues-${days}days`, async () => {
+      const data = await getCachedQuery(req, `continues-${days}days${filters.cacheKey()}`, async () => {
+        const dailyParams = [];
+        const typeParams = [];
+        const successParams = [];
         const [dailyResult, typeResult, successResult] = await Promise.all([
           // Daily continue usage
           db.query(`
@@ -1967,10 +2101,10 @@ module.exports = (db, cacheManager) => {
               COUNT(CASE WHEN payload->>'continue_type' = 'gem_purchase' THEN 1 END) as gem_continues
             FROM events
             WHERE event_type = 'continue_used'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: dailyParams, days })}
             GROUP BY DATE(received_at)
             ORDER BY date DESC
-          `),
+          `, dailyParams),
           
           // Breakdown by type
           db.query(`
@@ -1980,9 +2114,9 @@ module.exports = (db, cacheManager) => {
               ROUND(100.0 * COUNT(*) / SUM(COUNT(*)) OVER(), 1) as percentage
             FROM events
             WHERE event_type = 'continue_used'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: typeParams, days })}
             GROUP BY payload->>'continue_type'
-          `),
+          `, typeParams),
           
           // Success rate after continue (did they survive longer?)
           db.query(`
@@ -1992,9 +2126,9 @@ module.exports = (db, cacheManager) => {
               AVG((payload->>'survival_time_after')::int) as avg_survival_seconds_after
             FROM events
             WHERE event_type = 'continue_used'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: successParams, days })}
               AND payload->>'score_after_continue' IS NOT NULL
-          `)
+          `, successParams)
         ]);
 
         return {
@@ -2006,6 +2140,7 @@ module.exports = (db, cacheManager) => {
             ad_continues: dailyResult.rows.reduce((sum, r) => sum + parseInt(r.ad_continues || 0), 0),
             gem_continues: dailyResult.rows.reduce((sum, r) => sum + parseInt(r.gem_continues || 0), 0)
           },
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -2028,8 +2163,12 @@ module.exports = (db, cacheManager) => {
   router.get('/missions', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 7), 90);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `missions-${days}days`, async () => {
+      const data = await getCachedQuery(req, `missions-${days}days${filters.cacheKey()}`, async () => {
+        const dailyParams = [];
+        const typeParams = [];
+        const popularParams = [];
         const [dailyResult, missionTypesResult, popularResult] = await Promise.all([
           // Daily mission completions
           db.query(`
@@ -2039,10 +2178,10 @@ module.exports = (db, cacheManager) => {
               COUNT(DISTINCT user_id) as unique_players
             FROM events
             WHERE event_type = 'mission_completed'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: dailyParams, days })}
             GROUP BY DATE(received_at)
             ORDER BY date DESC
-          `),
+          `, dailyParams),
           
           // By mission type
           db.query(`
@@ -2053,10 +2192,10 @@ module.exports = (db, cacheManager) => {
               ROUND(AVG((payload->>'reward_amount')::int), 0) as avg_reward
             FROM events
             WHERE event_type = 'mission_completed'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: typeParams, days })}
             GROUP BY payload->>'mission_type'
             ORDER BY completions DESC
-          `),
+          `, typeParams),
           
           // Most popular specific missions
           db.query(`
@@ -2067,11 +2206,11 @@ module.exports = (db, cacheManager) => {
               COUNT(DISTINCT user_id) as unique_completers
             FROM events
             WHERE event_type = 'mission_completed'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: popularParams, days })}
             GROUP BY payload->>'mission_id', payload->>'mission_type'
             ORDER BY completions DESC
             LIMIT 10
-          `)
+          `, popularParams)
         ]);
 
         return {
@@ -2082,6 +2221,7 @@ module.exports = (db, cacheManager) => {
             total_completions: dailyResult.rows.reduce((sum, r) => sum + parseInt(r.missions_completed || 0), 0),
             unique_players: Math.max(...dailyResult.rows.map(r => parseInt(r.unique_players || 0)), 0)
           },
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -2104,8 +2244,14 @@ module.exports = (db, cacheManager) => {
   router.get('/achievements', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 7), 90);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `achievements-${days}days`, async () => {
+      const data = await getCachedQuery(req, `achievements-${days}days${filters.cacheKey()}`, async () => {
+        const unlockParams = [];
+        const claimParams = [];
+        const popularParams = [];
+        const claimTimeParams = [];
+        const tierParams = [];
         const [dailyUnlocks, dailyClaims, popularAchievements, claimTimeStats, tierBreakdown] = await Promise.all([
           // Daily achievement unlocks
           db.query(`
@@ -2115,10 +2261,10 @@ module.exports = (db, cacheManager) => {
               COUNT(DISTINCT user_id) as unique_players
             FROM events
             WHERE event_type = 'achievement_unlocked'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: unlockParams, days })}
             GROUP BY DATE(received_at)
             ORDER BY date DESC
-          `),
+          `, unlockParams),
           
           // Daily achievement claims
           db.query(`
@@ -2130,10 +2276,10 @@ module.exports = (db, cacheManager) => {
               SUM((payload->>'reward_gems')::int) as total_gems_rewarded
             FROM events
             WHERE event_type = 'achievement_claimed'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: claimParams, days })}
             GROUP BY DATE(received_at)
             ORDER BY date DESC
-          `),
+          `, claimParams),
           
           // Most popular achievements (by unlock count)
           db.query(`
@@ -2146,12 +2292,12 @@ module.exports = (db, cacheManager) => {
               COUNT(DISTINCT user_id) as unique_unlockers
             FROM events
             WHERE event_type = 'achievement_unlocked'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: popularParams, days })}
             GROUP BY payload->>'achievement_id', payload->>'achievement_name', 
                      payload->>'achievement_tier', payload->>'achievement_category'
             ORDER BY unlock_count DESC
             LIMIT 15
-          `),
+          `, popularParams),
           
           // Average time to claim by tier
           db.query(`
@@ -2161,10 +2307,10 @@ module.exports = (db, cacheManager) => {
               COUNT(*) as claims
             FROM events
             WHERE event_type = 'achievement_claimed'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: claimTimeParams, days })}
             GROUP BY payload->>'achievement_tier'
             ORDER BY claims DESC
-          `),
+          `, claimTimeParams),
           
           // Breakdown by tier
           db.query(`
@@ -2178,10 +2324,10 @@ module.exports = (db, cacheManager) => {
               AND e1.user_id = e2.user_id 
               AND e2.event_type = 'achievement_claimed'
             WHERE e1.event_type = 'achievement_unlocked'
-              AND e1.received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: tierParams, days, alias: 'e1' })}
             GROUP BY e1.payload->>'achievement_tier'
             ORDER BY total_unlocks DESC
-          `)
+          `, tierParams)
         ]);
 
         const totalUnlocks = dailyUnlocks.rows.reduce((sum, r) => sum + parseInt(r.achievements_unlocked || 0), 0);
@@ -2200,6 +2346,7 @@ module.exports = (db, cacheManager) => {
             unique_players_unlocking: Math.max(...dailyUnlocks.rows.map(r => parseInt(r.unique_players || 0)), 0),
             unique_players_claiming: Math.max(...dailyClaims.rows.map(r => parseInt(r.unique_claimers || 0)), 0)
           },
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -2222,8 +2369,13 @@ module.exports = (db, cacheManager) => {
   router.get('/purchases', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 7), 90);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `purchases-${days}days`, async () => {
+      const data = await getCachedQuery(req, `purchases-${days}days${filters.cacheKey()}`, async () => {
+        const dailyParams = [];
+        const jetParams = [];
+        const currencyParams = [];
+        const skinParams = [];
         const [dailyResult, jetResult, currencyResult, dailyBySkinResult] = await Promise.all([
           // Daily purchases
           db.query(`
@@ -2233,10 +2385,10 @@ module.exports = (db, cacheManager) => {
               COUNT(DISTINCT user_id) as unique_buyers
             FROM events
             WHERE event_type = 'skin_purchased'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: dailyParams, days })}
             GROUP BY DATE(received_at)
             ORDER BY date DESC
-          `),
+          `, dailyParams),
           
           // Most popular jets/skins
           db.query(`
@@ -2251,11 +2403,11 @@ module.exports = (db, cacheManager) => {
               SUM((payload->>'cost_gems')::int) as total_gems_spent
             FROM events
             WHERE event_type = 'skin_purchased'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: jetParams, days })}
             GROUP BY payload->>'jet_id', payload->>'jet_name', payload->>'rarity', payload->>'purchase_type'
             ORDER BY purchase_count DESC
             LIMIT 10
-          `),
+          `, jetParams),
           
           // Purchases by currency type (coins vs gems)
           db.query(`
@@ -2266,9 +2418,9 @@ module.exports = (db, cacheManager) => {
               SUM((payload->>'cost_gems')::int) as total_gems
             FROM events
             WHERE event_type = 'skin_purchased'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: currencyParams, days })}
             GROUP BY payload->>'purchase_type'
-          `),
+          `, currencyParams),
           
           // Daily breakdown by jet skin (for stacked bar chart)
           db.query(`
@@ -2280,10 +2432,10 @@ module.exports = (db, cacheManager) => {
               COUNT(*) as purchase_count
             FROM events
             WHERE event_type = 'skin_purchased'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: skinParams, days })}
             GROUP BY DATE(received_at), payload->>'jet_id', payload->>'jet_name', payload->>'rarity'
             ORDER BY date DESC, purchase_count DESC
-          `)
+          `, skinParams)
         ]);
 
         // Process daily breakdown by skin for stacked bar chart
@@ -2327,6 +2479,7 @@ module.exports = (db, cacheManager) => {
             total_purchases: dailyResult.rows.reduce((sum, r) => sum + parseInt(r.total_purchases || 0), 0),
             unique_buyers: Math.max(...dailyResult.rows.map(r => parseInt(r.unique_buyers || 0)), 0)
           },
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -2344,9 +2497,9 @@ module.exports = (db, cacheManager) => {
 
   /**
    * POST /api/dashboard/refresh-cache
-   * Manually refresh all dashboard caches
+   * Manually refresh all dashboard caches (analytics:manage - purges and recomputes for everyone)
    */
-  router.post('/refresh-cache', async (req, res) => {
+  router.post('/refresh-cache', adminRoute('analytics:manage'), async (req, res) => {
     try {
       // Clear all dashboard caches
       const pattern = `${CACHE_PREFIX}*`;
@@ -2377,24 +2530,26 @@ module.exports = (db, cacheManager) => {
     try {
       const NotificationTracker = require('../services/notification-tracker');
       const notificationTracker = new NotificationTracker(db);
+      const filters = req.dashboardFilters;
 
-      const data = await getCachedQuery(req, 'notifications', async () => {
+      const data = await getCachedQuery(req, `notifications${filters.cacheKey()}`, async () => {
         const [todayStats, byCountry, trend] = await Promise.all([
-          notificationTracker.getTodayStats(),
-          notificationTracker.getStatsByCountry(),
-          notificationTracker.getNotificationTrend(),
+          notificationTracker.getTodayStats(filters),
+          notificationTracker.getStatsByCountry(filters),
+          notificationTracker.getNotificationTrend(filters),
         ]);
 
         // Get clicked counts by type
+        const params = [];
         const clickedByType = await db.query(`
           SELECT
             notification_type,
             COUNT(*) as clicked
           FROM notification_events
           WHERE event_type = 'clicked'
-            AND received_at >= CURRENT_DATE
+            AND ${filters.lastDay().where('notification_events', { params, days: 0 })}
           GROUP BY notification_type
-        `);
+        `, params);
 
         const clickedMap = {};
         clickedByType.rows.forEach(row => {
@@ -2446,6 +2601,7 @@ module.exports = (db, cacheManager) => {
             failed: parseInt(row.failed || 0),
             ctr_rate: parseFloat(row.ctr_rate || 0),
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString(),
         };
       });
@@ -2470,8 +2626,12 @@ module.exports = (db, cacheManager) => {
   router.get('/conversions', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 30), 90);
+      const filters = req.dashboardFilters;
 
-      const data = await getCachedQuery(req, `conversions-${days}days`, async () => {
+      const data = await getCachedQuery(req, `conversions-${days}days${filters.cacheKey()}`, async () => {
+        const dailyParams = [];
+        const allTimeParams = [];
+        const milestoneParams = [];
         const [
           dailyConversions,
           allTimeConversions,
@@ -2485,10 +2645,10 @@ module.exports = (db, cacheManager) => {
               COUNT(DISTINCT user_id) as unique_users
             FROM events
             WHERE event_type LIKE 'conversion_%'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: dailyParams, days })}
             GROUP BY DATE(received_at)
             ORDER BY date DESC
-          `),
+          `, dailyParams),
           
           // All-time totals by event type
           db.query(`
@@ -2500,9 +2660,10 @@ module.exports = (db, cacheManager) => {
               MAX(received_at) as last_seen
             FROM events
             WHERE event_type LIKE 'conversion_%'
+              AND ${filters.where('events', { params: allTimeParams, range: false })}
             GROUP BY event_type
             ORDER BY count DESC
-          `),
+          `, allTimeParams),
           
           // Breakdown by milestone type (games, sessions, levels)
           db.query(`
@@ -2518,10 +2679,10 @@ module.exports = (db, cacheManager) => {
               COUNT(DISTINCT user_id) as unique_users
             FROM events
             WHERE event_type LIKE 'conversion_%'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${filters.where('events', { params: milestoneParams, days })}
             GROUP BY milestone_type, event_type
             ORDER BY milestone_type, count DESC
-          `)
+          `, milestoneParams)
         ]);
 
         // Calculate all-time total
@@ -2557,6 +2718,7 @@ module.exports = (db, cacheManager) => {
             count: parseInt(r.count || 0),
             unique_users: parseInt(r.unique_users || 0)
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -2577,80 +2739,62 @@ module.exports = (db, cacheManager) => {
    * ✅ NEW: Detailed retention metrics (D1, D7, D30)
    * 
    * Query params:
-   * - days: Number of days to analyze (default: 30)
+   * - days: Number of install cohorts to analyze (default: 30, at most 90)
    * - startDate: Start date (YYYY-MM-DD)
    * - endDate: End date (YYYY-MM-DD)
    * - cohort: Filter by cohort type ('install_date' or 'campaign_id')
+   * - time_basis: received_at (default) | occurred_at
+   *
+   * Install cohorts from services/cohort-engine.js (campaign_id: per acquisition campaign,
+   * users without one left out); other cohort/return events: /cohort-retention
    */
   router.get('/retention-detailed', async (req, res) => {
     try {
       const days = parseInt(req.query.days) || 30;
-      const startDate = req.query.startDate;
-      const endDate = req.query.endDate;
       const cohortType = req.query.cohort || 'install_date';
+      const basis = getTimeBasis(req);
+      const filters = req.dashboardFilters;
 
-      const data = await getCachedQuery(req, `retention-detailed:${days}:${startDate || 'all'}:${endDate || 'all'}:${cohortType}`, async () => {
-        // ✅ OPTIMIZED: Use cohort_aggregations materialized view
-        // Build date filter
-        let dateFilter = '';
-        if (startDate && endDate) {
-          dateFilter = `AND cohort_date >= '${startDate}'::date AND cohort_date <= '${endDate}'::date`;
-        } else if (startDate) {
-          dateFilter = `AND cohort_date >= '${startDate}'::date`;
-        } else if (endDate) {
-          dateFilter = `AND cohort_date <= '${endDate}'::date`;
-        } else {
-          dateFilter = `AND cohort_date >= CURRENT_DATE - INTERVAL '${days} days'`;
-        }
-
-        // Build campaign filter if needed
-        const campaignFilter = cohortType === 'campaign_id' 
-          ? `AND campaign_id IS NOT NULL`
-          : `AND campaign_id IS NULL`;
-
-        const retentionQuery = `
-          SELECT 
-            cohort_date,
-            ${cohortType === 'campaign_id' ? 'campaign_id,' : ''}
-            cohort_size as total_installs,
-            d1_retained,
-            d7_retained,
-            d30_retained,
-            d1_retention_rate,
-            d7_retention_rate,
-            d30_retention_rate
-          FROM cohort_aggregations
-          WHERE 1=1 ${dateFilter} ${campaignFilter}
-          ORDER BY cohort_date DESC${cohortType === 'campaign_id' ? ', campaign_id' : ''}
-        `;
+      const cacheKey = `retention-detailed:${days}:${cohortType}${timeBasisKey(basis)}${filters.cacheKey()}`;
+      const data = await getCachedQuery(req, cacheKey, async () => {
+        // Date range (startDate/endDate or days) and segments from the shared filters
+        const definition = CohortEngine.normalizeDefinition({
+          cohorts: Math.min(Math.max(days, 1), CohortEngine.GRANULARITIES.day.maxCohorts),
+          time_basis: basis
+        });
+        const byCampaign = cohortType === 'campaign_id';
+        const matrix = await cohortEngine.compute(definition, {
+          filters,
+          breakdown: byCampaign ? ['campaign_id'] : []
+        });
 
-        const result = await db.query(retentionQuery);
+        const cohorts = byCampaign
+          ? matrix.cohorts.filter(cohort => cohort.campaign_id !== null)
+          : matrix.cohorts;
+        const average = CohortEngine.average(cohorts, definition);
 
         return {
           summary: {
-            total_cohorts: result.rows.length,
-            total_installs: result.rows.reduce((sum, r) => sum + parseInt(r.total_installs || 0), 0),
-            avg_d1_retention: result.rows.length > 0
-              ? result.rows.reduce((sum, r) => sum + parseFloat(r.d1_retention_rate || 0), 0) / result.rows.length
-              : 0,
-            avg_d7_retention: result.rows.length > 0
-              ? result.rows.reduce((sum, r) => sum + parseFloat(r.d7_retention_rate || 0), 0) / result.rows.length
-              : 0,
-            avg_d30_retention: result.rows.length > 0
-              ? result.rows.reduce((sum, r) => sum + parseFloat(r.d30_retention_rate || 0), 0) / result.rows.length
-              : 0,
+            total_cohorts: cohorts.length,
+            total_installs: cohorts.reduce((sum, cohort) => sum + cohort.cohort_size, 0),
+            avg_d1_retention: average.d1 || 0,
+            avg_d7_retention: average.d7 || 0,
+            avg_d30_retention: average.d30 || 0,
           },
-          cohorts: result.rows.map(r => ({
-            cohort_date: r.cohort_date,
-            ...(cohortType === 'campaign_id' && r.campaign_id ? { campaign_id: r.campaign_id } : {}),
-            total_installs: parseInt(r.total_installs || 0),
-            d1_retained: parseInt(r.d1_retained || 0),
-            d7_retained: parseInt(r.d7_retained || 0),
-            d30_retained: parseInt(r.d30_retained || 0),
-            d1_retention_rate: parseFloat(r.d1_retention_rate || 0),
-            d7_retention_rate: parseFloat(r.d7_retention_rate || 0),
-            d30_retention_rate: parseFloat(r.d30_retention_rate || 0),
+          // Periods a cohort has not reached yet count as 0
+          cohorts: cohorts.map(cohort => ({
+            cohort_date: cohort.cohort_date,
+            ...(byCampaign ? { campaign_id: cohort.campaign_id } : {}),
+            total_installs: cohort.cohort_size,
+            d1_retained: cohort.retained.d1 || 0,
+            d7_retained: cohort.retained.d7 || 0,
+            d30_retained: cohort.retained.d30 || 0,
+            d1_retention_rate: cohort.retention.d1 || 0,
+            d7_retention_rate: cohort.retention.d7 || 0,
+            d30_retention_rate: cohort.retention.d30 || 0,
           })),
+          time_basis: basis,
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -2674,20 +2818,24 @@ module.exports = (db, cacheManager) => {
     try {
       const days = parseInt(req.query.days) || 30;
       const inactiveDays = parseInt(req.query.inactiveDays) || 7;
+      const filters = req.dashboardFilters;
 
-      const data = await getCachedQuery(req, `churn:${days}:${inactiveDays}`, async () => {
+      const data = await getCachedQuery(req, `churn:${days}:${inactiveDays}${filters.cacheKey()}`, async () => {
         // Get all users who were active in the period
+        const activeParams = [];
         const activeUsersQuery = `
           SELECT DISTINCT user_id
           FROM events
-          WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
+          WHERE ${filters.where('events', { params: activeParams, days })}
         `;
 
         // Get users who haven't been active in the last N days
+        const churnedParams = [];
         const churnedUsersQuery = `
           SELECT DISTINCT user_id
           FROM events
           WHERE received_at < CURRENT_DATE - INTERVAL '${inactiveDays} days'
+            AND ${filters.where('events', { params: churnedParams, range: false })}
             AND user_id NOT IN (
               SELECT DISTINCT user_id
               FROM events
@@ -2696,22 +2844,24 @@ module.exports = (db, cacheManager) => {
         `;
 
         const [activeUsers, churnedUsers] = await Promise.all([
-          db.query(activeUsersQuery),
-          db.query(churnedUsersQuery)
+          db.query(activeUsersQuery, activeParams),
+          db.query(churnedUsersQuery, churnedParams)
         ]);
 
         const totalActive = activeUsers.rows.length;
         const totalChurned = churnedUsers.rows.length;
         const churnRate = totalActive > 0 ? (totalChurned / totalActive) * 100 : 0;
 
-        // Get churn trend over time
+        // Get churn trend over time (both CTEs share the conditions and params)
+        const trendParams = [];
+        const trendWhere = filters.where('events', { params: trendParams, days });
         const churnTrendQuery = `
           WITH daily_active AS (
             SELECT 
               DATE(received_at) as date,
               COUNT(DISTINCT user_id) as active_users
             FROM events
-            WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
+            WHERE ${trendWhere}
             GROUP BY DATE(received_at)
           ),
           daily_churned AS (
@@ -2719,7 +2869,7 @@ module.exports = (db, cacheManager) => {
               DATE(received_at) as date,
               COUNT(DISTINCT user_id) as churned_users
             FROM events
-            WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
+            WHERE ${trendWhere}
               AND user_id NOT IN (
                 SELECT DISTINCT user_id
                 FROM events
@@ -2741,7 +2891,7 @@ module.exports = (db, cacheManager) => {
           ORDER BY date DESC
         `;
 
-        const churnTrend = await db.query(churnTrendQuery);
+        const churnTrend = await db.query(churnTrendQuery, trendParams);
 
         return {
           summary: {
@@ -2749,7 +2899,7 @@ module.exports = (db, cacheManager) => {
             total_churned_users: totalChurned,
             churn_rate: parseFloat(churnRate.toFixed(2)),
             inactive_days_threshold: inactiveDays,
-            analysis_period_days: days,
+            analysis_period_days: filters.dayCount(days),
           },
           trend: churnTrend.rows.map(r => ({
             date: r.date,
@@ -2757,6 +2907,7 @@ module.exports = (db, cacheManager) => {
             churned_users: parseInt(r.churned_users || 0),
             churn_rate: parseFloat(r.churn_rate || 0),
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -2780,18 +2931,13 @@ module.exports = (db, cacheManager) => {
   router.get('/cohort-analysis', async (req, res) => {
     try {
       const cohortType = req.query.type || 'install_date';
-      const startDate = req.query.startDate;
-      const endDate = req.query.endDate;
+      const filters = req.dashboardFilters;
 
-      const data = await getCachedQuery(req, `cohort-analysis:${cohortType}:${startDate || 'all'}:${endDate || 'all'}`, async () => {
+      const data = await getCachedQuery(req, `cohort-analysis:${cohortType}${filters.cacheKey()}`, async () => {
         // ✅ OPTIMIZED: Use cohort_aggregations materialized view
-        const dateFilter = startDate && endDate
-          ? `AND cohort_date >= '${startDate}'::date AND cohort_date <= '${endDate}'::date`
-          : startDate
-          ? `AND cohort_date >= '${startDate}'::date`
-          : endDate
-          ? `AND cohort_date <= '${endDate}'::date`
-          : '';
+        // All cohorts unless startDate/endDate are given
+        const params = [];
+        const dateFilter = `AND ${filters.where('cohort_aggregations', { params })}`;
 
         const campaignFilter = cohortType === 'campaign_id' 
           ? `AND campaign_id IS NOT NULL`
@@ -2812,7 +2958,7 @@ module.exports = (db, cacheManager) => {
           ORDER BY cohort_date DESC${cohortType === 'campaign_id' ? ', campaign_id' : ''}
         `;
 
-        const result = await db.query(cohortQuery);
+        const result = await db.query(cohortQuery, params);
 
         return {
           cohort_type: cohortType,
@@ -2835,6 +2981,7 @@ module.exports = (db, cacheManager) => {
               ? result.rows.reduce((sum, r) => sum + parseFloat(r.ltv || 0), 0) / result.rows.length
               : 0,
           },
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -2858,17 +3005,12 @@ module.exports = (db, cacheManager) => {
   router.get('/arpu', async (req, res) => {
     try {
       const days = parseInt(req.query.days) || 30;
-      const startDate = req.query.startDate;
-      const endDate = req.query.endDate;
-
-      const data = await getCachedQuery(req, `arpu:${days}:${startDate || 'all'}:${endDate || 'all'}`, async () => {
-        const dateFilter = startDate && endDate
-          ? `AND received_at >= '${startDate}'::date AND received_at <= '${endDate}'::date`
-          : startDate
-          ? `AND received_at >= '${startDate}'::date`
-          : endDate
-          ? `AND received_at <= '${endDate}'::date`
-          : `AND received_at >= CURRENT_DATE - INTERVAL '${days} days'`;
+      const filters = req.dashboardFilters;
+
+      const data = await getCachedQuery(req, `arpu:${days}${filters.cacheKey()}`, async () => {
+        // Both queries share the conditions and params
+        const params = [];
+        const dateFilter = `AND ${filters.where('events', { params, days })}`;
 
         // Calculate ARPU and ARPPU
         const arpuQuery = `
@@ -2912,7 +3054,7 @@ module.exports = (db, cacheManager) => {
           LEFT JOIN paying_users pu ON au.user_id = pu.user_id
         `;
 
-        const result = await db.query(arpuQuery);
+        const result = await db.query(arpuQuery, params);
         const row = result.rows[0];
 
         // Get daily trend
@@ -2967,7 +3109,7 @@ module.exports = (db, cacheManager) => {
           ORDER BY date DESC
         `;
 
-        const dailyTrend = await db.query(dailyTrendQuery);
+        const dailyTrend = await db.query(dailyTrendQuery, params);
 
         return {
           summary: {
@@ -2988,6 +3130,7 @@ module.exports = (db, cacheManager) => {
             arpu: parseFloat(r.arpu || 0),
             arppu: parseFloat(r.arppu || 0),
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -3011,11 +3154,16 @@ module.exports = (db, cacheManager) => {
     try {
       const cohort = req.query.cohort;
       const days = parseInt(req.query.days) || 30;
-
-      const data = await getCachedQuery(req, `ltv:${cohort || 'all'}:${days}`, async () => {
-        const cohortFilter = cohort && cohort !== 'all'
-          ? `AND DATE(ua.install_date) = '${cohort}'::date`
-          : '';
+      const filters = req.dashboardFilters;
+
+      const data = await getCachedQuery(req, `ltv:${cohort || 'all'}:${days}${filters.cacheKey()}`, async () => {
+        // An explicit date range picks install dates
+        const params = [];
+        let cohortFilter = `AND ${filters.where('user_acquisitions', { params, alias: 'ua' })}`;
+        if (cohort && cohort !== 'all') {
+          params.push(cohort);
+          cohortFilter += ` AND DATE(ua.install_date) = $${params.length}::date`;
+        }
 
         // Calculate LTV per cohort
         const ltvQuery = `
@@ -3059,7 +3207,7 @@ module.exports = (db, cacheManager) => {
           ORDER BY c.cohort_date DESC, c.campaign_id
         `;
 
-        const result = await db.query(ltvQuery);
+        const result = await db.query(ltvQuery, params);
 
         return {
           cohorts: result.rows.map(r => ({
@@ -3079,6 +3227,7 @@ module.exports = (db, cacheManager) => {
               : 0,
             total_revenue: result.rows.reduce((sum, r) => sum + parseFloat(r.total_revenue || 0), 0),
           },
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -3098,27 +3247,24 @@ module.exports = (db, cacheManager) => {
    * - days: Number of days to analyze (default: 30)
    * - startDate: Start date (YYYY-MM-DD)
    * - endDate: End date (YYYY-MM-DD)
-   * - campaign: Filter by campaign_id
+   * - campaign: Filter by campaign_id (event or acquisition campaign)
    */
   router.get('/revenue-breakdown', async (req, res) => {
     try {
       const days = parseInt(req.query.days) || 30;
-      const startDate = req.query.startDate;
-      const endDate = req.query.endDate;
-      const campaignId = req.query.campaign;
-
-      const data = await getCachedQuery(req, `revenue-breakdown:${days}:${startDate || 'all'}:${endDate || 'all'}:${campaignId || 'all'}`, async () => {
-        const dateFilter = startDate && endDate
-          ? `AND e.received_at >= '${startDate}'::date AND e.received_at <= '${endDate}'::date`
-          : startDate
-          ? `AND e.received_at >= '${startDate}'::date`
-          : endDate
-          ? `AND e.received_at <= '${endDate}'::date`
-          : `AND e.received_at >= CURRENT_DATE - INTERVAL '${days} days'`;
-
-        const campaignFilter = campaignId
-          ? `AND (e.campaign_id = '${campaignId}' OR ua.campaign_id = '${campaignId}')`
-          : '';
+      const filters = req.dashboardFilters;
+      const campaignId = filters.campaignId;
+
+      const data = await getCachedQuery(req, `revenue-breakdown:${days}${filters.cacheKey()}`, async () => {
+        // Both CTEs share the conditions and params
+        const params = [];
+        const dateFilter = `AND ${filters.without('campaign_id').where('events', { params, days, alias: 'e' })}`;
+
+        let campaignFilter = '';
+        if (campaignId) {
+          params.push(campaignId);
+          campaignFilter = `AND (e.campaign_id = $${params.length} OR ua.campaign_id = $${params.length})`;
+        }
 
         // Revenue breakdown by source
         const revenueQuery = `
@@ -3154,7 +3300,7 @@ module.exports = (db, cacheManager) => {
           ORDER BY date DESC
         `;
 
-        const result = await db.query(revenueQuery);
+        const result = await db.query(revenueQuery, params);
 
         // Calculate totals
         const totals = result.rows.reduce((acc, r) => ({
@@ -3181,6 +3327,7 @@ module.exports = (db, cacheManager) => {
             iap_revenue: parseFloat(r.iap_revenue || 0),
             total_revenue: parseFloat(r.total_revenue || 0),
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -3202,20 +3349,23 @@ module.exports = (db, cacheManager) => {
   router.get('/conversion-rate', async (req, res) => {
     try {
       const days = parseInt(req.query.days) || 30;
+      const filters = req.dashboardFilters;
 
-      const data = await getCachedQuery(req, `conversion-rate:${days}`, async () => {
-        // Get all users and paying users
+      const data = await getCachedQuery(req, `conversion-rate:${days}${filters.cacheKey()}`, async () => {
+        // Get all users and paying users (both CTEs share the conditions and params)
+        const params = [];
+        const periodFilter = filters.where('events', { params, days });
         const conversionQuery = `
           WITH all_users AS (
             SELECT DISTINCT user_id
             FROM events
-            WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
+            WHERE ${periodFilter}
           ),
           paying_users AS (
             SELECT DISTINCT user_id
             FROM events
             WHERE event_type = 'purchase_completed'
-              AND received_at >= CURRENT_DATE - INTERVAL '${days} days'
+              AND ${periodFilter}
           )
           SELECT 
             COUNT(DISTINCT au.user_id) as total_users,
@@ -3229,7 +3379,7 @@ module.exports = (db, cacheManager) => {
           LEFT JOIN paying_users pu ON au.user_id = pu.user_id
         `;
 
-        const result = await db.query(conversionQuery);
+        const result = await db.query(conversionQuery, params);
         const row = result.rows[0];
 
         return {
@@ -3239,6 +3389,7 @@ module.exports = (db, cacheManager) => {
             free_users: parseInt(row.total_users || 0) - parseInt(row.paying_users || 0),
             conversion_rate: parseFloat(row.conversion_rate || 0),
           },
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -3260,37 +3411,49 @@ module.exports = (db, cacheManager) => {
   router.get('/mau', async (req, res) => {
     try {
       const month = req.query.month || new Date().toISOString().slice(0, 7);
+      const basis = getTimeBasis(req);
+      const filters = req.dashboardFilters;
+
+      const data = await getCachedQuery(req, `mau:${month}${timeBasisKey(basis)}${filters.cacheKey()}`, async () => {
+        const t = timeColumn(basis);
+
+        // ?month= picks the period - only the segment filters apply (both queries share params)
+        const params = [];
+        const segment = filters.where('events', { params, range: false });
 
-      const data = await getCachedQuery(req, `mau:${month}`, async () => {
         // Get MAU for the month
         const mauQuery = `
           SELECT COUNT(DISTINCT user_id) as mau
           FROM events
-          WHERE DATE_TRUNC('month', received_at) = '${month}-01'::date
+          WHERE DATE_TRUNC('month', ${t}) = '${month}-01'::date
+            AND ${segment}
         `;
 
-        const result = await db.query(mauQuery);
+        const result = await db.query(mauQuery, params);
 
         // Get daily breakdown
         const dailyQuery = `
           SELECT 
-            DATE(received_at) as date,
+            DATE(${t}) as date,
             COUNT(DISTINCT user_id) as daily_active_users
           FROM events
-          WHERE DATE_TRUNC('month', received_at) = '${month}-01'::date
-          GROUP BY DATE(received_at)
+          WHERE DATE_TRUNC('month', ${t}) = '${month}-01'::date
+            AND ${segment}
+          GROUP BY DATE(${t})
           ORDER BY date
         `;
 
-        const daily = await db.query(dailyQuery);
+        const daily = await db.query(dailyQuery, params);
 
         return {
           month: month,
+          time_basis: basis,
           mau: parseInt(result.rows[0].mau || 0),
           daily_breakdown: daily.rows.map(r => ({
             date: r.date,
             daily_active_users: parseInt(r.daily_active_users || 0),
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -3313,24 +3476,31 @@ module.exports = (db, cacheManager) => {
     try {
       const days = parseInt(req.query.days) || 30;
 
-      const data = await getCachedQuery(req, `stickiness:${days}`, async () => {
-        // Calculate DAU and MAU
+      const basis = getTimeBasis(req);
+      const filters = req.dashboardFilters;
+
+      const data = await getCachedQuery(req, `stickiness:${days}${timeBasisKey(basis)}${filters.cacheKey()}`, async () => {
+        const t = timeColumn(basis);
+
+        // Calculate DAU and MAU (both CTEs share the conditions and params)
+        const params = [];
+        const periodFilter = filters.where('events', { params, days, basis });
         const stickinessQuery = `
           WITH dau_data AS (
             SELECT 
-              DATE(received_at) as date,
+              DATE(${t}) as date,
               COUNT(DISTINCT user_id) as dau
             FROM events
-            WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
-            GROUP BY DATE(received_at)
+            WHERE ${periodFilter}
+            GROUP BY DATE(${t})
           ),
           mau_data AS (
             SELECT 
-              DATE_TRUNC('month', received_at) as month,
+              DATE_TRUNC('month', ${t}) as month,
               COUNT(DISTINCT user_id) as mau
             FROM events
-            WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
-            GROUP BY DATE_TRUNC('month', received_at)
+            WHERE ${periodFilter}
+            GROUP BY DATE_TRUNC('month', ${t})
           )
           SELECT 
             d.date,
@@ -3346,7 +3516,7 @@ module.exports = (db, cacheManager) => {
           ORDER BY d.date DESC
         `;
 
-        const result = await db.query(stickinessQuery);
+        const result = await db.query(stickinessQuery, params);
 
         const avgStickiness = result.rows.length > 0
           ? result.rows.reduce((sum, r) => sum + parseFloat(r.stickiness_rate || 0), 0) / result.rows.length
@@ -3355,7 +3525,8 @@ module.exports = (db, cacheManager) => {
         return {
           summary: {
             avg_stickiness_rate: parseFloat(avgStickiness.toFixed(2)),
-            analysis_period_days: days,
+            analysis_period_days: filters.dayCount(days),
+            time_basis: basis,
           },
           daily_breakdown: result.rows.map(r => ({
             date: r.date,
@@ -3363,6 +3534,7 @@ module.exports = (db, cacheManager) => {
             mau: parseInt(r.mau || 0),
             stickiness_rate: parseFloat(r.stickiness_rate || 0),
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -3384,74 +3556,52 @@ module.exports = (db, cacheManager) => {
   router.get('/session-metrics', async (req, res) => {
     try {
       const days = parseInt(req.query.days) || 30;
+      const filters = req.dashboardFilters;
 
-      const data = await getCachedQuery(req, `session-metrics:${days}`, async () => {
-        // Calculate session metrics
+      const data = await getCachedQuery(req, `session-metrics:${days}${filters.cacheKey()}`, async () => {
+        // Session metrics from the sessionizer's sessions table (services/sessionizer.js)
+        // Averages skip single-event sessions (duration 0); both queries share params
+        const params = [];
+        const periodFilter = filters.where('sessions', { params, days });
         const sessionQuery = `
-          WITH sessions AS (
-            SELECT 
-              user_id,
-              payload->>'session_id' as session_id,
-              MIN(received_at) as session_start,
-              MAX(received_at) as session_end,
-              EXTRACT(EPOCH FROM (MAX(received_at) - MIN(received_at))) as duration_seconds
-            FROM events
-            WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
-              AND payload->>'session_id' IS NOT NULL
-            GROUP BY user_id, payload->>'session_id'
-            HAVING EXTRACT(EPOCH FROM (MAX(received_at) - MIN(received_at))) > 0
-              AND EXTRACT(EPOCH FROM (MAX(received_at) - MIN(received_at))) <= 3600
-          ),
-          user_sessions AS (
+          WITH user_sessions AS (
             SELECT 
               user_id,
-              COUNT(DISTINCT session_id) as session_count,
-              AVG(duration_seconds) as avg_session_duration,
+              COUNT(*) as session_count,
+              AVG(duration_seconds) FILTER (WHERE duration_seconds > 0) as avg_session_duration,
               SUM(duration_seconds) as total_session_time
             FROM sessions
+            WHERE ${periodFilter}
             GROUP BY user_id
           )
           SELECT 
-            COUNT(DISTINCT s.user_id) as total_users,
-            COUNT(DISTINCT s.session_id) as total_sessions,
-            ROUND(AVG(us.session_count), 2) as avg_sessions_per_user,
-            ROUND(AVG(us.avg_session_duration), 0) as avg_session_duration_seconds,
-            ROUND(AVG(us.total_session_time), 0) as avg_total_session_time_per_user
-          FROM sessions s
-          JOIN user_sessions us ON s.user_id = us.user_id
+            COUNT(*) as total_users,
+            COALESCE(SUM(session_count), 0) as total_sessions,
+            ROUND(AVG(session_count), 2) as avg_sessions_per_user,
+            ROUND(AVG(avg_session_duration), 0) as avg_session_duration_seconds,
+            ROUND(AVG(total_session_time), 0) as avg_total_session_time_per_user
+          FROM user_sessions
         `;
 
-        const result = await db.query(sessionQuery);
+        const result = await db.query(sessionQuery, params);
         const row = result.rows[0];
 
-        // Get daily session trends
+        // Get daily session trends (by session start day)
         const dailyQuery = `
-          WITH daily_sessions AS (
-            SELECT 
-              DATE(received_at) as date,
-              user_id,
-              payload->>'session_id' as session_id,
-              MIN(received_at) as session_start,
-              MAX(received_at) as session_end,
-              EXTRACT(EPOCH FROM (MAX(received_at) - MIN(received_at))) as duration_seconds
-            FROM events
-            WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
-              AND payload->>'session_id' IS NOT NULL
-            GROUP BY DATE(received_at), user_id, payload->>'session_id'
-            HAVING EXTRACT(EPOCH FROM (MAX(received_at) - MIN(received_at))) > 0
-              AND EXTRACT(EPOCH FROM (MAX(received_at) - MIN(received_at))) <= 3600
-          )
           SELECT 
-            date,
+            DATE(started_at) as date,
             COUNT(DISTINCT user_id) as active_users,
-            COUNT(DISTINCT session_id) as total_sessions,
-            ROUND(AVG(duration_seconds), 0) as avg_session_duration_seconds
-          FROM daily_sessions
-          GROUP BY date
+            COUNT(*) as total_sessions,
+            ROUND(AVG(duration_seconds) FILTER (WHERE duration_seconds > 0), 0) as avg_session_duration_seconds,
+            ROUND(AVG(games_played), 2) as avg_games_per_session,
+            COALESCE(SUM(revenue_usd), 0) as revenue_usd
+          FROM sessions
+          WHERE ${periodFilter}
+          GROUP BY DATE(started_at)
           ORDER BY date DESC
         `;
 
-        const daily = await db.query(dailyQuery);
+        const daily = await db.query(dailyQuery, params);
 
         return {
           summary: {
@@ -3466,7 +3616,10 @@ module.exports = (db, cacheManager) => {
             active_users: parseInt(r.active_users || 0),
             total_sessions: parseInt(r.total_sessions || 0),
             avg_session_duration_seconds: parseInt(r.avg_session_duration_seconds || 0),
+            avg_games_per_session: parseFloat(r.avg_games_per_session || 0),
+            revenue_usd: parseFloat(r.revenue_usd || 0),
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -3491,20 +3644,20 @@ module.exports = (db, cacheManager) => {
   router.get('/performance', async (req, res) => {
     try {
       const days = parseInt(req.query.days) || 7;
-      const startDate = req.query.startDate;
-      const endDate = req.query.endDate;
       const device = req.query.device;
-
-      const data = await getCachedQuery(req, `performance:${days}:${startDate || 'all'}:${endDate || 'all'}:${device || 'all'}`, async () => {
-        const dateFilter = startDate && endDate
-          ? `AND timestamp >= '${startDate}'::date AND timestamp <= '${endDate}'::date`
-          : startDate
-          ? `AND timestamp >= '${startDate}'::date`
-          : endDate
-          ? `AND timestamp <= '${endDate}'::date`
-          : `AND timestamp >= CURRENT_DATE - INTERVAL '${days} days'`;
-
-        const deviceFilter = device ? `AND device_model = '${device}'` : '';
+      const filters = req.dashboardFilters;
+
+      const data = await getCachedQuery(req, `performance:${days}:${device || 'all'}${filters.cacheKey()}`, async () => {
+        const params = [];
+        const dateFilter = `AND ${filters.where('performance_metrics', { params, days })}`;
+
+        // The device breakdown ignores the device filter
+        const breakdownParams = [...params];
+        let deviceFilter = '';
+        if (device) {
+          params.push(device);
+          deviceFilter = `AND device_model = $${params.length}`;
+        }
 
         // Calculate average FPS, load times, memory
         const performanceQuery = `
@@ -3521,7 +3674,7 @@ module.exports = (db, cacheManager) => {
           WHERE 1=1 ${dateFilter} ${deviceFilter}
         `;
 
-        const result = await db.query(performanceQuery);
+        const result = await db.query(performanceQuery, params);
         const row = result.rows[0];
 
         // Get daily trends
@@ -3538,7 +3691,7 @@ module.exports = (db, cacheManager) => {
           ORDER BY date DESC
         `;
 
-        const daily = await db.query(dailyQuery);
+        const daily = await db.query(dailyQuery, params);
 
         // Get device breakdown
         const deviceQuery = `
@@ -3555,7 +3708,7 @@ module.exports = (db, cacheManager) => {
           LIMIT 10
         `;
 
-        const devices = await db.query(deviceQuery);
+        const devices = await db.query(deviceQuery, breakdownParams);
 
         return {
           summary: {
@@ -3581,6 +3734,7 @@ module.exports = (db, cacheManager) => {
             avg_fps: parseFloat(r.avg_fps || 0),
             avg_app_load_time_ms: parseInt(r.avg_app_load_time_ms || 0),
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -3606,21 +3760,21 @@ module.exports = (db, cacheManager) => {
   router.get('/crashes', async (req, res) => {
     try {
       const days = parseInt(req.query.days) || 7;
-      const startDate = req.query.startDate;
-      const endDate = req.query.endDate;
       const crashType = req.query.crashType;
       const fatalOnly = req.query.fatal === 'true';
-
-      const data = await getCachedQuery(req, `crashes:${days}:${startDate || 'all'}:${endDate || 'all'}:${crashType || 'all'}:${fatalOnly}`, async () => {
-        const dateFilter = startDate && endDate
-          ? `AND timestamp >= '${startDate}'::date AND timestamp <= '${endDate}'::date`
-          : startDate
-          ? `AND timestamp >= '${startDate}'::date`
-          : endDate
-          ? `AND timestamp <= '${endDate}'::date`
-          : `AND timestamp >= CURRENT_DATE - INTERVAL '${days} days'`;
-
-        const typeFilter = crashType ? `AND crash_type = '${crashType}'` : '';
+      const filters = req.dashboardFilters;
+
+      const data = await getCachedQuery(req, `crashes:${days}:${crashType || 'all'}:${fatalOnly}${filters.cacheKey()}`, async () => {
+        // params: date + segments; typeParams: + crash type (queries with typeFilter)
+        const params = [];
+        const dateFilter = `AND ${filters.where('crash_logs', { params, days })}`;
+
+        const typeParams = [...params];
+        let typeFilter = '';
+        if (crashType) {
+          typeParams.push(crashType);
+          typeFilter = `AND crash_type = $${typeParams.length}`;
+        }
         const fatalFilter = fatalOnly ? `AND fatal = true` : '';
 
         // Calculate crash statistics
@@ -3635,25 +3789,18 @@ module.exports = (db, cacheManager) => {
           WHERE 1=1 ${dateFilter} ${typeFilter} ${fatalFilter}
         `;
 
-        const result = await db.query(crashQuery);
+        const result = await db.query(crashQuery, typeParams);
         const row = result.rows[0];
 
         // Calculate crash rate (crashes per 1000 users)
         // ✅ FIX: events table uses received_at, not timestamp
-        const eventsDateFilter = startDate && endDate
-          ? `AND received_at >= '${startDate}'::date AND received_at <= '${endDate}'::date`
-          : startDate
-          ? `AND received_at >= '${startDate}'::date`
-          : endDate
-          ? `AND received_at <= '${endDate}'::date`
-          : `AND received_at >= CURRENT_DATE - INTERVAL '${days} days'`;
-        
+        const usersParams = [];
         const totalUsersQuery = `
           SELECT COUNT(DISTINCT user_id) as total_users
           FROM events
-          WHERE 1=1 ${eventsDateFilter}
+          WHERE ${filters.where('events', { params: usersParams, days })}
         `;
-        const totalUsersResult = await db.query(totalUsersQuery);
+        const totalUsersResult = await db.query(totalUsersQuery, usersParams);
         const totalUsers = parseInt(totalUsersResult.rows[0]?.total_users || 0);
         const crashRate = totalUsers > 0 
           ? ((parseInt(row.total_crashes || 0) / totalUsers) * 1000).toFixed(2)
@@ -3671,7 +3818,7 @@ module.exports = (db, cacheManager) => {
           ORDER BY count DESC
         `;
 
-        const typeBreakdown = await db.query(typeBreakdownQuery);
+        const typeBreakdown = await db.query(typeBreakdownQuery, params);
 
         // Get crash breakdown by context
         const contextBreakdownQuery = `
@@ -3686,7 +3833,7 @@ module.exports = (db, cacheManager) => {
           LIMIT 10
         `;
 
-        const contextBreakdown = await db.query(contextBreakdownQuery);
+        const contextBreakdown = await db.query(contextBreakdownQuery, params);
 
         // Get daily crash trend
         const dailyQuery = `
@@ -3700,7 +3847,7 @@ module.exports = (db, cacheManager) => {
           ORDER BY date DESC
         `;
 
-        const daily = await db.query(dailyQuery);
+        const daily = await db.query(dailyQuery, typeParams);
 
         // Get recent crashes (last 20)
         const recentQuery = `
@@ -3720,7 +3867,7 @@ module.exports = (db, cacheManager) => {
           LIMIT 20
         `;
 
-        const recent = await db.query(recentQuery);
+        const recent = await db.query(recentQuery, typeParams);
 
         return {
           summary: {
@@ -3756,6 +3903,7 @@ module.exports = (db, cacheManager) => {
             os_version: r.os_version,
             fatal: r.fatal,
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -3778,22 +3926,16 @@ module.exports = (db, cacheManager) => {
   router.get('/mau-trend', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 30), 90);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `mau-trend-${days}`, async () => {
-        const result = await db.query(`
-          SELECT 
-            date,
-            mau,
-            dau
-          FROM daily_aggregations
-          WHERE date >= CURRENT_DATE - INTERVAL '${days} days'
-          ORDER BY date ASC
-        `);
+      const data = await getCachedQuery(req, `mau-trend-${days}${filters.cacheKey()}`, async () => {
+        const rows = await getDailyMetrics(filters, days, 'received_at', { mau: true });
 
         return {
-          dates: result.rows.map(r => r.date),
-          mau: result.rows.map(r => parseInt(r.mau || r.dau || 0)),
-          dau: result.rows.map(r => parseInt(r.dau || 0)),
+          dates: rows.map(r => r.date),
+          mau: rows.map(r => parseInt(r.mau || r.dau || 0)),
+          dau: rows.map(r => parseInt(r.dau || 0)),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -3812,20 +3954,15 @@ module.exports = (db, cacheManager) => {
   router.get('/sessions-per-user-trend', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 30), 90);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `sessions-per-user-trend-${days}`, async () => {
-        const result = await db.query(`
-          SELECT 
-            date,
-            avg_sessions_per_user
-          FROM daily_aggregations
-          WHERE date >= CURRENT_DATE - INTERVAL '${days} days'
-          ORDER BY date ASC
-        `);
+      const data = await getCachedQuery(req, `sessions-per-user-trend-${days}${filters.cacheKey()}`, async () => {
+        const rows = await getDailyMetrics(filters, days);
 
         return {
-          dates: result.rows.map(r => r.date),
-          values: result.rows.map(r => parseFloat(r.avg_sessions_per_user || 0)),
+          dates: rows.map(r => r.date),
+          values: rows.map(r => parseFloat(r.avg_sessions_per_user || 0)),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -3844,20 +3981,15 @@ module.exports = (db, cacheManager) => {
   router.get('/session-length-trend', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 30), 90);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `session-length-trend-${days}`, async () => {
-        const result = await db.query(`
-          SELECT 
-            date,
-            avg_session_length_seconds
-          FROM daily_aggregations
-          WHERE date >= CURRENT_DATE - INTERVAL '${days} days'
-          ORDER BY date ASC
-        `);
+      const data = await getCachedQuery(req, `session-length-trend-${days}${filters.cacheKey()}`, async () => {
+        const rows = await getDailyMetrics(filters, days);
 
         return {
-          dates: result.rows.map(r => r.date),
-          values: result.rows.map(r => parseInt(r.avg_session_length_seconds || 0)),
+          dates: rows.map(r => r.date),
+          values: rows.map(r => parseInt(r.avg_session_length_seconds || 0)),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -3876,10 +4008,22 @@ module.exports = (db, cacheManager) => {
   router.get('/level-performance-detailed', async (req, res) => {
     try {
       const newUsersOnly = req.query.new_users_only === 'true';
+      const filters = req.dashboardFilters;
+      // "Today" is the last day of an explicit range, the averages cover the range
+      const day = filters.lastDay();
       
-      const data = await getCachedQuery(req, `level-performance-detailed-${newUsersOnly}`, async () => {
+      const data = await getCachedQuery(req, `level-performance-detailed-${newUsersOnly}${filters.cacheKey()}`, async () => {
+        // level_performance_daily has no segment columns - segmented views aggregate events
+        const fromEvents = filters.isSegmented;
+        const todayParams = [];
+        const avgParams = [];
+
         // Get today's data
-        let todayQuery = `
+        const todayQuery = fromEvents || newUsersOnly
+          // Optimized: Use user_acquisitions directly and aggregate from events
+          // This avoids the expensive JOIN with the full events table
+          ? levelEventsQuery(day.where('events', { params: todayParams, days: 0, alias: 'e' }), { newUsersOnly })
+          : `
           SELECT 
             CAST(level_id AS INTEGER) as level_id,
             CAST(zone_id AS INTEGER) as zone_id,
@@ -3890,11 +4034,11 @@ module.exports = (db, cacheManager) => {
             completion_rate,
             first_time_completion_rate
           FROM level_performance_daily
-          WHERE date = CURRENT_DATE
+          WHERE ${day.where('level_performance_daily', { params: todayParams, days: 0 })}
         `;
 
         // Get 7-day average data
-        let avgQuery = `
+        const avgQuery = `
           SELECT 
             CAST(level_id AS INTEGER) as level_id,
             CAST(zone_id AS INTEGER) as zone_id,
@@ -3904,65 +4048,16 @@ module.exports = (db, cacheManager) => {
             ROUND(AVG(first_completions), 0) as avg_first_completions,
             ROUND(AVG(completion_rate), 1) as avg_completion_rate,
             ROUND(AVG(first_time_completion_rate), 1) as avg_first_time_completion_rate
-          FROM level_performance_daily
-          WHERE date >= CURRENT_DATE - INTERVAL '7 days'
+          FROM ${fromEvents
+            ? `(${levelEventsQuery(filters.where('events', { params: avgParams, days: 7, alias: 'e' }), { perDay: true })}) daily`
+            : 'level_performance_daily'}
+          ${fromEvents ? '' : `WHERE ${filters.where('level_performance_daily', { params: avgParams, days: 7 })}`}
           GROUP BY level_id, zone_id
         `;
 
-        // Filter by new users if requested
-        if (newUsersOnly) {
-          // Optimized: Use user_acquisitions directly and aggregate from events
-          // This avoids the expensive JOIN with the full events table
-          todayQuery = `
-            WITH new_user_levels AS (
-              SELECT 
-                payload->>'level_id' as level_id,
-                payload->>'zone_id' as zone_id,
-                event_type,
-                CASE 
-                  WHEN event_type = 'level_started' 
-                  THEN (payload->>'is_first_attempt')::boolean
-                  ELSE NULL
-                END as is_first_attempt,
-                CASE 
-                  WHEN event_type = 'level_completed' 
-                  THEN (payload->>'first_attempt')::boolean
-                  ELSE NULL
-                END as first_attempt
-              FROM events e
-              INNER JOIN user_acquisitions ua ON e.user_id = ua.user_id
-                AND DATE(ua.install_date) = CURRENT_DATE
-              WHERE e.event_type IN ('level_started', 'level_completed', 'level_failed')
-                AND DATE(e.received_at) = CURRENT_DATE
-                AND e.payload->>'level_id' IS NOT NULL
-            )
-            SELECT 
-              CAST(level_id AS INTEGER) as level_id,
-              CAST(zone_id AS INTEGER) as zone_id,
-              COUNT(CASE WHEN event_type = 'level_started' THEN 1 END) as total_tries,
-              COUNT(CASE WHEN event_type = 'level_completed' THEN 1 END) as total_completions,
-              COUNT(CASE WHEN event_type = 'level_started' AND is_first_attempt = true THEN 1 END) as first_tries,
-              COUNT(CASE WHEN event_type = 'level_completed' AND first_attempt = true THEN 1 END) as first_completions,
-              CASE 
-                WHEN COUNT(CASE WHEN event_type = 'level_started' THEN 1 END) > 0
-                THEN ROUND(100.0 * COUNT(CASE WHEN event_type = 'level_completed' THEN 1 END) / 
-                          COUNT(CASE WHEN event_type = 'level_started' THEN 1 END), 1)
-                ELSE 0
-              END as completion_rate,
-              CASE 
-                WHEN COUNT(CASE WHEN event_type = 'level_started' AND is_first_attempt = true THEN 1 END) > 0
-                THEN ROUND(100.0 * COUNT(CASE WHEN event_type = 'level_completed' AND first_attempt = true THEN 1 END) / 
-                          COUNT(CASE WHEN event_type = 'level_started' AND is_first_attempt = true THEN 1 END), 1)
-                ELSE 0
-              END as first_time_completion_rate
-            FROM new_user_levels
-            GROUP BY level_id, zone_id
-          `;
-        }
-
         const [todayResult, avgResult] = await Promise.all([
-          db.query(todayQuery),
-          db.query(avgQuery)
+          db.query(todayQuery, todayParams),
+          db.query(avgQuery, avgParams)
         ]);
 
         // Create lookup for averages
@@ -4018,6 +4113,7 @@ module.exports = (db, cacheManager) => {
         return {
           zones: byZone,
           new_users_only: newUsersOnly,
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -4032,12 +4128,15 @@ module.exports = (db, cacheManager) => {
   /**
    * GET /api/dashboard/funnel
    * Returns user funnel data (installs → first open → tutorial → levels 1-10)
+   * Custom funnels: /api/funnels (routes/funnels.js)
    */
   router.get('/funnel', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 30), 90);
+      const filters = req.dashboardFilters;
       
-      const data = await getCachedQuery(req, `funnel-${days}`, async () => {
+      const data = await getCachedQuery(req, `funnel-${days}${filters.cacheKey()}`, async () => {
+        const params = [];
         const result = await db.query(`
           SELECT 
             date,
@@ -4059,9 +4158,9 @@ module.exports = (db, cacheManager) => {
             tutorial_to_level_1_rate,
             level_1_to_level_10_rate
           FROM user_funnel_daily
-          WHERE date >= CURRENT_DATE - INTERVAL '${days} days'
+          WHERE ${filters.where('user_funnel_daily', { params, days })}
           ORDER BY date DESC
-        `);
+        `, params);
 
         return {
           daily: result.rows.map(r => ({
@@ -4086,6 +4185,7 @@ module.exports = (db, cacheManager) => {
               level_1_to_level_10: parseFloat(r.level_1_to_level_10_rate || 0),
             }
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -4100,30 +4200,30 @@ module.exports = (db, cacheManager) => {
   /**
    * GET /api/dashboard/cohort-analysis-enhanced?campaign_id=all&days=90
    * Returns enhanced cohort analysis with D1/D2/D3/D7/D30 retention, revenue breakdown, CPI, ROI
+   * One row per install cohort, acquisition campaign and platform: retention from
+   * services/cohort-engine.js, revenue and campaign costs from cohort_aggregations
+   * (other cohort/return events: /cohort-retention)
    */
   router.get('/cohort-analysis-enhanced', async (req, res) => {
     try {
       const days = parseInt(req.query.days) || 90;
-      const campaignIdFilter = req.query.campaign_id || 'all';
-      const platformFilter = req.query.platform || 'all';
+      const basis = getTimeBasis(req);
+      const filters = req.dashboardFilters;
+
+      const data = await getCachedQuery(req, `cohort-analysis-enhanced:${days}${timeBasisKey(basis)}${filters.cacheKey()}`, async () => {
+        // campaign_id and platform come from the shared filters
+        const definition = CohortEngine.normalizeDefinition({
+          cohorts: Math.min(Math.max(days, 1), CohortEngine.GRANULARITIES.day.maxCohorts),
+          time_basis: basis
+        });
+        const matrix = await cohortEngine.compute(definition, { filters, breakdown: ['campaign_id', 'platform'] });
 
-      const data = await getCachedQuery(req, `cohort-analysis-enhanced:${days}:${campaignIdFilter}:${platformFilter}`, async () => {
-        let query = `
+        const queryParams = [];
+        const query = `
           SELECT 
-            cohort_date,
+            TO_CHAR(cohort_date, 'YYYY-MM-DD') AS cohort_date,
             campaign_id,
             platform,
-            cohort_size,
-            d1_retained,
-            d2_retained,
-            d3_retained,
-            d7_retained,
-            d30_retained,
-            d1_retention_rate,
-            d2_retention_rate,
-            d3_retention_rate,
-            d7_retention_rate,
-            d30_retention_rate,
             ad_revenue_usd,
             iap_revenue_usd,
             total_revenue_usd,
@@ -4134,72 +4234,57 @@ module.exports = (db, cacheManager) => {
             paying_users,
             payer_rate
           FROM cohort_aggregations
-          WHERE cohort_date >= CURRENT_DATE - INTERVAL '${days} days'
+          WHERE ${filters.where('cohort_aggregations', { params: queryParams, days })}
         `;
 
-        const queryParams = [];
-        let paramIndex = 1;
-
-        if (platformFilter !== 'all') {
-          query += ` AND platform = $${paramIndex++}`;
-          queryParams.push(platformFilter);
-        }
-        if (campaignIdFilter !== 'all') {
-          query += ` AND campaign_id = $${paramIndex++}`;
-          queryParams.push(campaignIdFilter);
-        }
-
-        query += ` ORDER BY cohort_date DESC`;
-
         const result = await db.query(query, queryParams);
+        const rowKey = (cohortDate, campaignId, platform) => [cohortDate, campaignId || '', platform || ''].join('|');
+        const revenueRows = new Map(result.rows.map(r => [rowKey(r.cohort_date, r.campaign_id, r.platform), r]));
+
+        // Periods a cohort has not reached yet count as 0
+        const period = (cohort, key) => ({
+          retained: cohort.retained[key] || 0,
+          rate: cohort.retention[key] || 0
+        });
 
         return {
-          cohorts: result.rows.map(r => ({
-            cohort_date: r.cohort_date,
-            campaign_id: r.campaign_id,
-            platform: r.platform,
-            cohort_size: parseInt(r.cohort_size || 0),
-            retention: {
-              d1: {
-                retained: parseInt(r.d1_retained || 0),
-                rate: parseFloat(r.d1_retention_rate || 0)
-              },
-              d2: {
-                retained: parseInt(r.d2_retained || 0),
-                rate: parseFloat(r.d2_retention_rate || 0)
+          cohorts: matrix.cohorts.map(cohort => {
+            const r = revenueRows.get(rowKey(cohort.cohort_date, cohort.campaign_id, cohort.platform)) || {};
+
+            return {
+              cohort_date: cohort.cohort_date,
+              campaign_id: cohort.campaign_id,
+              platform: cohort.platform,
+              cohort_size: cohort.cohort_size,
+              retention: {
+                d1: period(cohort, 'd1'),
+                d2: period(cohort, 'd2'),
+                d3: period(cohort, 'd3'),
+                d7: period(cohort, 'd7'),
+                d30: period(cohort, 'd30')
               },
-              d3: {
-                retained: parseInt(r.d3_retained || 0),
-                rate: parseFloat(r.d3_retention_rate || 0)
+              revenue: {
+                ad_revenue_usd: parseFloat(r.ad_revenue_usd || 0),
+                iap_revenue_usd: parseFloat(r.iap_revenue_usd || 0),
+                total_revenue_usd: parseFloat(r.total_revenue_usd || 0),
+                ltv: parseFloat(r.ltv || 0)
               },
-              d7: {
-                retained: parseInt(r.d7_retained || 0),
-                rate: parseFloat(r.d7_retention_rate || 0)
+              campaign: {
+                cpi: parseFloat(r.cpi || 0),
+                cost_usd: parseFloat(r.cost_usd || 0),
+                roi_percentage: parseFloat(r.roi_percentage || 0)
               },
-              d30: {
-                retained: parseInt(r.d30_retained || 0),
-                rate: parseFloat(r.d30_retention_rate || 0)
-              }
-            },
-            revenue: {
-              ad_revenue_usd: parseFloat(r.ad_revenue_usd || 0),
-              iap_revenue_usd: parseFloat(r.iap_revenue_usd || 0),
-              total_revenue_usd: parseFloat(r.total_revenue_usd || 0),
-              ltv: parseFloat(r.ltv || 0)
-            },
-            campaign: {
-              cpi: parseFloat(r.cpi || 0),
-              cost_usd: parseFloat(r.cost_usd || 0),
-              roi_percentage: parseFloat(r.roi_percentage || 0)
-            },
-            paying_users: parseInt(r.paying_users || 0),
-            payer_rate: parseFloat(r.payer_rate || 0)
-          })),
+              paying_users: parseInt(r.paying_users || 0),
+              payer_rate: parseFloat(r.payer_rate || 0)
+            };
+          }),
           filters: {
-            campaign_id: campaignIdFilter,
-            platform: platformFilter,
-            days
+            ...filters.meta().filters,
+            campaign_id: filters.campaignId || 'all',
+            platform: filters.platform || 'all',
+            days: filters.dayCount(days)
           },
+          time_basis: basis,
           last_updated: new Date().toISOString()
         };
       });
@@ -4218,8 +4303,17 @@ module.exports = (db, cacheManager) => {
   router.get('/missions-achievements', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 7), 30);
+      const filters = req.dashboardFilters;
+      // "Today" is the last day of an explicit range
+      const day = filters.lastDay();
       
-      const data = await getCachedQuery(req, `missions-achievements-${days}`, async () => {
+      const data = await getCachedQuery(req, `missions-achievements-${days}${filters.cacheKey()}`, async () => {
+        // Today's and trend queries each share their conditions and params
+        const todayParams = [];
+        const todayFilter = day.where('events', { params: todayParams, days: 0 });
+        const trendParams = [];
+        const trendFilter = filters.where('events', { params: trendParams, days });
+
         // Today's metrics
         const todayQuery = `
           SELECT 
@@ -4230,7 +4324,7 @@ module.exports = (db, cacheManager) => {
             COUNT(DISTINCT CASE WHEN event_type = 'mission_completed' THEN user_id END) as unique_mission_claimers_today,
             COUNT(DISTINCT CASE WHEN event_type = 'achievement_claimed' THEN user_id END) as unique_achievement_claimers_today
           FROM events
-          WHERE DATE(received_at) = CURRENT_DATE
+          WHERE ${todayFilter}
             AND event_type IN ('mission_completed', 'achievement_unlocked', 'achievement_claimed')
         `;
 
@@ -4245,15 +4339,15 @@ module.exports = (db, cacheManager) => {
             COUNT(DISTINCT CASE WHEN event_type = 'mission_completed' THEN user_id END) as unique_mission_claimers,
             COUNT(DISTINCT CASE WHEN event_type = 'achievement_claimed' THEN user_id END) as unique_achievement_claimers
           FROM events
-          WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
+          WHERE ${trendFilter}
             AND event_type IN ('mission_completed', 'achievement_unlocked', 'achievement_claimed')
           GROUP BY DATE(received_at)
           ORDER BY date ASC
         `;
 
         const [todayResult, trendResult] = await Promise.all([
-          db.query(todayQuery),
-          db.query(trendQuery)
+          db.query(todayQuery, todayParams),
+          db.query(trendQuery, trendParams)
         ]);
 
         return {
@@ -4274,6 +4368,7 @@ module.exports = (db, cacheManager) => {
             unique_mission_claimers: parseInt(r.unique_mission_claimers || 0),
             unique_achievement_claimers: parseInt(r.unique_achievement_claimers || 0),
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -4292,8 +4387,17 @@ module.exports = (db, cacheManager) => {
   router.get('/tournaments', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 7), 30);
+      const filters = req.dashboardFilters;
+      // "Today" is the last day of an explicit range
+      const day = filters.lastDay();
       
-      const data = await getCachedQuery(req, `tournaments-${days}`, async () => {
+      const data = await getCachedQuery(req, `tournaments-${days}${filters.cacheKey()}`, async () => {
+        // Today's and trend queries each share their conditions and params
+        const todayParams = [];
+        const todayFilter = day.where('events', { params: todayParams, days: 0 });
+        const trendParams = [];
+        const trendFilter = filters.where('events', { params: trendParams, days });
+
         // Today's metrics ✅ FIXED: rounds_played = completed + failed (all rounds that finished)
         const todayQuery = `
           SELECT 
@@ -4302,7 +4406,7 @@ module.exports = (db, cacheManager) => {
             COUNT(CASE WHEN event_type = 'tournament_round_failed' THEN 1 END) as rounds_lost_today,
             COUNT(CASE WHEN event_type = 'tournament_completed' THEN 1 END) as tournaments_won_today
           FROM events
-          WHERE DATE(received_at) = CURRENT_DATE
+          WHERE ${todayFilter}
             AND event_type IN ('tournament_round_completed', 'tournament_round_failed', 'tournament_completed')
         `;
 
@@ -4315,7 +4419,7 @@ module.exports = (db, cacheManager) => {
             COUNT(CASE WHEN event_type = 'tournament_round_failed' THEN 1 END) as rounds_lost,
             COUNT(CASE WHEN event_type = 'tournament_completed' THEN 1 END) as tournaments_won
           FROM events
-          WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
+          WHERE ${trendFilter}
             AND event_type IN ('tournament_round_completed', 'tournament_round_failed', 'tournament_completed')
           GROUP BY DATE(received_at)
           ORDER BY date ASC
@@ -4327,7 +4431,7 @@ module.exports = (db, cacheManager) => {
             COALESCE(payload->>'tournament_name', payload->>'tournament_id', 'unknown') as tournament_type,
             COUNT(*) as rounds_played
           FROM events
-          WHERE DATE(received_at) = CURRENT_DATE
+          WHERE ${todayFilter}
             AND event_type = 'tournament_round_completed'
           GROUP BY COALESCE(payload->>'tournament_name', payload->>'tournament_id', 'unknown')
           ORDER BY rounds_played DESC
@@ -4337,7 +4441,7 @@ module.exports = (db, cacheManager) => {
         const allDatesQuery = `
           SELECT DISTINCT DATE(received_at) as date
           FROM events
-          WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
+          WHERE ${trendFilter}
             AND event_type = 'tournament_round_completed'
           ORDER BY date ASC
         `;
@@ -4346,16 +4450,16 @@ module.exports = (db, cacheManager) => {
         const tournamentTypesQuery = `
           SELECT DISTINCT COALESCE(payload->>'tournament_name', payload->>'tournament_id', 'unknown') as tournament_type
           FROM events
-          WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
+          WHERE ${trendFilter}
             AND event_type = 'tournament_round_completed'
         `;
 
         const [todayResult, trendResult, distributionTodayResult, allDatesResult, tournamentTypesResult] = await Promise.all([
-          db.query(todayQuery),
-          db.query(trendQuery),
-          db.query(distributionTodayQuery),
-          db.query(allDatesQuery),
-          db.query(tournamentTypesQuery)
+          db.query(todayQuery, todayParams),
+          db.query(trendQuery, trendParams),
+          db.query(distributionTodayQuery, todayParams),
+          db.query(allDatesQuery, trendParams),
+          db.query(tournamentTypesQuery, trendParams)
         ]);
 
         // Get distribution data for each date and tournament type
@@ -4368,12 +4472,12 @@ module.exports = (db, cacheManager) => {
             COALESCE(payload->>'tournament_name', payload->>'tournament_id', 'unknown') as tournament_type,
             COUNT(*) as rounds_played
           FROM events
-          WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
+          WHERE ${trendFilter}
             AND event_type = 'tournament_round_completed'
           GROUP BY DATE(received_at), COALESCE(payload->>'tournament_name', payload->>'tournament_id', 'unknown')
         `;
 
-        const distributionTrendResult = await db.query(distributionTrendQuery);
+        const distributionTrendResult = await db.query(distributionTrendQuery, trendParams);
 
         // Group distribution trend by tournament type
         const distributionByType = {};
@@ -4410,6 +4514,7 @@ module.exports = (db, cacheManager) => {
             rounds_played: parseInt(r.rounds_played || 0)
           })),
           distribution_trend: distributionByType,
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -4428,15 +4533,24 @@ module.exports = (db, cacheManager) => {
   router.get('/continue-usage', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 7), 30);
+      const filters = req.dashboardFilters;
+      // "Today" is the last day of an explicit range
+      const day = filters.lastDay();
       
-      const data = await getCachedQuery(req, `continue-usage-${days}`, async () => {
+      const data = await getCachedQuery(req, `continue-usage-${days}${filters.cacheKey()}`, async () => {
+        // Today's and trend queries each share their conditions and params
+        const todayParams = [];
+        const todayFilter = day.where('events', { params: todayParams, days: 0 });
+        const trendParams = [];
+        const trendFilter = filters.where('events', { params: trendParams, days });
+
         // Today's metrics
         const todayQuery = `
           SELECT 
             COUNT(CASE WHEN event_type = 'continue_used' AND payload->>'continue_type' = 'ad_watch' THEN 1 END) as continues_via_ads_today,
             COUNT(CASE WHEN event_type = 'continue_used' AND payload->>'continue_type' = 'gem_purchase' THEN 1 END) as continues_via_gems_today
           FROM events
-          WHERE DATE(received_at) = CURRENT_DATE
+          WHERE ${todayFilter}
             AND event_type = 'continue_used'
         `;
 
@@ -4447,15 +4561,15 @@ module.exports = (db, cacheManager) => {
             COUNT(CASE WHEN payload->>'continue_type' = 'ad_watch' THEN 1 END) as continues_via_ads,
             COUNT(CASE WHEN payload->>'continue_type' = 'gem_purchase' THEN 1 END) as continues_via_gems
           FROM events
-          WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
+          WHERE ${trendFilter}
             AND event_type = 'continue_used'
           GROUP BY DATE(received_at)
           ORDER BY date ASC
         `;
 
         const [todayResult, trendResult] = await Promise.all([
-          db.query(todayQuery),
-          db.query(trendQuery)
+          db.query(todayQuery, todayParams),
+          db.query(trendQuery, trendParams)
         ]);
 
         return {
@@ -4468,6 +4582,7 @@ module.exports = (db, cacheManager) => {
             continues_via_ads: parseInt(r.continues_via_ads || 0),
             continues_via_gems: parseInt(r.continues_via_gems || 0),
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -4486,8 +4601,17 @@ module.exports = (db, cacheManager) => {
   router.get('/ads-shown', async (req, res) => {
     try {
       const days = Math.min(parseInt(req.query.days || 7), 30);
+      const filters = req.dashboardFilters;
+      // "Today" is the last day of an explicit range
+      const day = filters.lastDay();
       
-      const data = await getCachedQuery(req, `ads-shown-${days}`, async () => {
+      const data = await getCachedQuery(req, `ads-shown-${days}${filters.cacheKey()}`, async () => {
+        // Today's and trend queries each share their conditions and params
+        const todayParams = [];
+        const todayFilter = day.where('events', { params: todayParams, days: 0 });
+        const trendParams = [];
+        const trendFilter = filters.where('events', { params: trendParams, days });
+
         // Today's metrics
         const todayQuery = `
           SELECT 
@@ -4499,7 +4623,7 @@ module.exports = (db, cacheManager) => {
               payload->>'trigger_reason' = 'tournament_game_over'
             ) THEN 1 END) as ads_from_tournaments_today
           FROM events
-          WHERE DATE(received_at) = CURRENT_DATE
+          WHERE ${todayFilter}
             AND event_type = 'interstitial_shown'
         `;
 
@@ -4515,15 +4639,15 @@ module.exports = (db, cacheManager) => {
               payload->>'trigger_reason' = 'tournament_game_over'
             ) THEN 1 END) as ads_from_tournaments
           FROM events
-          WHERE received_at >= CURRENT_DATE - INTERVAL '${days} days'
+          WHERE ${trendFilter}
             AND event_type = 'interstitial_shown'
           GROUP BY DATE(received_at)
           ORDER BY date ASC
         `;
 
         const [todayResult, trendResult] = await Promise.all([
-          db.query(todayQuery),
-          db.query(trendQuery)
+          db.query(todayQuery, todayParams),
+          db.query(trendQuery, trendParams)
         ]);
 
         return {
@@ -4538,6 +4662,7 @@ module.exports = (db, cacheManager) => {
             ads_after_losses: parseInt(r.ads_after_losses || 0),
             ads_from_tournaments: parseInt(r.ads_from_tournaments || 0),
           })),
+          ...filters.meta(),
           last_updated: new Date().toISOString()
         };
       });
@@ -3,19 +3,95 @@
  * Handles event ingestion from Flutter app
  * 
  * POST /api/events - Accept events (batch or single)
+ * POST /api/events/backfill - Import an offline batch at its original event times (admin)
  * GET /api/events/stats - Get event ingestion stats
+ * GET /api/events/schemas - JSON Schema export of all event schemas (with content hash)
+ * GET /api/events/dead-letters - List events rejected by schema validation
+ * GET /api/events/dead-letters/groups - Dead letters grouped by error
+ * POST /api/events/dead-letters/resubmit - Re-submit dead letters after a schema fix
+ * GET /api/events/quarantine - Batches held back by signature verification (admin)
+ * POST /api/events/quarantine/:id/release - Queue a quarantined batch (admin)
+ * POST /api/events/quarantine/:id/discard - Discard a quarantined batch (admin)
+ * GET /api/events/anomalies - Abuse-detection flags for review (admin)
+ * GET /api/events/anomalies/users - Flagged users (admin)
+ * PATCH /api/events/anomalies/:id - Confirm or dismiss a flag (admin)
+ * POST /api/events/replay - Replay historical events into derived tables (admin)
+ * GET /api/events/replay - List replay runs (admin)
+ * GET /api/events/replay/:id - Replay run status (admin)
+ * POST /api/events/replay/:id/resume - Resume a replay run from its checkpoint (admin)
+ * GET /api/events/query/fields - Fields available to ad-hoc queries per event type (admin)
+ * POST /api/events/query - Ad-hoc aggregate query over events (admin)
+ * POST /api/events/exports - Export events to gzip NDJSON/CSV files (admin)
+ * GET /api/events/exports - List export jobs (admin)
+ * GET /api/events/exports/:id - Export job progress (admin)
+ * GET /api/events/exports/:id/download - Download an export file (admin)
+ * GET /api/events/retention/policies - Per-event-type retention policies (admin)
+ * PUT /api/events/retention/policies/:eventType - Create/update a policy (admin)
+ * DELETE /api/events/retention/policies/:eventType - Remove a policy (admin)
+ * POST /api/events/retention/runs - Apply retention now / dry run report (admin)
+ * GET /api/events/retention/runs - Retention/archival run reports (admin)
+ * GET /api/events/retention/runs/:id - Run report (admin)
+ * 
+ * (admin) routes need an admin identity with the route's permission
+ * (see middleware/admin-auth.js); /retry-failed, /recent and /dead-letters too.
  * 
  * Features:
- * - Server-side country detection via IP geolocation
+ * - Server-side enrichment in EventProcessor (geo country, install cohort,
+ *   campaign attribution, session sequence - see services/event-enricher.js)
  * - Redis caching of user countries (7-day TTL)
  * - PostgreSQL persistence for analytics
+ * - Durable Redis queue (services/event-queue.js) with in-request fallback
  */
 
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
 const router = express.Router();
 const logger = require('../utils/logger');
 const EventProcessor = require('../services/event-processor');
-const GeolocationService = require('../services/geolocation-service');
+const EventDeadLetterStore = require('../services/event-dead-letter-store');
+const { getSchemaRegistry } = require('../services/event-schema-registry');
+const EventReplayer = require('../services/event-replayer');
+const EventExporter = require('../services/event-exporter');
+const EventQueryBuilder = require('../services/event-query-builder');
+const EventRateLimiter = require('../services/event-rate-limiter');
+const EventAnomalyStore = require('../services/event-anomaly-store');
+const EventBatchVerifier = require('../services/event-batch-verifier');
+const EventQuarantineStore = require('../services/event-quarantine-store');
+const EventRetentionManager = require('../services/event-retention-manager');
+const { adminRoute } = require('../middleware/admin-auth');
+const { rateLimitMiddleware } = require('../middleware/rate-limit');
+const { truncateIP } = require('../utils/privacy');
+
+/**
+ * Queue a batch for processing (falls back to in-request processing without Redis)
+ * @param {Object} app - Express app (locals: eventQueue, db, redisClient)
+ * @param {Array<Object>} events
+ * @param {Object} context - { ip, received_at }
+ */
+async function ingestBatch(app, events, context) {
+  const eventQueue = app.locals.eventQueue;
+
+  if (eventQueue) {
+    try {
+      await eventQueue.addBatch(events, context);
+      return;
+    } catch (queueError) {
+      // Redis unavailable - process in-request rather than drop the batch
+      logger.warn('📬 Event queue unavailable, processing batch directly', {
+        error: queueError.message,
+        count: events.length
+      });
+    }
+  }
+
+  const processor = new EventProcessor(app.locals.db, {
+    redisClient: app.locals.redisClient,
+    wsManager: app.locals.wsManager,
+    webhookDispatcher: app.locals.webhookDispatcher
+  });
+  await processor.processBatch(events, context);
+}
 
 /**
  * POST /api/events
@@ -25,6 +101,12 @@ const GeolocationService = require('../services/geolocation-service');
  * - Single event object: { event_type: '...', user_id: '...', ... }
  * - Batch array: [{ event_type: '...', ... }, { event_type: '...', ... }]
  * 
+ * - Batch object: { events: [...], sent_at: '<ISO time the client sent the batch>' }
+ *   (arrays may send it as X-Batch-Sent-At) - corrects device clock skew (see services/enrichers/occurred-at.js)
+ * 
+ * Body may be gzip/deflate/brotli compressed (Content-Encoding - see middleware/event-body-parser.js)
+ * Optional X-Event-Signature: sha256=<HMAC of the uncompressed body> (see services/event-batch-verifier.js)
+ * 
  * Response: Always 200 OK (fire-and-forget pattern)
  * Events are processed asynchronously
  */
@@ -65,51 +147,64 @@ router.post('/', async (req, res) => {
     return; // Nothing to process
   }
 
-  // 🌍 Server-side country detection (non-blocking, runs after response)
-  const userId = events[0]?.user_id;
-  let detectedCountry = null;
-  
-  if (userId) {
+  // 🧩 Request data the enrichment stage needs later (geo country from the client IP,
+  // occurred_at from the device clock offset) - travels with the batch through the queue
+  const context = {
+    ip: req.ip,
+    received_at: new Date().toISOString()
+  };
+
+  const sentAt = (req.body && !Array.isArray(req.body) && req.body.sent_at) || req.headers['x-batch-sent-at'];
+  if (sentAt && !isNaN(new Date(sentAt).getTime())) {
+    context.sent_at = new Date(sentAt).toISOString();
+  }
+
+  // 🔒 Batch signature - unsigned/badly signed batches are quarantined, not queued.
+  // Checked before rate limiting so forged batches can't spend a victim user_id's
+  // budget or raise anomaly flags on it
+  const verification = new EventBatchVerifier().verify(req, events);
+  if (verification.quarantine) {
     try {
-      const geoService = new GeolocationService(
-        req.app.locals.redisClient, 
-        req.app.locals.db
-      );
-      // ✅ Add timeout to prevent hanging on slow Redis
-      const geoPromise = geoService.getCountryForUser(userId, req);
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Geo lookup timeout')), 2000)
-      );
-      detectedCountry = await Promise.race([geoPromise, timeoutPromise]);
-    } catch (geoError) {
-      // Geo lookup failed or timed out - continue without country
-      logger.debug(`🌍 GeoIP lookup failed: ${geoError.message}`);
-    }
-  }
-
-  // Inject country into all events
-  if (detectedCountry) {
-    events = events.map(event => ({
-      ...event,
-      country: detectedCountry,
-    }));
+      const quarantineId = await new EventQuarantineStore(req.app.locals.db).store(events, verification, {
+        ip: truncateIP(context.ip),
+        signature: req.headers[EventBatchVerifier.SIGNATURE_HEADER]
+      });
+      logger.warn('🔒 Event batch quarantined', {
+        id: quarantineId,
+        verdict: verification.verdict,
+        app_version: verification.app_version,
+        count: events.length
+      });
+    } catch (error) {
+      logger.error('🔒 Failed to quarantine event batch', { error: error.message, count: events.length });
+    }
+    return;
   }
 
+  // 🚦 Per-user_id / per-IP limits (Redis, shared across instances) + anomaly flags
+  // Over-limit events are dropped here - the client already got its 200
+  const rateLimiter = new EventRateLimiter({
+    redisClient: req.app.locals.redisClient,
+    db: req.app.locals.db
+  });
+  const { allowed } = await rateLimiter.filterBatch(events, context);
+  if (allowed.length === 0) {
+    return;
+  }
+  events = allowed;
+
+  // 🔏 Rate limits needed the full IP - from here on the batch only carries a
+  // truncated one (enough for the geo_country enricher, see utils/privacy.js)
+  context.ip = truncateIP(context.ip);
+
   // ✅ Reduced logging to avoid Railway rate limits
   if (events.length > 10 || Math.random() < 0.01) {
-    logger.debug('📥 Events processing', { count: events.length, country: detectedCountry || 'unknown' });
+    logger.debug('📥 Events processing', { count: events.length });
   }
 
   // 🔥 Process events (queue or direct)
   try {
-    const eventQueue = req.app.locals.eventQueue;
-    
-    if (eventQueue) {
-      await eventQueue.addBatch(events);
-    } else {
-      const processor = new EventProcessor(req.app.locals.db);
-      await processor.processBatch(events);
-    }
+    await ingestBatch(req.app, events, context);
   } catch (error) {
     logger.error('💥 Error processing events batch', { 
       error: error.message,
@@ -118,6 +213,86 @@ router.post('/', async (req, res) => {
   }
 });
 
+const BACKFILL_MAX_BATCH_SIZE = 1000;
+
+/**
+ * POST /api/events/backfill
+ * Import an offline batch (admin) - e.g. events a device or game server kept
+ * while offline for days
+ * Body: { events: [...], sent_at?: '<ISO time the batch was sent>' }
+ * 
+ * Unlike POST /api/events, events are stored at their occurred_at (so they land
+ * in their past weekly partition) and processed in-request. Dates that received
+ * events are marked in aggregate_dirty_dates and recomputed by the next
+ * incremental aggregate refresh (services/incremental-aggregate-refresher.js).
+ * Events older than EVENT_MAX_DELAY_DAYS are flagged stale and stored as received now.
+ */
+router.post('/backfill', adminRoute('events:manage'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const events = Array.isArray(body) ? body : body.events;
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'events must be a non-empty array'
+      });
+    }
+    if (events.length > BACKFILL_MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${BACKFILL_MAX_BATCH_SIZE} events per backfill batch`
+      });
+    }
+
+    // No ip: the admin's address says nothing about the players' countries
+    const context = {
+      received_at: new Date().toISOString(),
+      backfill: true
+    };
+
+    const sentAt = (!Array.isArray(body) && body.sent_at) || req.headers['x-batch-sent-at'];
+    if (sentAt && !isNaN(new Date(sentAt).getTime())) {
+      context.sent_at = new Date(sentAt).toISOString();
+    }
+
+    const processor = new EventProcessor(req.app.locals.db, {
+      redisClient: req.app.locals.redisClient,
+      wsManager: req.app.locals.wsManager,
+      webhookDispatcher: req.app.locals.webhookDispatcher
+    });
+    const result = await processor.processBatch(events, context);
+
+    logger.info('🧮 Offline batch backfilled', {
+      requested_by: req.user.playerId,
+      count: events.length,
+      processed: result.processed,
+      failed: result.failed,
+      late_dates: result.late_dates
+    });
+
+    res.json({
+      success: true,
+      processed: result.processed,
+      duplicates: result.duplicates,
+      failed: result.failed,
+      late_dates: result.late_dates || [],
+      rejected: result.results
+        .filter(item => !item.success)
+        .slice(0, 50)
+        .map(({ index, event_type, error, details }) => ({ index, event_type, error, details })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error backfilling events', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/events/stats
  * Get event ingestion statistics
@@ -173,6 +348,35 @@ router.get('/stats', async (req, res) => {
       ORDER BY hour DESC
     `);
 
+    // Get deduplication stats (retried batches dropped via client event_id)
+    let deduplication = null;
+    try {
+      const dedup = await db.query(`
+        SELECT 
+          COALESCE(SUM(duplicate_count), 0) as duplicates_dropped,
+          COUNT(*) as duplicated_event_ids
+        FROM event_ids
+        WHERE last_duplicate_at > NOW() - INTERVAL '${interval}'
+      `);
+      deduplication = {
+        duplicates_dropped: parseInt(dedup.rows[0].duplicates_dropped),
+        duplicated_event_ids: parseInt(dedup.rows[0].duplicated_event_ids)
+      };
+    } catch (dedupError) {
+      // event_ids table missing (migration 042 pending) - report without dedup stats
+      logger.debug('♻️ Dedup stats unavailable', { error: dedupError.message });
+    }
+
+    // Get dead-letter stats (events rejected by schema validation)
+    const deadLetterStore = new EventDeadLetterStore(db);
+    const deadLetters = await deadLetterStore.getStats(interval);
+
+    // Get abuse-detection stats (flags raised by the ingestion rate limiter)
+    const anomalies = await new EventAnomalyStore(db).getStats(interval);
+
+    // Get quarantine stats (batches that failed signature verification)
+    const quarantine = await new EventQuarantineStore(db).getStats(interval);
+
     // Get queue stats (if available)
     let queueStats = null;
     const eventQueue = req.app.locals.eventQueue;
@@ -186,6 +390,10 @@ router.get('/stats', async (req, res) => {
       summary: stats.rows[0],
       event_types: eventTypes.rows,
       hourly_distribution: hourly.rows,
+      deduplication,
+      dead_letters: deadLetters,
+      anomalies,
+      quarantine,
       queue: queueStats,
       timestamp: new Date().toISOString()
     });
@@ -273,7 +481,7 @@ router.get('/health', async (req, res) => {
  * Manually trigger retry of failed events
  * Admin/debugging endpoint
  */
-router.post('/retry-failed', async (req, res) => {
+router.post('/retry-failed', adminRoute('events:manage'), async (req, res) => {
   try {
     const { limit = 100 } = req.body;
     const processor = new EventProcessor(req.app.locals.db);
@@ -302,7 +510,7 @@ router.post('/retry-failed', async (req, res) => {
  * Get recent events for debugging
  * Limited to last 100 events
  */
-router.get('/recent', async (req, res) => {
+router.get('/recent', adminRoute('events:read'), async (req, res) => {
   try {
     const { limit = 100, event_type, user_id } = req.query;
     const db = req.app.locals.db;
@@ -356,5 +564,972 @@ router.get('/recent', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/events/schemas
+ * JSON Schema documents for every event type (schemaMap + conversion_* family)
+ * The content hash doubles as ETag, so client builds can poll cheaply with If-None-Match
+ * Query: event_type (optional) - return a single schema
+ */
+router.get('/schemas', (req, res) => {
+  try {
+    const registry = getSchemaRegistry();
+
+    res.set('ETag', `"${registry.hash}"`);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const { event_type } = req.query;
+    if (event_type) {
+      const schema = registry.schemas[event_type] ||
+        (event_type.startsWith('conversion_') ? registry.dynamic['conversion_*'] : null);
+
+      if (!schema) {
+        return res.status(404).json({
+          success: false,
+          error: `Unknown event type: ${event_type}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        hash: registry.hash,
+        schema
+      });
+    }
+
+    res.json({
+      success: true,
+      ...registry
+    });
+
+  } catch (error) {
+    logger.error('❌ Error exporting event schemas', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/dead-letters
+ * List events rejected by schema validation (newest first)
+ * Query: status (pending|resubmitted), event_type, app_version, limit, offset
+ */
+router.get('/dead-letters', adminRoute('events:read'), async (req, res) => {
+  try {
+    const { status = 'pending', event_type, app_version, limit = 100, offset = 0 } = req.query;
+
+    if (!['pending', 'resubmitted'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'status must be pending or resubmitted'
+      });
+    }
+
+    const deadLetterStore = new EventDeadLetterStore(req.app.locals.db);
+    const deadLetters = await deadLetterStore.list({
+      status,
+      eventType: event_type,
+      appVersion: app_version,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      dead_letters: deadLetters,
+      count: deadLetters.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error listing dead letters', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/dead-letters/groups
+ * Pending dead letters grouped by event type + Joi error type + field path
+ * Query: days (default 7, max 90)
+ */
+router.get('/dead-letters/groups', adminRoute('events:read'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+
+    const deadLetterStore = new EventDeadLetterStore(req.app.locals.db);
+    const groups = await deadLetterStore.groupByError(days);
+
+    res.json({
+      success: true,
+      days,
+      groups,
+      count: groups.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error grouping dead letters', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/events/dead-letters/resubmit
+ * Re-submit pending dead letters through EventProcessor (after a schema fix lands)
+ * Body: { ids?: number[], event_type?: string, error_type?: string, limit?: number }
+ */
+router.post('/dead-letters/resubmit', adminRoute('events:manage'), async (req, res) => {
+  try {
+    const { ids, event_type, error_type, limit = 100 } = req.body || {};
+
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ids must be an array'
+      });
+    }
+
+    const processor = new EventProcessor(req.app.locals.db, {
+      redisClient: req.app.locals.redisClient
+    });
+
+    logger.info('💀 Dead-letter re-submission triggered', { ids: ids?.length, event_type, error_type, limit });
+
+    const result = await processor.resubmitDeadLetters({
+      ids,
+      eventType: event_type,
+      errorType: error_type,
+      limit
+    });
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error re-submitting dead letters', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Run a replay in the background (runs can take minutes - poll GET /replay/:id)
+ */
+function runReplayInBackground(replayer, runId) {
+  replayer.runReplay(runId).catch(error => {
+    logger.error('🔁 ❌ Background replay failed', { run_id: runId, error: error.message });
+  });
+}
+
+/**
+ * POST /api/events/replay
+ * Replay historical events into derived tables (admin)
+ * Body: { from, to, handlers?: string[], dry_run?: boolean, batch_size?: number }
+ * Handlers: user_acquisitions, performance_metrics, crash_logs, leaderboard_global
+ */
+router.post('/replay', adminRoute('events:manage'), async (req, res) => {
+  try {
+    const { from, to, handlers, dry_run = false, batch_size = 500 } = req.body || {};
+
+    if (handlers !== undefined && !Array.isArray(handlers)) {
+      return res.status(400).json({
+        success: false,
+        error: 'handlers must be an array'
+      });
+    }
+
+    const replayer = new EventReplayer(req.app.locals.db, req.app.locals.cacheManager);
+    const run = await replayer.createRun({
+      from,
+      to,
+      handlers: handlers || EventReplayer.handlerNames,
+      dryRun: dry_run === true || dry_run === 'true',
+      batchSize: batch_size,
+      requestedBy: req.user.playerId
+    });
+
+    runReplayInBackground(replayer, run.id);
+
+    res.status(202).json({
+      success: true,
+      run,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error('❌ Error starting event replay', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/replay
+ * List recent replay runs (admin)
+ */
+router.get('/replay', adminRoute('events:read'), async (req, res) => {
+  try {
+    const replayer = new EventReplayer(req.app.locals.db);
+    const runs = await replayer.listRuns(req.query.limit);
+
+    res.json({
+      success: true,
+      runs,
+      count: runs.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error listing replay runs', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/replay/:id
+ * Replay run status and rows changed so far (admin)
+ */
+router.get('/replay/:id', adminRoute('events:read'), async (req, res) => {
+  try {
+    const replayer = new EventReplayer(req.app.locals.db);
+    const run = await replayer.getRun(parseInt(req.params.id));
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Replay run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      run,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error getting replay run', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/events/replay/:id/resume
+ * Resume a failed or interrupted replay run from its checkpoint (admin)
+ */
+router.post('/replay/:id/resume', adminRoute('events:manage'), async (req, res) => {
+  try {
+    const replayer = new EventReplayer(req.app.locals.db, req.app.locals.cacheManager);
+    const run = await replayer.getRun(parseInt(req.params.id));
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Replay run not found'
+      });
+    }
+
+    if (run.status === 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Replay run already completed'
+      });
+    }
+
+    const claimed = await replayer.claimRun(run.id);
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Replay run is already running'
+      });
+    }
+
+    runReplayInBackground(replayer, claimed.id);
+
+    res.status(202).json({
+      success: true,
+      run: claimed,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error resuming replay run', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/query/fields?event_type=
+ * Fields an ad-hoc query may aggregate, group by and filter on (admin)
+ * Without event_type: event types, aggregation functions, operators and limits
+ */
+router.get('/query/fields', adminRoute('events:read'), (req, res) => {
+  try {
+    const { event_type } = req.query;
+
+    if (!event_type) {
+      const registry = getSchemaRegistry();
+      return res.json({
+        success: true,
+        event_types: [...Object.keys(registry.schemas), ...Object.keys(registry.dynamic)],
+        ...EventQueryBuilder.capabilities,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      ...EventQueryBuilder.getFields(event_type),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        field: error.field
+      });
+    }
+    logger.error('❌ Error listing query fields', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/events/query
+ * Ad-hoc aggregate query over events (admin, 30 per minute per IP)
+ * Body: { event_type, from, to, aggregations?, group_by?, time_bucket?, time_basis?, filters?, limit? }
+ * (see services/event-query-builder.js)
+ */
+router.post('/query', adminRoute('events:read'), rateLimitMiddleware('event-query', 60, 30), async (req, res) => {
+  try {
+    const builder = new EventQueryBuilder(req.app.locals.db);
+    const result = await builder.run(req.body, { requestedBy: req.user.playerId });
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.status === 400 || error.status === 504) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        field: error.field
+      });
+    }
+    logger.error('❌ Error running event query', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Run an export in the background (poll GET /exports/:id for progress)
+ */
+function runExportInBackground(exporter, jobId) {
+  exporter.runJob(jobId).catch(error => {
+    logger.error('📦 ❌ Background export failed', { job_id: jobId, error: error.message });
+  });
+}
+
+/**
+ * POST /api/events/exports
+ * Export raw events to gzip NDJSON / CSV files (admin)
+ * Body: { from, to, event_types?: string[], formats?: ['ndjson', 'csv'] }
+ */
+router.post('/exports', adminRoute('events:export'), async (req, res) => {
+  try {
+    const { from, to, event_types, formats } = req.body || {};
+
+    if ((event_types !== undefined && !Array.isArray(event_types)) ||
+        (formats !== undefined && !Array.isArray(formats))) {
+      return res.status(400).json({
+        success: false,
+        error: 'event_types and formats must be arrays'
+      });
+    }
+
+    const exporter = new EventExporter(req.app.locals.db);
+    const job = await exporter.createJob({
+      from,
+      to,
+      eventTypes: event_types || null,
+      formats: formats || EventExporter.formats,
+      requestedBy: req.user.playerId
+    });
+
+    runExportInBackground(exporter, job.id);
+
+    res.status(202).json({
+      success: true,
+      job,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error('❌ Error starting event export', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/exports
+ * List recent export jobs (admin)
+ */
+router.get('/exports', adminRoute('events:export'), async (req, res) => {
+  try {
+    const exporter = new EventExporter(req.app.locals.db);
+    const jobs = await exporter.listJobs(req.query.limit);
+
+    res.json({
+      success: true,
+      jobs,
+      count: jobs.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error listing export jobs', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/exports/:id
+ * Export job progress (admin)
+ */
+router.get('/exports/:id', adminRoute('events:export'), async (req, res) => {
+  try {
+    const exporter = new EventExporter(req.app.locals.db);
+    const job = await exporter.getJob(parseInt(req.params.id));
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Export job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error getting export job', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/exports/:id/download?format=ndjson|csv
+ * Download a completed export file (gzip)
+ */
+router.get('/exports/:id/download', adminRoute('events:export'), async (req, res) => {
+  try {
+    const exporter = new EventExporter(req.app.locals.db);
+    const job = await exporter.getJob(parseInt(req.params.id));
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Export job not found'
+      });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: `Export job is ${job.status}`,
+        progress_percent: job.progress_percent
+      });
+    }
+
+    const format = req.query.format || job.formats[0];
+    const file = job.files[format];
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: `No ${format} file for this export (formats: ${job.formats.join(', ')})`
+      });
+    }
+
+    // Export dir is local disk - files are gone after a redeploy
+    if (!fs.existsSync(file.path)) {
+      return res.status(410).json({
+        success: false,
+        error: 'Export file no longer available - start a new export'
+      });
+    }
+
+    res.download(file.path, path.basename(file.path));
+
+  } catch (error) {
+    logger.error('❌ Error downloading export', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/quarantine
+ * Batches held back by signature verification (admin)
+ * Query: status (quarantined|released|discarded), reason, app_version, limit, offset
+ */
+router.get('/quarantine', adminRoute('events:read'), async (req, res) => {
+  try {
+    const { status = 'quarantined', reason, app_version, limit = 100, offset = 0 } = req.query;
+
+    const quarantineStore = new EventQuarantineStore(req.app.locals.db);
+    const batches = await quarantineStore.list({
+      status,
+      reason,
+      appVersion: app_version,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      batches,
+      count: batches.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error listing quarantined batches', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/events/quarantine/:id/release
+ * Queue a quarantined batch for normal processing (admin)
+ */
+router.post('/quarantine/:id/release', adminRoute('events:manage'), async (req, res) => {
+  try {
+    const quarantineStore = new EventQuarantineStore(req.app.locals.db);
+    const batch = await quarantineStore.resolve(parseInt(req.params.id), 'released', req.user.playerId);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quarantined batch not found (or already released/discarded)'
+      });
+    }
+
+    await ingestBatch(req.app, batch.events, {
+      ip: batch.ip,
+      received_at: new Date(batch.received_at).toISOString()
+    });
+
+    logger.info('🔒 Quarantined batch released', { id: batch.id, count: batch.event_count, by: req.user.playerId });
+
+    res.json({
+      success: true,
+      id: batch.id,
+      released: batch.event_count,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error releasing quarantined batch', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/events/quarantine/:id/discard
+ * Discard a quarantined batch (admin)
+ */
+router.post('/quarantine/:id/discard', adminRoute('events:manage'), async (req, res) => {
+  try {
+    const quarantineStore = new EventQuarantineStore(req.app.locals.db);
+    const batch = await quarantineStore.resolve(parseInt(req.params.id), 'discarded', req.user.playerId);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quarantined batch not found (or already released/discarded)'
+      });
+    }
+
+    res.json({
+      success: true,
+      id: batch.id,
+      discarded: batch.event_count,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error discarding quarantined batch', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/anomalies
+ * Abuse-detection flags (impossible rates, rate-limit violations) for review (admin)
+ * Query: status (open|confirmed|dismissed), user_id, rule, limit, offset
+ */
+router.get('/anomalies', adminRoute('events:read'), async (req, res) => {
+  try {
+    const { status = 'open', user_id, rule, limit = 100, offset = 0 } = req.query;
+
+    if (!EventAnomalyStore.REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${EventAnomalyStore.REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    const anomalyStore = new EventAnomalyStore(req.app.locals.db);
+    const flags = await anomalyStore.list({ status, userId: user_id, rule, limit, offset });
+
+    res.json({
+      success: true,
+      flags,
+      count: flags.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error listing anomaly flags', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/anomalies/users
+ * Flagged users with flag counts, rules and IPs (admin)
+ * Query: days (default 7, max 90), status (default open), limit
+ */
+router.get('/anomalies/users', adminRoute('events:read'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const { status = 'open', limit = 100 } = req.query;
+
+    const anomalyStore = new EventAnomalyStore(req.app.locals.db);
+    const users = await anomalyStore.getFlaggedUsers({ days, status, limit });
+
+    res.json({
+      success: true,
+      days,
+      users,
+      count: users.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error listing flagged users', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/events/anomalies/:id
+ * Review a flag (admin)
+ * Body: { status: 'confirmed' | 'dismissed' | 'open', note?: string }
+ */
+router.patch('/anomalies/:id', adminRoute('events:manage'), async (req, res) => {
+  try {
+    const { status, note } = req.body || {};
+
+    if (!EventAnomalyStore.REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${EventAnomalyStore.REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    const anomalyStore = new EventAnomalyStore(req.app.locals.db);
+    const flag = await anomalyStore.review(parseInt(req.params.id), {
+      status,
+      reviewedBy: req.user.playerId,
+      note
+    });
+
+    if (!flag) {
+      return res.status(404).json({
+        success: false,
+        error: 'Anomaly flag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      flag,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error reviewing anomaly flag', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/retention/policies
+ * Per-event-type retention policies ('*' = default / partition window) (admin)
+ */
+router.get('/retention/policies', adminRoute('events:read'), async (req, res) => {
+  try {
+    const policies = await new EventRetentionManager(req.app.locals.db).getPolicies();
+
+    res.json({
+      success: true,
+      policies,
+      count: policies.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error listing retention policies', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/events/retention/policies/:eventType
+ * Create or update a policy (admin)
+ * Body: { retention_days, archive?: boolean, archive_retention_days?: number|null, description? }
+ */
+router.put('/retention/policies/:eventType', adminRoute('data:manage'), async (req, res) => {
+  try {
+    const policy = await new EventRetentionManager(req.app.locals.db).setPolicy(
+      req.params.eventType,
+      req.body || {},
+      req.user.playerId
+    );
+
+    res.json({
+      success: true,
+      policy,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error('❌ Error saving retention policy', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/events/retention/policies/:eventType
+ * Remove a policy - the event type falls back to the default (admin)
+ */
+router.delete('/retention/policies/:eventType', adminRoute('data:manage'), async (req, res) => {
+  try {
+    const deleted = await new EventRetentionManager(req.app.locals.db).deletePolicy(req.params.eventType);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Retention policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error('❌ Error deleting retention policy', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/events/retention/runs
+ * Apply retention policies now (admin)
+ * Body: { dry_run?: boolean } - dry runs return the report, real runs continue
+ * in the background (poll GET /retention/runs)
+ */
+router.post('/retention/runs', adminRoute('data:manage'), async (req, res) => {
+  try {
+    const { dry_run = true } = req.body || {};
+    const dryRun = dry_run === true || dry_run === 'true';
+    const retentionManager = new EventRetentionManager(req.app.locals.db);
+
+    if (dryRun) {
+      const report = await retentionManager.run({ dryRun, trigger: 'manual', requestedBy: req.user.playerId });
+      return res.json({
+        success: true,
+        report,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    retentionManager.run({ trigger: 'manual', requestedBy: req.user.playerId }).catch(error => {
+      logger.error('🗄️ ❌ Background retention run failed', { error: error.message });
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Retention run started',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error running retention policies', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/retention/runs
+ * Recent retention/archival runs (admin)
+ */
+router.get('/retention/runs', adminRoute('events:read'), async (req, res) => {
+  try {
+    const runs = await new EventRetentionManager(req.app.locals.db).listRuns(req.query.limit);
+
+    res.json({
+      success: true,
+      runs,
+      count: runs.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error listing retention runs', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/retention/runs/:id
+ * Run report: deleted/archived per event type, retired partitions, archive purge (admin)
+ */
+router.get('/retention/runs/:id', adminRoute('events:read'), async (req, res) => {
+  try {
+    const run = await new EventRetentionManager(req.app.locals.db).getRun(parseInt(req.params.id));
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Retention run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      run,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error getting retention run', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,244 @@
+/**
+ * Funnels API Routes (admin)
+ * Saved, analyst-defined funnels evaluated from events (see services/funnel-analyzer.js)
+ *
+ * GET /api/funnels - List saved funnels
+ * POST /api/funnels - Save a funnel (analytics:manage)
+ * POST /api/funnels/evaluate - Evaluate an unsaved definition (preview)
+ * GET /api/funnels/:id - Saved funnel
+ * PATCH /api/funnels/:id - Update name, description, steps or window (analytics:manage)
+ * DELETE /api/funnels/:id - Delete a funnel (analytics:manage)
+ * GET /api/funnels/:id/evaluate - Per-step conversion, drop-off and median step times
+ *
+ * Evaluation query: start_date, end_date (or days, default 30 - entry date range),
+ * breakdown (platform | country | campaign_id) and the dashboard segment
+ * filters (platform, country, app_version, cohort_start, cohort_end, campaign_id)
+ * applied to the first step - see services/dashboard-filters.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const FunnelAnalyzer = require('../services/funnel-analyzer');
+const DashboardFilters = require('../services/dashboard-filters');
+const { adminRoute } = require('../middleware/admin-auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+router.use(adminRoute('dashboard:read'));
+
+function getAnalyzer(req) {
+  return new FunnelAnalyzer(req.app.locals.db);
+}
+
+function sendError(res, error, message) {
+  if (error.status === 400 || error.status === 504) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      field: error.field
+    });
+  }
+  logger.error(`❌ ${message}`, { error: error.message });
+  res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+/**
+ * Evaluation options from the query string
+ * @param {Object} query - req.query
+ * @param {Date} now
+ * @returns {Object} - { from, to, breakdown, segment }
+ */
+function evaluationOptions(query, now = new Date()) {
+  const segment = DashboardFilters.fromQuery(query, now);
+  let from;
+  let to;
+
+  if (segment.hasRange) {
+    from = new Date(`${segment.startDate}T00:00:00Z`);
+    to = new Date(new Date(`${segment.endDate}T00:00:00Z`).getTime() + DAY_MS);
+  } else {
+    const days = Math.min(parseInt(query.days) || 30, 90);
+    const today = new Date(`${now.toISOString().split('T')[0]}T00:00:00Z`);
+    from = new Date(today.getTime() - days * DAY_MS);
+    to = now;
+  }
+
+  return {
+    from,
+    to,
+    breakdown: query.breakdown || null,
+    segment
+  };
+}
+
+/**
+ * GET /api/funnels
+ */
+router.get('/', async (req, res) => {
+  try {
+    const funnels = await getAnalyzer(req).listFunnels();
+
+    res.json({
+      success: true,
+      funnels,
+      count: funnels.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error listing funnels');
+  }
+});
+
+/**
+ * POST /api/funnels
+ * Body: { name, description?, steps: [{ event_type, label?, filters? }], conversion_window_hours? }
+ */
+router.post('/', adminRoute('analytics:manage'), async (req, res) => {
+  try {
+    const funnel = await getAnalyzer(req).createFunnel(req.body || {}, req.user.playerId);
+
+    res.status(201).json({
+      success: true,
+      funnel,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error saving funnel');
+  }
+});
+
+/**
+ * POST /api/funnels/evaluate
+ * Body: { steps, conversion_window_hours? } - query as GET /:id/evaluate
+ */
+router.post('/evaluate', async (req, res) => {
+  try {
+    const options = evaluationOptions(req.query);
+    const result = await getAnalyzer(req).evaluate(req.body || {}, options);
+
+    res.json({
+      success: true,
+      ...result,
+      ...options.segment.meta(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error evaluating funnel');
+  }
+});
+
+/**
+ * GET /api/funnels/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const funnel = await getAnalyzer(req).getFunnel(parseInt(req.params.id, 10));
+
+    if (!funnel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Funnel not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      funnel,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error getting funnel');
+  }
+});
+
+/**
+ * PATCH /api/funnels/:id
+ * Body: any of { name, description, steps, conversion_window_hours }
+ */
+router.patch('/:id', adminRoute('analytics:manage'), async (req, res) => {
+  try {
+    const funnel = await getAnalyzer(req).updateFunnel(parseInt(req.params.id, 10), req.body || {});
+
+    if (!funnel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Funnel not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      funnel,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error updating funnel');
+  }
+});
+
+/**
+ * DELETE /api/funnels/:id
+ */
+router.delete('/:id', adminRoute('analytics:manage'), async (req, res) => {
+  try {
+    const deleted = await getAnalyzer(req).deleteFunnel(parseInt(req.params.id, 10));
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Funnel not found'
+      });
+    }
+
+    logger.info('🪜 Funnel deleted', { funnel_id: req.params.id, by: req.user.playerId });
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error deleting funnel');
+  }
+});
+
+/**
+ * GET /api/funnels/:id/evaluate?start_date=&end_date=&breakdown=platform
+ */
+router.get('/:id/evaluate', async (req, res) => {
+  try {
+    const analyzer = getAnalyzer(req);
+    const options = evaluationOptions(req.query);
+    const funnel = await analyzer.getFunnel(parseInt(req.params.id, 10));
+
+    if (!funnel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Funnel not found'
+      });
+    }
+
+    const result = await analyzer.evaluate(funnel, options);
+
+    res.json({
+      success: true,
+      ...result,
+      ...options.segment.meta(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error evaluating funnel');
+  }
+});
+
+module.exports = router;
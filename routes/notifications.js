@@ -5,14 +5,16 @@
  * - POST /api/notifications/register-token - Register FCM token
  * - POST /api/notifications/clicked - Track notification click
  * - POST /api/notifications/claimed - Mark reward as claimed
- * - POST /api/notifications/test-send - Send immediate test notification (for testing)
+ * - POST /api/notifications/test-send - Send immediate test notification (admin: liveops:manage)
+ * - GET /api/notifications/find-user, /diagnose - Look up a player's push status (admin: liveops:manage)
  * - GET /api/notifications/history - Get user notification history
- * - GET /api/notifications/stats - Get notification statistics (admin)
+ * - GET /api/notifications/stats - Get notification statistics (admin: dashboard:read)
  */
 
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const { adminRoute } = require('../middleware/admin-auth');
 
 module.exports = (db) => {
   const FCMTokenManager = require('../services/fcm-token-manager');
@@ -105,7 +107,7 @@ module.exports = (db) => {
    * GET /api/notifications/find-user?nickname=xxx
    * Returns user info including FCM token status
    */
-  router.get('/find-user', async (req, res) => {
+  router.get('/find-user', adminRoute('liveops:manage'), async (req, res) => {
     try {
       const { nickname } = req.query;
 
@@ -202,7 +204,7 @@ module.exports = (db) => {
    * GET /api/notifications/diagnose?userId=xxx
    * Returns detailed status about user's notification eligibility
    */
-  router.get('/diagnose', async (req, res) => {
+  router.get('/diagnose', adminRoute('liveops:manage'), async (req, res) => {
     try {
       const { userId } = req.query;
 
@@ -403,7 +405,7 @@ module.exports = (db) => {
    *   reward_amount?: number
    * }
    */
-  router.post('/test-send', async (req, res) => {
+  router.post('/test-send', adminRoute('liveops:manage'), async (req, res) => {
     try {
       const {
         userId,
@@ -548,7 +550,7 @@ module.exports = (db) => {
    * 
    * GET /api/notifications/stats
    */
-  router.get('/stats', async (req, res) => {
+  router.get('/stats', adminRoute('dashboard:read'), async (req, res) => {
     try {
       const [todayStats, tokenStats, countryStats, trend] = await Promise.all([
         notificationTracker.getTodayStats(),
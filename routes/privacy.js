@@ -0,0 +1,237 @@
+/**
+ * Privacy API Routes (admin)
+ * GDPR/CCPA data subject requests (see services/player-data-manager.js)
+ *
+ * GET /api/privacy/users/:userId/export - Everything held for a user_id (JSON archive download)
+ * POST /api/privacy/users/:userId/erasure - Erase a user_id across all tables (runs in background)
+ * GET /api/privacy/users/:userId/consent - Tracking consent state (services/consent-manager.js)
+ * GET /api/privacy/requests - Audit trail (?user_id= matches by hash, ?type=, ?status=)
+ * GET /api/privacy/requests/:id - Request with per-table report and verification
+ * POST /api/privacy/requests/:id/retry - Re-run a failed erasure
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const PlayerDataManager = require('../services/player-data-manager');
+const ConsentManager = require('../services/consent-manager');
+const { adminRoute } = require('../middleware/admin-auth');
+
+router.use(adminRoute('data:manage'));
+
+function getManager(req) {
+  return new PlayerDataManager(req.app.locals.db, { redisClient: req.app.locals.redisClient });
+}
+
+/**
+ * Run an erasure in the background (poll GET /requests/:id)
+ */
+function runErasureInBackground(manager, requestId) {
+  manager.runErasure(requestId).catch(error => {
+    logger.error('🔐 ❌ Background erasure failed', { request_id: requestId, error: error.message });
+  });
+}
+
+/**
+ * Request for the audit trail responses (user_id left out, subject_hash identifies the user)
+ */
+function withoutUserId(request) {
+  const audit = { ...request };
+  delete audit.user_id;
+  return audit;
+}
+
+/**
+ * GET /api/privacy/users/:userId/export
+ * Query: reference (support ticket)
+ */
+router.get('/users/:userId/export', async (req, res) => {
+  try {
+    const archive = await getManager(req).exportUser(req.params.userId, {
+      requestedBy: req.user.playerId,
+      reference: req.query.reference
+    });
+
+    res.setHeader('Content-Disposition', `attachment; filename="player-data-${archive.request_id}.json"`);
+    res.json({
+      success: true,
+      ...archive,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error('❌ Error exporting player data', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/privacy/users/:userId/erasure
+ * Body: { reference? }
+ */
+router.post('/users/:userId/erasure', async (req, res) => {
+  try {
+    const manager = getManager(req);
+    const request = await manager.createErasure(req.params.userId, {
+      requestedBy: req.user.playerId,
+      reference: (req.body || {}).reference
+    });
+
+    logger.info('🔐 Player data erasure requested', { request_id: request.id, by: req.user.playerId });
+    runErasureInBackground(manager, request.id);
+
+    res.status(202).json({
+      success: true,
+      request: withoutUserId(request),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error('❌ Error starting player data erasure', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/privacy/users/:userId/consent
+ * consent is null when the user never sent consent_updated (allowed shows the default)
+ */
+router.get('/users/:userId/consent', async (req, res) => {
+  try {
+    const manager = new ConsentManager(req.app.locals.db);
+    const consent = await manager.getConsent(req.params.userId);
+
+    const allowed = {};
+    for (const purpose of ConsentManager.PURPOSES) {
+      allowed[purpose] = manager.isAllowed(consent, purpose);
+    }
+
+    res.json({
+      success: true,
+      consent,
+      allowed,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error getting consent state', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/privacy/requests
+ * Query: user_id, type (export|erasure), status, limit
+ */
+router.get('/requests', async (req, res) => {
+  try {
+    const { user_id, type, status, limit } = req.query;
+    const requests = await getManager(req).listRequests({ userId: user_id, type, status, limit });
+
+    res.json({
+      success: true,
+      requests,
+      count: requests.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error listing data subject requests', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/privacy/requests/:id
+ */
+router.get('/requests/:id', async (req, res) => {
+  try {
+    const request = await getManager(req).getRequest(parseInt(req.params.id));
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      request: withoutUserId(request),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error getting data subject request', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/privacy/requests/:id/retry
+ * Re-run a failed erasure
+ */
+router.post('/requests/:id/retry', async (req, res) => {
+  try {
+    const manager = getManager(req);
+    const request = await manager.getRequest(parseInt(req.params.id));
+
+    if (!request || request.request_type !== 'erasure') {
+      return res.status(404).json({
+        success: false,
+        error: 'Erasure request not found'
+      });
+    }
+
+    if (request.status !== 'failed') {
+      return res.status(409).json({
+        success: false,
+        error: `Erasure request is ${request.status}`
+      });
+    }
+
+    runErasureInBackground(manager, request.id);
+
+    res.status(202).json({
+      success: true,
+      request_id: request.id,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error retrying player data erasure', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
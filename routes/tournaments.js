@@ -10,6 +10,7 @@ const router = express.Router();
 
 // Middleware
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { adminRoute } = require('../middleware/admin-auth');
 const { tournamentRateLimit } = require('../middleware/rate-limit');
 const logger = require('../utils/logger');
 
@@ -433,14 +434,14 @@ router.get('/player/:playerId/prizes',
   }
 );
 
-// Admin-only routes
+// Admin-only routes (admin identities with liveops:manage, see middleware/admin-auth.js)
 
 /**
  * Create weekly tournament (Admin only)
  * POST /api/tournaments/create-weekly
  */
 router.post('/create-weekly',
-  authenticateToken,
+  adminRoute('liveops:manage'),
   tournamentRateLimit, // Tournament rate limiting
   [
     body('name').optional().isLength({ min: 1, max: 255 }).withMessage('Name must be 1-255 characters'),
@@ -449,14 +450,6 @@ router.post('/create-weekly',
   ],
   async (req, res) => {
     try {
-      // Check admin permissions
-      if (!req.user.isAdmin) {
-        return res.status(403).json({
-          success: false,
-          error: 'Admin access required'
-        });
-      }
-
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({
@@ -504,20 +497,13 @@ router.post('/create-weekly',
  * POST /api/tournaments/:tournamentId/start
  */
 router.post('/:tournamentId/start',
-  authenticateToken,
+  adminRoute('liveops:manage'),
   tournamentRateLimit, // Tournament rate limiting
   [
     param('tournamentId').isUUID().withMessage('Invalid tournament ID')
   ],
   async (req, res) => {
     try {
-      if (!req.user.isAdmin) {
-        return res.status(403).json({
-          success: false,
-          error: 'Admin access required'
-        });
-      }
-
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({
@@ -562,20 +548,13 @@ router.post('/:tournamentId/start',
  * POST /api/tournaments/:tournamentId/end
  */
 router.post('/:tournamentId/end',
-  authenticateToken,
+  adminRoute('liveops:manage'),
   tournamentRateLimit, // Tournament rate limiting
   [
     param('tournamentId').isUUID().withMessage('Invalid tournament ID')
   ],
   async (req, res) => {
     try {
-      if (!req.user.isAdmin) {
-        return res.status(403).json({
-          success: false,
-          error: 'Admin access required'
-        });
-      }
-
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({
@@ -622,20 +601,13 @@ router.post('/:tournamentId/end',
  * GET /api/tournaments/:tournamentId/prize-stats
  */
 router.get('/:tournamentId/prize-stats',
-  authenticateToken,
+  adminRoute('liveops:manage'),
   tournamentRateLimit, // Tournament rate limiting
   [
     param('tournamentId').isUUID().withMessage('Invalid tournament ID')
   ],
   async (req, res) => {
     try {
-      if (!req.user.isAdmin) {
-        return res.status(403).json({
-          success: false,
-          error: 'Admin access required'
-        });
-      }
-
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({
@@ -680,10 +652,10 @@ router.get('/:tournamentId/prize-stats',
  * Manually create a weekly tournament
  * POST /api/tournaments/admin/create-weekly
  * 
- * ✅ TEMPORARY: No auth required for now (add auth later)
  * This allows manual tournament creation if cron doesn't run
  */
 router.post('/admin/create-weekly',
+  adminRoute('liveops:manage'),
   async (req, res) => {
     try {
       logger.info('🏆 🔧 Admin: Manual weekly tournament creation requested');
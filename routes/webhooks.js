@@ -0,0 +1,287 @@
+/**
+ * Webhooks API Routes (admin)
+ * Event-triggered webhooks for external systems (see services/webhook-dispatcher.js)
+ *
+ * GET /api/webhooks - List subscriptions with 24h delivery counts
+ * POST /api/webhooks - Register a subscription (returns the secret once)
+ * PATCH /api/webhooks/:id - Update URL, filters, secret or pause (is_active)
+ * DELETE /api/webhooks/:id - Delete a subscription and its delivery log
+ * GET /api/webhooks/:id/deliveries - Delivery log of a subscription
+ * POST /api/webhooks/:id/replay-failed - Re-queue failed deliveries
+ * GET /api/webhooks/deliveries/:deliveryId - Delivery with payload and attempts
+ * POST /api/webhooks/deliveries/:deliveryId/replay - Send a delivery again now
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const WebhookDispatcher = require('../services/webhook-dispatcher');
+const { adminRoute } = require('../middleware/admin-auth');
+
+router.use(adminRoute('data:manage'));
+
+/**
+ * Shared dispatcher (keeps the subscription cache of the ingestion path in sync)
+ */
+function getDispatcher(req) {
+  return req.app.locals.webhookDispatcher || new WebhookDispatcher(req.app.locals.db);
+}
+
+/**
+ * Subscription without its secret
+ */
+function redact(subscription) {
+  const rest = { ...subscription };
+  delete rest.secret;
+  return rest;
+}
+
+/**
+ * GET /api/webhooks
+ */
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await getDispatcher(req).listSubscriptions();
+
+    res.json({
+      success: true,
+      subscriptions,
+      count: subscriptions.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error listing webhooks', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Body: { name, url, event_types: ["level_completed"] | ["*"], secret? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const errors = WebhookDispatcher.validateSubscription(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook subscription',
+        details: errors
+      });
+    }
+
+    const subscription = await getDispatcher(req).createSubscription(req.body, req.user.playerId);
+
+    logger.info('🪝 Webhook registered', {
+      id: subscription.id,
+      url: subscription.url,
+      event_types: subscription.event_types,
+      by: req.user.playerId
+    });
+
+    res.status(201).json({
+      success: true,
+      subscription,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error registering webhook', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Body: any of { name, url, event_types, secret, is_active }
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const errors = WebhookDispatcher.validateSubscription(req.body || {}, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook subscription',
+        details: errors
+      });
+    }
+
+    const subscription = await getDispatcher(req).updateSubscription(parseInt(req.params.id), req.body || {});
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      subscription: redact(subscription),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error updating webhook', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await getDispatcher(req).deleteSubscription(parseInt(req.params.id));
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    logger.info('🪝 Webhook deleted', { id: req.params.id, by: req.user.playerId });
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error deleting webhook', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries/:deliveryId
+ */
+router.get('/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const delivery = await getDispatcher(req).getDelivery(parseInt(req.params.deliveryId));
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      delivery,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error getting webhook delivery', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/replay
+ * Sends the delivery again immediately (with a fresh retry budget)
+ */
+router.post('/deliveries/:deliveryId/replay', async (req, res) => {
+  try {
+    const outcome = await getDispatcher(req).replay(parseInt(req.params.deliveryId));
+
+    if (!outcome) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found (or currently being delivered)'
+      });
+    }
+
+    res.json({
+      success: true,
+      delivery_id: parseInt(req.params.deliveryId),
+      ...outcome,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error replaying webhook delivery', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Query: status (pending|delivering|succeeded|failed), limit, offset
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const { status, limit = 100, offset = 0 } = req.query;
+    const deliveries = await getDispatcher(req).listDeliveries(parseInt(req.params.id), { status, limit, offset });
+
+    res.json({
+      success: true,
+      deliveries,
+      count: deliveries.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error listing webhook deliveries', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/replay-failed
+ * Body: { since? } - Re-queues failed deliveries (sent by the next retry run)
+ */
+router.post('/:id/replay-failed', async (req, res) => {
+  try {
+    const { since = null } = req.body || {};
+
+    if (since && isNaN(Date.parse(since))) {
+      return res.status(400).json({
+        success: false,
+        error: 'since must be an ISO date'
+      });
+    }
+
+    const requeued = await getDispatcher(req).replayFailed(parseInt(req.params.id), { since });
+
+    res.json({
+      success: true,
+      requeued,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error replaying failed webhook deliveries', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
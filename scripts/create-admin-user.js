@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * 🛡️ Create Admin User Script
+ *
+ * Creates an admin user for the dashboard login (migration 055). Use it for
+ * the first superadmin; further admins can be added via POST /api/admin/users.
+ * The password is read from ADMIN_PASSWORD so it stays out of shell history.
+ *
+ * Usage:
+ *   ADMIN_PASSWORD='...' node scripts/create-admin-user.js --email ops@example.com
+ *   ADMIN_PASSWORD='...' node scripts/create-admin-user.js --email a@example.com --role analyst --name "Ana"
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+const AdminIdentityService = require('../services/admin-identity');
+
+function parseArgs(argv) {
+  const args = { role: 'superadmin' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--email') args.email = argv[++i];
+    else if (argv[i] === '--role') args.role = argv[++i];
+    else if (argv[i] === '--name') args.name = argv[++i];
+  }
+  return args;
+}
+
+// Database connection
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+  max: 2,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000
+});
+
+/**
+ * Main execution
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const user = await new AdminIdentityService(pool).createUser({
+      email: args.email,
+      password: process.env.ADMIN_PASSWORD,
+      role: args.role,
+      name: args.name
+    }, 'scripts/create-admin-user');
+
+    console.log(JSON.stringify(user, null, 2));
+
+  } catch (error) {
+    logger.error('💥 Create admin user failed:', {
+      error: error.message,
+      field: error.field
+    });
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main, parseArgs };
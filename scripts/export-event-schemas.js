@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Export Event Schemas as JSON Schema
+ *
+ * Converts every Joi schema in services/event-schemas.js (plus the
+ * conversion_* family) into JSON Schema documents for the Flutter client.
+ * Same output as GET /api/events/schemas - no database needed.
+ *
+ * Usage:
+ *   node scripts/export-event-schemas.js                  # Registry JSON to stdout
+ *   node scripts/export-event-schemas.js --out schemas/   # One <event_type>.schema.json per event + index.json
+ *   node scripts/export-event-schemas.js --hash           # Print the content hash only
+ *   node scripts/export-event-schemas.js --check <hash>   # Exit 1 if the client's hash is out of sync
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSchemaRegistry } = require('../services/event-schema-registry');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--check') args.check = argv[++i];
+    else if (argv[i] === '--hash') args.hash = true;
+  }
+  return args;
+}
+
+function writeSchemaFiles(registry, outDir) {
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const all = { ...registry.schemas, ...registry.dynamic };
+  for (const [name, schema] of Object.entries(all)) {
+    const fileName = `${name.replace(/\*/g, 'any')}.schema.json`;
+    fs.writeFileSync(path.join(outDir, fileName), JSON.stringify(schema, null, 2) + '\n');
+  }
+
+  fs.writeFileSync(path.join(outDir, 'index.json'), JSON.stringify({
+    hash: registry.hash,
+    event_count: registry.event_count,
+    events: Object.keys(registry.schemas),
+    dynamic: Object.keys(registry.dynamic)
+  }, null, 2) + '\n');
+
+  return Object.keys(all).length;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const registry = getSchemaRegistry();
+
+  if (args.check !== undefined) {
+    if (args.check !== registry.hash) {
+      console.error('❌ Event schemas out of sync');
+      console.error(`   Client hash:  ${args.check || '(none)'}`);
+      console.error(`   Backend hash: ${registry.hash}`);
+      process.exit(1);
+    }
+    console.log(`✅ Event schemas in sync (${registry.hash})`);
+    return;
+  }
+
+  if (args.hash) {
+    console.log(registry.hash);
+    return;
+  }
+
+  if (args.out) {
+    const count = writeSchemaFiles(registry, args.out);
+    console.log(`✅ Exported ${count} event schemas to ${args.out}`);
+    console.log(`   Hash: ${registry.hash}`);
+    return;
+  }
+
+  process.stdout.write(JSON.stringify(registry, null, 2) + '\n');
+}
+
+main();
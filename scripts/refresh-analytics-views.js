@@ -4,15 +4,16 @@
  * 🔄 Analytics Materialized Views Refresh Script
  * 
  * Refreshes all analytics materialized views:
- * - daily_aggregations (refreshed daily)
- * - cohort_aggregations (refreshed daily)
+ * - daily_aggregations (incremental - dates with new or late events)
+ * - cohort_aggregations (incremental - affected cohorts)
  * - campaign_aggregations (refreshed daily)
  * - weekly_aggregations (refreshed weekly)
  * 
  * Usage:
- *   node scripts/refresh-analytics-views.js [--daily] [--weekly] [--all]
+ *   node scripts/refresh-analytics-views.js [--daily] [--weekly] [--all] [--rebuild]
  * 
  * Default: --all (refreshes all views)
+ * --rebuild recomputes all 90 days of daily/cohort aggregates
  */
 
 const { Pool } = require('pg');
@@ -21,8 +22,9 @@ const MaterializedViewRefresher = require('../services/materialized-view-refresh
 
 // Parse command line arguments
 const args = process.argv.slice(2);
-const refreshDaily = args.includes('--daily') || args.includes('--all') || args.length === 0;
+const refreshDaily = args.includes('--daily') || args.includes('--all') || args.includes('--rebuild') || args.length === 0;
 const refreshWeekly = args.includes('--weekly') || args.includes('--all') || args.length === 0;
+const rebuild = args.includes('--rebuild');
 
 // Database connection
 const pool = new Pool({
@@ -54,7 +56,8 @@ async function main() {
     const result = await refresher.refreshAll({
       daily: refreshDaily,
       weekly: refreshWeekly,
-      concurrent: true
+      concurrent: true,
+      rebuild
     });
 
     // Get updated stats
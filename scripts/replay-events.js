@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * 🔁 Historical Event Replay Script
+ *
+ * Re-runs special-event handlers and aggregators over a date range of the
+ * events table, so derived tables get corrected after a handler bug fix.
+ * Same engine as POST /api/events/replay (services/event-replayer.js).
+ *
+ * Handlers: user_acquisitions, performance_metrics, crash_logs, leaderboard_global
+ *
+ * Usage:
+ *   node scripts/replay-events.js --from 2025-01-01 --to 2025-02-01
+ *   node scripts/replay-events.js --from 2025-01-01 --to 2025-02-01 --handlers crash_logs,leaderboard_global
+ *   node scripts/replay-events.js --from 2025-01-01 --to 2025-02-01 --dry-run   # Roll back, report counts only
+ *   node scripts/replay-events.js --from 2025-01-01 --to 2025-02-01 --batch-size 1000
+ *   node scripts/replay-events.js --resume 42                                   # Continue a run from its checkpoint
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+const EventReplayer = require('../services/event-replayer');
+
+function parseArgs(argv) {
+  const args = { dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--to') args.to = argv[++i];
+    else if (argv[i] === '--handlers') args.handlers = argv[++i].split(',').map(name => name.trim()).filter(Boolean);
+    else if (argv[i] === '--batch-size') args.batchSize = parseInt(argv[++i]);
+    else if (argv[i] === '--resume') args.resume = parseInt(argv[++i]);
+    else if (argv[i] === '--dry-run') args.dryRun = true;
+  }
+  return args;
+}
+
+// Database connection
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+  max: 5,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000
+});
+
+/**
+ * Main execution
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const replayer = new EventReplayer(pool);
+
+  try {
+    let runId = args.resume;
+
+    if (!runId) {
+      if (!args.from || !args.to) {
+        logger.error('❌ --from and --to are required (or --resume <run id>)');
+        process.exitCode = 1;
+        return;
+      }
+
+      const run = await replayer.createRun({
+        from: args.from,
+        to: args.to,
+        handlers: args.handlers || EventReplayer.handlerNames,
+        dryRun: args.dryRun,
+        batchSize: args.batchSize || 500,
+        requestedBy: 'cli'
+      });
+      runId = run.id;
+    }
+
+    const summary = await replayer.runReplay(runId);
+    console.log(JSON.stringify(summary, null, 2));
+
+  } catch (error) {
+    logger.error('💥 Replay script failed:', {
+      error: error.message,
+      stack: error.stack
+    });
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main, parseArgs };
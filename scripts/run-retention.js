@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * 🗄️ Event Retention Script
+ *
+ * Applies event_retention_policies once: deletes short-lived event types,
+ * archives long-lived ones to events_archive and drops expired partitions.
+ * The partition maintenance cron in server.js does the same every Monday.
+ * Prints the run report (also stored in event_archival_runs).
+ *
+ * Usage:
+ *   node scripts/run-retention.js --dry-run           # Report only, change nothing
+ *   node scripts/run-retention.js
+ *   node scripts/run-retention.js --batch-size 10000
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+const EventRetentionManager = require('../services/event-retention-manager');
+
+function parseArgs(argv) {
+  const args = { dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--batch-size') args.batchSize = parseInt(argv[++i]);
+  }
+  return args;
+}
+
+// Database connection
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+  max: 5,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000
+});
+
+/**
+ * Main execution
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const options = {};
+  if (args.batchSize) options.batchSize = args.batchSize;
+
+  try {
+    const report = await new EventRetentionManager(pool, options).run({ dryRun: args.dryRun, trigger: 'manual' });
+    console.log(JSON.stringify(report, null, 2));
+
+  } catch (error) {
+    logger.error('💥 Retention script failed:', {
+      error: error.message,
+      stack: error.stack
+    });
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main, parseArgs };
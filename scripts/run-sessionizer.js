@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * 🧩 Sessionizer Backfill Script
+ *
+ * Runs the sessionizer until it has caught up with the events table.
+ * The cron job in server.js does the same every 5 minutes; use this to
+ * build the sessions table for historical events after migration 048
+ * (the checkpoint starts at the oldest event).
+ *
+ * Usage:
+ *   node scripts/run-sessionizer.js
+ *   node scripts/run-sessionizer.js --max-batches 20      # Stop early, resume on the next run
+ *   node scripts/run-sessionizer.js --batch-size 10000
+ *   node scripts/run-sessionizer.js --timeout 900         # Inactivity timeout (seconds)
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+const Sessionizer = require('../services/sessionizer');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--max-batches') args.maxBatches = parseInt(argv[++i]);
+    else if (argv[i] === '--batch-size') args.batchSize = parseInt(argv[++i]);
+    else if (argv[i] === '--timeout') args.inactivityTimeoutSeconds = parseInt(argv[++i]);
+  }
+  return args;
+}
+
+// Database connection
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+  max: 5,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000
+});
+
+/**
+ * Main execution
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const options = {};
+  if (args.batchSize) options.batchSize = args.batchSize;
+  if (args.inactivityTimeoutSeconds) options.inactivityTimeoutSeconds = args.inactivityTimeoutSeconds;
+
+  try {
+    const summary = await new Sessionizer(pool, options).run({ maxBatches: args.maxBatches || Infinity });
+    console.log(JSON.stringify(summary, null, 2));
+
+  } catch (error) {
+    logger.error('💥 Sessionizer script failed:', {
+      error: error.message,
+      stack: error.stack
+    });
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main, parseArgs };
@@ -20,6 +20,9 @@ const TournamentManager = require('./services/tournament-manager');
 const PrizeManager = require('./services/prize-manager');
 const TournamentScheduler = require('./services/tournament-scheduler');
 const NotificationScheduler = require('./services/notification-scheduler');
+const EventQueue = require('./services/event-queue');
+const WebSocketManager = require('./services/websocket-manager');
+const WebhookDispatcher = require('./services/webhook-dispatcher');
 const { CacheManager } = require('./services/cache-manager'); // ✅ Named export - destructure it!
 require('dotenv').config();
 
@@ -31,6 +34,10 @@ const fcmRoutes = require('./routes/fcm');
 const eventsRoutes = require('./routes/events'); // ✅ Event-driven architecture (PRIMARY)
 const prizesV2Routes = require('./routes/prizes-v2'); // ✅ Device-based prize distribution
 const notificationsRoutes = require('./routes/notifications'); // ✅ Push notifications (FCM V1 API)
+const webhooksRoutes = require('./routes/webhooks'); // ✅ Event-triggered webhooks (admin)
+const privacyRoutes = require('./routes/privacy'); // ✅ GDPR/CCPA export and erasure (admin)
+const adminRoutes = require('./routes/admin'); // ✅ Admin users, API keys and audit log
+const funnelsRoutes = require('./routes/funnels'); // ✅ Saved analyst funnels (admin)
 
 // Initialize Express app and HTTP server
 const app = express();
@@ -179,6 +186,9 @@ let prizeManager = null;
 let tournamentScheduler = null;
 let cacheManager = null;
 let redisClient = null;
+let eventQueue = null;
+let wsManager = null;
+let webhookDispatcher = null;
 
 // ✅ ASYNC SERVICE INITIALIZATION - Wrap in async IIFE to handle Redis properly
 (async () => {
@@ -442,6 +452,37 @@ let redisClient = null;
       logger.info('💾 ✅ Redis health check started (will check every 30s for up to 30 minutes)');
     }
     
+    // Initialize WebSocket Manager (player/tournament notifications, admin live tail)
+    try {
+      wsManager = new WebSocketManager({ server, db });
+      wsManager.start();
+      app.locals.wsManager = wsManager;
+      logger.info('🌐 ✅ WebSocket Manager initialized');
+    } catch (error) {
+      logger.error('🌐 ❌ WebSocket Manager failed:', error.message);
+      wsManager = null;
+    }
+    
+    // Initialize Webhook Dispatcher (shared, so subscription changes reach ingestion immediately)
+    webhookDispatcher = new WebhookDispatcher(db);
+    app.locals.webhookDispatcher = webhookDispatcher;
+    logger.info('🪝 ✅ Webhook Dispatcher initialized');
+    
+    // Initialize Event Queue (durable ingestion for POST /api/events)
+    // Without Redis, routes/events.js falls back to in-request processing
+    if (redisClient) {
+      try {
+        eventQueue = new EventQueue({ db, redisClient, wsManager, webhookDispatcher });
+        eventQueue.start();
+        app.locals.eventQueue = eventQueue;
+        logger.info('📬 ✅ Event Queue initialized');
+      } catch (error) {
+        logger.error('📬 ❌ Event Queue failed:', error.message);
+        logger.warn('📬 ⚠️ Events will be processed in-request (not durable across restarts)');
+        eventQueue = null;
+      }
+    }
+    
     // Initialize Firebase Admin SDK for Push Notifications
     try {
       const firebaseMessagingService = require('./services/firebase-messaging-service');
@@ -457,7 +498,7 @@ let redisClient = null;
     
     // Initialize Prize Manager
     try {
-      prizeManager = new PrizeManager({ db, wsManager: null }); // ✅ No WebSocket manager
+      prizeManager = new PrizeManager({ db, wsManager });
       app.locals.prizeManager = prizeManager;
       logger.info('🏆 ✅ Prize Manager initialized');
     } catch (error) {
@@ -470,10 +511,17 @@ let redisClient = null;
         db, 
         cacheManager, 
         prizeManager, 
-        wsManager: null, // ✅ No WebSocket manager
+        wsManager,
         leaderboardManager: null // ✅ No separate leaderboard manager
       });
       app.locals.tournamentManager = tournamentManager;
+      
+      // Players joining tournament_<id> get the current leaderboard and their rank
+      if (wsManager) {
+        wsManager.registerRoomSnapshot('tournament_', (tournamentId, playerId) =>
+          tournamentManager.getRoomSnapshot(tournamentId, playerId)
+        );
+      }
       logger.info('🏆 ✅ Tournament Manager initialized');
     } catch (error) {
       logger.error('🏆 ❌ Tournament Manager failed:', error.message);
@@ -485,7 +533,7 @@ let redisClient = null;
       tournamentScheduler = new TournamentScheduler({ 
         db, 
         tournamentManager, 
-        wsManager: null // ✅ No WebSocket manager
+        wsManager
       });
       tournamentScheduler.start();
       app.locals.tournamentScheduler = tournamentScheduler;
@@ -535,6 +583,8 @@ let redisClient = null;
       logger.info('🔧 Services Status:');
       logger.info(`   💾 Redis: ${redisClient && redisClient.status === 'ready' ? '✅ Connected' : '❌ Disconnected'}`);
       logger.info(`   💾 Cache: ${cacheManager && cacheManager.redis ? '✅ Active' : '⚠️ No-op mode'}`);
+      logger.info(`   📬 Event Queue: ${eventQueue ? '✅ Active' : '⚠️ In-request mode'}`);
+      logger.info(`   🌐 WebSocket: ${wsManager ? '✅ Active (/ws)' : '❌ Inactive'}`);
       logger.info(`   🏆 Tournaments: ${tournamentManager ? '✅ Active' : '❌ Inactive'}`);
       logger.info(`   📅 Scheduler: ${tournamentScheduler ? '✅ Active' : '❌ Inactive'}`);
       logger.info(`   🔔 Push Notifications: ${notificationScheduler ? '✅ Active' : '❌ Inactive'}`);
@@ -631,6 +681,11 @@ app.use((req, res, next) => {
   next();
 });
 
+// 🗜️ Event ingestion: gzip/deflate/brotli bodies + raw body for batch signatures
+// Must run before express.json() (which can't decode brotli or keep the raw bytes)
+const { eventBodyParser } = require('./middleware/event-body-parser');
+app.use('/api/events', eventBodyParser({ limit: 10 * 1024 * 1024 }));
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -643,6 +698,12 @@ const rateLimiter = new RateLimiterMemory({
 });
 
 const rateLimitMiddleware = (req, res, next) => {
+  // 🚦 Event ingestion has its own per-user_id/per-IP limits in Redis (services/event-rate-limiter.js)
+  // An IP-only limit here would throttle every player behind the same carrier NAT
+  if (req.method === 'POST' && req.path === '/api/events' && app.locals.redisClient?.status === 'ready') {
+    return next();
+  }
+
   rateLimiter.consume(req.ip)
     .then(() => next())
     .catch(() => res.status(429).json({ error: 'Too many requests' }));
@@ -679,6 +740,8 @@ app.get('/health', (req, res) => {
     services: {
       database: !!db,
       cache: !!cacheManager,
+      eventQueue: !!eventQueue,
+      websocket: wsManager ? wsManager.getStats() : false,
       tournament: !!tournamentManager,
       scheduler: !!tournamentScheduler
     }
@@ -712,6 +775,18 @@ if (db) {
   // ✅ Push notification routes
   app.use('/api/notifications', notificationsRoutes(db));
   
+  // ✅ Webhook subscriptions and delivery log (admin)
+  app.use('/api/webhooks', webhooksRoutes);
+  
+  // ✅ Player data export / erasure (GDPR/CCPA, admin)
+  app.use('/api/privacy', privacyRoutes);
+
+  // ✅ Admin identities (dashboard login, API keys, audit log)
+  app.use('/api/admin', adminRoutes);
+
+  // ✅ Saved funnels evaluated from events (admin)
+  app.use('/api/funnels', funnelsRoutes);
+  
   // ✅ Auth routes (lightweight device-based authentication)
   const authRoutes = require('./routes/auth')(db);
   app.use('/api/auth', authRoutes);
@@ -844,7 +919,8 @@ cron.schedule('0 2 * * 0', async () => {
 // 🧹 Cleanup old events (keep 90 days) - runs weekly on Sunday at 3 AM
 if (db) {
   // ✅ NEW: Partition maintenance (weekly, every Monday at 2 AM)
-  // Maintains weekly partitions: creates future partitions, drops old ones
+  // Creates future partitions, then applies retention policies: short-lived event
+  // types are deleted, long-lived ones archived, expired partitions dropped
   cron.schedule('0 2 * * 1', async () => {
     try {
       const PartitionManager = require('./services/partition-manager');
@@ -859,6 +935,13 @@ if (db) {
     } catch (error) {
       logger.error('📊 ❌ Partition maintenance error:', error.message);
     }
+
+    try {
+      const EventRetentionManager = require('./services/event-retention-manager');
+      await new EventRetentionManager(db).run({ trigger: 'cron' });
+    } catch (error) {
+      logger.error('🗄️ ❌ Retention run error:', error.message);
+    }
   });
 
   cron.schedule('0 3 * * 0', async () => {
@@ -869,15 +952,46 @@ if (db) {
         DELETE FROM events 
         WHERE received_at < NOW() - INTERVAL '90 days'
           AND processed_at IS NOT NULL
+          AND event_type NOT IN (SELECT event_type FROM event_retention_policies WHERE archive) -- archived by EventRetentionManager
         RETURNING id
       `);
       
       logger.info(`🧹 ✅ Cleaned up ${result.rowCount} old events`);
+      
+      // Event IDs older than the events we keep can no longer collide with a retry
+      const EventProcessor = require('./services/event-processor');
+      await new EventProcessor(db).purgeEventIds(90);
     } catch (error) {
       logger.error('🧹 ❌ Event cleanup failed:', error);
     }
   });
   logger.info('🧹 Cron job registered: Old events cleanup (weekly, Sunday 3 AM)');
+
+  // ✅ NEW: Sessionizer (every 5 minutes)
+  // Stitches new events into the sessions table and closes orphaned sessions
+  // (one instance, so a slow run makes the next tick skip instead of overlapping)
+  const Sessionizer = require('./services/sessionizer');
+  const sessionizer = new Sessionizer(db);
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await sessionizer.run();
+    } catch (error) {
+      logger.error('🧩 ❌ Sessionizer cron failed:', error.message);
+    }
+  });
+  logger.info('🧩 Cron job registered: Sessionizer (every 5 minutes)');
+
+  // ✅ NEW: Webhook retries (every minute)
+  // Sends deliveries whose backoff has elapsed; first attempts happen at ingestion
+  cron.schedule('* * * * *', async () => {
+    if (!webhookDispatcher) return;
+    try {
+      await webhookDispatcher.processDue();
+    } catch (error) {
+      logger.error('🪝 ❌ Webhook retry cron failed:', error.message);
+    }
+  });
+  logger.info('🪝 Cron job registered: Webhook retries (every minute)');
 }
 
 // ============================================================================
@@ -886,7 +1000,8 @@ if (db) {
 
 // Dashboard views refresh (twice daily: 6 AM and 6 PM UTC)
   // ✅ NEW: Refresh materialized views (every 4 hours)
-  // Refreshes daily_aggregations, cohort_aggregations, campaign_aggregations
+  // Refreshes campaign_aggregations, then recomputes the daily_aggregations /
+  // cohort_aggregations dates affected by new or backfilled events (incremental)
   // Schedule: 12 AM, 4 AM, 8 AM, 12 PM, 4 PM, 8 PM
   // ✅ Best Practice: CONCURRENT refresh ensures no query blocking
   // ✅ Best Practice: 4-hour interval balances data freshness with performance
@@ -993,6 +1108,16 @@ process.on('SIGTERM', async () => {
     tournamentScheduler.stop();
   }
   
+  // Drain Event Queue (active batches finish, waiting batches stay in Redis)
+  if (eventQueue) {
+    await eventQueue.close();
+  }
+  
+  // Close WebSocket connections
+  if (wsManager) {
+    await wsManager.close();
+  }
+  
   // Close Redis connection
   if (redisClient) {
     await redisClient.quit();
@@ -1019,6 +1144,16 @@ process.on('SIGINT', async () => {
     tournamentScheduler.stop();
   }
   
+  // Drain Event Queue (active batches finish, waiting batches stay in Redis)
+  if (eventQueue) {
+    await eventQueue.close();
+  }
+  
+  // Close WebSocket connections
+  if (wsManager) {
+    await wsManager.close();
+  }
+  
   // Close Redis connection
   if (redisClient) {
     logger.info('💾 Closing Redis connection...');
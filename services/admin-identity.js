@@ -0,0 +1,425 @@
+/**
+ * Admin Identity Service
+ * Admin users, API keys and the admin audit log (migration 055)
+ *
+ * This service:
+ * 1. Manages admin users (email + bcrypt password) with one role each:
+ *    viewer < analyst / live_ops < superadmin (see ROLE_PERMISSIONS)
+ * 2. Issues admin session tokens (JWT, type 'admin') for the dashboard login
+ * 3. Issues API keys for scripts and integrations - shown once, stored as SHA-256
+ * 4. Records mutating admin calls in admin_audit_log (middleware/admin-auth.js)
+ *
+ * Admin identities are separate from players. Player JWTs of ADMIN_PLAYER_IDS
+ * keep working as superadmin (legacy) until those tools move to API keys.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const { ValidationException } = require('../utils/exceptions');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'flappyjet-dev-secret-change-in-production';
+const ADMIN_JWT_EXPIRES_IN = process.env.ADMIN_JWT_EXPIRES_IN || '12h';
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 12;
+const API_KEY_PREFIX = 'fjk_';
+
+// Compared against for unknown emails, so response time does not reveal which admins exist
+const TIMING_DUMMY_HASH = '$2a$12$.dgBP2kJ0BFRSq0sOwY1Mea5LlxMESMXlfj3ybAihTH7CEHQJtb1G';
+
+const ROLES = ['viewer', 'analyst', 'live_ops', 'superadmin'];
+
+// Permission -> roles granted it (checked per route by requirePermission)
+const ROLE_PERMISSIONS = {
+  'dashboard:read': ['viewer', 'analyst', 'live_ops', 'superadmin'],
+  'events:read': ['analyst', 'live_ops', 'superadmin'],
+  'events:export': ['analyst', 'superadmin'],
+  'events:manage': ['live_ops', 'superadmin'],
+  'analytics:manage': ['analyst', 'superadmin'],
+  'liveops:manage': ['live_ops', 'superadmin'],
+  'data:manage': ['superadmin'],
+  'admin:manage': ['superadmin']
+};
+
+const USER_COLUMNS = 'id, email, name, role, is_active, last_login_at, created_by, created_at, updated_at';
+const API_KEY_COLUMNS = 'id, admin_user_id, name, key_prefix, role, last_used_at, expires_at, revoked_at, created_at';
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class AdminIdentityService {
+  /**
+   * @param {Object} db - PostgreSQL pool
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Whether a role has a permission
+   * @param {string} role
+   * @param {string} permission - Key of ROLE_PERMISSIONS
+   * @returns {boolean}
+   */
+  static can(role, permission) {
+    const roles = ROLE_PERMISSIONS[permission];
+    if (!roles) {
+      throw new Error(`Unknown admin permission: ${permission}`);
+    }
+    return roles.includes(role);
+  }
+
+  /**
+   * Permissions of a role (returned to the dashboard to hide what it cannot use)
+   * @param {string} role
+   * @returns {Array<string>}
+   */
+  static permissionsFor(role) {
+    return Object.keys(ROLE_PERMISSIONS).filter(permission => ROLE_PERMISSIONS[permission].includes(role));
+  }
+
+  /**
+   * Create an admin user
+   * @param {Object} data - { email, password, role, name? }
+   * @param {string} createdBy - Actor creating the user
+   * @returns {Promise<Object>} - User without password hash
+   */
+  async createUser({ email, password, role, name = null }, createdBy = null) {
+    const normalizedEmail = this._validateEmail(email);
+    this._validateRole(role);
+    this._validatePassword(password);
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    try {
+      const result = await this.db.query(`
+        INSERT INTO admin_users (email, name, password_hash, role, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING ${USER_COLUMNS}
+      `, [normalizedEmail, name, passwordHash, role, createdBy]);
+
+      logger.info('🛡️ Admin user created', { admin_id: result.rows[0].id, role, created_by: createdBy });
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new ValidationException(`Admin user ${normalizedEmail} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update role, name, active flag or password
+   * @param {number} id
+   * @param {Object} changes - { role?, name?, is_active?, password? }
+   * @returns {Promise<Object|null>} - Updated user, null if not found
+   */
+  async updateUser(id, { role, name, is_active: isActive, password } = {}) {
+    const sets = [];
+    const values = [id];
+
+    if (role !== undefined) {
+      this._validateRole(role);
+      values.push(role);
+      sets.push(`role = $${values.length}`);
+    }
+    if (name !== undefined) {
+      values.push(name);
+      sets.push(`name = $${values.length}`);
+    }
+    if (isActive !== undefined) {
+      if (typeof isActive !== 'boolean') {
+        throw new ValidationException('is_active must be a boolean', 'is_active');
+      }
+      values.push(isActive);
+      sets.push(`is_active = $${values.length}`);
+    }
+    if (password !== undefined) {
+      this._validatePassword(password);
+      values.push(await bcrypt.hash(password, BCRYPT_ROUNDS));
+      sets.push(`password_hash = $${values.length}`);
+    }
+
+    if (sets.length === 0) {
+      throw new ValidationException('Nothing to update');
+    }
+
+    const result = await this.db.query(`
+      UPDATE admin_users
+      SET ${sets.join(', ')}, updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${USER_COLUMNS}
+    `, values);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List admin users
+   * @returns {Promise<Array<Object>>}
+   */
+  async listUsers() {
+    const result = await this.db.query(`SELECT ${USER_COLUMNS} FROM admin_users ORDER BY created_at`);
+    return result.rows;
+  }
+
+  /**
+   * Check email + password and issue a session token
+   * @param {string} email
+   * @param {string} password
+   * @returns {Promise<Object|null>} - { token, expires_in, admin }, null on bad credentials
+   */
+  async login(email, password) {
+    if (typeof email !== 'string' || typeof password !== 'string') return null;
+
+    const result = await this.db.query(`
+      SELECT ${USER_COLUMNS}, password_hash
+      FROM admin_users
+      WHERE email = $1
+    `, [email.trim().toLowerCase()]);
+
+    const user = result.rows[0];
+    const matches = await bcrypt.compare(password, user ? user.password_hash : TIMING_DUMMY_HASH);
+    if (!user || !matches || !user.is_active) {
+      return null;
+    }
+
+    await this.db.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+
+    const admin = { ...user };
+    delete admin.password_hash;
+    return {
+      token: jwt.sign({ type: 'admin', adminId: admin.id, email: admin.email, role: admin.role }, JWT_SECRET, {
+        expiresIn: ADMIN_JWT_EXPIRES_IN
+      }),
+      expires_in: ADMIN_JWT_EXPIRES_IN,
+      admin: { ...admin, permissions: AdminIdentityService.permissionsFor(admin.role) }
+    };
+  }
+
+  /**
+   * Resolve an admin session token
+   * The user is re-read so deactivation and role changes apply immediately.
+   * @param {string} token
+   * @returns {Promise<Object|null>} - Admin identity ({ id, email, role, auth: 'session' })
+   */
+  async verifySessionToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+    if (decoded.type !== 'admin' || !decoded.adminId) return null;
+
+    const result = await this.db.query(`
+      SELECT id, email, name, role FROM admin_users WHERE id = $1 AND is_active = true
+    `, [decoded.adminId]);
+
+    const user = result.rows[0];
+    return user ? { id: user.id, email: user.email, name: user.name, role: user.role, auth: 'session' } : null;
+  }
+
+  /**
+   * Create an API key for an admin user (the key is only returned here)
+   * @param {number} adminUserId - Owner
+   * @param {Object} options - { name, role?, expires_in_days? } - role may only hold permissions the owner has
+   * @returns {Promise<Object>} - { key, api_key }
+   */
+  async createApiKey(adminUserId, { name, role = null, expires_in_days: expiresInDays = null } = {}) {
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      throw new ValidationException('name is required (max 100 characters)', 'name');
+    }
+
+    const owner = await this.db.query('SELECT id, role, is_active FROM admin_users WHERE id = $1', [adminUserId]);
+    if (!owner.rows[0] || !owner.rows[0].is_active) {
+      throw new ValidationException('API keys need an active admin user');
+    }
+
+    const keyRole = role || owner.rows[0].role;
+    this._validateRole(keyRole);
+    // Roles are not nested (live_ops lacks analyst's permissions), so compare permission sets
+    const ownerPermissions = AdminIdentityService.permissionsFor(owner.rows[0].role);
+    if (!AdminIdentityService.permissionsFor(keyRole).every(permission => ownerPermissions.includes(permission))) {
+      throw new ValidationException(`An API key cannot have more access than its owner (${owner.rows[0].role})`, 'role');
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== null) {
+      const days = parseInt(expiresInDays, 10);
+      if (isNaN(days) || days < 1 || days > 365) {
+        throw new ValidationException('expires_in_days must be between 1 and 365', 'expires_in_days');
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const keyPrefix = crypto.randomBytes(4).toString('hex');
+    const key = `${API_KEY_PREFIX}${keyPrefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const result = await this.db.query(`
+      INSERT INTO admin_api_keys (admin_user_id, name, key_prefix, key_hash, role, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${API_KEY_COLUMNS}
+    `, [adminUserId, name, keyPrefix, hashApiKey(key), keyRole, expiresAt]);
+
+    logger.info('🛡️ Admin API key created', { key_prefix: keyPrefix, role: keyRole, admin_id: adminUserId });
+    return { key, api_key: result.rows[0] };
+  }
+
+  /**
+   * Resolve an API key
+   * @param {string} key
+   * @returns {Promise<Object|null>} - Admin identity ({ id, email, role, auth: 'api_key', api_key_id })
+   */
+  async verifyApiKey(key) {
+    if (!AdminIdentityService.isApiKey(key)) return null;
+
+    const result = await this.db.query(`
+      UPDATE admin_api_keys k
+      SET last_used_at = NOW()
+      FROM admin_users u
+      WHERE k.key_hash = $1
+        AND k.admin_user_id = u.id
+        AND k.revoked_at IS NULL
+        AND (k.expires_at IS NULL OR k.expires_at > NOW())
+        AND u.is_active = true
+      RETURNING k.id, k.key_prefix, k.role, u.id AS admin_user_id, u.email, u.name
+    `, [hashApiKey(key)]);
+
+    const row = result.rows[0];
+    return row
+      ? { id: row.admin_user_id, email: row.email, name: row.name, role: row.role, auth: 'api_key', api_key_id: row.id, key_prefix: row.key_prefix }
+      : null;
+  }
+
+  /**
+   * Whether a bearer credential looks like an API key (rather than a JWT)
+   * @param {string} value
+   * @returns {boolean}
+   */
+  static isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+  }
+
+  /**
+   * List API keys (never the key itself)
+   * @param {number} adminUserId - Only this owner's keys (optional)
+   * @returns {Promise<Array<Object>>}
+   */
+  async listApiKeys(adminUserId = null) {
+    const result = await this.db.query(`
+      SELECT ${API_KEY_COLUMNS}
+      FROM admin_api_keys
+      ${adminUserId ? 'WHERE admin_user_id = $1' : ''}
+      ORDER BY created_at DESC
+    `, adminUserId ? [adminUserId] : []);
+    return result.rows;
+  }
+
+  /**
+   * Revoke an API key
+   * @param {number} id
+   * @returns {Promise<Object|null>} - Revoked key, null if not found or already revoked
+   */
+  async revokeApiKey(id) {
+    const result = await this.db.query(`
+      UPDATE admin_api_keys
+      SET revoked_at = NOW()
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING ${API_KEY_COLUMNS}
+    `, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record a mutating admin call
+   * @param {Object} entry - { admin, permission, method, path, status_code, params, ip, user_agent }
+   * @returns {Promise<void>}
+   */
+  async recordAudit({ admin, permission, method, path, statusCode, params = null, ip = null, userAgent = null }) {
+    await this.db.query(`
+      INSERT INTO admin_audit_log (
+        admin_user_id, actor, role, auth_method, permission,
+        method, path, status_code, params, ip, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `, [
+      admin.auth === 'legacy_player' ? null : admin.id,
+      admin.email || admin.player_id || null,
+      admin.role,
+      admin.auth,
+      permission,
+      method,
+      path,
+      statusCode,
+      params ? JSON.stringify(params) : null,
+      ip,
+      userAgent ? userAgent.substring(0, 255) : null
+    ]);
+  }
+
+  /**
+   * Read the audit log
+   * @param {Object} filters - { admin_user_id?, method?, path?, since?, limit? }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listAudit({ admin_user_id: adminUserId, method, path, since, limit = 100 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (adminUserId) {
+      values.push(parseInt(adminUserId, 10));
+      conditions.push(`admin_user_id = $${values.length}`);
+    }
+    if (method) {
+      values.push(String(method).toUpperCase());
+      conditions.push(`method = $${values.length}`);
+    }
+    if (path) {
+      values.push(`${path}%`);
+      conditions.push(`path LIKE $${values.length}`);
+    }
+    if (since) {
+      if (isNaN(new Date(since).getTime())) {
+        throw new ValidationException('since must be a valid date', 'since');
+      }
+      values.push(new Date(since).toISOString());
+      conditions.push(`created_at >= $${values.length}`);
+    }
+
+    values.push(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500));
+
+    const result = await this.db.query(`
+      SELECT *
+      FROM admin_audit_log
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+      LIMIT $${values.length}
+    `, values);
+    return result.rows;
+  }
+
+  _validateEmail(email) {
+    if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      throw new ValidationException('A valid email is required', 'email');
+    }
+    return email.trim().toLowerCase();
+  }
+
+  _validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new ValidationException(`role must be one of: ${ROLES.join(', ')}`, 'role');
+    }
+  }
+
+  _validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ValidationException(`password must be at least ${MIN_PASSWORD_LENGTH} characters`, 'password');
+    }
+  }
+}
+
+AdminIdentityService.ROLES = ROLES;
+AdminIdentityService.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+module.exports = AdminIdentityService;
@@ -0,0 +1,388 @@
+/**
+ * Cohort Engine
+ * Cohort retention matrices for configurable cohort and return events
+ *
+ * A definition picks:
+ * - cohort_event: users join the cohort of their first such event
+ *   (install, first_purchase or any event type, e.g. tournament_entered)
+ * - return_event: what counts as coming back (any_activity or an event type, e.g. game_ended)
+ * - granularity: day | week | month cohorts and periods
+ * - retention_type: classic (returned in period N) | rolling (returned in period N or later)
+ * - periods / cohorts: matrix columns / rows (the latest cohorts unless a date range is set)
+ *
+ * Used by GET /api/dashboard/cohort-retention; /retention-table, /retention-detailed
+ * and /cohort-analysis-enhanced compute the default install cohorts (any activity,
+ * daily, classic), the latter two optionally per acquisition campaign / platform
+ * (breakdown, from user_acquisitions).
+ *
+ * Only events from the first cohort period onwards are scanned: a user joins a cohort
+ * when they have no cohort event before the range (checked per user), and returns
+ * are bounded by the last cohort's last period, both on the definition's time column.
+ *
+ * Results are cached by the routes under cacheKey(definition).
+ */
+
+const crypto = require('crypto');
+const { ValidationException } = require('../utils/exceptions');
+const { getSchemaRegistry, stableStringify } = require('./event-schema-registry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Named cohort events -> event types whose first occurrence starts the cohort
+const COHORT_PRESETS = {
+  install: ['user_installed', 'app_launched'],
+  first_purchase: ['purchase_completed']
+};
+
+// Named return events -> event types that count as a return
+const RETURN_PRESETS = {
+  any_activity: ['app_launched', 'game_started', 'level_started']
+};
+
+// granularity -> defaults, limits and matrix key prefix (d1, w1, m1)
+const GRANULARITIES = {
+  day: { prefix: 'd', periods: 30, cohorts: 30, maxPeriods: 90, maxCohorts: 90 },
+  week: { prefix: 'w', periods: 12, cohorts: 12, maxPeriods: 26, maxCohorts: 52 },
+  month: { prefix: 'm', periods: 6, cohorts: 6, maxPeriods: 12, maxCohorts: 24 }
+};
+
+const RETENTION_TYPES = ['classic', 'rolling'];
+
+// user_acquisitions columns a matrix can be broken down by (one row set per value)
+const BREAKDOWNS = ['campaign_id', 'platform'];
+
+/**
+ * Resolve a named or schema event to event types
+ */
+function resolveEvent(value, presets, field) {
+  if (presets[value]) return presets[value];
+
+  const registry = getSchemaRegistry();
+  if (typeof value === 'string' && (registry.schemas[value] || value.startsWith('conversion_'))) {
+    return [value];
+  }
+
+  throw new ValidationException(
+    `${field} must be one of ${Object.keys(presets).join(', ')} or an event type (see GET /api/events/schemas)`,
+    field
+  );
+}
+
+/**
+ * Start of the period containing a YYYY-MM-DD date (weeks start on Monday, as date_trunc)
+ */
+function periodStart(dateKey, granularity) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  if (granularity === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  } else if (granularity === 'month') {
+    date.setUTCDate(1);
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Add N periods to a YYYY-MM-DD period start
+ */
+function addPeriods(dateKey, count, granularity) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  if (granularity === 'month') {
+    date.setUTCMonth(date.getUTCMonth() + count);
+  } else {
+    date.setTime(date.getTime() + count * (granularity === 'week' ? 7 : 1) * DAY_MS);
+  }
+  return date.toISOString().split('T')[0];
+}
+
+class CohortEngine {
+  /**
+   * @param {Object} db - PostgreSQL pool
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Validate a definition and fill in defaults
+   * @param {Object} definition - { cohort_event, return_event, granularity, retention_type, periods, cohorts, time_basis }
+   * @returns {Object} - Normalized definition
+   */
+  static normalizeDefinition({
+    cohort_event: cohortEvent = 'install',
+    return_event: returnEvent = 'any_activity',
+    granularity = 'day',
+    retention_type: retentionType = 'classic',
+    periods,
+    cohorts,
+    time_basis: timeBasis = 'received_at'
+  } = {}) {
+    const config = GRANULARITIES[granularity];
+    if (!config) {
+      throw new ValidationException(`granularity must be one of: ${Object.keys(GRANULARITIES).join(', ')}`, 'granularity');
+    }
+    if (!RETENTION_TYPES.includes(retentionType)) {
+      throw new ValidationException(`retention_type must be one of: ${RETENTION_TYPES.join(', ')}`, 'retention_type');
+    }
+    if (!['received_at', 'occurred_at'].includes(timeBasis)) {
+      throw new ValidationException('time_basis must be received_at or occurred_at', 'time_basis');
+    }
+
+    const count = (value, fallback, max, field) => {
+      if (value === undefined || value === null || value === '') return fallback;
+      const parsed = parseInt(value, 10);
+      if (!Number.isInteger(parsed) || parsed < 1 || parsed > max) {
+        throw new ValidationException(`${field} must be between 1 and ${max} for ${granularity} cohorts`, field);
+      }
+      return parsed;
+    };
+
+    return {
+      cohort_event: cohortEvent,
+      cohort_event_types: resolveEvent(cohortEvent, COHORT_PRESETS, 'cohort_event'),
+      return_event: returnEvent,
+      return_event_types: resolveEvent(returnEvent, RETURN_PRESETS, 'return_event'),
+      granularity,
+      retention_type: retentionType,
+      periods: count(periods, config.periods, config.maxPeriods, 'periods'),
+      cohorts: count(cohorts, config.cohorts, config.maxCohorts, 'cohorts'),
+      time_basis: timeBasis
+    };
+  }
+
+  /**
+   * Cache key of a normalized definition (same definition -> same key)
+   * @param {Object} definition
+   * @returns {string}
+   */
+  static cacheKey(definition) {
+    return crypto.createHash('sha1').update(stableStringify(definition)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Cohort date range: the explicit date range, or the latest `cohorts` periods
+   * @param {Object} definition - Normalized definition
+   * @param {Object} filters - DashboardFilters
+   * @param {Date} now
+   * @returns {Object} - { from, to } (YYYY-MM-DD period starts, inclusive)
+   */
+  static cohortRange(definition, filters, now = new Date()) {
+    const { granularity } = definition;
+
+    if (filters && filters.hasRange) {
+      return {
+        from: periodStart(filters.startDate, granularity),
+        to: periodStart(filters.endDate, granularity)
+      };
+    }
+
+    const to = periodStart(now.toISOString().split('T')[0], granularity);
+    return { from: addPeriods(to, -(definition.cohorts - 1), granularity), to };
+  }
+
+  /**
+   * Build the matrix SQL (no database access)
+   * @param {Object} definition - Normalized definition
+   * @param {Object} options - { filters (DashboardFilters, segments pick the cohort users), now, breakdown }
+   * @returns {Object} - { sql, params, range }
+   */
+  compile(definition, { filters = null, now = new Date(), breakdown = [] } = {}) {
+    const { granularity } = definition;
+    for (const dimension of breakdown) {
+      if (!BREAKDOWNS.includes(dimension)) {
+        throw new Error(`Unknown cohort breakdown: ${dimension}`);
+      }
+    }
+    // ", c.campaign_id" etc. (empty without a breakdown)
+    const columns = alias => breakdown.map(dimension => `, ${alias}${dimension}`).join('');
+
+    const range = CohortEngine.cohortRange(definition, filters, now);
+    const params = [];
+    const param = (value, type) => {
+      params.push(value);
+      return `$${params.length}::${type}`;
+    };
+
+    // Cohort and return bounds both use the definition's time column
+    const timeOf = alias => (definition.time_basis === 'occurred_at'
+      ? `COALESCE(${alias}.occurred_at, ${alias}.received_at)`
+      : `${alias}.received_at`);
+    const time = timeOf('e');
+    const fromParam = param(range.from, 'date');
+    // occurred_at <= received_at, so the received_at lower bound still prunes partitions
+    const receivedBound = definition.time_basis === 'occurred_at'
+      ? `AND e.received_at >= ${fromParam}`
+      : '';
+    const cohortEndParam = param(addPeriods(range.to, 1, granularity), 'date');
+    const returnEndParam = param(addPeriods(range.to, definition.periods + 1, granularity), 'date');
+    const segment = alias => (filters && filters.isSegmented
+      ? `AND ${filters.where('events', { params, alias, range: false })}`
+      : '');
+
+    // Period index of a return relative to its cohort (granularity is whitelisted)
+    const period = {
+      day: `(DATE(${time}) - c.cohort_date)`,
+      week: `((DATE(date_trunc('week', ${time})) - c.cohort_date) / 7)`,
+      month: `((EXTRACT(YEAR FROM ${time})::int - EXTRACT(YEAR FROM c.cohort_date)::int) * 12
+               + EXTRACT(MONTH FROM ${time})::int - EXTRACT(MONTH FROM c.cohort_date)::int)`
+    }[granularity];
+
+    const periodsParam = param(definition.periods, 'integer');
+    const cohortTypesParam = param(definition.cohort_event_types, 'text[]');
+    const retained = definition.retention_type === 'rolling'
+      ? `SELECT r.cohort_date${columns('r.')}, p.period, COUNT(*) AS retained
+          FROM (
+            SELECT user_id, cohort_date${columns('')}, MAX(period) AS last_period
+            FROM returns
+            GROUP BY user_id, cohort_date${columns('')}
+          ) r
+          JOIN generate_series(1, ${periodsParam}) AS p(period) ON p.period <= r.last_period
+          GROUP BY r.cohort_date${columns('r.')}, p.period`
+      : `SELECT cohort_date${columns('')}, period, COUNT(*) AS retained
+          FROM returns
+          GROUP BY cohort_date${columns('')}, period`;
+    const acquisitions = breakdown.length > 0
+      ? 'LEFT JOIN user_acquisitions ua ON ua.user_id = e.user_id'
+      : '';
+    const sameBreakdown = breakdown
+      .map(dimension => ` AND r.${dimension} IS NOT DISTINCT FROM cs.${dimension}`)
+      .join('');
+
+    const sql = `
+      WITH cohorts AS (
+        -- Cohort = period of each user's first cohort event; users with one
+        -- before the range belong to an older cohort (per-user lookup, idx_events_user)
+        SELECT e.user_id, DATE(date_trunc('${granularity}', MIN(${time}))) AS cohort_date${columns('ua.')}
+        FROM events e
+        ${acquisitions}
+        WHERE e.event_type = ANY(${cohortTypesParam})
+          AND ${time} >= ${fromParam} AND ${time} < ${cohortEndParam}
+          ${receivedBound}
+          ${segment('e')}
+          AND NOT EXISTS (
+            SELECT 1
+            FROM events earlier
+            WHERE earlier.user_id = e.user_id
+              AND earlier.event_type = ANY(${cohortTypesParam})
+              AND ${timeOf('earlier')} < ${fromParam}
+              ${segment('earlier')}
+          )
+        GROUP BY e.user_id${columns('ua.')}
+      ),
+      returns AS (
+        SELECT DISTINCT c.user_id, c.cohort_date${columns('c.')}, ${period} AS period
+        FROM cohorts c
+        JOIN events e ON e.user_id = c.user_id
+        WHERE e.event_type = ANY(${param(definition.return_event_types, 'text[]')})
+          AND ${time} >= ${fromParam} AND ${time} < ${returnEndParam}
+          ${receivedBound}
+          AND ${period} BETWEEN 1 AND ${periodsParam}
+      ),
+      cohort_sizes AS (
+        SELECT cohort_date${columns('')}, COUNT(*) AS cohort_size
+        FROM cohorts
+        GROUP BY cohort_date${columns('')}
+      ),
+      retained AS (
+        ${retained}
+      )
+      SELECT
+        TO_CHAR(cs.cohort_date, 'YYYY-MM-DD') AS cohort_date${columns('cs.')},
+        cs.cohort_size,
+        r.period,
+        r.retained
+      FROM cohort_sizes cs
+      LEFT JOIN retained r ON r.cohort_date = cs.cohort_date${sameBreakdown}
+      ORDER BY cs.cohort_date DESC${columns('cs.')}, r.period ASC
+    `;
+
+    return { sql, params, range };
+  }
+
+  /**
+   * Compute the retention matrix
+   * Periods that have not started yet for a cohort are null.
+   * With a breakdown there is one row per cohort and breakdown value (null = no acquisition record).
+   *
+   * @param {Object} definition - Normalized definition
+   * @param {Object} options - { filters, now, breakdown (e.g. ['campaign_id', 'platform']) }
+   * @returns {Promise<Object>} - { definition, cohort_range, cohorts: [{ cohort_date, ...breakdown, cohort_size, retention, retained }], average }
+   */
+  async compute(definition, { filters = null, now = new Date(), breakdown = [] } = {}) {
+    const { sql, params, range } = this.compile(definition, { filters, now, breakdown });
+    const result = await this.db.query(sql, params);
+
+    const { prefix } = GRANULARITIES[definition.granularity];
+    const today = now.toISOString().split('T')[0];
+    const cohortMap = new Map();
+
+    for (const row of result.rows) {
+      const key = [row.cohort_date, ...breakdown.map(dimension => row[dimension])].join('|');
+      if (!cohortMap.has(key)) {
+        const values = {};
+        for (const dimension of breakdown) {
+          values[dimension] = row[dimension] === undefined ? null : row[dimension];
+        }
+        cohortMap.set(key, { cohortDate: row.cohort_date, values, size: parseInt(row.cohort_size) || 0, retained: {} });
+      }
+      if (row.period !== null && row.period !== undefined) {
+        cohortMap.get(key).retained[parseInt(row.period)] = parseInt(row.retained) || 0;
+      }
+    }
+
+    const cohorts = [...cohortMap.values()].map(cohort => {
+      const retention = {};
+      const retained = {};
+
+      for (let n = 1; n <= definition.periods; n++) {
+        const key = `${prefix}${n}`;
+        // Only show data once the period has started
+        if (addPeriods(cohort.cohortDate, n, definition.granularity) > today) {
+          retention[key] = null;
+          retained[key] = null;
+          continue;
+        }
+
+        const count = cohort.retained[n] || 0;
+        retained[key] = count;
+        retention[key] = cohort.size > 0 ? Math.round(1000 * count / cohort.size) / 10 : 0;
+      }
+
+      return { cohort_date: cohort.cohortDate, ...cohort.values, cohort_size: cohort.size, retention, retained };
+    });
+
+    return {
+      definition,
+      cohort_range: range,
+      cohorts,
+      average: CohortEngine.average(cohorts, definition)
+    };
+  }
+
+  /**
+   * Retention per period weighted by cohort size, over the cohorts each period has started for
+   * @param {Array} cohorts - compute() cohorts (or a subset of them)
+   * @param {Object} definition - Normalized definition
+   * @returns {Object} - { d1: 21.7, ... } (null when no cohort has reached the period)
+   */
+  static average(cohorts, definition) {
+    const { prefix } = GRANULARITIES[definition.granularity];
+    const average = {};
+
+    for (let n = 1; n <= definition.periods; n++) {
+      const key = `${prefix}${n}`;
+      const started = cohorts.filter(cohort => cohort.retained[key] !== null);
+      const size = started.reduce((sum, cohort) => sum + cohort.cohort_size, 0);
+      const retained = started.reduce((sum, cohort) => sum + cohort.retained[key], 0);
+      average[key] = size > 0 ? Math.round(1000 * retained / size) / 10 : null;
+    }
+
+    return average;
+  }
+}
+
+CohortEngine.COHORT_PRESETS = COHORT_PRESETS;
+CohortEngine.RETURN_PRESETS = RETURN_PRESETS;
+CohortEngine.GRANULARITIES = GRANULARITIES;
+CohortEngine.BREAKDOWNS = BREAKDOWNS;
+
+module.exports = CohortEngine;
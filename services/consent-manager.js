@@ -0,0 +1,300 @@
+/**
+ * Consent Manager
+ * Per-user tracking consent (iOS ATT, GDPR, CCPA) from consent_updated events
+ *
+ * This service:
+ * 1. Keeps the latest consent state per user in user_consents (migration 052) -
+ *    the consent_updated events themselves are the history
+ * 2. Answers "may we do X for this user?" for each purpose:
+ *    - attribution: campaign attribution and ad identifiers (gclid, IDFA, GAID...)
+ *    - personalized_push: personalized push notification targeting
+ * 3. Strips attribution data from events of users who declined it
+ * 4. Clears stored attribution (user_acquisitions) when consent is withdrawn
+ *
+ * Users without a consent_updated event are allowed unless CONSENT_REQUIRED=true.
+ */
+
+const logger = require('../utils/logger');
+
+const PURPOSES = ['attribution', 'personalized_push'];
+
+const CACHE_PREFIX = 'consent:';
+const CACHE_TTL = 24 * 60 * 60; // 1 day - invalidated on every consent change
+
+// Ad identifiers and campaign fields removed from events without attribution consent
+const ATTRIBUTION_FIELDS = [
+  'gclid', 'fbclid', 'ttclid', 'idfa', 'gaid', 'advertising_id', 'ad_id', 'referrer',
+  'campaign_id', 'campaign', 'ad_group', 'ad_group_id', 'keyword', 'creative'
+];
+
+// user_acquisitions columns cleared when attribution consent is withdrawn
+const ACQUISITION_ATTRIBUTION_COLUMNS = [
+  'campaign_id', 'campaign', 'ad_group', 'ad_group_id', 'keyword', 'gclid', 'creative'
+];
+
+class ConsentManager {
+  /**
+   * @param {Object} db - PostgreSQL pool
+   * @param {Object} options
+   * @param {Object} options.redisClient - Redis client for the consent cache (optional)
+   * @param {boolean} options.requireConsent - Users without a consent record are declined
+   */
+  constructor(db, {
+    redisClient = null,
+    requireConsent = process.env.CONSENT_REQUIRED === 'true'
+  } = {}) {
+    this.db = db;
+    this.redisClient = redisClient;
+    this.requireConsent = requireConsent;
+  }
+
+  /**
+   * Consent state from a consent_updated event
+   * @param {Object} event
+   * @returns {Object} - user_consents row shape
+   */
+  static fromEvent(event) {
+    return {
+      user_id: event.user_id,
+      attribution: event.attribution,
+      personalized_push: event.personalized_push,
+      source: event.source,
+      att_status: event.att_status || null,
+      consented_at: new Date(event.timestamp).toISOString()
+    };
+  }
+
+  /**
+   * Whether an event carries any attribution field (nothing to strip otherwise)
+   * @param {Object} event
+   * @returns {boolean}
+   */
+  static hasAttribution(event) {
+    return ATTRIBUTION_FIELDS.some(field =>
+      event[field] !== undefined || (event.payload && typeof event.payload === 'object' && event.payload[field] !== undefined)
+    );
+  }
+
+  /**
+   * Copy of an event without ad identifiers and campaign fields (also inside payload)
+   * @param {Object} event
+   * @returns {Object}
+   */
+  static stripAttribution(event) {
+    const stripped = { ...event };
+    for (const field of ATTRIBUTION_FIELDS) {
+      delete stripped[field];
+    }
+
+    if (stripped.payload && typeof stripped.payload === 'object') {
+      stripped.payload = { ...stripped.payload };
+      for (const field of ATTRIBUTION_FIELDS) {
+        delete stripped.payload[field];
+      }
+    }
+
+    return stripped;
+  }
+
+  /**
+   * SQL condition: the user in userIdColumn allows a purpose
+   * @param {string} purpose - One of PURPOSES
+   * @param {string} userIdColumn - Qualified column of the outer query (e.g. 'ft.user_id')
+   * @param {boolean} requireConsent - Users without a consent record are declined
+   * @returns {string}
+   */
+  static sqlAllows(purpose, userIdColumn, requireConsent = process.env.CONSENT_REQUIRED === 'true') {
+    if (!PURPOSES.includes(purpose)) {
+      throw new Error(`Unknown consent purpose: ${purpose}`);
+    }
+
+    return requireConsent
+      ? `EXISTS (SELECT 1 FROM user_consents uc WHERE uc.user_id = ${userIdColumn} AND uc.${purpose} = true)`
+      : `NOT EXISTS (SELECT 1 FROM user_consents uc WHERE uc.user_id = ${userIdColumn} AND uc.${purpose} = false)`;
+  }
+
+  /**
+   * Get a user's consent state
+   * @param {string} userId
+   * @param {Object} context - Enrichment context - shares the lookup across a batch (optional)
+   * @returns {Promise<Object|null>} - user_consents row, null without a consent record
+   */
+  getConsent(userId, context = null) {
+    if (!userId) return Promise.resolve(null);
+
+    if (context && typeof context.memo === 'function') {
+      return context.memo(`consent:${userId}`, () => this._loadConsent(userId));
+    }
+    return this._loadConsent(userId);
+  }
+
+  /**
+   * Whether a consent state allows a purpose
+   * @param {Object|null} consent - From getConsent()
+   * @param {string} purpose - One of PURPOSES
+   * @returns {boolean}
+   */
+  isAllowed(consent, purpose) {
+    if (!consent) return !this.requireConsent;
+    return consent[purpose] !== false;
+  }
+
+  /**
+   * Whether a user allows a purpose
+   * @param {string} userId
+   * @param {string} purpose - One of PURPOSES
+   * @param {Object} context - Enrichment context (optional)
+   * @returns {Promise<boolean>}
+   */
+  async allows(userId, purpose, context = null) {
+    return this.isAllowed(await this.getConsent(userId, context), purpose);
+  }
+
+  /**
+   * Make consent_updated events in a batch apply to the other events of the same batch
+   * (first launch sends the ATT answer together with user_installed)
+   * @param {Array<Object>} events - Raw batch
+   * @param {Object} context - Enrichment context of the batch
+   */
+  primeBatch(events, context) {
+    if (typeof context?.memo !== 'function') return;
+
+    const latest = new Map();
+    for (const event of events) {
+      if (event?.event_type !== 'consent_updated' || !event.user_id) continue;
+      if (typeof event.attribution !== 'boolean' || typeof event.personalized_push !== 'boolean') continue;
+      if (isNaN(new Date(event.timestamp).getTime())) continue;
+
+      const current = latest.get(event.user_id);
+      if (!current || new Date(event.timestamp) > new Date(current.timestamp)) {
+        latest.set(event.user_id, event);
+      }
+    }
+
+    for (const [userId, event] of latest) {
+      context.memo(`consent:${userId}`, async () => {
+        const stored = await this._loadConsent(userId);
+        const incoming = ConsentManager.fromEvent(event);
+        return stored && new Date(stored.consented_at) > new Date(incoming.consented_at) ? stored : incoming;
+      });
+    }
+  }
+
+  /**
+   * Store the consent state carried by a consent_updated event
+   * Older events (client timestamp) never overwrite a newer state.
+   * @param {Object} event - Validated consent_updated event
+   * @param {string} sourceEventId - events.id of the event
+   * @returns {Promise<boolean>} - true when the state changed
+   */
+  async recordConsent(event, sourceEventId = null) {
+    const consent = ConsentManager.fromEvent(event);
+
+    const result = await this.db.query(`
+      INSERT INTO user_consents (
+        user_id, attribution, personalized_push, source, att_status,
+        consented_at, app_version, platform, source_event_id, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+      ON CONFLICT (user_id) DO UPDATE SET
+        attribution = EXCLUDED.attribution,
+        personalized_push = EXCLUDED.personalized_push,
+        source = EXCLUDED.source,
+        att_status = EXCLUDED.att_status,
+        consented_at = EXCLUDED.consented_at,
+        app_version = EXCLUDED.app_version,
+        platform = EXCLUDED.platform,
+        source_event_id = EXCLUDED.source_event_id,
+        updated_at = NOW()
+      WHERE user_consents.consented_at <= EXCLUDED.consented_at
+      RETURNING user_id
+    `, [
+      consent.user_id,
+      consent.attribution,
+      consent.personalized_push,
+      consent.source,
+      consent.att_status,
+      consent.consented_at,
+      event.app_version || null,
+      event.platform || null,
+      sourceEventId
+    ]);
+
+    if (result.rows.length === 0) {
+      logger.debug('🛂 Stale consent_updated ignored', { user_id: consent.user_id });
+      return false;
+    }
+
+    // ✅ Withdrawn: attribution already stored for this user goes too
+    if (!consent.attribution) {
+      await this.db.query(`
+        UPDATE user_acquisitions
+        SET ${ACQUISITION_ATTRIBUTION_COLUMNS.map(column => `${column} = NULL`).join(', ')}
+        WHERE user_id = $1
+      `, [consent.user_id]);
+    }
+
+    await this._invalidate(consent.user_id);
+
+    logger.info('🛂 Consent updated', {
+      user_id: consent.user_id?.substring(0, 8) + '...',
+      source: consent.source,
+      attribution: consent.attribution,
+      personalized_push: consent.personalized_push
+    });
+
+    return true;
+  }
+
+  async _loadConsent(userId) {
+    const key = `${CACHE_PREFIX}${userId}`;
+
+    if (this.redisClient) {
+      try {
+        const cached = await this.redisClient.get(key);
+        if (cached) return JSON.parse(cached).consent;
+      } catch (error) {
+        logger.debug(`🛂 Consent cache read error: ${error.message}`);
+      }
+    }
+
+    let result;
+    try {
+      result = await this.db.query(`
+        SELECT attribution, personalized_push, source, att_status, consented_at
+        FROM user_consents
+        WHERE user_id = $1
+      `, [userId]);
+    } catch (error) {
+      // Migration 052 not applied yet - nobody has recorded consent
+      if (error.code === '42P01') return null;
+      throw error;
+    }
+
+    const consent = result.rows[0] || null;
+
+    if (this.redisClient) {
+      this.redisClient
+        .set(key, JSON.stringify({ consent }), 'EX', CACHE_TTL)
+        .catch(error => logger.debug(`🛂 Consent cache write error: ${error.message}`));
+    }
+
+    return consent;
+  }
+
+  async _invalidate(userId) {
+    if (!this.redisClient) return;
+
+    try {
+      // The acquisition cache holds campaign_id for the attribution enricher
+      await this.redisClient.del(`${CACHE_PREFIX}${userId}`, `enrich:acquisition:${userId}`);
+    } catch (error) {
+      logger.warn('🛂 Failed to invalidate consent cache', { error: error.message });
+    }
+  }
+}
+
+ConsentManager.PURPOSES = PURPOSES;
+ConsentManager.ATTRIBUTION_FIELDS = ATTRIBUTION_FIELDS;
+
+module.exports = ConsentManager;
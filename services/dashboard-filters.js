@@ -0,0 +1,438 @@
+/**
+ * Dashboard Filters
+ * Date range and segment filters shared by every /api/dashboard endpoint
+ * (routes/dashboard-api.js)
+ *
+ * Query parameters (all optional):
+ * - start_date, end_date: YYYY-MM-DD, inclusive - overrides ?days= (startDate/endDate still accepted)
+ * - platform: ios | android
+ * - country: ISO 3166-1 alpha-2 (geo-country enricher)
+ * - app_version: exact version or a prefix with a trailing wildcard (2.4.x, 2.4.*)
+ * - cohort_start, cohort_end: install date range (YYYY-MM-DD)
+ * - campaign_id: acquisition campaign (campaign still accepted)
+ *
+ * Each source table maps the dimensions it carries (SOURCES). Dimensions a table
+ * lacks are matched through user_acquisitions when it has a user_id (platform,
+ * country, install cohort, campaign). Anything a source cannot honor is listed
+ * in the response (filters.unsupported) instead of being silently dropped.
+ *
+ * Usage:
+ *   const params = [];
+ *   const where = filters.where('events', { params, days });
+ *   db.query(`SELECT ... FROM events WHERE event_type = 'x' AND ${where}`, params);
+ */
+
+const { ValidationException } = require('../utils/exceptions');
+
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const APP_VERSION_PATTERN = /^[0-9A-Za-z._+-]{1,30}$/;
+const CAMPAIGN_PATTERN = /^[0-9A-Za-z._:-]{1,255}$/;
+const PLATFORMS = ['ios', 'android'];
+
+// Segment dimensions in cache key / response order
+const DIMENSIONS = ['platform', 'country', 'app_version', 'install_cohort', 'campaign_id'];
+
+// Dimensions resolvable per user through user_acquisitions
+const USER_DIMENSIONS = ['platform', 'country', 'install_cohort', 'campaign_id'];
+
+// Where each dimension lives per source table (time = column the date range applies to)
+const SOURCES = {
+  events: {
+    time: 'received_at',
+    user: 'user_id',
+    platform: "payload->>'platform'",
+    country: "payload->>'country'",
+    app_version: "payload->>'app_version'",
+    install_cohort: "(payload->>'install_cohort')::date",
+    campaign_id: 'campaign_id'
+  },
+  sessions: { time: 'started_at', user: 'user_id', platform: 'platform', app_version: 'app_version' },
+  crash_logs: { time: 'timestamp', user: 'user_id', platform: 'platform', app_version: 'app_version' },
+  performance_metrics: { time: 'timestamp', user: 'user_id', platform: 'platform' },
+  notification_events: { time: 'received_at', user: 'user_id', country: 'country' },
+  users: { time: 'created_at', user: 'user_id', country: 'country', app_version: 'app_version' },
+  user_acquisitions: {
+    time: 'install_date',
+    user: 'user_id',
+    platform: 'platform',
+    country: 'country',
+    install_cohort: 'DATE(install_date)',
+    campaign_id: 'campaign_id'
+  },
+  cohort_aggregations: { time: 'cohort_date', platform: 'platform', install_cohort: 'cohort_date', campaign_id: 'campaign_id' },
+  daily_aggregations: { time: 'date' },
+  level_performance_daily: { time: 'date' },
+  user_funnel_daily: { time: 'date' }
+};
+
+class DashboardFilters {
+  /**
+   * @param {Object} filters - { startDate, endDate, platform, country, appVersion, cohortStart, cohortEnd, campaignId }
+   */
+  constructor({
+    startDate = null,
+    endDate = null,
+    platform = null,
+    country = null,
+    appVersion = null,
+    cohortStart = null,
+    cohortEnd = null,
+    campaignId = null
+  } = {}) {
+    this.startDate = startDate;
+    this.endDate = endDate;
+    this.platform = platform;
+    this.country = country;
+    this.appVersion = appVersion;
+    this.cohortStart = cohortStart;
+    this.cohortEnd = cohortEnd;
+    this.campaignId = campaignId;
+    this.unsupported = new Set();
+  }
+
+  /**
+   * Parse and validate the shared query parameters
+   * @param {Object} query - req.query
+   * @param {Date} now - Reference time (tests)
+   * @returns {DashboardFilters}
+   */
+  static fromQuery(query = {}, now = new Date()) {
+    const value = (...names) => {
+      for (const name of names) {
+        const raw = query[name];
+        if (typeof raw === 'string' && raw.trim() !== '' && raw.trim().toLowerCase() !== 'all') {
+          return raw.trim();
+        }
+      }
+      return null;
+    };
+
+    const today = now.toISOString().split('T')[0];
+    let startDate = parseDate(value('start_date', 'startDate'), 'start_date');
+    let endDate = parseDate(value('end_date', 'endDate'), 'end_date');
+
+    if (endDate && !startDate) {
+      throw new ValidationException('start_date is required with end_date', 'start_date');
+    }
+    if (startDate) {
+      endDate = endDate || today;
+      if (endDate < startDate) {
+        throw new ValidationException('end_date must not be before start_date', 'end_date');
+      }
+      if (daysBetween(startDate, endDate) + 1 > MAX_RANGE_DAYS) {
+        throw new ValidationException(`Date range must not exceed ${MAX_RANGE_DAYS} days`, 'start_date');
+      }
+    } else {
+      startDate = null;
+    }
+
+    const platform = value('platform');
+    if (platform && !PLATFORMS.includes(platform.toLowerCase())) {
+      throw new ValidationException(`platform must be one of: ${PLATFORMS.join(', ')}`, 'platform');
+    }
+
+    const country = value('country');
+    if (country && !/^[A-Za-z]{2}$/.test(country)) {
+      throw new ValidationException('country must be a 2-letter ISO code', 'country');
+    }
+
+    const appVersion = value('app_version');
+    if (appVersion && !APP_VERSION_PATTERN.test(appVersion.replace(/\*$/, ''))) {
+      throw new ValidationException('app_version must be a version like 2.4.1 or 2.4.x', 'app_version');
+    }
+
+    const campaignId = value('campaign_id', 'campaign');
+    if (campaignId && !CAMPAIGN_PATTERN.test(campaignId)) {
+      throw new ValidationException('campaign_id contains invalid characters', 'campaign_id');
+    }
+
+    const cohortStart = parseDate(value('cohort_start'), 'cohort_start');
+    const cohortEnd = parseDate(value('cohort_end'), 'cohort_end');
+    if (cohortStart && cohortEnd && cohortEnd < cohortStart) {
+      throw new ValidationException('cohort_end must not be before cohort_start', 'cohort_end');
+    }
+
+    return new DashboardFilters({
+      startDate,
+      endDate: startDate ? endDate : null,
+      platform: platform ? platform.toLowerCase() : null,
+      country: country ? country.toUpperCase() : null,
+      appVersion,
+      cohortStart,
+      cohortEnd,
+      campaignId
+    });
+  }
+
+  /**
+   * Whether an explicit date range was requested (otherwise endpoints use ?days=)
+   */
+  get hasRange() {
+    return Boolean(this.startDate);
+  }
+
+  /**
+   * Whether any segment filter is set
+   */
+  get isSegmented() {
+    return DIMENSIONS.some(dimension => this._isSet(dimension));
+  }
+
+  /**
+   * Whether any filter is set
+   */
+  get isActive() {
+    return this.hasRange || this.isSegmented;
+  }
+
+  /**
+   * Number of days covered (the explicit range, or the endpoint's days)
+   * @param {number} days - Endpoint default
+   * @returns {number}
+   */
+  dayCount(days) {
+    return this.hasRange ? daysBetween(this.startDate, this.endDate) + 1 : days;
+  }
+
+  /**
+   * The same filters narrowed to the last day of the range (snapshot cards)
+   * @returns {DashboardFilters}
+   */
+  lastDay() {
+    if (!this.hasRange) return this;
+
+    const filters = new DashboardFilters({ ...this, startDate: this.endDate });
+    filters.unsupported = this.unsupported;
+    return filters;
+  }
+
+  /**
+   * The same filters without some segment dimensions (endpoints that apply them their own way)
+   * @param {...string} dimensions - platform | country | app_version | install_cohort | campaign_id
+   * @returns {DashboardFilters}
+   */
+  without(...dimensions) {
+    const filters = new DashboardFilters({
+      ...this,
+      platform: dimensions.includes('platform') ? null : this.platform,
+      country: dimensions.includes('country') ? null : this.country,
+      appVersion: dimensions.includes('app_version') ? null : this.appVersion,
+      cohortStart: dimensions.includes('install_cohort') ? null : this.cohortStart,
+      cohortEnd: dimensions.includes('install_cohort') ? null : this.cohortEnd,
+      campaignId: dimensions.includes('campaign_id') ? null : this.campaignId
+    });
+    filters.unsupported = this.unsupported;
+    return filters;
+  }
+
+  /**
+   * Whether a source can honor every segment filter directly or per user
+   * (pre-aggregated tables cannot - endpoints fall back to raw events)
+   * @param {string} source - Key of SOURCES
+   * @returns {boolean}
+   */
+  supports(source) {
+    const mapping = getSource(source);
+    return DIMENSIONS.every(dimension =>
+      !this._isSet(dimension) ||
+      mapping[dimension] ||
+      (mapping.user && USER_DIMENSIONS.includes(dimension))
+    );
+  }
+
+  /**
+   * Cache key suffix - empty without filters so existing keys (and the cache warmer) stay valid
+   * @returns {string}
+   */
+  cacheKey() {
+    if (!this.isActive) return '';
+
+    const parts = [];
+    if (this.hasRange) parts.push(`${this.startDate}..${this.endDate}`);
+    if (this.platform) parts.push(`p=${this.platform}`);
+    if (this.country) parts.push(`c=${this.country}`);
+    if (this.appVersion) parts.push(`v=${this.appVersion}`);
+    if (this.cohortStart || this.cohortEnd) parts.push(`ic=${this.cohortStart || ''}..${this.cohortEnd || ''}`);
+    if (this.campaignId) parts.push(`cmp=${this.campaignId}`);
+    return `:f:${parts.join(':')}`;
+  }
+
+  /**
+   * Date range conditions only, for derived columns (install dates, cohort days)
+   * @param {string} expression - Column/expression the range applies to
+   * @param {Object} options - { params, days } as in where()
+   * @returns {string} - Conditions ('TRUE' when there are none)
+   */
+  range(expression, { params, days = null } = {}) {
+    const conditions = this._rangeConditions(expression, days, (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    });
+    return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+  }
+
+  /**
+   * SQL conditions for a source (joined with AND, values pushed to params)
+   * @param {string} source - Key of SOURCES
+   * @param {Object} options
+   * @param {Array} options.params - Query parameters (appended to)
+   * @param {number} options.days - Default range when no explicit range (null = no date condition)
+   * @param {string} options.alias - Table alias
+   * @param {string} options.time - Column/expression the range applies to (default: source time column)
+   * @param {string} options.basis - events only: 'occurred_at' ranges on the clock-corrected time
+   * @param {boolean} options.range - false to apply only the segment filters
+   * @returns {string} - Conditions ('TRUE' when there are none)
+   */
+  where(source, { params, days = null, alias = '', time = null, basis = 'received_at', range = true } = {}) {
+    const mapping = getSource(source);
+    const column = (expression) => qualify(expression, alias);
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    const conditions = [];
+
+    if (range) {
+      const occurred = source === 'events' && basis === 'occurred_at' && !time;
+      const timeExpr = time || (occurred
+        ? `COALESCE(${column('occurred_at')}, ${column('received_at')})`
+        : column(mapping.time));
+
+      const rangeConditions = this._rangeConditions(timeExpr, days, param);
+      conditions.push(...rangeConditions);
+      // occurred_at <= received_at, so the received_at lower bound still prunes partitions
+      if (occurred && rangeConditions.length > 0) {
+        conditions.push(rangeConditions[0].replace(timeExpr, column('received_at')));
+      }
+    }
+
+    const viaUser = [];
+    for (const dimension of DIMENSIONS) {
+      if (!this._isSet(dimension)) continue;
+
+      if (mapping[dimension]) {
+        conditions.push(...this._conditions(dimension, column(mapping[dimension]), param));
+      } else if (mapping.user && USER_DIMENSIONS.includes(dimension)) {
+        viaUser.push(dimension);
+      } else {
+        this.unsupported.add(dimension);
+      }
+    }
+
+    if (viaUser.length > 0) {
+      const acquisitions = SOURCES.user_acquisitions;
+      const userConditions = viaUser.flatMap(dimension => this._conditions(dimension, acquisitions[dimension], param));
+      conditions.push(
+        `${column(mapping.user)} IN (SELECT user_id FROM user_acquisitions WHERE ${userConditions.join(' AND ')})`
+      );
+    }
+
+    return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+  }
+
+  /**
+   * Fields merged into endpoint responses ({} without filters)
+   * @returns {Object} - { filters: { ..., unsupported? } }
+   */
+  meta() {
+    if (!this.isActive) return {};
+
+    const filters = {};
+    if (this.hasRange) {
+      filters.start_date = this.startDate;
+      filters.end_date = this.endDate;
+    }
+    if (this.platform) filters.platform = this.platform;
+    if (this.country) filters.country = this.country;
+    if (this.appVersion) filters.app_version = this.appVersion;
+    if (this.cohortStart) filters.cohort_start = this.cohortStart;
+    if (this.cohortEnd) filters.cohort_end = this.cohortEnd;
+    if (this.campaignId) filters.campaign_id = this.campaignId;
+    if (this.unsupported.size > 0) filters.unsupported = [...this.unsupported];
+
+    return { filters };
+  }
+
+  _rangeConditions(expression, days, param) {
+    if (this.hasRange) {
+      return [
+        `${expression} >= ${param(this.startDate)}::date`,
+        `${expression} < ${param(this.endDate)}::date + 1`
+      ];
+    }
+    if (days !== null) {
+      return [`${expression} >= CURRENT_DATE - make_interval(days => ${param(days)})`];
+    }
+    return [];
+  }
+
+  _isSet(dimension) {
+    switch (dimension) {
+      case 'platform': return Boolean(this.platform);
+      case 'country': return Boolean(this.country);
+      case 'app_version': return Boolean(this.appVersion);
+      case 'install_cohort': return Boolean(this.cohortStart || this.cohortEnd);
+      case 'campaign_id': return Boolean(this.campaignId);
+      default: return false;
+    }
+  }
+
+  _conditions(dimension, expression, param) {
+    switch (dimension) {
+      case 'platform': return [`${expression} = ${param(this.platform)}`];
+      case 'country': return [`${expression} = ${param(this.country)}`];
+      case 'campaign_id': return [`${expression} = ${param(this.campaignId)}`];
+      case 'app_version': {
+        // 2.4.x / 2.4.* -> every 2.4 build
+        const prefix = this.appVersion.match(/^(.*\.)(x|\*)$/i);
+        return prefix
+          ? [`${expression} LIKE ${param(`${prefix[1].replace(/[_%\\]/g, '\\$&')}%`)}`]
+          : [`${expression} = ${param(this.appVersion)}`];
+      }
+      case 'install_cohort': {
+        const conditions = [];
+        if (this.cohortStart) conditions.push(`${expression} >= ${param(this.cohortStart)}::date`);
+        if (this.cohortEnd) conditions.push(`${expression} <= ${param(this.cohortEnd)}::date`);
+        return conditions;
+      }
+      default: return [];
+    }
+  }
+}
+
+function getSource(source) {
+  const mapping = SOURCES[source];
+  if (!mapping) {
+    throw new Error(`Unknown dashboard filter source: ${source}`);
+  }
+  return mapping;
+}
+
+/**
+ * Prefix bare column names with the table alias (expressions are prefixed inside)
+ */
+function qualify(expression, alias) {
+  if (!alias) return expression;
+  if (/^[a-z_]+$/.test(expression)) return `${alias}.${expression}`;
+  return expression.replace(/\b(payload|install_date)\b/g, `${alias}.$1`);
+}
+
+function parseDate(value, field) {
+  if (!value) return null;
+  if (!DATE_PATTERN.test(value) || isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    throw new ValidationException(`${field} must be a date (YYYY-MM-DD)`, field);
+  }
+  return value;
+}
+
+function daysBetween(startDate, endDate) {
+  return Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / DAY_MS);
+}
+
+DashboardFilters.SOURCES = SOURCES;
+DashboardFilters.MAX_RANGE_DAYS = MAX_RANGE_DAYS;
+
+module.exports = DashboardFilters;
@@ -2,6 +2,7 @@ const express = require('express');
 const compression = require('compression');
 const helmet = require('helmet');
 const path = require('path');
+const { adminRoute } = require('../middleware/admin-auth');
 
 // Production-grade dashboard service
 class DashboardService {
@@ -35,7 +36,7 @@ class DashboardService {
     // app.get('/dashboard', this.handleDashboardRequest.bind(this));
     
     // Dashboard API endpoints
-    app.get('/dashboard/api/kpis', this.handleKPIsRequest.bind(this));
+    app.get('/dashboard/api/kpis', adminRoute('dashboard:read'), this.handleKPIsRequest.bind(this));
     app.get('/dashboard/api/health', this.handleHealthRequest.bind(this));
   }
 
@@ -0,0 +1,23 @@
+/**
+ * Campaign Attribution Enricher
+ * Fills campaign_id from user_acquisitions when the client did not send one,
+ * so ROI analysis does not depend on every client build tagging events.
+ * Users who declined attribution (consent_updated) are never attributed.
+ */
+
+const { getAcquisition } = require('./user-acquisition');
+
+module.exports = {
+  name: 'campaign_attribution',
+
+  async enrich(event, context, deps) {
+    if (event.campaign_id || !event.user_id) return null;
+
+    const acquisition = await getAcquisition(event.user_id, context, deps);
+    if (!acquisition?.campaign_id) return null;
+
+    if (!(await deps.consentManager.allows(event.user_id, 'attribution', context))) return null;
+
+    return { campaign_id: acquisition.campaign_id };
+  }
+};
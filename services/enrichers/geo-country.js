@@ -0,0 +1,21 @@
+/**
+ * Geo Country Enricher
+ * Sets country from the client IP captured when the batch was received
+ * (GeolocationService: Redis-cached per user, GeoIP lookup on miss)
+ */
+
+module.exports = {
+  name: 'geo_country',
+  timeoutMs: 2000, // Redis + GeoIP on a cold cache (same budget as the old inline lookup)
+
+  async enrich(event, context, { geoService }) {
+    if (!context.ip || !event.user_id) return null;
+
+    // ✅ One lookup per user per batch (GeolocationService only reads req.ip)
+    const country = await context.memo(`geo:${event.user_id}`, () =>
+      geoService.getCountryForUser(event.user_id, { ip: context.ip })
+    );
+
+    return country ? { country } : null;
+  }
+};
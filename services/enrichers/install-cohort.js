@@ -0,0 +1,28 @@
+/**
+ * Install Cohort Enricher
+ * Sets install_cohort (YYYY-MM-DD, UTC) from user_acquisitions.install_date.
+ * Install events of users without an acquisition row use their own timestamp.
+ */
+
+const { getAcquisition } = require('./user-acquisition');
+
+const INSTALL_EVENTS = ['app_installed', 'user_installed', 'first_open'];
+
+module.exports = {
+  name: 'install_cohort',
+
+  async enrich(event, context, deps) {
+    if (event.install_cohort || !event.user_id) return null;
+
+    const acquisition = await getAcquisition(event.user_id, context, deps);
+    const installDate = acquisition?.install_date ||
+      (INSTALL_EVENTS.includes(event.event_type) ? event.timestamp : null);
+
+    if (!installDate) return null;
+
+    const date = new Date(installDate);
+    if (isNaN(date.getTime())) return null;
+
+    return { install_cohort: date.toISOString().split('T')[0] };
+  }
+};
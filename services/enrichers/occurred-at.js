@@ -0,0 +1,53 @@
+/**
+ * Occurred-At Enricher
+ * Sets occurred_at: the client timestamp corrected for the device clock offset.
+ *
+ * Offline batches arrive hours after the events happened, so received_at puts
+ * them on the wrong day. Clients send the batch send time (sent_at); the device
+ * clock is off by received_at - sent_at (clock_offset_ms), which is added to
+ * every event timestamp of the batch. Without sent_at the client clock is trusted.
+ *
+ * Implausible results fall back to received_at and are flagged (timestamp_flag):
+ * - future: after the batch was received
+ * - stale: older than EVENT_MAX_DELAY_DAYS
+ * Corrected events of a device whose clock is off by more than 10 minutes are
+ * flagged skewed_clock.
+ */
+
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+const SKEW_FLAG_MS = 10 * 60 * 1000;
+const MAX_DELAY_MS = parseInt(process.env.EVENT_MAX_DELAY_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+
+const toTime = (value) => (value ? new Date(value).getTime() : NaN);
+
+module.exports = {
+  name: 'occurred_at',
+
+  async enrich(event, context) {
+    const receivedAt = toTime(context.received_at);
+    const timestamp = toTime(event.timestamp);
+    if (isNaN(receivedAt) || isNaN(timestamp)) return null;
+
+    const sentAt = toTime(context.sent_at);
+    const offset = isNaN(sentAt) ? null : receivedAt - sentAt;
+    const occurredAt = timestamp + (offset || 0);
+
+    let flag = null;
+    if (occurredAt > receivedAt + FUTURE_TOLERANCE_MS) {
+      flag = 'future';
+    } else if (occurredAt < receivedAt - MAX_DELAY_MS) {
+      flag = 'stale';
+    } else if (Math.abs(offset) > SKEW_FLAG_MS) {
+      flag = 'skewed_clock';
+    }
+
+    const plausible = flag === null || flag === 'skewed_clock';
+    const fields = {
+      occurred_at: new Date(plausible ? Math.min(occurredAt, receivedAt) : receivedAt).toISOString()
+    };
+    if (offset !== null) fields.clock_offset_ms = offset;
+    if (flag) fields.timestamp_flag = flag;
+
+    return fields;
+  }
+};
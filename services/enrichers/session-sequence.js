@@ -0,0 +1,33 @@
+/**
+ * Session Sequence Enricher
+ * Sets session_seq: 1 for a user's first session_id, 2 for the second, ...
+ * Kept in a Redis hash per user (session_id -> seq), so it needs Redis.
+ */
+
+const KEY_PREFIX = 'enrich:sessions:';
+const COUNTER_FIELD = '_count';
+const TTL = 90 * 24 * 60 * 60; // 90 days since the user's last new session
+
+module.exports = {
+  name: 'session_sequence',
+
+  async enrich(event, context, { redisClient }) {
+    if (!redisClient || !event.session_id || !event.user_id || event.session_seq) return null;
+
+    const seq = await context.memo(`session:${event.user_id}:${event.session_id}`, async () => {
+      const key = `${KEY_PREFIX}${event.user_id}`;
+
+      const existing = await redisClient.hget(key, event.session_id);
+      if (existing) return parseInt(existing, 10);
+
+      // New session: take the next number (HSETNX keeps the first writer's value on a race)
+      const next = await redisClient.hincrby(key, COUNTER_FIELD, 1);
+      const claimed = await redisClient.hsetnx(key, event.session_id, next);
+      await redisClient.expire(key, TTL);
+
+      return claimed ? next : parseInt(await redisClient.hget(key, event.session_id), 10);
+    });
+
+    return seq ? { session_seq: seq } : null;
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * User acquisition lookup shared by the install cohort and campaign enrichers
+ * Reads user_acquisitions once per user per batch, cached in Redis
+ */
+
+const logger = require('../../utils/logger');
+
+const CACHE_PREFIX = 'enrich:acquisition:';
+const CACHE_TTL = 24 * 60 * 60; // 1 day
+const MISS_TTL = 60 * 60; // 1 hour - user_acquisitions row may land later (user_installed)
+
+async function fetchAcquisition(userId, { db, redisClient }) {
+  const key = `${CACHE_PREFIX}${userId}`;
+
+  if (redisClient) {
+    try {
+      const cached = await redisClient.get(key);
+      if (cached) return JSON.parse(cached).acquisition;
+    } catch (error) {
+      logger.debug(`🧩 Acquisition cache read error: ${error.message}`);
+    }
+  }
+
+  const result = await db.query(`
+    SELECT install_date, campaign_id, source
+    FROM user_acquisitions
+    WHERE user_id = $1
+  `, [userId]);
+
+  const acquisition = result.rows[0] || null;
+
+  if (redisClient) {
+    redisClient
+      .set(key, JSON.stringify({ acquisition }), 'EX', acquisition ? CACHE_TTL : MISS_TTL)
+      .catch(error => logger.debug(`🧩 Acquisition cache write error: ${error.message}`));
+  }
+
+  return acquisition;
+}
+
+/**
+ * Get the user_acquisitions row for a user (null if the user has none)
+ * @param {string} userId
+ * @param {Object} context - Enrichment context (memo)
+ * @param {Object} deps - { db, redisClient }
+ * @returns {Promise<Object|null>} - { install_date, campaign_id, source }
+ */
+function getAcquisition(userId, context, deps) {
+  return context.memo(`acquisition:${userId}`, () => fetchAcquisition(userId, deps));
+}
+
+module.exports = { getAcquisition };
@@ -0,0 +1,171 @@
+/**
+ * Event Anomaly Store
+ * Persists abuse-detection flags raised at event ingestion
+ *
+ * This service:
+ * 1. Stores flags raised by EventRateLimiter (impossible rates, rate-limit violations)
+ * 2. Lists flags for review and aggregates them per flagged user
+ * 3. Records review decisions (confirmed / dismissed)
+ */
+
+const logger = require('../utils/logger');
+const { getPrivacyFilter, truncateIP } = require('../utils/privacy');
+
+const REVIEW_STATUSES = ['open', 'confirmed', 'dismissed'];
+
+class EventAnomalyStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Store a flag
+   * @param {Object} flag - { user_id, ip, rule, event_type, observed_count, threshold, window_seconds, sample }
+   * @returns {Promise<number>} - Flag ID
+   */
+  async record(flag) {
+    const result = await this.db.query(`
+      INSERT INTO event_anomaly_flags (
+        user_id, ip, rule, event_type, observed_count, threshold, window_seconds, sample
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `, [
+      flag.user_id ? String(flag.user_id).substring(0, 255) : null,
+      flag.ip ? truncateIP(flag.ip) : null, // /24 (/48) still groups per-network abuse
+      flag.rule,
+      flag.event_type || null,
+      flag.observed_count,
+      flag.threshold,
+      flag.window_seconds,
+      flag.sample ? JSON.stringify(getPrivacyFilter().scrubEvent(flag.sample)) : null
+    ]);
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * List flags (newest first)
+   * @param {Object} filters
+   * @param {string} filters.status - 'open' (default), 'confirmed' or 'dismissed'
+   * @param {string} filters.userId - Filter by user
+   * @param {string} filters.rule - Filter by rule name
+   * @param {number} filters.limit - Page size (max 500)
+   * @param {number} filters.offset - Page offset
+   * @returns {Promise<Array<Object>>}
+   */
+  async list({ status = 'open', userId, rule, limit = 100, offset = 0 } = {}) {
+    const conditions = ['status = $1'];
+    const params = [status];
+
+    if (userId) {
+      params.push(userId);
+      conditions.push(`user_id = $${params.length}`);
+    }
+
+    if (rule) {
+      params.push(rule);
+      conditions.push(`rule = $${params.length}`);
+    }
+
+    params.push(Math.min(parseInt(limit) || 100, 500));
+    params.push(parseInt(offset) || 0);
+
+    const result = await this.db.query(`
+      SELECT *
+      FROM event_anomaly_flags
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY detected_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Flagged users with their flag counts and rules
+   * @param {Object} filters
+   * @param {number} filters.days - Look-back window (default 7)
+   * @param {string} filters.status - Flag status (default 'open')
+   * @param {number} filters.limit - Max users (max 500)
+   * @returns {Promise<Array<Object>>}
+   */
+  async getFlaggedUsers({ days = 7, status = 'open', limit = 100 } = {}) {
+    const result = await this.db.query(`
+      SELECT
+        user_id,
+        COUNT(*) as flag_count,
+        ARRAY_AGG(DISTINCT rule) as rules,
+        MAX(observed_count) as max_observed_count,
+        ARRAY_AGG(DISTINCT ip) FILTER (WHERE ip IS NOT NULL) as ips,
+        MIN(detected_at) as first_flagged,
+        MAX(detected_at) as last_flagged
+      FROM event_anomaly_flags
+      WHERE user_id IS NOT NULL
+        AND status = $1
+        AND detected_at > NOW() - ($2 || ' days')::INTERVAL
+      GROUP BY user_id
+      ORDER BY flag_count DESC, last_flagged DESC
+      LIMIT $3
+    `, [status, String(days), Math.min(parseInt(limit) || 100, 500)]);
+
+    return result.rows.map(row => ({
+      ...row,
+      flag_count: parseInt(row.flag_count),
+      max_observed_count: parseInt(row.max_observed_count)
+    }));
+  }
+
+  /**
+   * Record a review decision
+   * @param {number} id - Flag ID
+   * @param {Object} review
+   * @param {string} review.status - 'confirmed' or 'dismissed' (or 'open' to reopen)
+   * @param {string} review.reviewedBy - Reviewer
+   * @param {string} review.note - Optional note
+   * @returns {Promise<Object|null>} - Updated flag (null if not found)
+   */
+  async review(id, { status, reviewedBy = null, note = null }) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}. Expected one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+
+    const result = await this.db.query(`
+      UPDATE event_anomaly_flags
+      SET status = $2, reviewed_by = $3, review_note = $4, reviewed_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id, status, reviewedBy, note]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get flag counts (used by GET /api/events/stats)
+   * @param {string} interval - Postgres interval (e.g. '24 hours')
+   * @returns {Promise<Object>}
+   */
+  async getStats(interval = '24 hours') {
+    try {
+      const result = await this.db.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE status = 'open') as open,
+          COUNT(DISTINCT user_id) as flagged_users
+        FROM event_anomaly_flags
+        WHERE detected_at > NOW() - $1::INTERVAL
+      `, [interval]);
+
+      return {
+        open: parseInt(result.rows[0].open),
+        flagged_users: parseInt(result.rows[0].flagged_users)
+      };
+    } catch (error) {
+      logger.debug('🚩 Anomaly stats unavailable', { error: error.message });
+      return null;
+    }
+  }
+}
+
+EventAnomalyStore.REVIEW_STATUSES = REVIEW_STATUSES;
+
+module.exports = EventAnomalyStore;
@@ -0,0 +1,108 @@
+/**
+ * Event Batch Verifier
+ * HMAC signatures for event batches (keeps curl-forged data out of KPIs)
+ *
+ * Clients sign the UNCOMPRESSED request body:
+ *   X-Event-Signature: sha256=<hex HMAC-SHA256(body, secret)>
+ *   X-App-Version: 1.6.0   (optional - defaults to the first event's app_version)
+ *
+ * Secrets are per app_version (EVENT_SIGNING_SECRETS="1.6.0:secretA,1.7.0:secretB",
+ * "*" = any version), so a leaked secret is retired with its build.
+ *
+ * Verdicts:
+ * - valid              -> queued
+ * - invalid            -> quarantined
+ * - missing            -> quarantined (this version has a secret, so its builds sign)
+ * - unsigned_version   -> version has no secret (builds before signing shipped) - queued
+ *                         unless EVENT_SIGNATURE_REQUIRED=true (signature not checked)
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-event-signature';
+const APP_VERSION_HEADER = 'x-app-version';
+
+/**
+ * Parse "version:secret,version:secret" (secrets may contain ':')
+ * @param {string} value
+ * @returns {Object} - { version: secret }
+ */
+function parseSecrets(value = '') {
+  const secrets = {};
+  for (const entry of value.split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) continue;
+    secrets[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+  }
+  return secrets;
+}
+
+/**
+ * Compute a batch signature
+ * @param {Buffer|string} body - Uncompressed request body
+ * @param {string} secret
+ * @returns {string} - "sha256=<hex>"
+ */
+function signBatch(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+class EventBatchVerifier {
+  /**
+   * @param {Object} options
+   * @param {Object} options.secrets - { app_version: secret } ("*" matches any version)
+   * @param {boolean} options.required - Quarantine every batch without a valid signature
+   */
+  constructor({
+    secrets = parseSecrets(process.env.EVENT_SIGNING_SECRETS),
+    required = process.env.EVENT_SIGNATURE_REQUIRED === 'true'
+  } = {}) {
+    this.secrets = secrets;
+    this.required = required;
+  }
+
+  /**
+   * Verify a batch
+   * @param {Object} request
+   * @param {Buffer|undefined} request.rawBody - Uncompressed body (from eventBodyParser)
+   * @param {Object} request.headers - Request headers
+   * @param {Array<Object>} events - Parsed batch
+   * @returns {Object} - { verdict, quarantine: boolean, app_version }
+   */
+  verify({ rawBody, headers = {} }, events = []) {
+    const appVersion = headers[APP_VERSION_HEADER] || events.find(event => event && event.app_version)?.app_version || null;
+    const signature = headers[SIGNATURE_HEADER];
+    const secret = (appVersion && this.secrets[appVersion]) || this.secrets['*'] || null;
+
+    let verdict;
+    if (!secret) {
+      // No secret for this build - a signature can't be checked either way
+      verdict = 'unsigned_version';
+    } else if (!signature) {
+      verdict = 'missing';
+    } else if (!rawBody) {
+      // Body was parsed without eventBodyParser - nothing to check the signature against
+      verdict = 'invalid';
+    } else {
+      verdict = this._matches(signature, signBatch(rawBody, secret)) ? 'valid' : 'invalid';
+    }
+
+    const quarantine = verdict === 'invalid' || verdict === 'missing' ||
+      (verdict === 'unsigned_version' && this.required);
+
+    return { verdict, quarantine, app_version: appVersion };
+  }
+
+  _matches(received, expected) {
+    const a = Buffer.from(String(received));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+}
+
+EventBatchVerifier.parseSecrets = parseSecrets;
+EventBatchVerifier.signBatch = signBatch;
+EventBatchVerifier.SIGNATURE_HEADER = SIGNATURE_HEADER;
+EventBatchVerifier.APP_VERSION_HEADER = APP_VERSION_HEADER;
+
+module.exports = EventBatchVerifier;
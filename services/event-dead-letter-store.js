@@ -0,0 +1,230 @@
+/**
+ * Event Dead-Letter Store
+ * Persists events rejected by schema validation
+ *
+ * This service:
+ * 1. Stores rejected payloads with their Joi error details, app_version and platform
+ * 2. Lists dead letters for inspection
+ * 3. Groups dead letters by error (schema drift per event type / app version)
+ * 4. Tracks re-submission once a schema fix lands (see EventProcessor.resubmitDeadLetters)
+ */
+
+const logger = require('../utils/logger');
+
+class EventDeadLetterStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Store a rejected event
+   * @param {Object} event - Event payload that failed validation (pseudonymized copy, listed)
+   * @param {Object} validation - Result of validateEvent() ({ errors, details })
+   * @param {Object} rawEvent - Unscrubbed payload, only read back for re-submission
+   * @returns {Promise<number>} - Dead letter ID
+   */
+  async store(event, validation, rawEvent = null) {
+    const payload = event && typeof event === 'object' ? event : { raw: event };
+    const details = validation.details || validation.errors.map(message => ({ message }));
+
+    const query = `
+      INSERT INTO event_dead_letters (
+        event_type, user_id, app_version, platform, payload, errors, raw_payload
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `;
+
+    const result = await this.db.query(query, [
+      this._truncate(payload.event_type, 100),
+      this._truncate(payload.user_id, 255),
+      this._truncate(payload.app_version, 50),
+      this._truncate(payload.platform, 20),
+      JSON.stringify(payload),
+      JSON.stringify(details),
+      rawEvent && typeof rawEvent === 'object' ? JSON.stringify(rawEvent) : null
+    ]);
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * List dead letters (newest first)
+   * @param {Object} filters
+   * @param {string} filters.status - 'pending' (default) or 'resubmitted'
+   * @param {string} filters.eventType - Filter by event type
+   * @param {string} filters.appVersion - Filter by app version
+   * @param {number} filters.limit - Page size (max 500)
+   * @param {number} filters.offset - Page offset
+   * @returns {Promise<Array<Object>>}
+   */
+  async list({ status = 'pending', eventType, appVersion, limit = 100, offset = 0 } = {}) {
+    const conditions = ['status = $1'];
+    const params = [status];
+
+    if (eventType) {
+      params.push(eventType);
+      conditions.push(`event_type = $${params.length}`);
+    }
+
+    if (appVersion) {
+      params.push(appVersion);
+      conditions.push(`app_version = $${params.length}`);
+    }
+
+    params.push(Math.min(parseInt(limit) || 100, 500));
+    params.push(parseInt(offset) || 0);
+
+    const result = await this.db.query(`
+      SELECT
+        id, event_type, user_id, app_version, platform, payload, errors,
+        status, resubmit_attempts, resubmitted_at, resubmitted_event_id, received_at
+      FROM event_dead_letters
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY received_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Group pending dead letters by error
+   * One row per (event_type, error type, field path), so a field tightened in
+   * a schema shows up as a single group with the affected app versions.
+   *
+   * @param {number} days - Lookback window in days
+   * @returns {Promise<Array<Object>>}
+   */
+  async groupByError(days = 7) {
+    const result = await this.db.query(`
+      SELECT
+        d.event_type,
+        err->>'type' as error_type,
+        err->>'path' as path,
+        MIN(err->>'message') as sample_message,
+        COUNT(DISTINCT d.id) as count,
+        COUNT(DISTINCT d.user_id) as unique_users,
+        ARRAY_AGG(DISTINCT d.app_version) FILTER (WHERE d.app_version IS NOT NULL) as app_versions,
+        ARRAY_AGG(DISTINCT d.platform) FILTER (WHERE d.platform IS NOT NULL) as platforms,
+        MIN(d.received_at) as first_seen,
+        MAX(d.received_at) as last_seen
+      FROM event_dead_letters d
+      CROSS JOIN LATERAL jsonb_array_elements(d.errors) err
+      WHERE d.status = 'pending'
+        AND d.received_at > NOW() - ($1 || ' days')::INTERVAL
+      GROUP BY d.event_type, err->>'type', err->>'path'
+      ORDER BY count DESC
+    `, [String(days)]);
+
+    return result.rows.map(row => ({
+      ...row,
+      count: parseInt(row.count),
+      unique_users: parseInt(row.unique_users)
+    }));
+  }
+
+  /**
+   * Get pending dead letters for re-submission (oldest first)
+   * payload is the unscrubbed copy when one was kept (raw_payload)
+   * @param {Object} filters
+   * @param {Array<number>} filters.ids - Specific dead letter IDs
+   * @param {string} filters.eventType - Filter by event type
+   * @param {string} filters.errorType - Filter by Joi error type (e.g. 'any.required')
+   * @param {number} filters.limit - Max rows
+   * @returns {Promise<Array<Object>>}
+   */
+  async getPending({ ids, eventType, errorType, limit = 100 } = {}) {
+    const conditions = [`status = 'pending'`];
+    const params = [];
+
+    if (Array.isArray(ids) && ids.length > 0) {
+      params.push(ids.map(id => parseInt(id)).filter(Number.isFinite));
+      conditions.push(`id = ANY($${params.length}::bigint[])`);
+    }
+
+    if (eventType) {
+      params.push(eventType);
+      conditions.push(`event_type = $${params.length}`);
+    }
+
+    if (errorType) {
+      params.push(JSON.stringify([{ type: errorType }]));
+      conditions.push(`errors @> $${params.length}::jsonb`);
+    }
+
+    params.push(Math.min(parseInt(limit) || 100, 1000));
+
+    const result = await this.db.query(`
+      SELECT id, COALESCE(raw_payload, payload) as payload
+      FROM event_dead_letters
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY received_at ASC
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Mark a dead letter as successfully re-submitted
+   * @param {number} id - Dead letter ID
+   * @param {string|null} eventId - ID of the stored event (null if it was a duplicate)
+   */
+  async markResubmitted(id, eventId) {
+    await this.db.query(`
+      UPDATE event_dead_letters
+      SET status = 'resubmitted',
+          resubmit_attempts = resubmit_attempts + 1,
+          resubmitted_at = NOW(),
+          resubmitted_event_id = $2
+      WHERE id = $1
+    `, [id, eventId]);
+  }
+
+  /**
+   * Record a failed re-submission (payload is still invalid)
+   * @param {number} id - Dead letter ID
+   * @param {Array<Object>} details - Current Joi error details
+   */
+  async recordFailedResubmit(id, details) {
+    await this.db.query(`
+      UPDATE event_dead_letters
+      SET resubmit_attempts = resubmit_attempts + 1,
+          errors = $2
+      WHERE id = $1
+    `, [id, JSON.stringify(details)]);
+  }
+
+  /**
+   * Get dead-letter counts (used by GET /api/events/stats)
+   * @param {string} interval - Postgres interval (e.g. '24 hours')
+   * @returns {Promise<Object>}
+   */
+  async getStats(interval = '24 hours') {
+    try {
+      const result = await this.db.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE status = 'pending') as pending,
+          COUNT(*) FILTER (WHERE status = 'resubmitted') as resubmitted
+        FROM event_dead_letters
+        WHERE received_at > NOW() - $1::INTERVAL
+      `, [interval]);
+
+      return {
+        pending: parseInt(result.rows[0].pending),
+        resubmitted: parseInt(result.rows[0].resubmitted)
+      };
+    } catch (error) {
+      logger.debug('💀 Dead-letter stats unavailable', { error: error.message });
+      return null;
+    }
+  }
+
+  _truncate(value, maxLength) {
+    if (value === undefined || value === null) return null;
+    return String(value).substring(0, maxLength);
+  }
+}
+
+module.exports = EventDeadLetterStore;
@@ -0,0 +1,142 @@
+/**
+ * Event Enricher
+ * Server-side enrichment stage of EventProcessor (runs after validation, before storage)
+ *
+ * This service:
+ * 1. Runs an ordered list of enricher modules (services/enrichers/*)
+ * 2. Skips enrichers disabled via EVENT_ENRICHERS_DISABLED
+ * 3. Bounds every enricher with a timeout so a slow lookup cannot stall ingestion
+ * 4. Never fails an event - a failed enricher only leaves its fields unset
+ *
+ * An enricher is { name, timeoutMs?, enrich(event, context, deps) } and returns the
+ * fields to merge into the event (or null). context.memo(key, fn) shares lookups
+ * across the events of one batch.
+ */
+
+const logger = require('../utils/logger');
+const GeolocationService = require('./geolocation-service');
+const ConsentManager = require('./consent-manager');
+
+const DEFAULT_ENRICHERS = [
+  require('./enrichers/geo-country'),
+  require('./enrichers/install-cohort'),
+  require('./enrichers/campaign-attribution'),
+  require('./enrichers/session-sequence'),
+  require('./enrichers/occurred-at'),
+];
+
+class EventEnricher {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - PostgreSQL pool
+   * @param {Object} options.redisClient - Redis client (optional - Redis-backed enrichers are skipped without it)
+   * @param {Object} options.consentManager - ConsentManager shared with EventProcessor (default: new one)
+   * @param {Array<Object>} options.enrichers - Ordered enricher modules
+   * @param {Array<string>} options.disabled - Enricher names to skip
+   * @param {number} options.timeoutMs - Default per-enricher timeout
+   */
+  constructor({
+    db,
+    redisClient = null,
+    consentManager = null,
+    enrichers = DEFAULT_ENRICHERS,
+    disabled = (process.env.EVENT_ENRICHERS_DISABLED || '').split(',').map(name => name.trim()).filter(Boolean),
+    timeoutMs = parseInt(process.env.EVENT_ENRICHER_TIMEOUT_MS || '500', 10)
+  } = {}) {
+    this.enrichers = enrichers.filter(enricher => !disabled.includes(enricher.name));
+    this.timeoutMs = timeoutMs;
+    this.deps = {
+      db,
+      redisClient,
+      geoService: new GeolocationService(redisClient, db),
+      consentManager: consentManager || new ConsentManager(db, { redisClient })
+    };
+
+    this.stats = {};
+    for (const enricher of this.enrichers) {
+      this.stats[enricher.name] = { applied: 0, timeouts: 0, errors: 0 };
+    }
+  }
+
+  /**
+   * Create an enrichment context for one batch
+   * @param {Object} base - Request data captured at ingestion ({ ip, received_at })
+   * @returns {Object} - Context with a per-batch memo
+   */
+  createContext(base = {}) {
+    if (typeof base.memo === 'function') return base;
+
+    const memo = new Map();
+    return {
+      ...base,
+      memo: (key, fn) => {
+        if (!memo.has(key)) {
+          memo.set(key, Promise.resolve().then(fn));
+        }
+        return memo.get(key);
+      }
+    };
+  }
+
+  /**
+   * Run all enabled enrichers on an event (in order)
+   * @param {Object} event - Validated event
+   * @param {Object} context - From createContext() (plain objects are wrapped)
+   * @returns {Promise<Object>} - Enriched copy of the event
+   */
+  async enrich(event, context = {}) {
+    const ctx = this.createContext(context);
+    let enriched = event;
+
+    for (const enricher of this.enrichers) {
+      const stats = this.stats[enricher.name];
+
+      try {
+        const fields = await this._withTimeout(
+          enricher.enrich(enriched, ctx, this.deps),
+          enricher.timeoutMs || this.timeoutMs,
+          enricher.name
+        );
+
+        if (fields) {
+          enriched = { ...enriched, ...fields };
+          stats.applied++;
+        }
+      } catch (error) {
+        if (error.isEnricherTimeout) {
+          stats.timeouts++;
+        } else {
+          stats.errors++;
+        }
+        logger.debug(`🧩 Enricher ${enricher.name} skipped: ${error.message}`);
+      }
+    }
+
+    return enriched;
+  }
+
+  /**
+   * Get per-enricher counters (applied / timeouts / errors)
+   * @returns {Object}
+   */
+  getStats() {
+    return this.stats;
+  }
+
+  _withTimeout(promise, timeoutMs, name) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${name} timed out after ${timeoutMs}ms`);
+        error.isEnricherTimeout = true;
+        reject(error);
+      }, timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+EventEnricher.DEFAULT_ENRICHERS = DEFAULT_ENRICHERS;
+
+module.exports = EventEnricher;
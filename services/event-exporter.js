@@ -0,0 +1,387 @@
+/**
+ * Event Exporter Service
+ * Bulk export of raw events to gzip NDJSON / CSV files
+ *
+ * This service:
+ * 1. Streams a date range of the partitioned events table in (received_at, id) order
+ * 2. Writes gzip NDJSON (one event per line) and/or gzip CSV files
+ * 3. Derives CSV columns from the Joi schemas - one flattened column per payload key
+ * 4. Tracks progress in event_export_jobs (migration 045) for the admin routes
+ *
+ * Files go to EVENT_EXPORT_DIR (default: <tmpdir>/flappyjet-event-exports) and
+ * are downloaded from GET /api/events/exports/:id/download.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const logger = require('../utils/logger');
+const { ValidationException } = require('../utils/exceptions');
+const { getSchemaRegistry } = require('./event-schema-registry');
+
+const FORMATS = ['ndjson', 'csv'];
+
+// Columns read from the events table itself (payload keys follow)
+const ROW_COLUMNS = ['id', 'received_at'];
+
+/**
+ * Flatten JSON Schema properties to column names (nested objects -> dot paths)
+ */
+function flattenProperties(properties, prefix = '') {
+  const columns = [];
+
+  for (const [key, property] of Object.entries(properties || {})) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (property.properties) {
+      columns.push(...flattenProperties(property.properties, name));
+    } else {
+      columns.push(name);
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * CSV columns for the selected event types
+ * @param {Array<string>|null} eventTypes - null = every known event type
+ * @returns {Array<string>} - Row columns, then the union of schema payload keys
+ */
+function getCsvColumns(eventTypes = null) {
+  const registry = getSchemaRegistry();
+  const schemas = [];
+
+  if (!eventTypes) {
+    schemas.push(...Object.values(registry.schemas), ...Object.values(registry.dynamic));
+  } else {
+    for (const eventType of eventTypes) {
+      const schema = registry.schemas[eventType] ||
+        (eventType.startsWith('conversion_') ? registry.dynamic['conversion_*'] : null);
+      if (schema) schemas.push(schema);
+    }
+  }
+
+  const columns = new Set(ROW_COLUMNS);
+  for (const schema of schemas) {
+    for (const column of flattenProperties(schema.properties)) {
+      columns.add(column);
+    }
+  }
+
+  return [...columns];
+}
+
+/**
+ * Read a dot-path column from a flat export record
+ */
+function getColumnValue(record, column) {
+  if (column in record) return record[column];
+
+  let value = record;
+  for (const key of column.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Escape one CSV field (RFC 4180)
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write to a stream, waiting for drain when its buffer is full
+ */
+function write(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => stream.once('drain', resolve));
+}
+
+class EventExporter {
+  /**
+   * @param {Object} db - PostgreSQL pool
+   * @param {Object} options
+   * @param {string} options.exportDir - Output directory
+   * @param {number} options.batchSize - Events fetched per query
+   */
+  constructor(db, {
+    exportDir = process.env.EVENT_EXPORT_DIR || path.join(os.tmpdir(), 'flappyjet-event-exports'),
+    batchSize = 1000
+  } = {}) {
+    this.db = db;
+    this.exportDir = exportDir;
+    this.batchSize = batchSize;
+  }
+
+  /**
+   * Supported output formats
+   * @returns {Array<string>}
+   */
+  static get formats() {
+    return FORMATS;
+  }
+
+  /**
+   * Create an export job (does not start it - see runJob)
+   * @param {Object} options
+   * @param {string|Date} options.from - Range start (inclusive)
+   * @param {string|Date} options.to - Range end (exclusive)
+   * @param {Array<string>|null} options.eventTypes - Event type filter (default: all)
+   * @param {Array<string>} options.formats - Output formats (default: ndjson + csv)
+   * @param {string} options.requestedBy - Who started the export (audit)
+   * @returns {Promise<Object>} - Job row
+   */
+  async createJob({ from, to, eventTypes = null, formats = FORMATS, requestedBy = null }) {
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate >= toDate) {
+      throw new ValidationException('from and to must be valid dates with from < to', 'from');
+    }
+
+    const unknown = formats.filter(format => !FORMATS.includes(format));
+    if (formats.length === 0 || unknown.length > 0) {
+      throw new ValidationException(`Unsupported formats: ${unknown.join(', ') || '(none selected)'}. Available: ${FORMATS.join(', ')}`, 'formats');
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO event_export_jobs (from_ts, to_ts, event_types, formats, requested_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [fromDate, toDate, eventTypes && eventTypes.length > 0 ? eventTypes : null, formats, requestedBy]);
+
+    logger.info('📦 Event export job created', {
+      job_id: result.rows[0].id,
+      from: fromDate.toISOString(),
+      to: toDate.toISOString(),
+      event_types: eventTypes,
+      formats
+    });
+
+    return this._present(result.rows[0]);
+  }
+
+  /**
+   * Run an export job to completion
+   * Partial files are removed if the export fails.
+   * @param {number} jobId - event_export_jobs.id
+   * @returns {Promise<Object>} - Completed job
+   */
+  async runJob(jobId) {
+    let job = await this.getJob(jobId);
+    if (!job) {
+      throw new Error(`Export job ${jobId} not found`);
+    }
+
+    const count = await this.db.query(`
+      SELECT COUNT(*) as total
+      FROM events
+      WHERE received_at >= $1
+        AND received_at < $2
+        AND ($3::text[] IS NULL OR event_type = ANY($3))
+    `, [job.from_ts, job.to_ts, job.event_types]);
+
+    await this.db.query(`
+      UPDATE event_export_jobs
+      SET status = 'running', started_at = NOW(), total_events = $2, events_exported = 0, error = NULL
+      WHERE id = $1
+    `, [jobId, parseInt(count.rows[0].total)]);
+
+    const columns = getCsvColumns(job.event_types);
+    let writers = [];
+    let exported = 0;
+
+    try {
+      await fs.promises.mkdir(this.exportDir, { recursive: true });
+      writers = job.formats.map(format => this._openWriter(job.id, format));
+
+      const csv = writers.find(writer => writer.format === 'csv');
+      if (csv) {
+        await write(csv.gzip, columns.join(',') + '\n');
+      }
+
+      let cursor = null;
+      for (;;) {
+        const rows = await this._fetchBatch(job, cursor);
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          const record = { id: row.id, received_at: row.received_at, ...row.payload };
+
+          for (const writer of writers) {
+            const line = writer.format === 'csv'
+              ? columns.map(column => toCsvField(getColumnValue(record, column))).join(',')
+              : JSON.stringify(record);
+            await write(writer.gzip, line + '\n');
+          }
+        }
+
+        exported += rows.length;
+        cursor = rows[rows.length - 1];
+
+        await this.db.query(`
+          UPDATE event_export_jobs SET events_exported = $2 WHERE id = $1
+        `, [jobId, exported]);
+
+        if (rows.length < this.batchSize) break;
+      }
+
+      const files = {};
+      for (const writer of writers) {
+        writer.gzip.end();
+        await writer.done;
+        const { size } = await fs.promises.stat(writer.filePath);
+        files[writer.format] = { path: writer.filePath, size_bytes: size };
+      }
+
+      job = (await this.db.query(`
+        UPDATE event_export_jobs
+        SET status = 'completed', events_exported = $2, files = $3, finished_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [jobId, exported, JSON.stringify(files)])).rows[0];
+
+      logger.info('📦 ✅ Event export completed', { job_id: jobId, events_exported: exported, files });
+      return this._present(job);
+
+    } catch (error) {
+      for (const writer of writers) {
+        writer.gzip.destroy();
+        await writer.done.catch(() => {});
+        await fs.promises.unlink(writer.filePath).catch(() => {});
+      }
+
+      await this.db.query(`
+        UPDATE event_export_jobs SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1
+      `, [jobId, error.message]);
+
+      logger.error('📦 ❌ Event export failed', { job_id: jobId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an export job (with progress_percent)
+   * @param {number} jobId
+   * @returns {Promise<Object|null>}
+   */
+  async getJob(jobId) {
+    const result = await this.db.query('SELECT * FROM event_export_jobs WHERE id = $1', [jobId]);
+    return result.rows[0] ? this._present(result.rows[0]) : null;
+  }
+
+  /**
+   * List recent export jobs
+   * @param {number} limit
+   * @returns {Promise<Array<Object>>}
+   */
+  async listJobs(limit = 20) {
+    const result = await this.db.query(`
+      SELECT * FROM event_export_jobs ORDER BY created_at DESC LIMIT $1
+    `, [Math.min(parseInt(limit) || 20, 100)]);
+    return result.rows.map(job => this._present(job));
+  }
+
+  /**
+   * Delete the files of exports holding a user's events (data erasure)
+   * Run before the user's events are pseudonymized - the match is on user_id.
+   * Jobs stay listed with their files cleared.
+   * @param {string} userId
+   * @returns {Promise<Array<number>>} - Job IDs whose files were deleted
+   */
+  async deleteFilesForUser(userId) {
+    const result = await this.db.query(`
+      SELECT j.id, j.files
+      FROM event_export_jobs j
+      WHERE j.files <> '{}'::jsonb
+        AND EXISTS (
+          SELECT 1 FROM events e
+          WHERE e.user_id = $1
+            AND e.received_at >= j.from_ts
+            AND e.received_at < j.to_ts
+            AND (j.event_types IS NULL OR e.event_type = ANY(j.event_types))
+        )
+    `, [userId]);
+
+    const jobIds = result.rows.map(job => job.id);
+    if (jobIds.length === 0) return jobIds;
+
+    for (const job of result.rows) {
+      for (const file of Object.values(job.files)) {
+        await fs.promises.unlink(file.path).catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+      }
+    }
+
+    await this.db.query(`
+      UPDATE event_export_jobs
+      SET files = '{}'::jsonb, error = 'Files deleted by a data erasure request'
+      WHERE id = ANY($1)
+    `, [jobIds]);
+
+    logger.info('📦 Event export files deleted for erasure', { job_ids: jobIds });
+    return jobIds;
+  }
+
+  /**
+   * Fetch the next batch after the cursor
+   * received_at bounds keep the scan on the matching weekly partitions
+   */
+  async _fetchBatch(job, cursor) {
+    const params = [job.from_ts, job.to_ts, job.event_types, this.batchSize];
+    let cursorCondition = '';
+
+    if (cursor) {
+      params.push(cursor.received_at, cursor.id);
+      cursorCondition = 'AND (received_at, id) > ($5, $6)';
+    }
+
+    const result = await this.db.query(`
+      SELECT id, payload, received_at
+      FROM events
+      WHERE received_at >= $1
+        AND received_at < $2
+        AND ($3::text[] IS NULL OR event_type = ANY($3))
+        ${cursorCondition}
+      ORDER BY received_at ASC, id ASC
+      LIMIT $4
+    `, params);
+
+    return result.rows;
+  }
+
+  _openWriter(jobId, format) {
+    const filePath = path.join(this.exportDir, `event-export-${jobId}.${format}.gz`);
+    const gzip = zlib.createGzip();
+    const done = pipeline(gzip, fs.createWriteStream(filePath));
+    // Awaited in runJob - avoid an unhandled rejection before that
+    done.catch(() => {});
+    return { format, filePath, gzip, done };
+  }
+
+  _present(job) {
+    const total = job.total_events;
+    return {
+      ...job,
+      progress_percent: total ? Math.round((job.events_exported / total) * 1000) / 10 : (job.status === 'completed' ? 100 : 0)
+    };
+  }
+}
+
+EventExporter.getCsvColumns = getCsvColumns;
+EventExporter.toCsvField = toCsvField;
+
+module.exports = EventExporter;
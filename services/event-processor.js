@@ -7,18 +7,49 @@
  * 2. Stores raw events in PostgreSQL
  * 3. Returns immediately (fire-and-forget)
  * 4. Handles batch processing
+ * 5. Drops retried duplicates (client-supplied event_id)
+ * 6. Keeps invalid events in the dead-letter store (event_dead_letters - pseudonymized
+ *    copy for inspection, raw copy for re-submission so it is scrubbed only once)
+ * 7. Enriches valid events server-side before storage (services/event-enricher.js)
+ * 8. Hands stored events to webhook subscribers (services/webhook-dispatcher.js)
+ * 9. Stores a pseudonymized copy - PII keys dropped, device IDs hashed (utils/privacy.js)
+ * 10. Honors tracking consent - no attribution data for users who declined it (services/consent-manager.js)
+ * 11. Backfills offline batches at their occurred_at
+ * 12. Marks the days before yesterday that received events (offline batches) for the
+ *     incremental aggregates (services/incremental-aggregate-refresher.js)
  */
 
 const logger = require('../utils/logger');
 const { validateEvent } = require('./event-schemas');
+const EventDeadLetterStore = require('./event-dead-letter-store');
+const EventEnricher = require('./event-enricher');
+const ConsentManager = require('./consent-manager');
+const IncrementalAggregateRefresher = require('./incremental-aggregate-refresher');
+const { getPrivacyFilter } = require('../utils/privacy');
 
 class EventProcessor {
-  constructor(db) {
+  /**
+   * @param {Object} db - PostgreSQL pool
+   * @param {Object} options
+   * @param {Object} options.redisClient - Redis client for enrichment caches (optional)
+   * @param {Object} options.wsManager - WebSocketManager for the admin live tail (optional)
+   * @param {Object} options.webhookDispatcher - WebhookDispatcher for external subscribers (optional)
+   * @param {Object} options.privacyFilter - PrivacyFilter for stored copies (default: from env)
+   */
+  constructor(db, { redisClient = null, wsManager = null, webhookDispatcher = null, privacyFilter = getPrivacyFilter() } = {}) {
     this.db = db;
+    this.wsManager = wsManager;
+    this.webhookDispatcher = webhookDispatcher;
+    this.privacyFilter = privacyFilter;
+    this.deadLetterStore = new EventDeadLetterStore(db);
+    this.consentManager = new ConsentManager(db, { redisClient });
+    this.enricher = new EventEnricher({ db, redisClient, consentManager: this.consentManager });
+    this.aggregates = new IncrementalAggregateRefresher(db);
     this.stats = {
       total_received: 0,
       total_processed: 0,
       total_invalid: 0,
+      total_duplicates: 0,
       total_errors: 0,
     };
   }
@@ -26,9 +57,13 @@ class EventProcessor {
   /**
    * Process a single event
    * @param {Object} event - Event object from Flutter
-   * @returns {Promise<Object>} - { success, error?, event_id? }
+   * @param {Object} options
+   * @param {boolean} options.deadLetter - Store invalid events in event_dead_letters (default: true)
+   * @param {Object} options.context - Enrichment context ({ ip, received_at }, see EventEnricher)
+   *   context.backfill stores the event at its occurred_at (see processBatch)
+   * @returns {Promise<Object>} - { success, error?, details?, error_details? (Joi details), event_id? }
    */
-  async processEvent(event) {
+  async processEvent(event, { deadLetter = true, context = {} } = {}) {
     try {
       this.stats.total_received++;
 
@@ -49,17 +84,68 @@ class EventProcessor {
           errors: validation.errors 
         });
         
+        // ✅ Keep the rejected payload so schema drift is visible (non-blocking)
+        if (deadLetter) {
+          try {
+            await this.deadLetterStore.store(this.privacyFilter.scrubEvent(event), validation, event);
+          } catch (dlError) {
+            logger.error('💀 Failed to store dead letter', { 
+              event_type: event.event_type,
+              error: dlError.message 
+            });
+          }
+        }
+        
         return { 
           success: false, 
           error: 'Invalid event schema', 
-          details: validation.errors 
+          details: validation.errors,
+          error_details: validation.details
         };
       }
+      
+      // ✅ Older app versions are upcast to the current event shape,
+      // then enriched server-side (geo country, install cohort, campaign, session seq)
+      const enrichContext = this.enricher.createContext(context);
+      event = await this.enricher.enrich(validation.event, enrichContext);
+      event = await this._applyConsent(event, enrichContext);
 
-      // 3. Store raw event in database
-      const eventId = await this.storeEvent(event);
+      // 3. Store the pseudonymized copy (special handlers below still see the full event,
+      // e.g. gclid for user_acquisitions)
+      const stored = this.privacyFilter.scrubEvent(event);
+      const receivedAt = context.backfill ? stored.occurred_at || null : null;
+      const eventId = await this.storeEvent(stored, this.db, receivedAt);
+      
+      // ✅ Retried batch: this event_id is already stored - skip side effects too
+      if (eventId === null) {
+        this.stats.total_duplicates++;
+        return { 
+          success: true, 
+          duplicate: true, 
+          event_id: event.event_id 
+        };
+      }
       
       this.stats.total_processed++;
+
+      if (context.lateDates) {
+        this._trackLateDate(stored.occurred_at, context.lateDates);
+      }
+
+      // ✅ Live tail for admins (no-op without subscribers)
+      if (this.wsManager) {
+        this.wsManager.publishEvent(stored, eventId);
+      }
+
+      // ✅ Webhooks (non-blocking - retries are handled by the dispatcher)
+      if (this.webhookDispatcher) {
+        this.webhookDispatcher.enqueue(stored, eventId).catch(webhookError => {
+          logger.error('🪝 Failed to enqueue webhook deliveries', {
+            event_type: event.event_type,
+            error: webhookError.message
+          });
+        });
+      }
       
       // ✅ REDUCED LOGGING: Only log important events to avoid Railway rate limits
       // Sample 1% of routine events for debugging
@@ -75,7 +161,7 @@ class EventProcessor {
 
       // 4. ✅ SPECIAL HANDLING: Update users table for certain events
       // This ensures authoritative data is synced for push notifications
-      await this._handleSpecialEvents(event);
+      await this._handleSpecialEvents(event, eventId);
 
       // 5. Return success immediately (fire-and-forget)
       return { 
@@ -101,28 +187,66 @@ class EventProcessor {
 
   /**
    * Store event in database
+   * When the client supplies event_id, the ID is claimed in event_ids first
+   * (same statement), so retried copies are dropped across all weekly partitions.
+   * 
    * @param {Object} event - Validated event object
-   * @returns {Promise<string>} - Event ID (UUID)
+   * @param {Object} client - Query client (defaults to pool, pass a transaction client)
+   * @param {string} receivedAt - Backfill: store at this time instead of NOW() (lands in its past partition)
+   * @returns {Promise<string|null>} - Event ID (UUID), or null if event_id was already stored
    */
-  async storeEvent(event) {
+  async storeEvent(event, client = this.db, receivedAt = null) {
     // ✅ Extract campaign_id from event payload (enriched by Flutter EventBus)
     const campaignId = event.campaign_id || null;
     
-    const query = `
-      INSERT INTO events (event_type, user_id, campaign_id, payload, received_at)
-      VALUES ($1, $2, $3, $4, NOW())
-      RETURNING id
-    `;
-
     const values = [
       event.event_type,
       event.user_id,
       campaignId,
-      JSON.stringify(event) // Store entire event as JSONB
+      JSON.stringify(event), // Store entire event as JSONB
+      event.occurred_at || null, // Clock-corrected client time (enrichers/occurred-at.js)
+      event.timestamp_flag || null,
+      receivedAt
     ];
 
+    let query;
+    if (event.event_id) {
+      // xmax = 0 only for freshly inserted rows (not for ON CONFLICT updates)
+      query = `
+        WITH claim AS (
+          INSERT INTO event_ids (event_id, event_type, user_id)
+          VALUES ($8, $1, $2)
+          ON CONFLICT (event_id) DO UPDATE SET
+            duplicate_count = event_ids.duplicate_count + 1,
+            last_duplicate_at = NOW()
+          RETURNING (xmax = 0) AS is_new
+        )
+        INSERT INTO events (id, event_type, user_id, campaign_id, payload, occurred_at, timestamp_flag, received_at)
+        SELECT $8, $1, $2, $3, $4, $5, $6, COALESCE($7::timestamptz, NOW())
+        FROM claim
+        WHERE claim.is_new
+        RETURNING id
+      `;
+      values.push(event.event_id);
+    } else {
+      query = `
+        INSERT INTO events (event_type, user_id, campaign_id, payload, occurred_at, timestamp_flag, received_at)
+        VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7::timestamptz, NOW()))
+        RETURNING id
+      `;
+    }
+
     try {
-      const result = await this.db.query(query, values);
+      const result = await client.query(query, values);
+      
+      if (result.rows.length === 0) {
+        logger.debug('♻️ Duplicate event dropped', { 
+          event_id: event.event_id,
+          event_type: event.event_type 
+        });
+        return null;
+      }
+      
       const eventId = result.rows[0].id;
       
       logger.debug('📝 Event stored in database', { 
@@ -147,8 +271,9 @@ class EventProcessor {
    * This ensures push notification personalization uses correct data
    * 
    * @param {Object} event - Processed event object
+   * @param {string} eventId - ID of the stored event (source_event_id of derived rows)
    */
-  async _handleSpecialEvents(event) {
+  async _handleSpecialEvents(event, eventId = null) {
     try {
       switch (event.event_type) {
         case 'nickname_changed':
@@ -174,30 +299,28 @@ class EventProcessor {
           }
           break;
         
+        case 'consent_updated':
+          // ✅ Latest consent state per user (ATT / GDPR / CCPA)
+          await this.consentManager.recordConsent(event, eventId);
+          break;
+        
         case 'user_acquired':
           // ✅ NEW: Store campaign attribution data in user_acquisitions table
           await this._storeUserAcquisition(event);
           break;
         
-        case 'user_installed':
-        case 'app_installed':
-          // ✅ FIXED: Also store user_installed events in user_acquisitions
-          // This ensures all installs are tracked, even if user_acquired event isn't fired
-          await this._storeUserAcquisitionFromInstall(event);
-          break;
-        
         case 'performance_metrics':
         case 'app_load_time':
         case 'game_load_time':
         case 'memory_usage':
           // ✅ NEW: Store performance metrics
-          await this._storePerformanceMetric(event);
+          await this._storePerformanceMetric(event, eventId);
           break;
         
         case 'app_crashed':
         case 'app_error':
           // ✅ NEW: Store crash/error logs
-          await this._storeCrashLog(event);
+          await this._storeCrashLog(event, eventId);
           break;
       }
     } catch (error) {
@@ -279,24 +402,34 @@ class EventProcessor {
   /**
    * Process a batch of events
    * @param {Array<Object>} events - Array of event objects
-   * @returns {Promise<Object>} - { success, processed, failed, results }
+   * @param {Object} context - Request data captured at ingestion ({ ip, received_at })
+   *   context.backfill: offline batch - events are stored at their occurred_at
+   *   Dates before yesterday that received events are marked for the incremental aggregates.
+   * @returns {Promise<Object>} - { success, processed, failed, results, late_dates }
    */
-  async processBatch(events) {
+  async processBatch(events, context = {}) {
     // ✅ REDUCED LOGGING: Only log large batches to avoid Railway rate limits
     if (events.length > 10) {
       logger.info('📦 Processing large event batch', { count: events.length });
     }
 
-    const results = [];
     let successful = 0;
+    let duplicates = 0;
     let failed = 0;
 
+    // ✅ One enrichment context per batch, so per-user lookups run once
+    const enrichContext = this.enricher.createContext(context);
+    this.consentManager.primeBatch(events, enrichContext);
+    enrichContext.lateDates = new Map();
+
     // Process events in parallel (for better performance)
     const promises = events.map(async (event, index) => {
       try {
-        const result = await this.processEvent(event);
+        const result = await this.processEvent(event, { context: enrichContext });
         
-        if (result.success) {
+        if (result.duplicate) {
+          duplicates++;
+        } else if (result.success) {
           successful++;
         } else {
           failed++;
@@ -320,11 +453,14 @@ class EventProcessor {
 
     const batchResults = await Promise.all(promises);
 
+    const lateDates = await this._markLateDates(enrichContext.lateDates, context.backfill ? 'backfill' : 'offline_batch');
+
     // ✅ REDUCED LOGGING: Only log if there are failures or large batches
     if (failed > 0 || events.length > 10) {
       logger.info('📊 Batch processing complete', { 
         total: events.length,
         successful,
+        duplicates,
         failed,
         success_rate: ((successful / events.length) * 100).toFixed(2) + '%'
       });
@@ -333,19 +469,59 @@ class EventProcessor {
     return {
       success: true,
       processed: successful,
+      duplicates,
       failed,
-      results: batchResults
+      results: batchResults,
+      late_dates: lateDates
     };
   }
 
+  /**
+   * Count a stored event towards its aggregate date (the day it occurred) when the
+   * incremental refresh would not recompute it anyway (it always covers today and yesterday)
+   * @param {string} occurredAt - Clock-corrected event time
+   * @param {Map<string, number>} lateDates - 'YYYY-MM-DD' -> events
+   */
+  _trackLateDate(occurredAt, lateDates) {
+    const date = IncrementalAggregateRefresher.toDateKey(occurredAt);
+    const yesterday = IncrementalAggregateRefresher.toDateKey(Date.now() - 24 * 60 * 60 * 1000);
+    if (date && date < yesterday) {
+      lateDates.set(date, (lateDates.get(date) || 0) + 1);
+    }
+  }
+
+  /**
+   * Mark the past dates of a batch for the next incremental aggregate refresh
+   * @param {Map<string, number>} lateDates
+   * @param {string} source - 'backfill' | 'offline_batch'
+   * @returns {Promise<Array<string>>} - Marked dates
+   */
+  async _markLateDates(lateDates, source) {
+    if (lateDates.size === 0) return [];
+
+    try {
+      await this.aggregates.markDirty(lateDates, source);
+    } catch (error) {
+      // Events are stored - a later --rebuild of the aggregates picks them up
+      logger.error('🧮 Failed to mark late aggregate dates', {
+        dates: [...lateDates.keys()],
+        error: error.message
+      });
+    }
+    return [...lateDates.keys()].sort();
+  }
+
   /**
    * Process batch with transaction (all-or-nothing)
    * Useful for critical events that must all succeed
    * @param {Array<Object>} events - Array of event objects
+   * @param {Object} context - Request data captured at ingestion ({ ip, received_at })
    * @returns {Promise<Object>} - { success, processed, error? }
    */
-  async processBatchTransaction(events) {
+  async processBatchTransaction(events, context = {}) {
     const client = await this.db.connect();
+    const enrichContext = this.enricher.createContext(context);
+    this.consentManager.primeBatch(events, enrichContext);
     
     try {
       await client.query('BEGIN');
@@ -355,29 +531,26 @@ class EventProcessor {
       let processed = 0;
       const results = [];
       
-      for (const event of events) {
-        // Validate
-        const validation = validateEvent(event);
+      for (const rawEvent of events) {
+        // Validate (older app versions are upcast to the current shape)
+        const validation = validateEvent(rawEvent);
         
         if (!validation.valid) {
           throw new Error(`Invalid event: ${validation.errors.join(', ')}`);
         }
         
-        // Store
-        const query = `
-          INSERT INTO events (event_type, user_id, payload, received_at)
-          VALUES ($1, $2, $3, NOW())
-          RETURNING id
-        `;
+        const event = await this._applyConsent(
+          await this.enricher.enrich(validation.event, enrichContext),
+          enrichContext
+        );
         
-        const values = [
-          event.event_type,
-          event.user_id,
-          JSON.stringify(event)
-        ];
+        // Store (duplicates of already-stored event_ids are skipped, not failed)
+        const eventId = await this.storeEvent(event, client);
         
-        const result = await client.query(query, values);
-        const eventId = result.rows[0].id;
+        if (eventId === null) {
+          results.push({ event_id: event.event_id, event_type: event.event_type, duplicate: true });
+          continue;
+        }
         
         processed++;
         results.push({ event_id: eventId, event_type: event.event_type });
@@ -407,6 +580,25 @@ class EventProcessor {
     }
   }
 
+  /**
+   * Strip attribution data from events of users who declined it
+   * The stripped event is also what the special handlers see, so installs of
+   * these users land in user_acquisitions without campaign data.
+   *
+   * @param {Object} event - Enriched event
+   * @param {Object} context - Enrichment context (shares the consent lookup across a batch)
+   * @returns {Promise<Object>} - The event, or a copy without attribution fields
+   */
+  async _applyConsent(event, context) {
+    if (!ConsentManager.hasAttribution(event)) {
+      return event;
+    }
+    if (await this.consentManager.allows(event.user_id, 'attribution', context)) {
+      return event;
+    }
+    return ConsentManager.stripAttribution(event);
+  }
+
   /**
    * Store user acquisition data in user_acquisitions table
    * ✅ Called when user_acquired event is received
@@ -416,6 +608,14 @@ class EventProcessor {
   async _storeUserAcquisition(event) {
     try {
       const userId = event.user_id;
+
+      // ✅ Declined attribution (ATT / GDPR): nothing to store (replays included)
+      if (!(await this.consentManager.allows(userId, 'attribution'))) {
+        logger.debug('🛂 Attribution declined, user acquisition not stored', {
+          user_id: userId?.substring(0, 8) + '...'
+        });
+        return;
+      }
       const installDate = event.install_date ? new Date(event.install_date) : new Date();
       
       // Extract campaign data from event payload
@@ -548,8 +748,9 @@ class EventProcessor {
    * ✅ Called for performance_metrics, app_load_time, game_load_time, memory_usage events
    * 
    * @param {Object} event - Performance event with metrics data
+   * @param {string} sourceEventId - events.id (replaying the same event is a no-op)
    */
-  async _storePerformanceMetric(event) {
+  async _storePerformanceMetric(event, sourceEventId = null) {
     try {
       const userId = event.user_id;
       if (!userId) {
@@ -600,9 +801,10 @@ class EventProcessor {
         INSERT INTO performance_metrics (
           user_id, timestamp, fps_average, fps_min, fps_max, fps_current,
           app_load_time_ms, game_load_time_ms, memory_mb, frame_time_ms,
-          device_model, os_version, platform
+          device_model, os_version, platform, source_event_id
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        ON CONFLICT (source_event_id) DO NOTHING
       `;
 
       await this.db.query(query, [
@@ -618,7 +820,8 @@ class EventProcessor {
         frameTimeMs,
         deviceModel,
         osVersion,
-        platform
+        platform,
+        sourceEventId
       ]);
 
       logger.debug('✅ Performance metric stored', {
@@ -643,8 +846,9 @@ class EventProcessor {
    * ✅ Called for app_crashed, app_error events
    * 
    * @param {Object} event - Crash/error event with crash data
+   * @param {string} sourceEventId - events.id (replaying the same event is a no-op)
    */
-  async _storeCrashLog(event) {
+  async _storeCrashLog(event, sourceEventId = null) {
     try {
       const userId = event.user_id;
       if (!userId) {
@@ -684,9 +888,10 @@ class EventProcessor {
       const query = `
         INSERT INTO crash_logs (
           user_id, timestamp, crash_type, crash_message, stack_trace, context,
-          device_model, os_version, platform, app_version, fatal
+          device_model, os_version, platform, app_version, fatal, source_event_id
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        ON CONFLICT (source_event_id) DO NOTHING
       `;
 
       await this.db.query(query, [
@@ -700,7 +905,8 @@ class EventProcessor {
         osVersion,
         platform,
         appVersion,
-        fatal
+        fatal,
+        sourceEventId
       ]);
 
       logger.info('✅ Crash log stored', {
@@ -728,7 +934,8 @@ class EventProcessor {
       ...this.stats,
       success_rate: this.stats.total_received > 0
         ? ((this.stats.total_processed / this.stats.total_received) * 100).toFixed(2) + '%'
-        : '0%'
+        : '0%',
+      enrichment: this.enricher.getStats()
     };
   }
 
@@ -740,11 +947,79 @@ class EventProcessor {
       total_received: 0,
       total_processed: 0,
       total_invalid: 0,
+      total_duplicates: 0,
       total_errors: 0,
     };
     logger.info('📊 Statistics reset');
   }
 
+  /**
+   * Re-submit dead-lettered events through the normal processing path
+   * Use after a schema fix lands. Events that are still invalid stay pending
+   * with refreshed error details.
+   * 
+   * @param {Object} filters - { ids?, eventType?, errorType?, limit? } (see EventDeadLetterStore.getPending)
+   * @returns {Promise<Object>} - { success, resubmitted, still_invalid, failed }
+   */
+  async resubmitDeadLetters(filters = {}) {
+    const deadLetters = await this.deadLetterStore.getPending(filters);
+    
+    let resubmitted = 0;
+    let stillInvalid = 0;
+    let failed = 0;
+    
+    for (const row of deadLetters) {
+      const result = await this.processEvent(row.payload, { deadLetter: false });
+      
+      try {
+        if (result.success) {
+          await this.deadLetterStore.markResubmitted(row.id, result.duplicate ? null : result.event_id);
+          resubmitted++;
+        } else if (result.error === 'Invalid event schema') {
+          await this.deadLetterStore.recordFailedResubmit(row.id, result.error_details);
+          stillInvalid++;
+        } else {
+          failed++;
+        }
+      } catch (error) {
+        failed++;
+        logger.error('💥 Error updating dead letter', { dead_letter_id: row.id, error: error.message });
+      }
+    }
+    
+    logger.info('💀 Dead-letter re-submission complete', {
+      total: deadLetters.length,
+      resubmitted,
+      still_invalid: stillInvalid,
+      failed
+    });
+    
+    return {
+      success: true,
+      total: deadLetters.length,
+      resubmitted,
+      still_invalid: stillInvalid,
+      failed
+    };
+  }
+
+  /**
+   * Purge claimed event IDs older than the client retry window
+   * Keeps event_ids small - retries never arrive months later
+   * 
+   * @param {number} days - Days of event IDs to keep (default: 90, same as events cleanup)
+   * @returns {Promise<number>} - Number of IDs purged
+   */
+  async purgeEventIds(days = 90) {
+    const result = await this.db.query(`
+      DELETE FROM event_ids
+      WHERE received_at < NOW() - ($1 || ' days')::INTERVAL
+    `, [String(days)]);
+    
+    logger.info('🧹 Purged old event IDs', { purged: result.rowCount, days });
+    return result.rowCount;
+  }
+
   /**
    * Retry failed events
    * @param {number} limit - Max events to retry
@@ -0,0 +1,145 @@
+/**
+ * Event Quarantine Store
+ * Holds event batches that failed signature verification
+ *
+ * This service:
+ * 1. Stores quarantined batches with the verifier verdict, app_version and IP
+ * 2. Lists them for review (grouped counts per reason for /stats)
+ * 3. Marks batches released (re-queued by the route) or discarded
+ */
+
+const logger = require('../utils/logger');
+const { getPrivacyFilter, truncateIP } = require('../utils/privacy');
+
+class EventQuarantineStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Quarantine a batch
+   * @param {Array<Object>} events - Parsed batch
+   * @param {Object} verification - Result of EventBatchVerifier.verify()
+   * @param {Object} meta - { ip, signature }
+   * @returns {Promise<number>} - Quarantine ID
+   */
+  async store(events, verification, { ip = null, signature = null } = {}) {
+    const userIds = [...new Set(events
+      .map(event => event && event.user_id)
+      .filter(userId => typeof userId === 'string'))];
+
+    const result = await this.db.query(`
+      INSERT INTO event_quarantine (
+        reason, app_version, signature, ip, user_ids, event_count, events
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [
+      verification.verdict,
+      verification.app_version ? String(verification.app_version).substring(0, 50) : null,
+      signature ? String(signature).substring(0, 200) : null,
+      ip ? truncateIP(ip) : null,
+      userIds,
+      events.length,
+      JSON.stringify(events.map(event => getPrivacyFilter().scrubEvent(event)))
+    ]);
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * List quarantined batches (newest first, without the events payload)
+   * @param {Object} filters
+   * @param {string} filters.status - 'quarantined' (default), 'released' or 'discarded'
+   * @param {string} filters.reason - Filter by verdict
+   * @param {string} filters.appVersion - Filter by app version
+   * @param {number} filters.limit - Page size (max 500)
+   * @param {number} filters.offset - Page offset
+   * @returns {Promise<Array<Object>>}
+   */
+  async list({ status = 'quarantined', reason, appVersion, limit = 100, offset = 0 } = {}) {
+    const conditions = ['status = $1'];
+    const params = [status];
+
+    if (reason) {
+      params.push(reason);
+      conditions.push(`reason = $${params.length}`);
+    }
+
+    if (appVersion) {
+      params.push(appVersion);
+      conditions.push(`app_version = $${params.length}`);
+    }
+
+    params.push(Math.min(parseInt(limit) || 100, 500));
+    params.push(parseInt(offset) || 0);
+
+    const result = await this.db.query(`
+      SELECT
+        id, reason, app_version, signature, ip, user_ids, event_count,
+        status, reviewed_by, reviewed_at, received_at
+      FROM event_quarantine
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY received_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Get a quarantined batch including its events
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const result = await this.db.query('SELECT * FROM event_quarantine WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark a batch released or discarded (only from 'quarantined')
+   * @param {number} id
+   * @param {string} status - 'released' or 'discarded'
+   * @param {string} reviewedBy - Reviewer
+   * @returns {Promise<Object|null>} - Updated row (null if not found or already reviewed)
+   */
+  async resolve(id, status, reviewedBy = null) {
+    const result = await this.db.query(`
+      UPDATE event_quarantine
+      SET status = $2, reviewed_by = $3, reviewed_at = NOW()
+      WHERE id = $1 AND status = 'quarantined'
+      RETURNING *
+    `, [id, status, reviewedBy]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get quarantine counts (used by GET /api/events/stats)
+   * @param {string} interval - Postgres interval (e.g. '24 hours')
+   * @returns {Promise<Object>}
+   */
+  async getStats(interval = '24 hours') {
+    try {
+      const result = await this.db.query(`
+        SELECT reason, COUNT(*) as batches, COALESCE(SUM(event_count), 0) as events
+        FROM event_quarantine
+        WHERE status = 'quarantined'
+          AND received_at > NOW() - $1::INTERVAL
+        GROUP BY reason
+      `, [interval]);
+
+      const byReason = {};
+      for (const row of result.rows) {
+        byReason[row.reason] = { batches: parseInt(row.batches), events: parseInt(row.events) };
+      }
+      return byReason;
+    } catch (error) {
+      logger.debug('🔒 Quarantine stats unavailable', { error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = EventQuarantineStore;
@@ -0,0 +1,477 @@
+/**
+ * Event Query Builder
+ * Ad-hoc aggregate queries over the events table for analysts
+ *
+ * This service:
+ * 1. Validates a JSON query spec against the event schemas (only fields of the
+ *    event type's schema can be aggregated, grouped or filtered)
+ * 2. Compiles it to parameterized SQL - field names are inlined only after
+ *    matching the schema whitelist, every value is a bind parameter
+ * 3. Bounds the cost: a required received_at range (partition pruning), limits on
+ *    aggregations / group-bys / filters / rows, an EXPLAIN cost ceiling and a
+ *    statement timeout in a read-only transaction
+ *
+ * Spec (POST /api/events/query):
+ * {
+ *   event_type: 'level_completed',
+ *   from: '2026-10-01', to: '2026-10-08',            // from inclusive, to exclusive
+ *   aggregations: [{ fn: 'count' }, { fn: 'p95', field: 'time_seconds', as: 'p95_time' }],
+ *   group_by: ['platform', 'level_id'],
+ *   time_bucket: 'day',                               // hour | day | week | month (optional)
+ *   time_basis: 'received_at',                        // or occurred_at (clock-corrected)
+ *   filters: [{ field: 'zone_id', op: 'eq', value: 1 }],
+ *   limit: 100
+ * }
+ */
+
+const logger = require('../utils/logger');
+const { ValidationException } = require('../utils/exceptions');
+const { getSchemaRegistry } = require('./event-schema-registry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LIMITS = {
+  aggregations: 10,
+  groupBy: 3,
+  filters: 10,
+  inValues: 100,
+  rows: 1000
+};
+
+// fn -> SQL (numeric field expression substituted for ?)
+const AGGREGATIONS = {
+  count: { sql: 'COUNT(*)' },
+  unique_users: { sql: 'COUNT(DISTINCT e.user_id)' },
+  sum: { sql: 'SUM(?)', numeric: true },
+  avg: { sql: 'AVG(?)', numeric: true },
+  min: { sql: 'MIN(?)', numeric: true },
+  max: { sql: 'MAX(?)', numeric: true },
+  p50: { sql: 'percentile_cont(0.5) WITHIN GROUP (ORDER BY ?)', numeric: true },
+  p90: { sql: 'percentile_cont(0.9) WITHIN GROUP (ORDER BY ?)', numeric: true },
+  p95: { sql: 'percentile_cont(0.95) WITHIN GROUP (ORDER BY ?)', numeric: true },
+  p99: { sql: 'percentile_cont(0.99) WITHIN GROUP (ORDER BY ?)', numeric: true }
+};
+
+const OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  in: 'IN',
+  not_in: 'NOT IN',
+  is_null: 'IS NULL',
+  not_null: 'IS NOT NULL'
+};
+
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+const TIME_BUCKETS = ['hour', 'day', 'week', 'month'];
+const TIME_BASES = ['received_at', 'occurred_at'];
+
+// Set per event_type / by the server - not useful as dimensions or filters
+const EXCLUDED_FIELDS = ['event_type', 'timestamp', 'occurred_at'];
+
+// Too many distinct values to group by (filters are fine)
+const HIGH_CARDINALITY_FIELDS = ['user_id', 'event_id', 'session_id'];
+
+// Fields read from events columns instead of the payload
+const COLUMN_FIELDS = { user_id: 'e.user_id' };
+
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+const ALIAS_PATTERN = /^[a-z_][a-z0-9_]{0,62}$/;
+
+/**
+ * Flatten JSON Schema properties to { dot.path: type } (number | boolean | string)
+ */
+function flattenFieldTypes(properties, prefix = '') {
+  const fields = {};
+
+  for (const [key, property] of Object.entries(properties || {})) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (property.properties) {
+      Object.assign(fields, flattenFieldTypes(property.properties, name));
+      continue;
+    }
+
+    const types = [].concat(property.type || []);
+    if (property.format === 'date-time' || types.includes('array') || types.includes('object')) continue;
+
+    if (types.includes('integer') || types.includes('number')) fields[name] = 'number';
+    else if (types.includes('boolean')) fields[name] = 'boolean';
+    else if (types.includes('string')) fields[name] = 'string';
+  }
+
+  return fields;
+}
+
+/**
+ * Typed SQL expression for a whitelisted field
+ * Values of the wrong JSON type read as NULL rather than failing the cast.
+ */
+function fieldExpression(field, type) {
+  if (COLUMN_FIELDS[field]) return COLUMN_FIELDS[field];
+
+  const path = `'{${field.split('.').join(',')}}'`;
+  if (type === 'number') {
+    return `(CASE WHEN jsonb_typeof(e.payload #> ${path}) = 'number' THEN (e.payload #>> ${path})::numeric END)`;
+  }
+  if (type === 'boolean') {
+    return `(CASE WHEN jsonb_typeof(e.payload #> ${path}) = 'boolean' THEN (e.payload #>> ${path})::boolean END)`;
+  }
+  return `(e.payload #>> ${path})`;
+}
+
+const SQL_TYPES = { number: 'numeric', boolean: 'boolean', string: 'text' };
+
+/**
+ * SQL condition for one payload filter ({ field, op, value })
+ * @param {Object} filter
+ * @param {Object} fields - getFields() of the event type
+ * @param {Function} param - Pushes a bind value, returns its placeholder
+ * @param {Object} context - { label, field } for validation errors
+ */
+function filterCondition(filter, fields, param, { label, field }) {
+  if (!filter || typeof filter.field !== 'string' || !FIELD_PATTERN.test(filter.field) || !fields.filterable.includes(filter.field)) {
+    throw new ValidationException(`${label}: unknown field ${filter && filter.field} (see GET /api/events/query/fields)`, field);
+  }
+
+  const operator = OPERATORS[filter.op];
+  if (!operator) {
+    throw new ValidationException(`${label}.op must be one of: ${Object.keys(OPERATORS).join(', ')}`, field);
+  }
+
+  const type = fields.types[filter.field];
+  const expression = fieldExpression(filter.field, type);
+
+  if (filter.op === 'is_null' || filter.op === 'not_null') {
+    return `${expression} ${operator}`;
+  }
+  if (RANGE_OPERATORS.includes(filter.op) && type !== 'number') {
+    throw new ValidationException(`${label}: ${filter.op} needs a numeric field`, field);
+  }
+
+  const values = filter.op === 'in' || filter.op === 'not_in' ? filter.value : [filter.value];
+  if (!Array.isArray(values) || values.length === 0 || values.length > LIMITS.inValues) {
+    throw new ValidationException(`${label}.value must be an array of 1-${LIMITS.inValues} values`, field);
+  }
+  if (!values.every(value => typeof value === type)) {
+    throw new ValidationException(`${label}.value must be of type ${type}`, field);
+  }
+
+  if (filter.op === 'in') return `${expression} = ANY(${param(values, `${SQL_TYPES[type]}[]`)})`;
+  if (filter.op === 'not_in') return `${expression} <> ALL(${param(values, `${SQL_TYPES[type]}[]`)})`;
+  return `${expression} ${operator} ${param(values[0], SQL_TYPES[type])}`;
+}
+
+class EventQueryBuilder {
+  /**
+   * @param {Object} db - PostgreSQL pool
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Statement timeout per query
+   * @param {number} options.maxCost - Planner cost ceiling (EXPLAIN total cost)
+   * @param {number} options.maxRangeDays - Longest from/to range
+   */
+  constructor(db, {
+    timeoutMs = parseInt(process.env.EVENT_QUERY_TIMEOUT_MS) || 15000,
+    maxCost = parseInt(process.env.EVENT_QUERY_MAX_COST) || 5000000,
+    maxRangeDays = parseInt(process.env.EVENT_QUERY_MAX_RANGE_DAYS) || 93
+  } = {}) {
+    this.db = db;
+    this.timeoutMs = timeoutMs;
+    this.maxCost = maxCost;
+    this.maxRangeDays = maxRangeDays;
+  }
+
+  /**
+   * Queryable fields of an event type (from its schema)
+   * @param {string} eventType - Event type (conversion_* types share one schema)
+   * @returns {Object} - { event_type, numeric, dimensions, filterable, types }
+   */
+  static getFields(eventType) {
+    const registry = getSchemaRegistry();
+    const schema = typeof eventType === 'string' && (registry.schemas[eventType] ||
+      (eventType.startsWith('conversion_') ? registry.dynamic['conversion_*'] : null));
+
+    if (!schema) {
+      throw new ValidationException(`Unknown event type: ${eventType}`, 'event_type');
+    }
+
+    const types = flattenFieldTypes(schema.properties);
+    for (const field of EXCLUDED_FIELDS) delete types[field];
+
+    const fields = Object.keys(types).sort();
+    return {
+      event_type: eventType,
+      numeric: fields.filter(field => types[field] === 'number'),
+      dimensions: fields.filter(field => !HIGH_CARDINALITY_FIELDS.includes(field)),
+      filterable: fields,
+      types
+    };
+  }
+
+  /**
+   * Available aggregation functions, operators and time buckets
+   * @returns {Object}
+   */
+  static get capabilities() {
+    return {
+      aggregations: Object.keys(AGGREGATIONS),
+      operators: Object.keys(OPERATORS),
+      time_buckets: TIME_BUCKETS,
+      time_bases: TIME_BASES,
+      limits: LIMITS
+    };
+  }
+
+  /**
+   * SQL conditions for payload filters of an event type (events aliased as e)
+   * Shared with saved funnels (services/funnel-analyzer.js).
+   * @param {string} eventType
+   * @param {Array<Object>} filters - [{ field, op, value }]
+   * @param {Function} param - Pushes a bind value, returns its placeholder
+   * @param {Object} context - { label, field } for validation errors (e.g. 'steps[2].filters', 'steps')
+   * @returns {Array<string>}
+   */
+  static filterConditions(eventType, filters, param, { label = 'filters', field = 'filters' } = {}) {
+    const fields = EventQueryBuilder.getFields(eventType);
+    if (!Array.isArray(filters) || filters.length > LIMITS.filters) {
+      throw new ValidationException(`${label} must be an array of at most ${LIMITS.filters} entries`, field);
+    }
+    return filters.map((filter, index) =>
+      filterCondition(filter, fields, param, { label: `${label}[${index}]`, field }));
+  }
+
+  /**
+   * Validate a spec and compile it to SQL (no database access)
+   * @param {Object} spec - Query spec (see file header)
+   * @returns {Object} - { sql, params, columns, limit, spec } (spec = normalized)
+   */
+  compile(spec = {}) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new ValidationException('Query spec must be an object', 'spec');
+    }
+
+    const fields = EventQueryBuilder.getFields(spec.event_type);
+    const { from, to } = this._parseRange(spec.from, spec.to);
+    const timeBasis = spec.time_basis || 'received_at';
+    if (!TIME_BASES.includes(timeBasis)) {
+      throw new ValidationException(`time_basis must be one of: ${TIME_BASES.join(', ')}`, 'time_basis');
+    }
+    const timeBucket = spec.time_bucket || null;
+    if (timeBucket !== null && !TIME_BUCKETS.includes(timeBucket)) {
+      throw new ValidationException(`time_bucket must be one of: ${TIME_BUCKETS.join(', ')}`, 'time_bucket');
+    }
+
+    const groupBy = this._list(spec.group_by, 'group_by', LIMITS.groupBy);
+    const aggregations = this._list(spec.aggregations || [{ fn: 'count' }], 'aggregations', LIMITS.aggregations);
+    const filters = this._list(spec.filters, 'filters', LIMITS.filters);
+    if (aggregations.length === 0) {
+      throw new ValidationException('At least one aggregation is required', 'aggregations');
+    }
+
+    const limit = spec.limit === undefined ? 100 : parseInt(spec.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > LIMITS.rows) {
+      throw new ValidationException(`limit must be between 1 and ${LIMITS.rows}`, 'limit');
+    }
+
+    const params = [];
+    const param = (value, type) => {
+      params.push(value);
+      return `$${params.length}${type ? `::${type}` : ''}`;
+    };
+
+    const time = timeBasis === 'occurred_at' ? 'COALESCE(e.occurred_at, e.received_at)' : 'e.received_at';
+    const select = [];
+    const columns = [];
+
+    if (timeBucket) {
+      select.push(`date_trunc(${param(timeBucket, 'text')}, ${time}) AS bucket`);
+      columns.push('bucket');
+    }
+
+    for (const field of groupBy) {
+      if (typeof field !== 'string' || !fields.dimensions.includes(field)) {
+        throw new ValidationException(`Cannot group by ${field} (see GET /api/events/query/fields)`, 'group_by');
+      }
+      const alias = field.replace(/\./g, '_');
+      if (columns.includes(alias)) {
+        throw new ValidationException(`Duplicate group_by field: ${field}`, 'group_by');
+      }
+      select.push(`${fieldExpression(field, fields.types[field])} AS "${alias}"`);
+      columns.push(alias);
+    }
+    const groupCount = columns.length;
+
+    const normalizedAggregations = aggregations.map((aggregation, index) => {
+      const definition = aggregation && AGGREGATIONS[aggregation.fn];
+      if (!definition) {
+        throw new ValidationException(`aggregations[${index}].fn must be one of: ${Object.keys(AGGREGATIONS).join(', ')}`, 'aggregations');
+      }
+
+      let sql = definition.sql;
+      if (definition.numeric) {
+        if (!fields.numeric.includes(aggregation.field)) {
+          throw new ValidationException(`aggregations[${index}]: ${aggregation.fn} needs a numeric field of ${spec.event_type}`, 'aggregations');
+        }
+        sql = sql.replace('?', fieldExpression(aggregation.field, 'number'));
+      }
+
+      const alias = aggregation.as || (definition.numeric
+        ? `${aggregation.fn}_${aggregation.field.replace(/\./g, '_')}`
+        : aggregation.fn);
+      if (!ALIAS_PATTERN.test(alias) || columns.includes(alias)) {
+        throw new ValidationException(`aggregations[${index}].as must be a unique lowercase identifier`, 'aggregations');
+      }
+
+      select.push(`${sql} AS "${alias}"`);
+      columns.push(alias);
+      return definition.numeric ? { fn: aggregation.fn, field: aggregation.field, as: alias } : { fn: aggregation.fn, as: alias };
+    });
+
+    const fromParam = param(from.toISOString(), 'timestamptz');
+    const conditions = [
+      `e.event_type = ${param(spec.event_type, 'text')}`,
+      `${time} >= ${fromParam}`,
+      `${time} < ${param(to.toISOString(), 'timestamptz')}`
+    ];
+    // occurred_at <= received_at, so the received_at lower bound still prunes partitions
+    if (timeBasis === 'occurred_at') {
+      conditions.push(`e.received_at >= ${fromParam}`);
+    }
+    filters.forEach((filter, index) => {
+      conditions.push(filterCondition(filter, fields, param, { label: `filters[${index}]`, field: 'filters' }));
+    });
+
+    const groupClause = groupCount > 0
+      ? `GROUP BY ${Array.from({ length: groupCount }, (_, i) => i + 1).join(', ')}`
+      : '';
+    const order = [];
+    if (timeBucket) order.push('1 ASC');
+    order.push(`${groupCount + 1} DESC NULLS LAST`);
+
+    const sql = `
+      SELECT ${select.join(',\n        ')}
+      FROM events e
+      WHERE ${conditions.join('\n        AND ')}
+      ${groupClause}
+      ORDER BY ${order.join(', ')}
+      LIMIT ${param(limit + 1, 'integer')}
+    `;
+
+    return {
+      sql,
+      params,
+      columns,
+      limit,
+      spec: {
+        event_type: spec.event_type,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        aggregations: normalizedAggregations,
+        group_by: groupBy,
+        time_bucket: timeBucket,
+        time_basis: timeBasis,
+        filters,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Compile and run a spec
+   * Runs in a read-only transaction: EXPLAIN first (rejects plans above maxCost),
+   * then the query under a statement timeout.
+   *
+   * @param {Object} spec - Query spec
+   * @param {Object} options - { requestedBy } (logged)
+   * @returns {Promise<Object>} - { query, columns, rows, row_count, truncated, estimated_cost, duration_ms }
+   */
+  async run(spec, { requestedBy = null } = {}) {
+    const compiled = this.compile(spec);
+    const startTime = Date.now();
+
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN READ ONLY');
+      await client.query(`SET LOCAL statement_timeout = ${parseInt(this.timeoutMs, 10)}`);
+
+      const plan = await client.query(`EXPLAIN (FORMAT JSON) ${compiled.sql}`, compiled.params);
+      const estimatedCost = Math.round(plan.rows[0]['QUERY PLAN'][0].Plan['Total Cost']);
+      if (estimatedCost > this.maxCost) {
+        throw new ValidationException(
+          `Query too expensive (estimated cost ${estimatedCost}, limit ${this.maxCost}) - narrow the date range or add filters`,
+          'from'
+        );
+      }
+
+      const result = await client.query(compiled.sql, compiled.params);
+      await client.query('COMMIT');
+
+      const truncated = result.rows.length > compiled.limit;
+      const rows = truncated ? result.rows.slice(0, compiled.limit) : result.rows;
+      const durationMs = Date.now() - startTime;
+
+      logger.info('🔎 Event query ran', {
+        event_type: compiled.spec.event_type,
+        group_by: compiled.spec.group_by,
+        rows: rows.length,
+        estimated_cost: estimatedCost,
+        duration_ms: durationMs,
+        requested_by: requestedBy
+      });
+
+      return {
+        query: compiled.spec,
+        columns: compiled.columns,
+        rows,
+        row_count: rows.length,
+        truncated,
+        estimated_cost: estimatedCost,
+        duration_ms: durationMs
+      };
+
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+
+      // 57014 = query_canceled (statement_timeout)
+      if (error.code === '57014') {
+        logger.warn('🔎 Event query timed out', { event_type: compiled.spec.event_type, requested_by: requestedBy });
+        const timeout = new Error(`Query exceeded the ${this.timeoutMs}ms timeout - narrow the date range or add filters`);
+        timeout.status = 504;
+        throw timeout;
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  _parseRange(fromValue, toValue) {
+    const from = new Date(fromValue);
+    const to = new Date(toValue);
+
+    if (!fromValue || !toValue || isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      throw new ValidationException('from and to must be valid dates with from < to', 'from');
+    }
+    if ((to - from) / DAY_MS > this.maxRangeDays) {
+      throw new ValidationException(`Date range must not exceed ${this.maxRangeDays} days`, 'from');
+    }
+
+    return { from, to };
+  }
+
+  _list(value, field, max) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) {
+      throw new ValidationException(`${field} must be an array`, field);
+    }
+    if (value.length > max) {
+      throw new ValidationException(`${field} allows at most ${max} entries`, field);
+    }
+    return value;
+  }
+}
+
+module.exports = EventQueryBuilder;
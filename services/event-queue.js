@@ -0,0 +1,291 @@
+/**
+ * Event Queue Service
+ * Durable Redis-backed ingestion queue for POST /api/events (Bull)
+ *
+ * This service:
+ * 1. Persists incoming batches in Redis before they are processed
+ * 2. Processes batches with a configurable worker concurrency
+ * 3. Retries failed events with exponential backoff
+ * 4. Moves batches that exhaust their retries into a dead-letter list
+ *
+ * Batches survive process restarts (Railway deploys), so the
+ * fire-and-forget endpoint no longer drops events mid-flight.
+ */
+
+const Queue = require('bull');
+const logger = require('../utils/logger');
+const EventProcessor = require('./event-processor');
+
+const QUEUE_NAME = 'event-ingestion';
+const DEAD_LETTER_KEY = 'events:dead_letter';
+
+class EventQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - PostgreSQL pool
+   * @param {Object} options.redisClient - Connected ioredis client (duplicated for Bull)
+   * @param {Object} options.wsManager - WebSocketManager for the admin live tail (optional)
+   * @param {Object} options.webhookDispatcher - WebhookDispatcher for external subscribers (optional)
+   * @param {number} options.concurrency - Batches processed in parallel per instance
+   * @param {number} options.attempts - Max attempts per batch before dead-lettering
+   * @param {number} options.backoffDelay - Base delay (ms) for exponential backoff
+   * @param {number} options.deadLetterLimit - Max entries kept in the dead-letter list
+   */
+  constructor({
+    db,
+    redisClient,
+    wsManager = null,
+    webhookDispatcher = null,
+    concurrency = parseInt(process.env.EVENT_QUEUE_CONCURRENCY || '5', 10),
+    attempts = parseInt(process.env.EVENT_QUEUE_ATTEMPTS || '5', 10),
+    backoffDelay = parseInt(process.env.EVENT_QUEUE_BACKOFF_MS || '2000', 10),
+    deadLetterLimit = 10000
+  }) {
+    this.db = db;
+    this.redisClient = redisClient;
+    this.concurrency = concurrency;
+    this.attempts = attempts;
+    this.backoffDelay = backoffDelay;
+    this.deadLetterLimit = deadLetterLimit;
+    this.processor = new EventProcessor(db, { redisClient, wsManager, webhookDispatcher });
+    this.connections = [];
+    this.queue = null;
+    this.isRunning = false;
+
+    this.stats = {
+      batches_enqueued: 0,
+      batches_completed: 0,
+      batches_retried: 0,
+      batches_dead_lettered: 0,
+      events_enqueued: 0,
+      events_processed: 0,
+      events_duplicate: 0,
+      events_invalid: 0,
+    };
+  }
+
+  /**
+   * Create the Bull queue and start the workers
+   */
+  start() {
+    if (this.isRunning) {
+      logger.info('📬 Event queue already running');
+      return;
+    }
+
+    this.queue = new Queue(QUEUE_NAME, {
+      // ✅ Reuse the server's Redis connection settings (Railway host/port/password)
+      // Bull requires bclient/subscriber without ready check or request retry limit
+      createClient: (type) => {
+        const connection = type === 'client'
+          ? this.redisClient.duplicate()
+          : this.redisClient.duplicate({ enableReadyCheck: false, maxRetriesPerRequest: null });
+        this.connections.push(connection);
+        return connection;
+      },
+      defaultJobOptions: {
+        attempts: this.attempts,
+        backoff: { type: 'exponential', delay: this.backoffDelay },
+        removeOnComplete: 1000,
+        removeOnFail: 1000,
+      },
+    });
+
+    this.queue.process(this.concurrency, (job) => this._processJob(job));
+
+    this.queue.on('failed', (job, error) => {
+      this._handleFailedJob(job, error).catch(err => {
+        logger.error('📬 ❌ Failed to handle failed job', { job_id: job?.id, error: err.message });
+      });
+    });
+
+    this.queue.on('error', (error) => {
+      logger.error('📬 ❌ Event queue error', { error: error.message });
+    });
+
+    this.isRunning = true;
+    logger.info('📬 ✅ Event queue started', {
+      concurrency: this.concurrency,
+      attempts: this.attempts,
+      backoff_ms: this.backoffDelay
+    });
+  }
+
+  /**
+   * Add a batch of events to the queue
+   * @param {Array<Object>} events - Event objects
+   * @param {Object} context - Request data for enrichment ({ ip, received_at })
+   * @returns {Promise<Object>} - { job_id, count }
+   */
+  async addBatch(events, context = {}) {
+    if (!this.queue) {
+      throw new Error('Event queue not started');
+    }
+
+    const job = await this.queue.add({
+      events,
+      context,
+      enqueued_at: new Date().toISOString()
+    });
+
+    this.stats.batches_enqueued++;
+    this.stats.events_enqueued += events.length;
+
+    return { job_id: job.id, count: events.length };
+  }
+
+  /**
+   * Worker: process one queued batch
+   * Only events that failed for transient reasons (e.g. database errors) are retried.
+   * Invalid events are final - retrying them would never succeed.
+   *
+   * @param {Object} job - Bull job
+   * @returns {Promise<Object>} - { processed, invalid }
+   */
+  async _processJob(job) {
+    const { events = [], context = {} } = job.data;
+    const result = await this.processor.processBatch(events, context);
+
+    const retryable = [];
+    let invalid = 0;
+
+    for (const item of result.results) {
+      if (item.success) continue;
+      if (item.error === 'Invalid event schema' || item.error?.startsWith('Unknown event type')) {
+        invalid++;
+      } else {
+        retryable.push(events[item.index]);
+      }
+    }
+
+    this.stats.events_processed += result.processed;
+    this.stats.events_duplicate += result.duplicates || 0;
+    this.stats.events_invalid += invalid;
+
+    if (retryable.length > 0) {
+      // ✅ Narrow the job to the failed events so successful ones are not stored twice
+      await job.update({ ...job.data, events: retryable });
+      this.stats.batches_retried++;
+      throw new Error(`${retryable.length} event(s) failed to store`);
+    }
+
+    this.stats.batches_completed++;
+    return { processed: result.processed, invalid };
+  }
+
+  /**
+   * Move a batch to the dead-letter list once it has exhausted its retries
+   * @param {Object} job - Bull job
+   * @param {Error} error - Last processing error
+   */
+  async _handleFailedJob(job, error) {
+    if (!job || job.attemptsMade < (job.opts.attempts || 1)) {
+      return; // Bull will retry with backoff
+    }
+
+    const entry = JSON.stringify({
+      job_id: job.id,
+      events: job.data.events,
+      context: job.data.context,
+      enqueued_at: job.data.enqueued_at,
+      failed_at: new Date().toISOString(),
+      attempts: job.attemptsMade,
+      error: error?.message || 'Unknown error'
+    });
+
+    await this.queue.client
+      .multi()
+      .lpush(DEAD_LETTER_KEY, entry)
+      .ltrim(DEAD_LETTER_KEY, 0, this.deadLetterLimit - 1)
+      .exec();
+
+    this.stats.batches_dead_lettered++;
+    logger.error('📬 💀 Event batch moved to dead-letter list', {
+      job_id: job.id,
+      count: job.data.events?.length || 0,
+      attempts: job.attemptsMade,
+      error: error?.message
+    });
+  }
+
+  /**
+   * Get entries from the dead-letter list (newest first)
+   * @param {number} limit - Max entries to return
+   * @returns {Promise<Array<Object>>}
+   */
+  async getDeadLetters(limit = 50) {
+    const entries = await this.queue.client.lrange(DEAD_LETTER_KEY, 0, limit - 1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  /**
+   * Re-enqueue dead-lettered batches (oldest first)
+   * @param {number} limit - Max batches to re-enqueue
+   * @returns {Promise<Object>} - { requeued, events }
+   */
+  async requeueDeadLetters(limit = 50) {
+    let requeued = 0;
+    let events = 0;
+
+    for (let i = 0; i < limit; i++) {
+      const entry = await this.queue.client.rpop(DEAD_LETTER_KEY);
+      if (!entry) break;
+
+      const { events: batch = [], context = {} } = JSON.parse(entry);
+      await this.addBatch(batch, context);
+      requeued++;
+      events += batch.length;
+    }
+
+    logger.info('📬 🔄 Dead-letter batches requeued', { requeued, events });
+    return { requeued, events };
+  }
+
+  /**
+   * Get queue statistics (used by GET /api/events/stats)
+   * @returns {Promise<Object>}
+   */
+  async getStats() {
+    if (!this.queue) {
+      return { running: false, ...this.stats };
+    }
+
+    const [counts, deadLetters] = await Promise.all([
+      this.queue.getJobCounts(),
+      this.queue.client.llen(DEAD_LETTER_KEY)
+    ]);
+
+    return {
+      running: this.isRunning,
+      concurrency: this.concurrency,
+      ...counts,
+      dead_letter: deadLetters,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stop accepting work and wait for active batches to finish
+   * Called on SIGTERM/SIGINT so in-flight batches are not lost during deploys
+   */
+  async close() {
+    if (!this.queue) return;
+
+    logger.info('📬 Closing event queue (waiting for active batches)...');
+    try {
+      await this.queue.close();
+    } catch (error) {
+      logger.error('📬 ❌ Error closing event queue', { error: error.message });
+    }
+
+    // Connections created through createClient are not closed by Bull
+    await Promise.all(this.connections.map(connection =>
+      connection.quit().catch(() => connection.disconnect())
+    ));
+    this.connections = [];
+    this.isRunning = false;
+    logger.info('📬 ✅ Event queue closed');
+  }
+}
+
+module.exports = EventQueue;
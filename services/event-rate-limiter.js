@@ -0,0 +1,212 @@
+/**
+ * Event Rate Limiter
+ * Per-device and per-IP ingestion limits plus abuse detection for /api/events
+ *
+ * This service:
+ * 1. Enforces sliding-window event limits per user_id and per client IP in Redis
+ *    (shared by all instances - the global RateLimiterMemory in server.js is
+ *    per-instance and IP-only, which penalises players behind carrier NAT)
+ * 2. Drops events over the limit (the route has already answered 200)
+ * 3. Flags impossible rates (e.g. 50 game_ended per minute) in event_anomaly_flags
+ *
+ * Sliding window = weighted previous fixed window + current window (two Redis
+ * counters per key, no per-event entries). Fails open when Redis is unavailable.
+ */
+
+const logger = require('../utils/logger');
+const EventAnomalyStore = require('./event-anomaly-store');
+
+const DEFAULT_LIMITS = {
+  user: {
+    maxEvents: parseInt(process.env.EVENT_RATE_LIMIT_USER_PER_MINUTE || '600', 10),
+    windowSeconds: 60
+  },
+  ip: {
+    maxEvents: parseInt(process.env.EVENT_RATE_LIMIT_IP_PER_MINUTE || '6000', 10),
+    windowSeconds: 60
+  },
+};
+
+// Rates no real client can produce - flagged for review, never dropped on their own
+const DEFAULT_ANOMALY_RULES = [
+  { name: 'impossible_game_rate', eventTypes: ['game_ended'], threshold: 50, windowSeconds: 60 },
+  { name: 'impossible_level_rate', eventTypes: ['level_completed'], threshold: 50, windowSeconds: 60 },
+  { name: 'currency_burst', eventTypes: ['currency_earned', 'bonus_collected'], threshold: 300, windowSeconds: 60 },
+  { name: 'purchase_burst', eventTypes: ['purchase_completed'], threshold: 10, windowSeconds: 60 },
+];
+
+// One flag per user (or IP) and rule per cooldown - a flood must not flood the table
+const FLAG_COOLDOWN_SECONDS = 3600;
+
+class EventRateLimiter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.redisClient - ioredis client (limits are skipped without it)
+   * @param {Object} options.db - PostgreSQL pool (for anomaly flags)
+   * @param {Object} options.limits - { user: { maxEvents, windowSeconds }, ip: { ... } }
+   * @param {Array<Object>} options.rules - Anomaly rules { name, eventTypes, threshold, windowSeconds }
+   */
+  constructor({ redisClient = null, db = null, limits = DEFAULT_LIMITS, rules = DEFAULT_ANOMALY_RULES } = {}) {
+    this.redis = redisClient;
+    this.anomalyStore = db ? new EventAnomalyStore(db) : null;
+    this.limits = limits;
+    this.rules = rules;
+  }
+
+  /**
+   * Apply limits to a batch and flag anomalies
+   * @param {Array<Object>} events - Raw batch from the client
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} - { allowed: Array<Object>, dropped: number, flags: Array<Object> }
+   */
+  async filterBatch(events, context = {}) {
+    if (!this.redis || this.redis.status !== 'ready') {
+      return { allowed: events, dropped: 0, flags: [] };
+    }
+
+    try {
+      const flags = [];
+      const ip = context.ip || null;
+
+      // Per-IP limit (whole batch)
+      if (ip) {
+        const ipCount = await this._slidingWindowAdd(`ratelimit:events:ip:${ip}`, events.length, this.limits.ip.windowSeconds);
+        if (ipCount > this.limits.ip.maxEvents) {
+          await this._flag(flags, `ip:${ip}`, {
+            ip,
+            rule: 'ip_rate_limited',
+            observed_count: ipCount,
+            threshold: this.limits.ip.maxEvents,
+            window_seconds: this.limits.ip.windowSeconds
+          });
+          return { allowed: [], dropped: events.length, flags };
+        }
+      }
+
+      const droppedEvents = new Set();
+      for (const [userId, userEvents] of this._groupByUser(events)) {
+        // No user_id: rejected by schema validation later - nothing to key on
+        if (!userId) continue;
+
+        const userCount = await this._slidingWindowAdd(`ratelimit:events:user:${userId}`, userEvents.length, this.limits.user.windowSeconds);
+        const overLimit = Math.max(0, userCount - this.limits.user.maxEvents);
+
+        if (overLimit > 0) {
+          await this._flag(flags, userId, {
+            user_id: userId,
+            ip,
+            rule: 'user_rate_limited',
+            observed_count: userCount,
+            threshold: this.limits.user.maxEvents,
+            window_seconds: this.limits.user.windowSeconds,
+            sample: userEvents[0]
+          });
+        }
+        // Keep the oldest events of the batch up to the limit
+        userEvents.slice(Math.max(0, userEvents.length - overLimit)).forEach(event => droppedEvents.add(event));
+
+        await this._checkAnomalies(flags, userId, userEvents, ip);
+      }
+
+      const allowed = events.filter(event => !droppedEvents.has(event));
+      const dropped = droppedEvents.size;
+      if (dropped > 0) {
+        logger.warn('🚦 Event rate limit exceeded - events dropped', { dropped, ip, flags: flags.map(f => f.rule) });
+      }
+
+      return { allowed, dropped, flags };
+
+    } catch (error) {
+      // Never lose events because the limiter failed
+      logger.warn('🚦 Event rate limiter unavailable, allowing batch', { error: error.message });
+      return { allowed: events, dropped: 0, flags: [] };
+    }
+  }
+
+  /**
+   * Count rule matches for one user and flag impossible rates
+   */
+  async _checkAnomalies(flags, userId, userEvents, ip) {
+    for (const rule of this.rules) {
+      const matching = userEvents.filter(event => rule.eventTypes.includes(event.event_type));
+      if (matching.length === 0) continue;
+
+      const count = await this._slidingWindowAdd(`anomaly:${rule.name}:${userId}`, matching.length, rule.windowSeconds);
+      if (count > rule.threshold) {
+        await this._flag(flags, userId, {
+          user_id: userId,
+          ip,
+          rule: rule.name,
+          event_type: matching[0].event_type,
+          observed_count: count,
+          threshold: rule.threshold,
+          window_seconds: rule.windowSeconds,
+          sample: matching[0]
+        });
+      }
+    }
+  }
+
+  /**
+   * Store a flag unless the same subject/rule was flagged within the cooldown
+   */
+  async _flag(flags, subject, flag) {
+    const isNew = await this.redis.set(`anomaly:flagged:${flag.rule}:${subject}`, '1', 'EX', FLAG_COOLDOWN_SECONDS, 'NX');
+    if (!isNew) return;
+
+    flags.push(flag);
+    logger.warn('🚩 Event anomaly flagged', {
+      rule: flag.rule,
+      user_id: flag.user_id,
+      ip: flag.ip,
+      observed_count: flag.observed_count,
+      threshold: flag.threshold
+    });
+
+    if (this.anomalyStore) {
+      try {
+        await this.anomalyStore.record(flag);
+      } catch (error) {
+        logger.error('🚩 Failed to store anomaly flag', { rule: flag.rule, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Add to a sliding window and return the estimated count over the last window
+   * @returns {Promise<number>}
+   */
+  async _slidingWindowAdd(key, amount, windowSeconds) {
+    const now = Date.now();
+    const windowMs = windowSeconds * 1000;
+    const bucket = Math.floor(now / windowMs);
+    const currentKey = `${key}:${bucket}`;
+
+    const results = await this.redis.multi()
+      .incrby(currentKey, amount)
+      .expire(currentKey, windowSeconds * 2)
+      .get(`${key}:${bucket - 1}`)
+      .exec();
+
+    const current = parseInt(results[0][1], 10);
+    const previous = parseInt(results[2][1], 10) || 0;
+    const elapsed = (now % windowMs) / windowMs;
+
+    return Math.floor(previous * (1 - elapsed) + current);
+  }
+
+  _groupByUser(events) {
+    const groups = new Map();
+    for (const event of events) {
+      const userId = event && typeof event.user_id === 'string' ? event.user_id : null;
+      if (!groups.has(userId)) groups.set(userId, []);
+      groups.get(userId).push(event);
+    }
+    return groups;
+  }
+}
+
+EventRateLimiter.DEFAULT_LIMITS = DEFAULT_LIMITS;
+EventRateLimiter.DEFAULT_ANOMALY_RULES = DEFAULT_ANOMALY_RULES;
+
+module.exports = EventRateLimiter;
@@ -0,0 +1,467 @@
+/**
+ * Event Replayer Service
+ * Re-runs special-event handlers and aggregators over historical events
+ *
+ * This service:
+ * 1. Reads a date range of the partitioned events table in (received_at, id) order
+ * 2. Re-runs the selected handlers (user_acquisitions, performance_metrics,
+ *    crash_logs) and the leaderboard_global aggregator
+ * 3. Commits each batch together with its checkpoint (resumable runs)
+ * 4. Supports dry-run: every batch is rolled back, only the counts are kept
+ * 5. Reports rows inserted/updated/deleted per derived table
+ *
+ * Used after fixing a bug in EventProcessor._handleSpecialEvents() or the
+ * leaderboard aggregator, so derived tables get corrected for past data.
+ * Runs are tracked in event_replay_runs (migration 044).
+ */
+
+const logger = require('../utils/logger');
+const { ValidationException } = require('../utils/exceptions');
+const EventProcessor = require('./event-processor');
+const LeaderboardAggregator = require('./leaderboard-aggregator');
+
+// A running run that has not checkpointed for this long is treated as interrupted (resumable)
+const STALE_RUN_MINUTES = 15;
+
+// Tables whose handler writes are counted per statement (leaderboard_global counts its own upserts)
+const COUNTED_TABLES = ['user_acquisitions', 'performance_metrics', 'crash_logs'];
+
+/**
+ * Special-event handlers, replayed one event at a time
+ * Handlers must be idempotent: user_acquisitions upserts, performance_metrics
+ * and crash_logs insert ON CONFLICT (source_event_id) DO NOTHING.
+ */
+const EVENT_HANDLERS = {
+  user_acquisitions: {
+    eventTypes: ['user_acquired', 'user_installed', 'app_installed'],
+    async replay(processor, event) {
+      if (event.event_type === 'user_acquired') {
+        await processor._storeUserAcquisition(event);
+      } else {
+        await processor._storeUserAcquisitionFromInstall(event);
+      }
+    }
+  },
+  performance_metrics: {
+    eventTypes: ['performance_metrics', 'app_load_time', 'game_load_time', 'memory_usage'],
+    async replay(processor, event, row, client) {
+      await removeLegacyRow(client, 'performance_metrics', event);
+      await processor._storePerformanceMetric(event, row.id);
+    }
+  },
+  crash_logs: {
+    eventTypes: ['app_crashed', 'app_error'],
+    async replay(processor, event, row, client) {
+      await removeLegacyRow(client, 'crash_logs', event);
+      await processor._storeCrashLog(event, row.id);
+    }
+  },
+};
+
+/**
+ * Aggregators, replayed once per batch
+ */
+const BATCH_AGGREGATORS = {
+  leaderboard_global: {
+    eventTypes: ['game_ended'],
+    replayBatch: (client, rows, state) => recomputeGlobalLeaderboard(client, rows, state)
+  },
+};
+
+const HANDLER_NAMES = [...Object.keys(EVENT_HANDLERS), ...Object.keys(BATCH_AGGREGATORS)];
+
+/**
+ * Rows stored before migration 044 have no source_event_id - replace them
+ * instead of inserting a second copy (matched on user + client timestamp)
+ */
+async function removeLegacyRow(client, table, event) {
+  if (!event.timestamp) return;
+
+  await client.query(`
+    DELETE FROM ${table}
+    WHERE user_id = $1
+      AND timestamp = $2
+      AND source_event_id IS NULL
+  `, [event.user_id, new Date(event.timestamp)]);
+}
+
+/**
+ * Recompute leaderboard_global for the users in a batch
+ * Uses the same events the live aggregator counted (endless, processed_at set),
+ * so the cron never double-counts. Users whose leaderboard row predates the
+ * oldest retained partition cannot be rebuilt and are skipped.
+ */
+async function recomputeGlobalLeaderboard(client, rows, state) {
+  const userIds = [...new Set(rows
+    .filter(row => row.event_type === 'game_ended' && row.payload?.game_mode === 'endless')
+    .map(row => row.user_id))];
+
+  if (userIds.length === 0) return;
+
+  const result = await client.query(`
+    WITH stats AS (
+      SELECT
+        user_id,
+        MAX((payload->>'score')::int) as high_score,
+        COUNT(*) as total_games,
+        COALESCE(SUM((payload->>'duration_seconds')::int), 0) as total_playtime_seconds,
+        MAX(received_at) as last_played_at
+      FROM events
+      WHERE event_type = 'game_ended'
+        AND payload->>'game_mode' = 'endless'
+        AND processed_at IS NOT NULL
+        AND user_id = ANY($1)
+      GROUP BY user_id
+    )
+    INSERT INTO leaderboard_global (
+      user_id, high_score, total_games, total_playtime_seconds, last_played_at, updated_at
+    )
+    SELECT user_id, high_score, total_games, total_playtime_seconds, last_played_at, NOW()
+    FROM stats
+    ON CONFLICT (user_id) DO UPDATE SET
+      high_score = EXCLUDED.high_score,
+      total_games = EXCLUDED.total_games,
+      total_playtime_seconds = EXCLUDED.total_playtime_seconds,
+      last_played_at = EXCLUDED.last_played_at,
+      updated_at = NOW()
+    WHERE leaderboard_global.created_at >= $2
+      AND (leaderboard_global.high_score, leaderboard_global.total_games, leaderboard_global.total_playtime_seconds)
+        IS DISTINCT FROM (EXCLUDED.high_score, EXCLUDED.total_games, EXCLUDED.total_playtime_seconds)
+    RETURNING (xmax = 0) as inserted
+  `, [userIds, state.oldestEventAt]);
+
+  for (const row of result.rows) {
+    state.tally('leaderboard_global', row.inserted ? 'inserted' : 'updated', 1);
+  }
+}
+
+/**
+ * Wrap a pg client so INSERT/UPDATE/DELETE row counts on counted tables are tallied
+ * (an upsert that updates an existing row counts as inserted)
+ */
+function createCountingClient(client, tally) {
+  const OPS = { INSERT: 'inserted', UPDATE: 'updated', DELETE: 'deleted' };
+
+  return {
+    query: async (text, params) => {
+      const result = await client.query(text, params);
+      const match = /^\s*(INSERT|UPDATE|DELETE)\s+(?:INTO\s+|FROM\s+)?(\w+)/i.exec(String(text));
+
+      if (match && COUNTED_TABLES.includes(match[2])) {
+        tally(match[2], OPS[match[1].toUpperCase()], result.rowCount || 0);
+      }
+
+      return result;
+    }
+  };
+}
+
+class EventReplayer {
+  /**
+   * @param {Object} db - PostgreSQL pool
+   * @param {Object} cacheManager - Cache manager (optional - refreshes the leaderboard cache after a real run)
+   */
+  constructor(db, cacheManager = null) {
+    this.db = db;
+    this.cacheManager = cacheManager;
+  }
+
+  /**
+   * Available handler/aggregator names
+   * @returns {Array<string>}
+   */
+  static get handlerNames() {
+    return HANDLER_NAMES;
+  }
+
+  /**
+   * Create a replay run (does not start it - see runReplay)
+   * @param {Object} options
+   * @param {string|Date} options.from - Range start (inclusive)
+   * @param {string|Date} options.to - Range end (exclusive)
+   * @param {Array<string>} options.handlers - Handler names (default: all)
+   * @param {boolean} options.dryRun - Roll back every batch (default: false)
+   * @param {number} options.batchSize - Events per batch/transaction (default: 500)
+   * @param {string} options.requestedBy - Who started the run (audit)
+   * @returns {Promise<Object>} - Run row
+   */
+  async createRun({ from, to, handlers = HANDLER_NAMES, dryRun = false, batchSize = 500, requestedBy = null }) {
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate >= toDate) {
+      throw new ValidationException('from and to must be valid dates with from < to', 'from');
+    }
+
+    const unknown = handlers.filter(name => !HANDLER_NAMES.includes(name));
+    if (handlers.length === 0 || unknown.length > 0) {
+      throw new ValidationException(
+        `Unknown handlers: ${unknown.join(', ') || '(none selected)'}. Available: ${HANDLER_NAMES.join(', ')}`,
+        'handlers'
+      );
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO event_replay_runs (from_ts, to_ts, handlers, dry_run, batch_size, requested_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [fromDate, toDate, handlers, dryRun, Math.min(Math.max(parseInt(batchSize) || 500, 1), 5000), requestedBy]);
+
+    logger.info('🔁 Event replay run created', {
+      run_id: result.rows[0].id,
+      from: fromDate.toISOString(),
+      to: toDate.toISOString(),
+      handlers,
+      dry_run: dryRun
+    });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Run (or resume) a replay from its checkpoint until the range is exhausted
+   * @param {number} runId - event_replay_runs.id
+   * @param {Object} options
+   * @param {number} options.maxBatches - Stop after N batches (run stays resumable)
+   * @returns {Promise<Object>} - Summary { run_id, status, events_replayed, events_failed, rows_changed }
+   */
+  async runReplay(runId, { maxBatches = Infinity } = {}) {
+    let run = await this.getRun(runId);
+    if (!run) {
+      throw new Error(`Replay run ${runId} not found`);
+    }
+
+    if (run.status === 'completed') {
+      return this._summary(run);
+    }
+
+    await this.db.query(`
+      UPDATE event_replay_runs SET status = 'running', error = NULL, updated_at = NOW() WHERE id = $1
+    `, [runId]);
+
+    const eventTypes = [...new Set(run.handlers.flatMap(name =>
+      (EVENT_HANDLERS[name] || BATCH_AGGREGATORS[name]).eventTypes
+    ))];
+
+    const oldest = await this.db.query('SELECT MIN(received_at) as oldest FROM events');
+    const oldestEventAt = oldest.rows[0]?.oldest || run.from_ts;
+
+    let batches = 0;
+
+    try {
+      while (batches < maxBatches) {
+        const rows = await this._fetchBatch(run, eventTypes);
+        if (rows.length === 0) break;
+
+        run = await this._replayBatch(run, rows, oldestEventAt);
+        batches++;
+
+        if (rows.length < run.batch_size) break;
+      }
+
+      if (batches < maxBatches) {
+        run = (await this.db.query(`
+          UPDATE event_replay_runs
+          SET status = 'completed', finished_at = NOW(), updated_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `, [runId])).rows[0];
+
+        if (!run.dry_run && run.handlers.includes('leaderboard_global') && this.cacheManager) {
+          await new LeaderboardAggregator(this.db, this.cacheManager).updateLeaderboardCache();
+        }
+      }
+
+      logger.info('🔁 ✅ Event replay finished', this._summary(run));
+      return this._summary(run);
+
+    } catch (error) {
+      await this.db.query(`
+        UPDATE event_replay_runs SET status = 'failed', error = $2, updated_at = NOW() WHERE id = $1
+      `, [runId, error.message]);
+
+      logger.error('🔁 ❌ Event replay failed (resumable from checkpoint)', { run_id: runId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a failed or interrupted run for resuming
+   * Atomic, so concurrent resumes cannot start two loops on the same checkpoint.
+   * Runs still checkpointing (updated within STALE_RUN_MINUTES) and completed runs are not claimed.
+   * @param {number} runId
+   * @returns {Promise<Object|null>} - Claimed run, or null if it is running or completed
+   */
+  async claimRun(runId) {
+    const result = await this.db.query(`
+      UPDATE event_replay_runs
+      SET status = 'running', error = NULL, updated_at = NOW()
+      WHERE id = $1
+        AND (status = 'failed' OR (status = 'running' AND updated_at < NOW() - make_interval(mins => $2)))
+      RETURNING *
+    `, [runId, STALE_RUN_MINUTES]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get a replay run
+   * @param {number} runId
+   * @returns {Promise<Object|null>}
+   */
+  async getRun(runId) {
+    const result = await this.db.query('SELECT * FROM event_replay_runs WHERE id = $1', [runId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List recent replay runs
+   * @param {number} limit
+   * @returns {Promise<Array<Object>>}
+   */
+  async listRuns(limit = 20) {
+    const result = await this.db.query(`
+      SELECT * FROM event_replay_runs ORDER BY started_at DESC LIMIT $1
+    `, [Math.min(parseInt(limit) || 20, 100)]);
+    return result.rows;
+  }
+
+  /**
+   * Fetch the next batch after the checkpoint
+   * received_at bounds keep the scan on the matching weekly partitions
+   */
+  async _fetchBatch(run, eventTypes) {
+    const params = [run.from_ts, run.to_ts, eventTypes, run.batch_size];
+    let cursorCondition = '';
+
+    if (run.cursor_received_at) {
+      params.push(run.cursor_received_at, run.cursor_event_id);
+      cursorCondition = 'AND (received_at, id) > ($5, $6)';
+    }
+
+    const result = await this.db.query(`
+      SELECT id, event_type, user_id, payload, received_at
+      FROM events
+      WHERE received_at >= $1
+        AND received_at < $2
+        AND event_type = ANY($3)
+        ${cursorCondition}
+      ORDER BY received_at ASC, id ASC
+      LIMIT $4
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Replay one batch in a transaction and advance the checkpoint
+   * Real runs commit the checkpoint with the changes; dry runs roll back and
+   * only record the counts.
+   */
+  async _replayBatch(run, rows, oldestEventAt) {
+    const client = await this.db.connect();
+    const rowsChanged = JSON.parse(JSON.stringify(run.rows_changed || {}));
+    const tally = (table, op, count) => {
+      rowsChanged[table] = rowsChanged[table] || { inserted: 0, updated: 0, deleted: 0 };
+      rowsChanged[table][op] += count;
+    };
+
+    const countingClient = createCountingClient(client, tally);
+    const processor = new EventProcessor(countingClient);
+    const state = { tally, oldestEventAt };
+    const last = rows[rows.length - 1];
+    let replayed = 0;
+    let failed = 0;
+
+    try {
+      await client.query('BEGIN');
+
+      for (const row of rows) {
+        const handlers = run.handlers.filter(name =>
+          EVENT_HANDLERS[name]?.eventTypes.includes(row.event_type)
+        );
+        if (handlers.length === 0) continue;
+
+        // Handlers read fields both top-level (live events) and from payload (stored rows)
+        const event = { ...row.payload, payload: row.payload, received_at: row.received_at };
+
+        const snapshot = JSON.stringify(rowsChanged);
+        await client.query('SAVEPOINT replay_event');
+        try {
+          for (const name of handlers) {
+            await EVENT_HANDLERS[name].replay(processor, event, row, countingClient);
+          }
+          // Fails if a handler swallowed a database error (transaction aborted)
+          await client.query('RELEASE SAVEPOINT replay_event');
+          replayed++;
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT replay_event');
+          // Rolled-back writes don't count as changed
+          for (const table of Object.keys(rowsChanged)) delete rowsChanged[table];
+          Object.assign(rowsChanged, JSON.parse(snapshot));
+          failed++;
+          logger.warn('🔁 Replay of event failed', { event_id: row.id, event_type: row.event_type, error: error.message });
+        }
+      }
+
+      for (const name of run.handlers.filter(handler => BATCH_AGGREGATORS[handler])) {
+        await BATCH_AGGREGATORS[name].replayBatch(client, rows, state);
+        replayed += rows.filter(row => BATCH_AGGREGATORS[name].eventTypes.includes(row.event_type)).length;
+      }
+
+      const checkpointParams = [run.id, last.received_at, last.id, replayed, failed, JSON.stringify(rowsChanged)];
+      const checkpointQuery = `
+        UPDATE event_replay_runs
+        SET cursor_received_at = $2,
+            cursor_event_id = $3,
+            events_replayed = events_replayed + $4,
+            events_failed = events_failed + $5,
+            rows_changed = $6,
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `;
+
+      let updated;
+      if (run.dry_run) {
+        await client.query('ROLLBACK');
+        updated = (await this.db.query(checkpointQuery, checkpointParams)).rows[0];
+      } else {
+        updated = (await client.query(checkpointQuery, checkpointParams)).rows[0];
+        await client.query('COMMIT');
+      }
+
+      logger.info('🔁 Replay batch done', {
+        run_id: run.id,
+        events: rows.length,
+        replayed,
+        failed,
+        dry_run: run.dry_run
+      });
+
+      return updated;
+
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  _summary(run) {
+    return {
+      run_id: run.id,
+      status: run.status,
+      dry_run: run.dry_run,
+      from: run.from_ts,
+      to: run.to_ts,
+      handlers: run.handlers,
+      checkpoint: run.cursor_received_at,
+      events_replayed: run.events_replayed,
+      events_failed: run.events_failed,
+      rows_changed: run.rows_changed
+    };
+  }
+}
+
+module.exports = EventReplayer;
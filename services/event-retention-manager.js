@@ -0,0 +1,457 @@
+/**
+ * Event Retention Manager
+ * Per-event-type retention and raw-event archival (event_retention_policies)
+ *
+ * This service:
+ * 1. Deletes short-lived event types after their retention_days (crashes, performance)
+ * 2. Moves archive = true types to events_archive before their rows go
+ * 3. Drops weekly partitions older than the '*' (default) policy - archiving
+ *    long-lived types from each partition in the same transaction
+ * 4. Purges archived events past archive_retention_days
+ * 5. Writes a report per run (event_archival_runs)
+ *
+ * A type's retention_days is capped by the '*' policy: nothing outlives the
+ * partition window in the events table, archive = true keeps it longer.
+ *
+ * Railway Best Practice: Run weekly via cron (after partition maintenance)
+ */
+
+const logger = require('../utils/logger');
+const PartitionManager = require('./partition-manager');
+const { ValidationException } = require('../utils/exceptions');
+
+const DEFAULT_POLICY = '*';
+const EVENT_TYPE_PATTERN = /^[a-z0-9_]{1,100}$/;
+const MIN_DEFAULT_RETENTION_DAYS = 28;
+const ARCHIVE_COLUMNS = 'id, event_type, user_id, payload, campaign_id, received_at, processed_at, occurred_at, timestamp_flag';
+// Columns the DELETE ... RETURNING of _expireEventType hands to the archive insert
+const RETURNED_COLUMNS = ARCHIVE_COLUMNS.split(', ').map(column => `e.${column}`).join(', ');
+
+class EventRetentionManager {
+  /**
+   * @param {Object} db - PostgreSQL pool
+   * @param {Object} options
+   * @param {number} options.batchSize - Rows deleted/archived per statement
+   * @param {number} options.maxBatches - Batches per event type per run (the next run continues)
+   */
+  constructor(db, { batchSize = 5000, maxBatches = 1000 } = {}) {
+    this.db = db;
+    this.batchSize = batchSize;
+    this.maxBatches = maxBatches;
+    this.partitionManager = new PartitionManager(db);
+    this.isRunning = false;
+  }
+
+  // ============================================================================
+  // POLICIES
+  // ============================================================================
+
+  /**
+   * Get all policies (default first)
+   * @returns {Promise<Array<Object>>}
+   */
+  async getPolicies() {
+    const result = await this.db.query(`
+      SELECT event_type, retention_days, archive, archive_retention_days, description, updated_by, updated_at
+      FROM event_retention_policies
+      ORDER BY event_type = '${DEFAULT_POLICY}' DESC, event_type
+    `);
+    return result.rows;
+  }
+
+  /**
+   * Create or update a policy
+   * @param {string} eventType - Event type or '*' (default)
+   * @param {Object} policy - { retention_days, archive?, archive_retention_days?, description? }
+   * @param {string} updatedBy - Admin player ID
+   * @returns {Promise<Object>} - Saved policy
+   */
+  async setPolicy(eventType, { retention_days, archive = false, archive_retention_days = null, description = null } = {}, updatedBy = null) {
+    if (eventType !== DEFAULT_POLICY && !EVENT_TYPE_PATTERN.test(eventType || '')) {
+      throw new ValidationException('event_type must be an event type name or "*"', 'event_type');
+    }
+
+    const retentionDays = Number(retention_days);
+    if (!Number.isInteger(retentionDays) || retentionDays <= 0) {
+      throw new ValidationException('retention_days must be a positive integer', 'retention_days');
+    }
+
+    if (archive_retention_days !== null && (!Number.isInteger(archive_retention_days) || archive_retention_days <= 0)) {
+      throw new ValidationException('archive_retention_days must be a positive integer or null (forever)', 'archive_retention_days');
+    }
+
+    const policies = await this.getPolicies();
+    const defaultPolicy = policies.find(policy => policy.event_type === DEFAULT_POLICY);
+
+    if (eventType === DEFAULT_POLICY) {
+      if (retentionDays < MIN_DEFAULT_RETENTION_DAYS) {
+        throw new ValidationException(`The default policy must keep at least ${MIN_DEFAULT_RETENTION_DAYS} days (weekly partitions)`, 'retention_days');
+      }
+      const longer = policies.filter(policy => policy.event_type !== DEFAULT_POLICY && policy.retention_days > retentionDays);
+      if (longer.length > 0) {
+        throw new ValidationException(
+          `Policies keep events longer than ${retentionDays} days: ${longer.map(policy => policy.event_type).join(', ')}`,
+          'retention_days'
+        );
+      }
+    } else if (defaultPolicy && retentionDays > defaultPolicy.retention_days) {
+      throw new ValidationException(
+        `retention_days exceeds the partition window (${defaultPolicy.retention_days} days) - set archive: true to keep these events longer`,
+        'retention_days'
+      );
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO event_retention_policies (event_type, retention_days, archive, archive_retention_days, description, updated_by, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      ON CONFLICT (event_type) DO UPDATE SET
+        retention_days = EXCLUDED.retention_days,
+        archive = EXCLUDED.archive,
+        archive_retention_days = EXCLUDED.archive_retention_days,
+        description = COALESCE(EXCLUDED.description, event_retention_policies.description),
+        updated_by = EXCLUDED.updated_by,
+        updated_at = NOW()
+      RETURNING *
+    `, [eventType, retentionDays, Boolean(archive), archive_retention_days, description, updatedBy]);
+
+    logger.info('🗄️ Retention policy saved', { event_type: eventType, retention_days: retentionDays, archive: Boolean(archive), by: updatedBy });
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a policy (the type falls back to the default)
+   * @param {string} eventType
+   * @returns {Promise<boolean>} - false if not found
+   */
+  async deletePolicy(eventType) {
+    if (eventType === DEFAULT_POLICY) {
+      throw new ValidationException('The default policy cannot be deleted', 'event_type');
+    }
+    const result = await this.db.query('DELETE FROM event_retention_policies WHERE event_type = $1', [eventType]);
+    return result.rowCount > 0;
+  }
+
+  // ============================================================================
+  // RUNS
+  // ============================================================================
+
+  /**
+   * Apply all policies and record a report
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Count only, change nothing (expired rows still in old partitions count twice)
+   * @param {string} options.trigger - 'cron' or 'manual'
+   * @param {string} options.requestedBy - Admin player ID (manual runs)
+   * @returns {Promise<Object>} - Run report, or { skipped: true } if a run is in progress
+   */
+  async run({ dryRun = false, trigger = 'cron', requestedBy = null } = {}) {
+    if (this.isRunning) {
+      return { skipped: true };
+    }
+
+    // Cron and manual runs may come from different instances
+    if (!dryRun && await this._hasActiveRun()) {
+      logger.warn('🗄️ Retention run skipped - another run is in progress');
+      return { skipped: true };
+    }
+
+    this.isRunning = true;
+    const startedAt = Date.now();
+    let runId = null;
+
+    const report = {
+      dry_run: dryRun,
+      policies: {},
+      expired: {},
+      partitions: [],
+      archive_purged: {},
+      totals: { events_deleted: 0, events_archived: 0, partitions_dropped: 0, archive_purged: 0 }
+    };
+
+    try {
+      const created = await this.db.query(`
+        INSERT INTO event_archival_runs (dry_run, trigger, requested_by)
+        VALUES ($1, $2, $3)
+        RETURNING id
+      `, [dryRun, trigger, requestedBy]);
+      runId = created.rows[0].id;
+
+      const policies = await this.getPolicies();
+      const defaultPolicy = policies.find(policy => policy.event_type === DEFAULT_POLICY);
+      if (!defaultPolicy) {
+        throw new Error('Default retention policy (*) is missing - run migration 050');
+      }
+      const typePolicies = policies.filter(policy => policy.event_type !== DEFAULT_POLICY);
+
+      for (const policy of policies) {
+        report.policies[policy.event_type] = {
+          retention_days: policy.retention_days,
+          archive: policy.archive,
+          archive_retention_days: policy.archive_retention_days
+        };
+      }
+
+      logger.info('🗄️ Starting retention run', { run_id: runId, dry_run: dryRun, policies: policies.length });
+
+      // 1. Short-lived types (retention below the partition window)
+      for (const policy of typePolicies) {
+        if (policy.retention_days >= defaultPolicy.retention_days) continue;
+        const outcome = await this._expireEventType(policy, runId, dryRun);
+        report.expired[policy.event_type] = outcome;
+        report.totals.events_deleted += outcome.deleted;
+        report.totals.events_archived += outcome.archived;
+      }
+
+      // 2. Partitions past the default window (long-lived types archived first)
+      const cutoff = new Date(Date.now() - defaultPolicy.retention_days * 86400000);
+      const archiveFilter = this._archiveFilter(defaultPolicy, typePolicies);
+      for (const partitionName of await this.partitionManager.listPartitionsBefore(cutoff)) {
+        const outcome = await this._retirePartition(partitionName, archiveFilter, runId, dryRun);
+        report.partitions.push(outcome);
+        report.totals.events_deleted += outcome.rows - outcome.archived;
+        report.totals.events_archived += outcome.archived;
+        if (outcome.dropped) report.totals.partitions_dropped++;
+      }
+
+      // 3. Archive retention
+      for (const policy of policies) {
+        if (!policy.archive_retention_days) continue;
+        const purged = await this._purgeArchive(policy, typePolicies, dryRun);
+        report.archive_purged[policy.event_type] = purged;
+        report.totals.archive_purged += purged;
+      }
+
+      report.duration_ms = Date.now() - startedAt;
+      await this._finishRun(runId, 'completed', report);
+
+      logger.info('🗄️ ✅ Retention run completed', { run_id: runId, dry_run: dryRun, ...report.totals });
+      return { run_id: runId, ...report };
+
+    } catch (error) {
+      report.duration_ms = Date.now() - startedAt;
+      logger.error('🗄️ ❌ Retention run failed', { run_id: runId, error: error.message });
+      if (runId) {
+        await this._finishRun(runId, 'failed', report, error.message).catch(() => {});
+      }
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * List recent runs (without reports)
+   * @param {number} limit
+   * @returns {Promise<Array<Object>>}
+   */
+  async listRuns(limit = 20) {
+    const result = await this.db.query(`
+      SELECT
+        id, status, dry_run, trigger, events_deleted, events_archived,
+        partitions_dropped, archive_purged, error, requested_by, started_at, finished_at
+      FROM event_archival_runs
+      ORDER BY started_at DESC
+      LIMIT $1
+    `, [Math.min(parseInt(limit) || 20, 100)]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get a run with its report
+   * @param {number} runId
+   * @returns {Promise<Object|null>}
+   */
+  async getRun(runId) {
+    const result = await this.db.query('SELECT * FROM event_archival_runs WHERE id = $1', [runId]);
+    return result.rows[0] || null;
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  /**
+   * Delete (or archive) events of one type older than its retention
+   */
+  async _expireEventType(policy, runId, dryRun) {
+    const params = [policy.event_type, policy.retention_days];
+    const outcome = { retention_days: policy.retention_days, deleted: 0, archived: 0 };
+
+    if (dryRun) {
+      const result = await this.db.query(`
+        SELECT COUNT(*) as count FROM events
+        WHERE event_type = $1 AND received_at < NOW() - make_interval(days => $2)
+      `, params);
+      const count = parseInt(result.rows[0].count);
+      outcome[policy.archive ? 'archived' : 'deleted'] = count;
+      return outcome;
+    }
+
+    for (let batch = 0; batch < this.maxBatches; batch++) {
+      const result = await this.db.query(`
+        WITH doomed AS (
+          SELECT id, received_at FROM events
+          WHERE event_type = $1 AND received_at < NOW() - make_interval(days => $2)
+          LIMIT $3
+        ), moved AS (
+          DELETE FROM events e
+          USING doomed d
+          WHERE e.id = d.id AND e.received_at = d.received_at
+          RETURNING ${RETURNED_COLUMNS}
+        ), archived AS (
+          INSERT INTO events_archive (${ARCHIVE_COLUMNS}, archive_run_id)
+          SELECT ${ARCHIVE_COLUMNS}, $4 FROM moved
+          WHERE $5::boolean
+          ON CONFLICT (id) DO NOTHING
+          RETURNING 1
+        )
+        SELECT (SELECT COUNT(*) FROM moved) as moved, (SELECT COUNT(*) FROM archived) as archived
+      `, [...params, this.batchSize, runId, Boolean(policy.archive)]);
+
+      const moved = parseInt(result.rows[0].moved);
+      const archived = parseInt(result.rows[0].archived);
+      outcome.archived += archived;
+      outcome.deleted += moved - archived;
+
+      if (moved < this.batchSize) break;
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Archive long-lived types from a partition, then drop it (one transaction)
+   */
+  async _retirePartition(partitionName, archiveFilter, runId, dryRun) {
+    const countRows = async (client) => {
+      const result = await client.query(`
+        SELECT event_type, COUNT(*) as count
+        FROM ${partitionName}
+        GROUP BY event_type
+      `);
+      return Object.fromEntries(result.rows.map(row => [row.event_type, parseInt(row.count)]));
+    };
+
+    const outcome = { partition_name: partitionName, rows: 0, archived: 0, archived_by_type: {}, dropped: false };
+
+    const archive = async (client) => {
+      const byType = await countRows(client);
+      outcome.rows = Object.values(byType).reduce((sum, count) => sum + count, 0);
+      for (const [eventType, count] of Object.entries(byType)) {
+        if (archiveFilter(eventType)) outcome.archived_by_type[eventType] = count;
+      }
+
+      const archiveTypes = Object.keys(outcome.archived_by_type);
+      if (dryRun || archiveTypes.length === 0) {
+        outcome.archived = archiveTypes.reduce((sum, type) => sum + outcome.archived_by_type[type], 0);
+        return;
+      }
+
+      const result = await client.query(`
+        INSERT INTO events_archive (${ARCHIVE_COLUMNS}, archive_run_id)
+        SELECT ${ARCHIVE_COLUMNS}, $2
+        FROM ${partitionName}
+        WHERE event_type = ANY($1)
+        ON CONFLICT (id) DO NOTHING
+      `, [archiveTypes, runId]);
+      outcome.archived = result.rowCount;
+    };
+
+    if (dryRun) {
+      await archive(this.db);
+      return outcome;
+    }
+
+    await this.partitionManager.dropPartition(partitionName, { beforeDrop: archive });
+    outcome.dropped = true;
+    logger.info('🗄️ Partition retired', {
+      partition_name: partitionName,
+      rows: outcome.rows,
+      archived: outcome.archived
+    });
+    return outcome;
+  }
+
+  /**
+   * Delete archived events past archive_retention_days
+   */
+  async _purgeArchive(policy, typePolicies, dryRun) {
+    // The default covers archived types without a policy of their own
+    const isDefault = policy.event_type === DEFAULT_POLICY;
+    const typeCondition = isDefault ? 'event_type <> ALL($1)' : 'event_type = $1';
+    const params = [isDefault ? typePolicies.map(p => p.event_type) : policy.event_type, policy.archive_retention_days];
+
+    if (dryRun) {
+      const result = await this.db.query(`
+        SELECT COUNT(*) as count FROM events_archive
+        WHERE ${typeCondition} AND received_at < NOW() - make_interval(days => $2)
+      `, params);
+      return parseInt(result.rows[0].count);
+    }
+
+    let purged = 0;
+    for (let batch = 0; batch < this.maxBatches; batch++) {
+      const result = await this.db.query(`
+        DELETE FROM events_archive
+        WHERE id IN (
+          SELECT id FROM events_archive
+          WHERE ${typeCondition} AND received_at < NOW() - make_interval(days => $2)
+          LIMIT $3
+        )
+      `, [...params, this.batchSize]);
+      purged += result.rowCount;
+      if (result.rowCount < this.batchSize) break;
+    }
+    return purged;
+  }
+
+  /**
+   * Whether a non-dry run started in the last 6 hours is still running
+   */
+  async _hasActiveRun() {
+    const result = await this.db.query(`
+      SELECT 1 FROM event_archival_runs
+      WHERE status = 'running'
+        AND dry_run = false
+        AND started_at > NOW() - INTERVAL '6 hours'
+      LIMIT 1
+    `);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Which event types are archived when their partition is dropped
+   */
+  _archiveFilter(defaultPolicy, typePolicies) {
+    const byType = new Map(typePolicies.map(policy => [policy.event_type, policy]));
+    return (eventType) => (byType.get(eventType) || defaultPolicy).archive;
+  }
+
+  async _finishRun(runId, status, report, error = null) {
+    await this.db.query(`
+      UPDATE event_archival_runs
+      SET status = $2,
+          events_deleted = $3,
+          events_archived = $4,
+          partitions_dropped = $5,
+          archive_purged = $6,
+          report = $7,
+          error = $8,
+          finished_at = NOW()
+      WHERE id = $1
+    `, [
+      runId,
+      status,
+      report.totals.events_deleted,
+      report.totals.events_archived,
+      report.totals.partitions_dropped,
+      report.totals.archive_purged,
+      JSON.stringify(report),
+      error
+    ]);
+  }
+}
+
+EventRetentionManager.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = EventRetentionManager;
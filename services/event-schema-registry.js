@@ -0,0 +1,238 @@
+/**
+ * Event Schema Registry
+ * Exports the Joi event schemas as JSON Schema documents
+ *
+ * This service:
+ * 1. Converts every schema in schemaMap (plus the conversion_* family) to JSON Schema
+ * 2. Keeps required/optional fields, enums, numeric bounds, formats and defaults
+ * 3. Computes a content hash so client builds can check they are in sync
+ *
+ * Used by GET /api/events/schemas and scripts/export-event-schemas.js
+ */
+
+const crypto = require('crypto');
+const { schemaMap, conversionEventSchema } = require('./event-schemas');
+
+const JSON_SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+// Dynamic event families validated by prefix (see validateEvent)
+const DYNAMIC_SCHEMAS = {
+  'conversion_*': conversionEventSchema,
+};
+
+const STRING_FORMATS = {
+  isoDate: 'date-time',
+  guid: 'uuid',
+  email: 'email',
+  uri: 'uri',
+};
+
+let cachedRegistry = null;
+
+/**
+ * Convert a Joi description (schema.describe()) to JSON Schema
+ * @param {Object} description - Joi description
+ * @returns {Object} - JSON Schema fragment
+ */
+function joiToJsonSchema(description) {
+  const flags = description.flags || {};
+  const rules = description.rules || [];
+  const jsonSchema = {};
+
+  let type = description.type;
+  if (type === 'number' && rules.some(rule => rule.name === 'integer')) {
+    type = 'integer';
+  } else if (type === 'date') {
+    type = 'string';
+    jsonSchema.format = 'date-time';
+  }
+
+  if (type !== 'any' && type !== 'alternatives') {
+    jsonSchema.type = type;
+  }
+
+  for (const rule of rules) {
+    const limit = rule.args?.limit;
+
+    switch (rule.name) {
+      case 'min':
+        if (type === 'string') jsonSchema.minLength = limit;
+        else if (type === 'array') jsonSchema.minItems = limit;
+        else jsonSchema.minimum = limit;
+        break;
+      case 'max':
+        if (type === 'string') jsonSchema.maxLength = limit;
+        else if (type === 'array') jsonSchema.maxItems = limit;
+        else jsonSchema.maximum = limit;
+        break;
+      case 'length':
+        if (type === 'array') {
+          jsonSchema.minItems = limit;
+          jsonSchema.maxItems = limit;
+        } else {
+          jsonSchema.minLength = limit;
+          jsonSchema.maxLength = limit;
+        }
+        break;
+      case 'greater':
+        jsonSchema.exclusiveMinimum = limit;
+        break;
+      case 'less':
+        jsonSchema.exclusiveMaximum = limit;
+        break;
+      case 'sign':
+        if (rule.args.sign === 'positive') jsonSchema.exclusiveMinimum = 0;
+        else jsonSchema.exclusiveMaximum = 0;
+        break;
+      case 'pattern':
+        // Joi describes regexes as "/source/flags"
+        jsonSchema.pattern = String(rule.args.regex).replace(/^\/(.*)\/[a-z]*$/, '$1');
+        break;
+      default:
+        if (STRING_FORMATS[rule.name]) {
+          jsonSchema.format = STRING_FORMATS[rule.name];
+        }
+    }
+  }
+
+  const allowed = description.allow || [];
+  const allowsNull = allowed.includes(null);
+
+  if (flags.only) {
+    jsonSchema.enum = allowed;
+  } else if (allowsNull && jsonSchema.type) {
+    jsonSchema.type = [jsonSchema.type, 'null'];
+  }
+
+  if (flags.default !== undefined && typeof flags.default !== 'function') {
+    jsonSchema.default = flags.default;
+  }
+
+  if (flags.description) {
+    jsonSchema.description = flags.description;
+  }
+
+  if (type === 'alternatives' && description.matches?.length) {
+    jsonSchema.anyOf = description.matches
+      .filter(match => match.schema)
+      .map(match => joiToJsonSchema(match.schema));
+  }
+
+  if (type === 'array' && description.items?.length) {
+    const items = description.items.map(joiToJsonSchema);
+    jsonSchema.items = items.length === 1 ? items[0] : { anyOf: items };
+  }
+
+  if (type === 'object') {
+    Object.assign(jsonSchema, objectToJsonSchema(description));
+  }
+
+  return jsonSchema;
+}
+
+/**
+ * Convert the keys of a Joi object description
+ * Joi objects with keys reject unknown fields unless .unknown(true) is set
+ */
+function objectToJsonSchema(description) {
+  const flags = description.flags || {};
+
+  if (!description.keys) {
+    return { additionalProperties: true };
+  }
+
+  const properties = {};
+  const required = [];
+
+  for (const [key, child] of Object.entries(description.keys)) {
+    properties[key] = joiToJsonSchema(child);
+    if (child.flags?.presence === 'required') {
+      required.push(key);
+    }
+  }
+
+  return {
+    properties,
+    required,
+    additionalProperties: flags.unknown === true
+  };
+}
+
+/**
+ * Build a top-level JSON Schema document for one event
+ * @param {string} name - Event type (or dynamic family, e.g. 'conversion_*')
+ * @param {Object} schema - Joi schema
+ * @returns {Object}
+ */
+function buildEventJsonSchema(name, schema) {
+  return {
+    $schema: JSON_SCHEMA_DRAFT,
+    $id: `flappyjet:event:${name}`,
+    title: name,
+    ...joiToJsonSchema(schema.describe())
+  };
+}
+
+/**
+ * JSON.stringify with sorted object keys (stable input for the content hash)
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Build the registry of all event schemas
+ * The hash only depends on the schema content, so it changes exactly when a
+ * field, bound or enum changes (not on key order or deploys).
+ *
+ * @returns {Object} - { hash, event_count, schemas, dynamic }
+ */
+function buildSchemaRegistry() {
+  const schemas = {};
+  for (const eventType of Object.keys(schemaMap).sort()) {
+    schemas[eventType] = buildEventJsonSchema(eventType, schemaMap[eventType]);
+  }
+
+  const dynamic = {};
+  for (const [family, schema] of Object.entries(DYNAMIC_SCHEMAS)) {
+    dynamic[family] = buildEventJsonSchema(family, schema);
+  }
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(stableStringify({ schemas, dynamic }))
+    .digest('hex');
+
+  return {
+    hash,
+    event_count: Object.keys(schemas).length,
+    schemas,
+    dynamic
+  };
+}
+
+/**
+ * Get the schema registry (built once per process - schemas are static)
+ * @returns {Object}
+ */
+function getSchemaRegistry() {
+  if (!cachedRegistry) {
+    cachedRegistry = buildSchemaRegistry();
+  }
+  return cachedRegistry;
+}
+
+module.exports = {
+  joiToJsonSchema,
+  buildSchemaRegistry,
+  getSchemaRegistry,
+  stableStringify,
+};
@@ -4,6 +4,10 @@
  * 
  * These schemas match EXACTLY with Flutter EventBus event payloads
  * from CLIENT_ONLY_WITH_EVENT_DRIVEN_ANALYTICS.md and BACKEND_API_SPECIFICATION.md
+ *
+ * schemaMap holds the CURRENT shape of every event. Older app versions that
+ * are still in the wild get a variant in schemaVersions (keyed by app_version
+ * range) with an upcaster that normalizes the payload to the current shape.
  */
 
 const Joi = require('joi');
@@ -28,6 +32,15 @@ const baseFields = {
   // ✅ FIX: campaign_id is added by Flutter EventBus for ROI analysis
   // Backend extracts this and stores it in events.campaign_id column
   campaign_id: Joi.string().max(255).optional(),
+  // ✅ Client-generated UUID, reused when a batch is retried
+  // Backend deduplicates on it at insert time (see event_ids table)
+  event_id: Joi.string().guid().optional(),
+  // Added server-side by the enrichment stage (services/enrichers), not by Flutter
+  install_cohort: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  session_seq: Joi.number().integer().min(1).optional(),
+  occurred_at: Joi.string().isoDate().optional(),
+  clock_offset_ms: Joi.number().integer().optional(),
+  timestamp_flag: Joi.string().valid('future', 'stale', 'skewed_clock').optional(),
 };
 
 // ============================================================================
@@ -88,6 +101,17 @@ const nicknameChangedSchema = Joi.object({
   old_nickname: Joi.string().max(20).optional(),
 });
 
+// 4c. consent_updated - Tracking consent answered or changed (iOS ATT prompt, GDPR/CCPA dialog, settings)
+// ✅ Backend keeps the latest state per user in user_consents (services/consent-manager.js)
+const consentUpdatedSchema = Joi.object({
+  ...baseFields,
+  event_type: Joi.string().valid('consent_updated').required(),
+  attribution: Joi.boolean().required(),          // Campaign attribution / ad identifiers
+  personalized_push: Joi.boolean().required(),    // Personalized push notifications
+  source: Joi.string().valid('att', 'gdpr', 'ccpa', 'settings').required(),
+  att_status: Joi.string().valid('authorized', 'denied', 'restricted', 'not_determined').optional(),
+});
+
 // 5. app_uninstalled - Tracked via backend (no Flutter payload)
 const appUninstalledSchema = Joi.object({
   ...baseFields,
@@ -1124,6 +1148,7 @@ const schemaMap = {
   user_registered: userRegisteredSchema,
   settings_changed: settingsChangedSchema,
   nickname_changed: nicknameChangedSchema, // ✅ NEW: Nickname updates (updates users table)
+  consent_updated: consentUpdatedSchema, // ✅ NEW: Tracking consent (updates user_consents table)
   app_uninstalled: appUninstalledSchema,
   user_installed: userInstalledSchema, // ✅ NEW: Add user_installed event
   user_acquired: userAcquiredSchema, // ✅ NEW: Add user_acquired event (campaign attribution)
@@ -1228,22 +1253,120 @@ const schemaMap = {
   memory_usage: memoryUsageSchema,
 };
 
+// ============================================================================
+// VERSIONED SCHEMAS (older app versions still in the wild)
+// ============================================================================
+//
+// Each variant covers app versions in [minVersion, maxVersion) - either bound
+// may be omitted. A matching variant validates the payload as the old client
+// sent it, then its upcaster maps it to the current shape, which is validated
+// again against schemaMap before storage. Versions outside every range (and
+// unparseable versions) use the current schema.
+//
+// To tighten a schema: copy the current one here as a variant with
+// maxVersion = first app version that sends the new shape, then change schemaMap.
+
+// game_ended before story mode (< 1.4.0): endless only, no game_mode or
+// level_id/zone_id/level_name, and obstacles were reported as obstacles_passed
+const gameEndedPreStoryModeSchema = Joi.object({
+  ...baseFields,
+  event_type: Joi.string().valid('game_ended').required(),
+  score: Joi.number().integer().min(0).required(),
+  duration_seconds: Joi.number().integer().min(0).required(),
+  obstacles_passed: Joi.number().integer().min(0).required(),
+  coins_collected: Joi.number().integer().min(0).required(),
+  gems_collected: Joi.number().integer().min(0).required(),
+  hearts_remaining: Joi.number().integer().max(10).required(),
+  cause_of_death: Joi.string().required(),
+  max_combo: Joi.number().integer().min(0).required(),
+  powerups_used: Joi.array().items(Joi.string()).default([]),
+});
+
+const schemaVersions = {
+  game_ended: [
+    {
+      maxVersion: '1.4.0',
+      schema: gameEndedPreStoryModeSchema,
+      upcast: ({ obstacles_passed, ...event }) => ({
+        ...event,
+        game_mode: 'endless',
+        obstacles_dodged: obstacles_passed,
+      }),
+    },
+  ],
+};
+
+/**
+ * Parse an app version ("2.3.0", "v1.4", "2.3.0+45", "2.3.0-beta.1")
+ * @param {string} version
+ * @returns {Array<number>|null} - [major, minor, patch] or null if unparseable
+ */
+function parseVersion(version) {
+  const parts = String(version || '').trim().replace(/^v/, '').split(/[+-]/)[0].split('.');
+  if (!/^\d+$/.test(parts[0])) return null;
+  return [0, 1, 2].map(i => parseInt(parts[i], 10) || 0);
+}
+
+/**
+ * Compare two app versions
+ * @returns {number} - negative if a < b, 0 if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+  const va = parseVersion(a) || [0, 0, 0];
+  const vb = parseVersion(b) || [0, 0, 0];
+  return (va[0] - vb[0]) || (va[1] - vb[1]) || (va[2] - vb[2]);
+}
+
+/**
+ * Find the schema variant for an event type and app version
+ * @param {string} eventType
+ * @param {string} appVersion
+ * @returns {Object|null} - { minVersion?, maxVersion?, schema, upcast } or null for the current schema
+ */
+function getSchemaVariant(eventType, appVersion) {
+  const variants = schemaVersions[eventType];
+  if (!variants || !parseVersion(appVersion)) return null;
+
+  return variants.find(variant =>
+    (!variant.minVersion || compareVersions(appVersion, variant.minVersion) >= 0) &&
+    (!variant.maxVersion || compareVersions(appVersion, variant.maxVersion) < 0)
+  ) || null;
+}
+
 // ============================================================================
 // VALIDATION HELPER
 // ============================================================================
 
+function toErrorResult(error) {
+  return {
+    valid: false,
+    errors: error.details.map(d => d.message),
+    details: error.details.map(d => ({
+      message: d.message,
+      path: d.path.join('.'),
+      type: d.type
+    }))
+  };
+}
+
 /**
  * Validate an event against its schema
+ * The schema variant is picked from the event's app_version (see schemaVersions);
+ * payloads from older versions are upcast to the current shape.
+ *
  * @param {Object} event - Event object to validate
- * @returns {Object} - { valid: boolean, errors: array }
+ * @returns {Object} - { valid: boolean, event?: object, upcast_from?: string, errors: array, details: array }
+ *   event is the payload to store (upcast for older app versions, otherwise the input)
+ *   details holds the Joi error details ({ message, path, type }) for the dead-letter store
  */
 function validateEvent(event) {
-  const { event_type } = event;
+  const { event_type } = event || {};
   
   if (!event_type) {
     return {
       valid: false,
-      errors: ['Missing required field: event_type']
+      errors: ['Missing required field: event_type'],
+      details: [{ message: 'Missing required field: event_type', path: 'event_type', type: 'any.required' }]
     };
   }
   
@@ -1261,20 +1384,38 @@ function validateEvent(event) {
   if (!schema) {
     return {
       valid: false,
-      errors: [`Unknown event type: ${event_type}`]
+      errors: [`Unknown event type: ${event_type}`],
+      details: [{ message: `Unknown event type: ${event_type}`, path: 'event_type', type: 'event.unknown' }]
     };
   }
   
+  // ✅ Older app version: validate as sent, then upcast to the current shape
+  const variant = getSchemaVariant(event_type, event.app_version);
+  
+  if (variant) {
+    const { error: variantError, value } = variant.schema.validate(event, { abortEarly: false });
+    
+    if (variantError) {
+      return toErrorResult(variantError);
+    }
+    
+    const upcasted = variant.upcast(value);
+    const { error: upcastError } = schema.validate(upcasted, { abortEarly: false });
+    
+    if (upcastError) {
+      return toErrorResult(upcastError);
+    }
+    
+    return { valid: true, event: upcasted, upcast_from: event.app_version };
+  }
+  
   const { error } = schema.validate(event, { abortEarly: false });
   
   if (error) {
-    return {
-      valid: false,
-      errors: error.details.map(d => d.message)
-    };
+    return toErrorResult(error);
   }
   
-  return { valid: true };
+  return { valid: true, event };
 }
 
 // ============================================================================
@@ -1371,6 +1512,9 @@ module.exports = {
   
   // Schema map and validation
   schemaMap,
+  schemaVersions,
+  getSchemaVariant,
+  compareVersions,
   validateEvent,
 };
 
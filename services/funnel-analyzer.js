@@ -0,0 +1,412 @@
+/**
+ * Funnel Analyzer
+ * Saved, analyst-defined funnels evaluated from the events table
+ *
+ * This service:
+ * 1. Stores funnel definitions in saved_funnels (migration 056)
+ * 2. Validates steps against the event schemas - payload filters use the
+ *    ad-hoc query whitelist (EventQueryBuilder.filterConditions)
+ * 3. Evaluates a funnel for a date range: users entering with step 1, then each
+ *    later step in order within the conversion window of their first step
+ * 4. Reports per-step users, conversion, drop-off and median time from the
+ *    previous step - overall and broken down by platform / country / campaign
+ *
+ * Step times are COALESCE(occurred_at, received_at) so events of one batch keep
+ * their device order (see services/enrichers/occurred-at.js). A step may match the
+ * same event as the previous step unless both have the same event type.
+ *
+ * Definition:
+ * {
+ *   name: 'Install to purchase',
+ *   steps: [
+ *     { event_type: 'app_installed' },
+ *     { event_type: 'level_completed', label: 'Level 5', filters: [{ field: 'level_id', op: 'eq', value: 5 }] },
+ *     { event_type: 'purchase_completed' }
+ *   ],
+ *   conversion_window_hours: 168
+ * }
+ */
+
+const logger = require('../utils/logger');
+const { ValidationException } = require('../utils/exceptions');
+const EventQueryBuilder = require('./event-query-builder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MIN_STEPS = 2;
+const MAX_STEPS = 10;
+const DEFAULT_WINDOW_HOURS = 168;
+const MAX_WINDOW_HOURS = 2160;
+const MAX_BREAKDOWN_VALUES = 50;
+
+// Breakdown dimension -> user_acquisitions column (attribution of the user)
+const BREAKDOWNS = {
+  platform: 'ua.platform',
+  country: 'ua.country',
+  campaign_id: 'ua.campaign_id'
+};
+
+const STEP_TIME = 'COALESCE(e.occurred_at, e.received_at)';
+
+class FunnelAnalyzer {
+  /**
+   * @param {Object} db - PostgreSQL pool
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Statement timeout per evaluation
+   * @param {number} options.maxRangeDays - Longest entry date range
+   */
+  constructor(db, {
+    timeoutMs = parseInt(process.env.FUNNEL_QUERY_TIMEOUT_MS) || 30000,
+    maxRangeDays = 93
+  } = {}) {
+    this.db = db;
+    this.timeoutMs = timeoutMs;
+    this.maxRangeDays = maxRangeDays;
+  }
+
+  /**
+   * Supported breakdown dimensions
+   * @returns {Array<string>}
+   */
+  static get breakdowns() {
+    return Object.keys(BREAKDOWNS);
+  }
+
+  /**
+   * Validate and normalize a funnel definition
+   * @param {Object} definition - { name?, description?, steps, conversion_window_hours? }
+   * @param {Object} options - { requireName }
+   * @returns {Object} - { name, description, steps, conversion_window_hours }
+   */
+  static validateDefinition(definition = {}, { requireName = true } = {}) {
+    const { name, description = null, steps, conversion_window_hours: windowHours = DEFAULT_WINDOW_HOURS } = definition || {};
+
+    if (requireName && (typeof name !== 'string' || name.trim() === '' || name.trim().length > 100)) {
+      throw new ValidationException('name is required (max 100 characters)', 'name');
+    }
+    if (description !== null && typeof description !== 'string') {
+      throw new ValidationException('description must be a string', 'description');
+    }
+    if (!Number.isInteger(windowHours) || windowHours < 1 || windowHours > MAX_WINDOW_HOURS) {
+      throw new ValidationException(`conversion_window_hours must be an integer between 1 and ${MAX_WINDOW_HOURS}`, 'conversion_window_hours');
+    }
+    if (!Array.isArray(steps) || steps.length < MIN_STEPS || steps.length > MAX_STEPS) {
+      throw new ValidationException(`steps must be an array of ${MIN_STEPS}-${MAX_STEPS} steps`, 'steps');
+    }
+
+    const normalizedSteps = steps.map((step, index) => {
+      if (!step || typeof step.event_type !== 'string') {
+        throw new ValidationException(`steps[${index}].event_type is required`, 'steps');
+      }
+      if (step.label !== undefined && (typeof step.label !== 'string' || step.label.length > 100)) {
+        throw new ValidationException(`steps[${index}].label must be a string (max 100 characters)`, 'steps');
+      }
+
+      const filters = step.filters || [];
+      try {
+        EventQueryBuilder.filterConditions(step.event_type, filters, () => '$0', {
+          label: `steps[${index}].filters`,
+          field: 'steps'
+        });
+      } catch (error) {
+        if (error.field === 'event_type') {
+          throw new ValidationException(`steps[${index}]: ${error.message}`, 'steps');
+        }
+        throw error;
+      }
+
+      return { event_type: step.event_type, label: step.label || step.event_type, filters };
+    });
+
+    return {
+      name: typeof name === 'string' ? name.trim() : null,
+      description,
+      steps: normalizedSteps,
+      conversion_window_hours: windowHours
+    };
+  }
+
+  // ============================================================================
+  // SAVED FUNNELS
+  // ============================================================================
+
+  /**
+   * Save a funnel
+   * @param {Object} definition - See validateDefinition
+   * @param {string} createdBy - Admin (audit)
+   * @returns {Promise<Object>} - saved_funnels row
+   */
+  async createFunnel(definition, createdBy = null) {
+    const funnel = FunnelAnalyzer.validateDefinition(definition);
+
+    const result = await this.db.query(`
+      INSERT INTO saved_funnels (name, description, steps, conversion_window_hours, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [funnel.name, funnel.description, JSON.stringify(funnel.steps), funnel.conversion_window_hours, createdBy]);
+
+    logger.info('🪜 Funnel saved', { funnel_id: result.rows[0].id, steps: funnel.steps.length, by: createdBy });
+    return result.rows[0];
+  }
+
+  /**
+   * Update a funnel (steps and window are validated together)
+   * @param {number} id
+   * @param {Object} fields - Any of { name, description, steps, conversion_window_hours }
+   * @returns {Promise<Object|null>} - Updated row (null if not found)
+   */
+  async updateFunnel(id, fields = {}) {
+    const current = await this.getFunnel(id);
+    if (!current) return null;
+
+    const funnel = FunnelAnalyzer.validateDefinition({
+      name: fields.name !== undefined ? fields.name : current.name,
+      description: fields.description !== undefined ? fields.description : current.description,
+      steps: fields.steps !== undefined ? fields.steps : current.steps,
+      conversion_window_hours: fields.conversion_window_hours !== undefined
+        ? fields.conversion_window_hours
+        : current.conversion_window_hours
+    });
+
+    const result = await this.db.query(`
+      UPDATE saved_funnels
+      SET name = $2, description = $3, steps = $4, conversion_window_hours = $5, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id, funnel.name, funnel.description, JSON.stringify(funnel.steps), funnel.conversion_window_hours]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a funnel
+   * @param {number} id
+   * @returns {Promise<boolean>} - false if not found
+   */
+  async deleteFunnel(id) {
+    const result = await this.db.query('DELETE FROM saved_funnels WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Get a funnel
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async getFunnel(id) {
+    const result = await this.db.query('SELECT * FROM saved_funnels WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List saved funnels, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async listFunnels() {
+    const result = await this.db.query('SELECT * FROM saved_funnels ORDER BY created_at DESC');
+    return result.rows;
+  }
+
+  // ============================================================================
+  // EVALUATION
+  // ============================================================================
+
+  /**
+   * Build the evaluation SQL (no database access)
+   * @param {Object} funnel - Validated definition
+   * @param {Object} options - { from, to, breakdown, segment } (see evaluate)
+   * @returns {Object} - { sql, params }
+   */
+  compile(funnel, { from, to, breakdown = null, segment = null }) {
+    const params = [];
+    const param = (value, type) => {
+      params.push(value);
+      return `$${params.length}${type ? `::${type}` : ''}`;
+    };
+
+    const fromParam = param(from.toISOString(), 'timestamptz');
+    const toParam = param(to.toISOString(), 'timestamptz');
+    const windowParam = `make_interval(hours => ${param(funnel.conversion_window_hours, 'integer')})`;
+
+    const ctes = funnel.steps.map((step, index) => {
+      const conditions = [
+        `e.event_type = ${param(step.event_type, 'text')}`,
+        // occurred_at <= received_at, so the received_at lower bound still prunes partitions
+        `e.received_at >= ${fromParam}`,
+        ...EventQueryBuilder.filterConditions(step.event_type, step.filters, param, {
+          label: `steps[${index}].filters`,
+          field: 'steps'
+        })
+      ];
+
+      if (index === 0) {
+        conditions.push(`${STEP_TIME} >= ${fromParam}`, `${STEP_TIME} < ${toParam}`);
+        if (segment && segment.isSegmented) {
+          conditions.push(segment.where('events', { params, alias: 'e', range: false }));
+        }
+        return `s1 AS (
+          SELECT e.user_id, MIN(${STEP_TIME}) AS t, MIN(${STEP_TIME}) AS t0
+          FROM events e
+          WHERE ${conditions.join('\n            AND ')}
+          GROUP BY e.user_id
+        )`;
+      }
+
+      const sameEvent = funnel.steps[index - 1].event_type === step.event_type;
+      conditions.push(
+        `${STEP_TIME} ${sameEvent ? '>' : '>='} p.t`,
+        `${STEP_TIME} <= p.t0 + ${windowParam}`
+      );
+      return `s${index + 1} AS (
+          SELECT p.user_id, MIN(${STEP_TIME}) AS t, p.t0
+          FROM s${index} p
+          JOIN events e ON e.user_id = p.user_id
+          WHERE ${conditions.join('\n            AND ')}
+          GROUP BY p.user_id, p.t0
+        )`;
+    });
+
+    const select = [];
+    const joins = [];
+    funnel.steps.forEach((step, index) => {
+      const n = index + 1;
+      select.push(`COUNT(s${n}.user_id) AS step_${n}_users`);
+      if (index > 0) {
+        joins.push(`LEFT JOIN s${n} ON s${n}.user_id = s1.user_id`);
+        select.push(`percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM s${n}.t - s${index}.t)) AS step_${n}_median_seconds`);
+      }
+    });
+
+    let groupClause = '';
+    if (breakdown) {
+      const expression = `COALESCE(${BREAKDOWNS[breakdown]}, 'unknown')`;
+      select.unshift(`${expression} AS breakdown_value`, `GROUPING(${expression}) = 1 AS is_total`);
+      joins.push('LEFT JOIN user_acquisitions ua ON ua.user_id = s1.user_id');
+      groupClause = `GROUP BY GROUPING SETS ((), (${expression}))
+        ORDER BY is_total DESC, step_1_users DESC
+        LIMIT ${MAX_BREAKDOWN_VALUES + 1}`;
+    }
+
+    const sql = `
+      WITH ${ctes.join(',\n        ')}
+      SELECT ${select.join(',\n        ')}
+      FROM s1
+      ${joins.join('\n      ')}
+      ${groupClause}
+    `;
+
+    return { sql, params };
+  }
+
+  /**
+   * Evaluate a funnel
+   * @param {Object} definition - Saved funnel row or unsaved definition
+   * @param {Object} options
+   * @param {Date} options.from - Entry range start (step 1, inclusive)
+   * @param {Date} options.to - Entry range end (exclusive) - later steps may follow within the window
+   * @param {string} options.breakdown - platform | country | campaign_id (optional)
+   * @param {Object} options.segment - DashboardFilters applied to the entry step (optional)
+   * @returns {Promise<Object>} - { funnel, from, to, breakdown, overall, breakdowns, duration_ms }
+   */
+  async evaluate(definition, { from, to, breakdown = null, segment = null }) {
+    const funnel = FunnelAnalyzer.validateDefinition(definition, { requireName: false });
+
+    if (!(from instanceof Date) || !(to instanceof Date) || isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      throw new ValidationException('from and to must be valid dates with from < to', 'start_date');
+    }
+    if ((to - from) / DAY_MS > this.maxRangeDays) {
+      throw new ValidationException(`Date range must not exceed ${this.maxRangeDays} days`, 'start_date');
+    }
+    if (breakdown !== null && !BREAKDOWNS[breakdown]) {
+      throw new ValidationException(`breakdown must be one of: ${Object.keys(BREAKDOWNS).join(', ')}`, 'breakdown');
+    }
+
+    const { sql, params } = this.compile(funnel, { from, to, breakdown, segment });
+    const startTime = Date.now();
+
+    const client = await this.db.connect();
+    let rows;
+    try {
+      await client.query('BEGIN READ ONLY');
+      await client.query(`SET LOCAL statement_timeout = ${parseInt(this.timeoutMs, 10)}`);
+      rows = (await client.query(sql, params)).rows;
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+
+      // 57014 = query_canceled (statement_timeout)
+      if (error.code === '57014') {
+        logger.warn('🪜 Funnel evaluation timed out', { funnel_id: definition.id, steps: funnel.steps.length });
+        const timeout = new Error(`Funnel evaluation exceeded the ${this.timeoutMs}ms timeout - narrow the date range`);
+        timeout.status = 504;
+        throw timeout;
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const durationMs = Date.now() - startTime;
+    const totalRow = breakdown ? rows.find(row => row.is_total) : rows[0];
+
+    logger.info('🪜 Funnel evaluated', {
+      funnel_id: definition.id,
+      steps: funnel.steps.length,
+      breakdown,
+      duration_ms: durationMs
+    });
+
+    return {
+      funnel: {
+        id: definition.id || null,
+        name: funnel.name,
+        steps: funnel.steps,
+        conversion_window_hours: funnel.conversion_window_hours
+      },
+      from: from.toISOString(),
+      to: to.toISOString(),
+      breakdown,
+      overall: this._summarize(funnel.steps, totalRow),
+      breakdowns: breakdown
+        ? rows.filter(row => !row.is_total).map(row => ({
+          value: row.breakdown_value,
+          ...this._summarize(funnel.steps, row)
+        }))
+        : [],
+      duration_ms: durationMs
+    };
+  }
+
+  /**
+   * Per-step users, conversion and drop-off of one result row
+   */
+  _summarize(steps, row = {}) {
+    const users = steps.map((step, index) => parseInt((row || {})[`step_${index + 1}_users`] || 0));
+    const entered = users[0];
+    const rate = (count, base) => (base > 0 ? Math.round(10000 * count / base) / 100 : 0);
+
+    return {
+      entered,
+      converted: users[users.length - 1],
+      conversion_rate: rate(users[users.length - 1], entered),
+      steps: steps.map((step, index) => {
+        const previous = index > 0 ? users[index - 1] : users[0];
+        const median = index > 0 ? (row || {})[`step_${index + 1}_median_seconds`] : null;
+
+        return {
+          step: index + 1,
+          label: step.label,
+          event_type: step.event_type,
+          users: users[index],
+          conversion_from_start: rate(users[index], entered),
+          conversion_from_previous: rate(users[index], previous),
+          drop_off: previous - users[index],
+          drop_off_rate: index > 0 ? rate(previous - users[index], previous) : 0,
+          median_seconds_from_previous: median !== null && median !== undefined ? Math.round(parseFloat(median)) : null
+        };
+      })
+    };
+  }
+}
+
+module.exports = FunnelAnalyzer;
@@ -13,6 +13,7 @@
 
 const geoip = require('geoip-lite');
 const logger = require('../utils/logger');
+const { truncateIP } = require('../utils/privacy');
 
 class GeolocationService {
   constructor(redisClient = null, db = null) {
@@ -66,11 +67,11 @@ class GeolocationService {
       const geo = geoip.lookup(ip);
 
       if (geo && geo.country) {
-        logger.debug(`🌍 GeoIP lookup: ${ip} → ${geo.country}`);
+        logger.debug(`🌍 GeoIP lookup: ${truncateIP(ip)} → ${geo.country}`);
         return geo.country; // 2-letter ISO code (e.g., "IL", "US")
       }
 
-      logger.debug(`🌍 GeoIP lookup failed for IP: ${ip}`);
+      logger.debug(`🌍 GeoIP lookup failed for IP: ${truncateIP(ip)}`);
       return null;
     } catch (error) {
       logger.error('🌍 ❌ GeoIP lookup error:', error.message);
@@ -0,0 +1,412 @@
+/**
+ * Incremental Aggregate Refresher
+ *
+ * Keeps daily_aggregations and cohort_aggregations (plain tables since migration 054)
+ * up to date by recomputing only the dates that changed:
+ * - Today and yesterday, every run (regular ingestion, midnight rollover)
+ * - Dates in aggregate_dirty_dates - marked by EventProcessor for every stored
+ *   event that happened before yesterday (offline batches on POST /api/events,
+ *   POST /api/events/backfill)
+ *
+ * Events count on the clock-corrected day they happened (COALESCE(occurred_at,
+ * received_at), migration 053), so a week-old offline batch lands on its own days.
+ * occurred_at is never after received_at and at most EVENT_MAX_DELAY_DAYS before
+ * it, which bounds the received_at scans (partition pruning).
+ *
+ * A changed activity date D affects:
+ * - daily_aggregations rows D .. D+29 (MAU is a rolling 30-day window)
+ * - cohort_aggregations rows D, D-1, D-2, D-3, D-7, D-30 (D0-D30 retention)
+ *   plus the install cohorts of users with revenue on D (lifetime revenue/LTV)
+ *
+ * Affected rows are deleted and re-inserted in one transaction, so dashboards
+ * never read a half-refreshed date. Marks added while a run is in progress are
+ * kept for the next run.
+ *
+ * Metric definitions match migrations 037 (cohorts) and 038 (daily).
+ */
+
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAU_WINDOW_DAYS = 30;
+const RETENTION_OFFSETS = [0, 1, 2, 3, 7, 30];
+const REVENUE_EVENT_TYPES = ['ad_revenue', 'purchase_completed'];
+const MAX_DELAY_DAYS = parseInt(process.env.EVENT_MAX_DELAY_DAYS || '30', 10);
+
+// Day an event happened (rows stored before migration 053 fall back to received_at)
+const EVENT_DATE = 'DATE(COALESCE(occurred_at, received_at))';
+
+// received_at range holding every event that happened from..to (date SQL expressions)
+const receivedBetween = (from, to) =>
+  `received_at >= ${from} AND received_at < ${to} + INTERVAL '${MAX_DELAY_DAYS + 1} days'`;
+
+const DAILY_COLUMNS = [
+  'date', 'dau', 'mau', 'active_users', 'total_events', 'unique_event_types',
+  'ad_revenue_usd', 'iap_revenue_usd', 'total_revenue_usd',
+  'games_started', 'games_ended', 'levels_completed',
+  'avg_games_per_user', 'avg_sessions_per_user', 'avg_session_length_seconds',
+  'paying_users', 'purchase_count', 'ads_watched', 'total_sessions',
+  'ios_users', 'android_users', 'computed_at'
+];
+
+const COHORT_COLUMNS = [
+  'cohort_date', 'campaign_id', 'platform', 'cohort_size',
+  'd0_retained', 'd1_retained', 'd2_retained', 'd3_retained', 'd7_retained', 'd30_retained',
+  'd1_retention_rate', 'd2_retention_rate', 'd3_retention_rate', 'd7_retention_rate', 'd30_retention_rate',
+  'ad_revenue_usd', 'iap_revenue_usd', 'total_revenue_usd', 'ltv',
+  'paying_users', 'payer_rate', 'cpi', 'cost_usd', 'roi_percentage', 'computed_at'
+];
+
+// $1 = dates, $2 = first date, $3 = last date (received_at bounds keep partition pruning)
+const DAILY_SQL = `
+  INSERT INTO daily_aggregations (${DAILY_COLUMNS.join(', ')})
+  WITH daily_metrics AS (
+    SELECT
+      ${EVENT_DATE} as date,
+      COUNT(DISTINCT user_id) as dau,
+      COUNT(DISTINCT CASE WHEN event_type IN ('app_launched', 'game_started', 'session_started') THEN user_id END) as active_users,
+      COUNT(*) as total_events,
+      COUNT(DISTINCT event_type) as unique_event_types,
+      SUM(CASE WHEN event_type = 'ad_revenue' AND payload->>'revenue_usd' IS NOT NULL
+        THEN (payload->>'revenue_usd')::numeric ELSE 0 END) as ad_revenue_usd,
+      SUM(CASE WHEN event_type = 'purchase_completed' AND payload->>'revenue_usd' IS NOT NULL
+        THEN (payload->>'revenue_usd')::numeric ELSE 0 END) as iap_revenue_usd,
+      SUM(CASE WHEN event_type IN ('ad_revenue', 'purchase_completed') AND payload->>'revenue_usd' IS NOT NULL
+        THEN (payload->>'revenue_usd')::numeric ELSE 0 END) as total_revenue_usd,
+      COUNT(CASE WHEN event_type = 'game_started' THEN 1 END) as games_started,
+      COUNT(CASE WHEN event_type = 'game_ended' THEN 1 END) as games_ended,
+      COUNT(CASE WHEN event_type = 'level_completed' THEN 1 END) as levels_completed,
+      COUNT(DISTINCT CASE WHEN event_type = 'purchase_completed' THEN user_id END) as paying_users,
+      COUNT(CASE WHEN event_type = 'purchase_completed' THEN 1 END) as purchase_count,
+      COUNT(CASE WHEN event_type = 'ad_watched' THEN 1 END) as ads_watched,
+      COUNT(DISTINCT CASE
+        WHEN payload->>'session_id' IS NOT NULL AND payload->>'session_id' != ''
+        THEN payload->>'session_id'
+      END) as total_sessions,
+      AVG(CASE
+        WHEN event_type = 'session_ended' AND (payload->>'duration_seconds')::numeric > 0
+        THEN (payload->>'duration_seconds')::numeric
+      END) as avg_session_length_seconds,
+      COUNT(DISTINCT CASE WHEN payload->>'platform' = 'ios' THEN user_id END) as ios_users,
+      COUNT(DISTINCT CASE WHEN payload->>'platform' = 'android' THEN user_id END) as android_users
+    FROM events
+    WHERE ${receivedBetween('$2::date', '$3::date')}
+      AND ${EVENT_DATE} = ANY($1::date[])
+    GROUP BY ${EVENT_DATE}
+  ),
+  mau_calculation AS (
+    SELECT
+      dm.date,
+      (
+        SELECT COUNT(DISTINCT user_id)
+        FROM events
+        WHERE ${receivedBetween(`dm.date - INTERVAL '${MAU_WINDOW_DAYS - 1} days'`, 'dm.date')}
+          AND ${EVENT_DATE} BETWEEN dm.date - ${MAU_WINDOW_DAYS - 1} AND dm.date
+          AND event_type IN ('app_launched', 'game_started', 'session_started', 'app_installed', 'first_open')
+      ) as mau
+    FROM daily_metrics dm
+  ),
+  session_metrics AS (
+    SELECT
+      user_sessions.date,
+      ROUND(AVG(user_sessions.user_session_count)::numeric, 2) as avg_sessions_per_user
+    FROM (
+      SELECT
+        ${EVENT_DATE} as date,
+        user_id,
+        COUNT(DISTINCT payload->>'session_id') as user_session_count
+      FROM events
+      WHERE ${receivedBetween('$2::date', '$3::date')}
+        AND ${EVENT_DATE} = ANY($1::date[])
+        AND payload->>'session_id' IS NOT NULL
+        AND payload->>'session_id' != ''
+      GROUP BY ${EVENT_DATE}, user_id
+    ) user_sessions
+    GROUP BY user_sessions.date
+  )
+  SELECT
+    dm.date,
+    dm.dau,
+    GREATEST(COALESCE(mc.mau, dm.dau), dm.dau) as mau,
+    dm.active_users,
+    dm.total_events,
+    dm.unique_event_types,
+    dm.ad_revenue_usd,
+    dm.iap_revenue_usd,
+    dm.total_revenue_usd,
+    dm.games_started,
+    dm.games_ended,
+    dm.levels_completed,
+    CASE WHEN dm.dau > 0 THEN ROUND((dm.games_started::numeric / dm.dau), 2) ELSE 0 END as avg_games_per_user,
+    COALESCE(sm.avg_sessions_per_user, 0) as avg_sessions_per_user,
+    CASE
+      WHEN dm.avg_session_length_seconds IS NOT NULL AND dm.avg_session_length_seconds > 0
+      THEN ROUND(dm.avg_session_length_seconds, 0)
+      ELSE 0
+    END as avg_session_length_seconds,
+    dm.paying_users,
+    dm.purchase_count,
+    dm.ads_watched,
+    dm.total_sessions,
+    dm.ios_users,
+    dm.android_users,
+    NOW() as computed_at
+  FROM daily_metrics dm
+  LEFT JOIN mau_calculation mc ON dm.date = mc.date
+  LEFT JOIN session_metrics sm ON dm.date = sm.date
+`;
+
+const retentionCount = (days) =>
+  `COUNT(DISTINCT CASE WHEN ua.activity_date = c.cohort_date + ${days} THEN c.user_id END)`;
+const retentionRate = (days) =>
+  `CASE WHEN COUNT(DISTINCT c.user_id) > 0
+    THEN ROUND(100.0 * ${retentionCount(days)} / COUNT(DISTINCT c.user_id), 2)
+    ELSE 0 END`;
+
+// $1 = cohort dates, $2 = first cohort date (activity/revenue only of these cohorts' users)
+const COHORT_SQL = `
+  INSERT INTO cohort_aggregations (${COHORT_COLUMNS.join(', ')})
+  WITH cohorts AS (
+    SELECT
+      ua.user_id,
+      DATE(ua.install_date) as cohort_date,
+      ua.campaign_id,
+      ua.platform
+    FROM user_acquisitions ua
+    WHERE DATE(ua.install_date) = ANY($1::date[])
+  ),
+  user_revenue AS (
+    SELECT
+      user_id,
+      SUM(CASE WHEN event_type = 'ad_revenue' AND payload->>'revenue_usd' IS NOT NULL
+        THEN (payload->>'revenue_usd')::numeric ELSE 0 END) as ad_revenue,
+      SUM(CASE WHEN event_type = 'purchase_completed' AND payload->>'revenue_usd' IS NOT NULL
+        THEN (payload->>'revenue_usd')::numeric ELSE 0 END) as iap_revenue,
+      SUM(CASE WHEN payload->>'revenue_usd' IS NOT NULL
+        THEN (payload->>'revenue_usd')::numeric ELSE 0 END) as total_revenue
+    FROM events
+    WHERE event_type IN ('ad_revenue', 'purchase_completed')
+      AND user_id IN (SELECT user_id FROM cohorts)
+    GROUP BY user_id
+  ),
+  user_activity AS (
+    SELECT
+      user_id,
+      ${EVENT_DATE} as activity_date
+    FROM events
+    WHERE event_type IN ('app_launched', 'game_started')
+      AND received_at >= $2::date
+      AND user_id IN (SELECT user_id FROM cohorts)
+    GROUP BY user_id, ${EVENT_DATE}
+  )
+  SELECT
+    c.cohort_date,
+    c.campaign_id,
+    c.platform,
+    COUNT(DISTINCT c.user_id) as cohort_size,
+    ${RETENTION_OFFSETS.map(retentionCount).join(',\n    ')},
+    ${RETENTION_OFFSETS.filter(days => days > 0).map(retentionRate).join(',\n    ')},
+    COALESCE(SUM(ur.ad_revenue), 0) as ad_revenue_usd,
+    COALESCE(SUM(ur.iap_revenue), 0) as iap_revenue_usd,
+    COALESCE(SUM(ur.total_revenue), 0) as total_revenue_usd,
+    CASE
+      WHEN COUNT(DISTINCT c.user_id) > 0
+      THEN ROUND(COALESCE(SUM(ur.total_revenue), 0) / COUNT(DISTINCT c.user_id), 2)
+      ELSE 0
+    END as ltv,
+    COUNT(DISTINCT CASE WHEN ur.total_revenue > 0 THEN c.user_id END) as paying_users,
+    CASE
+      WHEN COUNT(DISTINCT c.user_id) > 0
+      THEN ROUND(100.0 * COUNT(DISTINCT CASE WHEN ur.total_revenue > 0 THEN c.user_id END) /
+            COUNT(DISTINCT c.user_id), 2)
+      ELSE 0
+    END as payer_rate,
+    AVG(cm.cpi) as cpi,
+    SUM(cm.cost_usd) as cost_usd,
+    AVG(cm.roi_percentage) as roi_percentage,
+    NOW() as computed_at
+  FROM cohorts c
+  LEFT JOIN user_activity ua ON c.user_id = ua.user_id
+  LEFT JOIN user_revenue ur ON c.user_id = ur.user_id
+  LEFT JOIN campaign_aggregations cm ON c.campaign_id = cm.campaign_id
+    AND c.cohort_date = cm.date
+  GROUP BY c.cohort_date, c.campaign_id, c.platform
+`;
+
+/**
+ * 'YYYY-MM-DD' (UTC) of a date, timestamp or date string
+ * @param {Date|string|number} value
+ * @returns {string|null}
+ */
+function toDateKey(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().substring(0, 10);
+}
+
+const addDays = (dateKey, days) => toDateKey(new Date(`${dateKey}T00:00:00.000Z`).getTime() + days * DAY_MS);
+
+class IncrementalAggregateRefresher {
+  /**
+   * @param {Object} db - PostgreSQL pool
+   * @param {Object} options
+   * @param {number} options.windowDays - Days of aggregates kept (default: 90, as the old views)
+   */
+  constructor(db, { windowDays = 90 } = {}) {
+    this.db = db;
+    this.windowDays = windowDays;
+  }
+
+  /**
+   * Mark dates whose events changed after the fact
+   * @param {Map<string, number>|Array<string>} dates - 'YYYY-MM-DD' -> event count (or plain dates)
+   * @param {string} source - What stored the events (e.g. 'backfill')
+   * @returns {Promise<number>} - Dates marked
+   */
+  async markDirty(dates, source = 'backfill') {
+    const entries = dates instanceof Map
+      ? [...dates.entries()]
+      : [...new Set(dates)].map(date => [date, 0]);
+    if (entries.length === 0) return 0;
+
+    await this.db.query(`
+      INSERT INTO aggregate_dirty_dates (date, event_count, source)
+      SELECT d, c, $3 FROM unnest($1::date[], $2::int[]) AS t(d, c)
+      ON CONFLICT (date) DO UPDATE SET
+        event_count = aggregate_dirty_dates.event_count + EXCLUDED.event_count,
+        source = EXCLUDED.source,
+        last_marked_at = NOW()
+    `, [entries.map(([date]) => date), entries.map(([, count]) => count), source]);
+
+    logger.info('🧮 Aggregate dates marked for refresh', { dates: entries.length, source });
+    return entries.length;
+  }
+
+  /**
+   * Recompute the aggregates affected by dirty dates (plus today and yesterday)
+   * @param {Object} options
+   * @param {boolean} options.rebuild - Recompute the whole window
+   * @param {number} options.timeoutMs - Statement timeout (default: 5 minutes)
+   * @param {Date} options.now - Current time (tests)
+   * @returns {Promise<Object>} - { dirty_dates, daily_dates, cohort_dates, daily_rows, cohort_rows, duration_ms }
+   */
+  async refresh({ rebuild = false, timeoutMs = 300000, now = new Date() } = {}) {
+    const startTime = Date.now();
+    const today = toDateKey(now);
+    const windowStart = addDays(today, -this.windowDays);
+
+    const dirty = rebuild ? [] : await this._loadDirtyDates(windowStart);
+    const activityDates = rebuild
+      ? this._dateRange(windowStart, today)
+      : [...new Set([...dirty, addDays(today, -1), today])].sort();
+
+    const dailyDates = this._affectedDailyDates(activityDates, windowStart, today);
+    const cohortDates = rebuild
+      ? activityDates
+      : await this._affectedCohortDates(activityDates, windowStart, today);
+
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SET LOCAL statement_timeout = ${parseInt(timeoutMs, 10)}`);
+
+      await client.query('DELETE FROM daily_aggregations WHERE date = ANY($1::date[]) OR date < $2::date', [dailyDates, windowStart]);
+      const daily = await client.query(DAILY_SQL, [dailyDates, dailyDates[0], dailyDates[dailyDates.length - 1]]);
+
+      await client.query('DELETE FROM cohort_aggregations WHERE cohort_date = ANY($1::date[]) OR cohort_date < $2::date', [cohortDates, windowStart]);
+      const cohorts = await client.query(COHORT_SQL, [cohortDates, cohortDates[0]]);
+
+      // Marks added after the run started stay for the next run
+      await client.query(`
+        DELETE FROM aggregate_dirty_dates
+        WHERE (date = ANY($1::date[]) AND last_marked_at <= $2) OR date < $3::date
+      `, [dirty, new Date(startTime).toISOString(), windowStart]);
+
+      await client.query('COMMIT');
+
+      const result = {
+        dirty_dates: dirty,
+        daily_dates: dailyDates.length,
+        cohort_dates: cohortDates.length,
+        daily_rows: daily.rowCount,
+        cohort_rows: cohorts.rowCount,
+        duration_ms: Date.now() - startTime
+      };
+
+      logger.info('🧮 Incremental aggregates refreshed', { ...result, dirty_dates: dirty.length, rebuild });
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      logger.error('🧮 ❌ Incremental aggregate refresh failed', { error: error.message });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async _loadDirtyDates(windowStart) {
+    const result = await this.db.query(`
+      SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date
+      FROM aggregate_dirty_dates
+      WHERE date >= $1::date
+      ORDER BY date
+    `, [windowStart]);
+    return result.rows.map(row => row.date);
+  }
+
+  /**
+   * Daily rows whose metrics read an activity date (the date itself and the MAU window after it)
+   */
+  _affectedDailyDates(activityDates, windowStart, today) {
+    const dates = new Set();
+    for (const date of activityDates) {
+      for (let offset = 0; offset < MAU_WINDOW_DAYS; offset++) {
+        const day = addDays(date, offset);
+        if (day > today) break;
+        if (day >= windowStart) dates.add(day);
+      }
+    }
+    return [...dates].sort();
+  }
+
+  /**
+   * Cohorts whose retention reads an activity date, plus cohorts of users with revenue on it
+   */
+  async _affectedCohortDates(activityDates, windowStart, today) {
+    const dates = new Set();
+    for (const date of activityDates) {
+      for (const offset of RETENTION_OFFSETS) {
+        const cohortDate = addDays(date, -offset);
+        if (cohortDate >= windowStart && cohortDate <= today) dates.add(cohortDate);
+      }
+    }
+
+    const result = await this.db.query(`
+      SELECT DISTINCT TO_CHAR(DATE(ua.install_date), 'YYYY-MM-DD') AS cohort_date
+      FROM user_acquisitions ua
+      WHERE ua.install_date >= $4::date
+        AND ua.user_id IN (
+          SELECT user_id FROM events
+          WHERE event_type = ANY($5::text[])
+            AND ${receivedBetween('$2::date', '$3::date')}
+            AND ${EVENT_DATE} = ANY($1::date[])
+        )
+    `, [activityDates, activityDates[0], activityDates[activityDates.length - 1], windowStart, REVENUE_EVENT_TYPES]);
+
+    for (const row of result.rows) {
+      dates.add(row.cohort_date);
+    }
+    return [...dates].sort();
+  }
+
+  _dateRange(from, to) {
+    const dates = [];
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+      dates.push(day);
+    }
+    return dates;
+  }
+}
+
+IncrementalAggregateRefresher.toDateKey = toDateKey;
+
+module.exports = IncrementalAggregateRefresher;
@@ -2,9 +2,9 @@
  * Materialized View Refresher Service
  * 
  * Refreshes materialized views for dashboard performance
- * - Daily aggregations: Refreshed daily
- * - Cohort aggregations: Refreshed daily
  * - Campaign aggregations: Refreshed daily (after cost import)
+ * - Daily/cohort aggregations: Incremental tables (migration 054) - only dates with
+ *   new or late (backfilled) events are recomputed (services/incremental-aggregate-refresher.js)
  * - Weekly aggregations: Refreshed weekly (every Monday)
  * 
  * Railway Best Practice: Use REFRESH MATERIALIZED VIEW CONCURRENTLY
@@ -12,10 +12,14 @@
  */
 
 const logger = require('../utils/logger');
+const IncrementalAggregateRefresher = require('./incremental-aggregate-refresher');
+
+const INCREMENTAL_AGGREGATES = ['daily_aggregations', 'cohort_aggregations'];
 
 class MaterializedViewRefresher {
   constructor(db) {
     this.db = db;
+    this.aggregates = new IncrementalAggregateRefresher(db);
   }
 
   /**
@@ -25,13 +29,15 @@ class MaterializedViewRefresher {
    * @param {boolean} options.daily - Refresh daily views (default: true)
    * @param {boolean} options.weekly - Refresh weekly views (default: false)
    * @param {boolean} options.concurrent - Use CONCURRENT refresh (default: true)
+   * @param {boolean} options.rebuild - Recompute every date of the incremental aggregates (default: false)
    * @returns {Promise<Object>} - { refreshed, errors }
    */
   async refreshAll(options = {}) {
     const {
       daily = true,
       weekly = false,
-      concurrent = true
+      concurrent = true,
+      rebuild = false
     } = options;
 
     const refreshed = [];
@@ -40,13 +46,9 @@ class MaterializedViewRefresher {
     try {
       logger.info('📊 Starting materialized view refresh...', { daily, weekly, concurrent });
 
-      // Refresh daily views
+      // Refresh daily views (campaign first - cohort_aggregations reads its CPI/cost)
       if (daily) {
-        const dailyViews = [
-          'daily_aggregations',
-          'cohort_aggregations',
-          'campaign_aggregations'
-        ];
+        const dailyViews = ['campaign_aggregations'];
 
         for (const viewName of dailyViews) {
           try {
@@ -61,6 +63,17 @@ class MaterializedViewRefresher {
             logger.error(`❌ Failed to refresh ${viewName}:`, error.message);
           }
         }
+
+        // ✅ Incremental: only dates with new or late events
+        try {
+          await this.aggregates.refresh({ rebuild });
+          refreshed.push(...INCREMENTAL_AGGREGATES);
+        } catch (error) {
+          errors.push(...INCREMENTAL_AGGREGATES.map(view => ({
+            view,
+            error: error.message
+          })));
+        }
       }
 
       // Refresh weekly views
@@ -196,6 +209,7 @@ class MaterializedViewRefresher {
 
   /**
    * Get materialized view statistics
+   * (daily/cohort aggregations are tables since migration 054)
    * 
    * @returns {Promise<Array>} - Array of view statistics
    */
@@ -203,18 +217,19 @@ class MaterializedViewRefresher {
     try {
       const query = `
         SELECT 
-          schemaname,
-          matviewname as view_name,
-          pg_size_pretty(pg_total_relation_size(schemaname||'.'||matviewname)) as size,
+          n.nspname as schemaname,
+          c.relname as view_name,
+          pg_size_pretty(pg_total_relation_size(c.oid)) as size,
           pg_stat_get_live_tuples(c.oid) as row_count,
           pg_stat_get_last_analyze_time(c.oid) as last_analyzed
-        FROM pg_matviews m
-        JOIN pg_class c ON c.relname = m.matviewname
-        WHERE schemaname = 'public'
-          AND matviewname IN ('daily_aggregations', 'cohort_aggregations', 
-                              'campaign_aggregations', 'weekly_aggregations',
-                              'level_performance_daily', 'user_funnel_daily')
-        ORDER BY matviewname
+        FROM pg_class c
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE n.nspname = 'public'
+          AND c.relkind IN ('m', 'r')
+          AND c.relname IN ('daily_aggregations', 'cohort_aggregations', 
+                            'campaign_aggregations', 'weekly_aggregations',
+                            'level_performance_daily', 'user_funnel_daily')
+        ORDER BY c.relname
       `;
 
       const result = await this.db.query(query);
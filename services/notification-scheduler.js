@@ -7,12 +7,14 @@
  * - Respects quiet hours (10 PM - 8 AM user local time)
  * - Enforces daily notification limit (max 3 per day)
  * - Personalizes messages (nickname, level, streak)
+ * - Skips users who declined personalized push (services/consent-manager.js)
  * - Uses message variants (friendly, casual, professional)
  */
 
 const cron = require('node-cron');
 const logger = require('../utils/logger');
 const NotificationMessages = require('./notification-messages');
+const ConsentManager = require('./consent-manager');
 
 class NotificationScheduler {
   constructor({ db, firebaseMessagingService, fcmTokenManager, notificationTracker }) {
@@ -201,6 +203,8 @@ class NotificationScheduler {
             )
             -- User hasn't hit daily limit
             AND check_daily_notification_limit(ft.user_id) = true
+            -- User allows personalized push (consent_updated)
+            AND ${ConsentManager.sqlAllows('personalized_push', 'ft.user_id')}
             -- User is not in quiet hours (if timezone available)
             AND (
               ft.timezone IS NULL 
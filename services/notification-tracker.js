@@ -10,6 +10,7 @@
  */
 
 const logger = require('../utils/logger');
+const DashboardFilters = require('./dashboard-filters');
 
 class NotificationTracker {
   constructor(db) {
@@ -226,10 +227,12 @@ class NotificationTracker {
   /**
    * Get notification statistics for today
    * 
+   * @param {DashboardFilters} filters - Dashboard filters (an explicit range reports its last day)
    * @returns {Promise<Object>}
    */
-  async getTodayStats() {
+  async getTodayStats(filters = new DashboardFilters()) {
     try {
+      const params = [];
       const result = await this.db.query(`
         SELECT
           COUNT(*) FILTER (WHERE event_type = 'sent') as total_sent,
@@ -246,8 +249,8 @@ class NotificationTracker {
           COUNT(*) FILTER (WHERE event_type = 'sent' AND notification_type = '24hour') as sent_24hour,
           COUNT(*) FILTER (WHERE event_type = 'sent' AND notification_type = '46hour') as sent_46hour
         FROM notification_events
-        WHERE received_at >= CURRENT_DATE
-      `);
+        WHERE ${filters.lastDay().where('notification_events', { params, days: 0 })}
+      `, params);
 
       return result.rows[0];
     } catch (error) {
@@ -261,10 +264,12 @@ class NotificationTracker {
   /**
    * Get notification statistics by country (last 7 days)
    * 
+   * @param {DashboardFilters} filters - Dashboard filters
    * @returns {Promise<Array>}
    */
-  async getStatsByCountry() {
+  async getStatsByCountry(filters = new DashboardFilters()) {
     try {
+      const params = [];
       const result = await this.db.query(`
         SELECT
           country,
@@ -276,12 +281,12 @@ class NotificationTracker {
             2
           ) as ctr_rate
         FROM notification_events
-        WHERE received_at >= CURRENT_DATE - INTERVAL '7 days'
+        WHERE ${filters.where('notification_events', { params, days: 7 })}
           AND country IS NOT NULL
         GROUP BY country
         ORDER BY sent DESC
         LIMIT 20
-      `);
+      `, params);
 
       return result.rows;
     } catch (error) {
@@ -295,10 +300,12 @@ class NotificationTracker {
   /**
    * Get notification trend (last 30 days)
    * 
+   * @param {DashboardFilters} filters - Dashboard filters
    * @returns {Promise<Array>}
    */
-  async getNotificationTrend() {
+  async getNotificationTrend(filters = new DashboardFilters()) {
     try {
+      const params = [];
       const result = await this.db.query(`
         SELECT
           DATE(received_at) as date,
@@ -311,10 +318,10 @@ class NotificationTracker {
             2
           ) as ctr_rate
         FROM notification_events
-        WHERE received_at >= CURRENT_DATE - INTERVAL '30 days'
+        WHERE ${filters.where('notification_events', { params, days: 30 })}
         GROUP BY DATE(received_at)
         ORDER BY date DESC
-      `);
+      `, params);
 
       return result.rows;
     } catch (error) {
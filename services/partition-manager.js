@@ -3,13 +3,15 @@
  * 
  * Maintains weekly partitions for events table
  * - Creates future partitions (12 weeks ahead)
- * - Drops old partitions (>12 months)
+ * - Drops old partitions (EventRetentionManager archives long-lived event types first)
  * 
  * Railway Best Practice: Run weekly via cron (every Monday)
  */
 
 const logger = require('../utils/logger');
 
+const PARTITION_NAME_PATTERN = /^events_week_\d{4}_\d{2}_\d{2}$/;
+
 class PartitionManager {
   constructor(db) {
     this.db = db;
@@ -17,9 +19,9 @@ class PartitionManager {
 
   /**
    * Maintain weekly partitions
-   * Creates future partitions and drops old ones
+   * Creates future partitions (old ones are dropped by EventRetentionManager - migration 050)
    * 
-   * @returns {Promise<Object>} - { created, dropped, errors }
+   * @returns {Promise<Object>} - { success, message }
    */
   async maintainPartitions() {
     try {
@@ -110,36 +112,77 @@ class PartitionManager {
     }
   }
 
+  /**
+   * List partitions that end before the week containing cutoffDate
+   * 
+   * @param {Date} cutoffDate - Partitions entirely older than this week are returned
+   * @returns {Promise<Array<string>>} - Partition names (oldest first)
+   */
+  async listPartitionsBefore(cutoffDate) {
+    const cutoffWeekStart = this._getWeekStart(cutoffDate);
+    const cutoffStr = cutoffWeekStart.toISOString().split('T')[0].replace(/-/g, '_');
+
+    const result = await this.db.query(`
+      SELECT tablename 
+      FROM pg_tables 
+      WHERE schemaname = 'public' 
+        AND tablename LIKE 'events_week_%'
+        AND tablename < $1
+      ORDER BY tablename
+    `, [`events_week_${cutoffStr}`]);
+
+    return result.rows.map(r => r.tablename).filter(name => PARTITION_NAME_PATTERN.test(name));
+  }
+
+  /**
+   * Drop a weekly partition
+   * beforeDrop(client, partitionName) runs in the same transaction, so rows it
+   * copies elsewhere (archive) are never lost to a half-finished drop
+   * 
+   * @param {string} partitionName - events_week_YYYY_MM_DD
+   * @param {Object} options
+   * @param {Function} options.beforeDrop - async (client, partitionName) => result (optional)
+   * @returns {Promise<*>} - Result of beforeDrop
+   */
+  async dropPartition(partitionName, { beforeDrop = null } = {}) {
+    if (!PARTITION_NAME_PATTERN.test(partitionName)) {
+      throw new Error(`Not a weekly events partition: ${partitionName}`);
+    }
+
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = beforeDrop ? await beforeDrop(client, partitionName) : undefined;
+      await client.query(`DROP TABLE IF EXISTS ${partitionName} CASCADE`);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Drop old partitions (>12 months)
    * 
    * @param {number} monthsToKeep - Number of months to keep (default: 12)
+   * @param {Object} options - { beforeDrop } (see dropPartition)
    * @returns {Promise<Object>} - { dropped, errors }
    */
-  async dropOldPartitions(monthsToKeep = 12) {
+  async dropOldPartitions(monthsToKeep = 12, { beforeDrop = null } = {}) {
     try {
       const cutoffDate = new Date();
       cutoffDate.setMonth(cutoffDate.getMonth() - monthsToKeep);
-      const cutoffWeekStart = this._getWeekStart(cutoffDate);
-      const cutoffStr = cutoffWeekStart.toISOString().split('T')[0].replace(/-/g, '_');
-
-      const query = `
-        SELECT tablename 
-        FROM pg_tables 
-        WHERE schemaname = 'public' 
-          AND tablename LIKE 'events_week_%'
-          AND tablename < 'events_week_${cutoffStr}'
-      `;
-
-      const result = await this.db.query(query);
-      const partitionsToDrop = result.rows.map(r => r.tablename);
+      const partitionsToDrop = await this.listPartitionsBefore(cutoffDate);
 
       const dropped = [];
       const errors = [];
 
       for (const partitionName of partitionsToDrop) {
         try {
-          await this.db.query(`DROP TABLE IF EXISTS ${partitionName} CASCADE`);
+          await this.dropPartition(partitionName, { beforeDrop });
           dropped.push(partitionName);
           logger.info('🗑️ Dropped old partition', { partition_name: partitionName });
         } catch (error) {
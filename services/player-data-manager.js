@@ -0,0 +1,402 @@
+/**
+ * Player Data Manager
+ * GDPR/CCPA data subject requests: export and erasure of everything held for a user_id
+ *
+ * This service:
+ * 1. Knows every table keyed by a player ID (DATA_SOURCES)
+ * 2. Exports all rows for a user_id as one JSON archive
+ * 3. Erases a user_id in one transaction - personal tables are deleted, tables
+ *    that feed KPIs/finance are pseudonymized (random ID, identifying fields cleared)
+ * 4. Verifies no row still matches the user_id and records the outcome in
+ *    data_subject_requests (the audit record proving completion)
+ * 5. Deletes event export files holding the user's events, cached Redis keys and the
+ *    user's event rate-limit and anomaly state
+ *
+ * Tables missing in a deployment are skipped and reported as 'missing'.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { ValidationException } = require('../utils/exceptions');
+const EventExporter = require('./event-exporter');
+
+// Event payload fields that identify a device/player (removed on erasure)
+const SCRUBBED_PAYLOAD_FIELDS = [
+  'user_id', 'nickname', 'new_nickname', 'old_nickname', 'device_model', 'os_version',
+  'timezone', 'gclid', 'referrer', 'ip', 'session_id'
+];
+
+const EVENT_SCRUB = `payload = (payload - '{${SCRUBBED_PAYLOAD_FIELDS.join(',')}}'::text[]) || jsonb_build_object('user_id', $2::text)`;
+
+/**
+ * Tables holding player data
+ * - erase: 'delete' | 'pseudonymize' (column set to the pseudonym) | 'retain' (kept - legal obligation)
+ * - set: extra assignments on pseudonymize/retain ($2 = pseudonym)
+ * - match: WHERE clause when the user_id is not a plain column ($1 = user_id)
+ */
+const DATA_SOURCES = [
+  { table: 'users', column: 'user_id', erase: 'delete' },
+  { table: 'events', column: 'user_id', erase: 'pseudonymize', set: EVENT_SCRUB },
+  { table: 'events_archive', column: 'user_id', erase: 'pseudonymize', set: EVENT_SCRUB },
+  { table: 'sessions', column: 'user_id', erase: 'pseudonymize', set: 'client_session_id = NULL' },
+  { table: 'user_acquisitions', column: 'user_id', erase: 'pseudonymize', set: 'gclid = NULL' },
+  { table: 'tournament_participants', column: 'player_id', erase: 'pseudonymize', set: "player_name = 'Deleted Player'" },
+  { table: 'prizes', column: 'user_id', erase: 'pseudonymize' },
+  { table: 'purchases', column: 'player_id', match: 'player_id::text = $1', erase: 'retain', set: 'receipt_data = NULL' },
+  { table: 'leaderboard_global', column: 'user_id', erase: 'delete' },
+  { table: 'fcm_tokens', column: 'user_id', erase: 'delete' },
+  { table: 'user_consents', column: 'user_id', erase: 'delete' },
+  { table: 'notification_events', column: 'user_id', erase: 'delete' },
+  { table: 'crash_logs', column: 'user_id', erase: 'delete' },
+  { table: 'performance_metrics', column: 'user_id', erase: 'delete' },
+  { table: 'event_ids', column: 'user_id', erase: 'delete' },
+  { table: 'event_dead_letters', column: 'user_id', erase: 'delete' },
+  { table: 'event_anomaly_flags', column: 'user_id', erase: 'delete' },
+  { table: 'webhook_deliveries', column: 'payload', match: "payload->'data'->>'user_id' = $1", erase: 'delete' },
+  { table: 'event_quarantine', column: 'user_ids', match: '$1 = ANY(user_ids)', erase: 'quarantine' }
+];
+
+// Redis keys cached per user (enrichers, consent, geolocation)
+const REDIS_KEY_PREFIXES = ['enrich:acquisition:', 'enrich:sessions:', 'consent:', 'geo:user:'];
+
+// Per-user event rate-limit windows and anomaly state (services/event-rate-limiter.js):
+// ratelimit:events:user:<id>:<bucket>, anomaly:<rule>:<id>:<bucket>, anomaly:flagged:<rule>:<id>
+const REDIS_KEY_PATTERNS = [
+  subject => `ratelimit:events:user:${subject}:*`,
+  subject => `anomaly:*:${subject}:*`,
+  subject => `anomaly:flagged:*:${subject}`
+];
+
+// Bulk event exports (migration 045) - files on disk, see EventExporter.deleteFilesForUser
+const EXPORT_JOBS_TABLE = 'event_export_jobs';
+
+/**
+ * SHA-256 of a user_id (audit records never keep completed subjects in plaintext)
+ * @param {string} userId
+ * @returns {string}
+ */
+function hashSubject(userId) {
+  return crypto.createHash('sha256').update(String(userId)).digest('hex');
+}
+
+class PlayerDataManager {
+  /**
+   * @param {Object} db - PostgreSQL pool
+   * @param {Object} options
+   * @param {Object} options.redisClient - Redis client (cached enrichment keys are removed on erasure)
+   * @param {Object} options.eventExporter - EventExporter (export files are deleted on erasure)
+   */
+  constructor(db, { redisClient = null, eventExporter = null } = {}) {
+    this.db = db;
+    this.redisClient = redisClient;
+    this.eventExporter = eventExporter || new EventExporter(db);
+  }
+
+  /**
+   * Export everything held for a user_id
+   * @param {string} userId
+   * @param {Object} options - { requestedBy, reference }
+   * @returns {Promise<Object>} - { request_id, user_id, generated_at, tables: { table: rows[] } }
+   */
+  async exportUser(userId, { requestedBy = null, reference = null } = {}) {
+    this._validateUserId(userId);
+
+    const existing = await this._existingTables();
+    const tables = {};
+    const report = {};
+
+    for (const source of DATA_SOURCES) {
+      if (!existing.has(source.table)) {
+        report[source.table] = { action: 'missing', rows: 0 };
+        continue;
+      }
+      const result = await this.db.query(`SELECT * FROM ${source.table} WHERE ${this._where(source)}`, [userId]);
+      tables[source.table] = source.erase === 'quarantine'
+        ? result.rows.map(row => ({ ...row, events: (row.events || []).filter(event => event && event.user_id === userId) }))
+        : result.rows;
+      report[source.table] = { action: 'exported', rows: result.rows.length };
+    }
+
+    const request = await this._recordRequest('export', userId, {
+      status: 'completed',
+      report,
+      requestedBy,
+      reference
+    });
+
+    logger.info('🔐 Player data exported', { request_id: request.id, tables: Object.keys(tables).length });
+
+    return {
+      request_id: request.id,
+      user_id: userId,
+      generated_at: new Date().toISOString(),
+      tables
+    };
+  }
+
+  /**
+   * Create an erasure request (run it with runErasure)
+   * @param {string} userId
+   * @param {Object} options - { requestedBy, reference }
+   * @returns {Promise<Object>} - data_subject_requests row
+   */
+  async createErasure(userId, { requestedBy = null, reference = null } = {}) {
+    this._validateUserId(userId);
+    return this._recordRequest('erasure', userId, { status: 'running', requestedBy, reference, keepUserId: true });
+  }
+
+  /**
+   * Erase a user across all tables (one transaction), then verify and complete the request
+   * @param {number} requestId - Erasure request (running or failed)
+   * @returns {Promise<Object>} - Completed request row
+   */
+  async runErasure(requestId) {
+    const request = await this.getRequest(requestId);
+    if (!request || request.request_type !== 'erasure') {
+      throw new Error(`Erasure request ${requestId} not found`);
+    }
+    if (request.status === 'completed' || !request.user_id) {
+      return request;
+    }
+
+    const userId = request.user_id;
+    const pseudonym = `erased_${crypto.randomUUID()}`;
+    const existing = await this._existingTables();
+    const report = {};
+
+    // Before the transaction - export files are found through the user's events
+    if (existing.has(EXPORT_JOBS_TABLE)) {
+      const jobIds = await this.eventExporter.deleteFilesForUser(userId);
+      report[EXPORT_JOBS_TABLE] = { action: 'files_deleted', rows: jobIds.length };
+    }
+
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (const source of DATA_SOURCES) {
+        if (!existing.has(source.table)) {
+          report[source.table] = { action: 'missing', rows: 0 };
+          continue;
+        }
+        const result = await client.query(this._eraseSql(source), this._eraseParams(source, userId, pseudonym));
+        report[source.table] = { action: this._actionName(source), rows: result.rowCount };
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      await this.db.query(`
+        UPDATE data_subject_requests
+        SET status = 'failed', error = $2
+        WHERE id = $1
+      `, [requestId, error.message]);
+      logger.error('🔐 ❌ Player data erasure failed', { request_id: requestId, error: error.message });
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await this._clearRedis(userId);
+
+    // Proof: nothing but retained (legal obligation) rows still matches the user_id
+    const verification = {};
+    for (const source of DATA_SOURCES) {
+      if (!existing.has(source.table)) continue;
+      const result = await this.db.query(
+        `SELECT COUNT(*) as count FROM ${source.table} WHERE ${this._where(source)}`,
+        [userId]
+      );
+      verification[source.table] = parseInt(result.rows[0].count);
+    }
+
+    const leftovers = Object.entries(verification)
+      .filter(([table, count]) => count > 0 && DATA_SOURCES.find(source => source.table === table).erase !== 'retain');
+
+    const status = leftovers.length === 0 ? 'completed' : 'failed';
+    const result = await this.db.query(`
+      UPDATE data_subject_requests
+      SET status = $2,
+          report = $3,
+          verification = $4,
+          error = $5,
+          user_id = CASE WHEN $2 = 'completed' THEN NULL ELSE user_id END,
+          completed_at = CASE WHEN $2 = 'completed' THEN NOW() ELSE NULL END
+      WHERE id = $1
+      RETURNING *
+    `, [
+      requestId,
+      status,
+      JSON.stringify(report),
+      JSON.stringify(verification),
+      leftovers.length > 0 ? `Rows remain after erasure: ${leftovers.map(([table, count]) => `${table}=${count}`).join(', ')}` : null
+    ]);
+
+    if (status === 'completed') {
+      logger.info('🔐 ✅ Player data erased', { request_id: requestId, tables: Object.keys(report).length });
+    } else {
+      logger.error('🔐 ❌ Player data erasure incomplete', { request_id: requestId, leftovers });
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get a request
+   * @param {number} requestId
+   * @returns {Promise<Object|null>}
+   */
+  async getRequest(requestId) {
+    const result = await this.db.query('SELECT * FROM data_subject_requests WHERE id = $1', [requestId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List requests (newest first, optionally for one user_id - matched by hash)
+   * @param {Object} filters - { userId, type, status, limit }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listRequests({ userId, type, status, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (userId) {
+      params.push(hashSubject(userId));
+      conditions.push(`subject_hash = $${params.length}`);
+    }
+    if (type) {
+      params.push(type);
+      conditions.push(`request_type = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    params.push(Math.min(parseInt(limit) || 50, 500));
+
+    const result = await this.db.query(`
+      SELECT id, request_type, subject_hash, status, reference, requested_by, report, verification, error, created_at, completed_at
+      FROM data_subject_requests
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  _validateUserId(userId) {
+    if (typeof userId !== 'string' || userId.trim().length === 0 || userId.length > 255) {
+      throw new ValidationException('user_id is required', 'user_id');
+    }
+    if (userId.startsWith('erased_')) {
+      throw new ValidationException('user_id is already a pseudonym', 'user_id');
+    }
+  }
+
+  _where(source) {
+    return source.match || `${source.column} = $1`;
+  }
+
+  _actionName(source) {
+    if (source.erase === 'quarantine') return 'scrubbed';
+    return { delete: 'deleted', pseudonymize: 'pseudonymized', retain: 'retained' }[source.erase];
+  }
+
+  _eraseSql(source) {
+    const where = this._where(source);
+
+    switch (source.erase) {
+      case 'delete':
+        return `DELETE FROM ${source.table} WHERE ${where}`;
+      case 'pseudonymize':
+        return `UPDATE ${source.table} SET ${source.column} = $2${source.set ? `, ${source.set}` : ''} WHERE ${where}`;
+      case 'retain':
+        return `UPDATE ${source.table} SET ${source.set} WHERE ${where}`;
+      case 'quarantine':
+        // Batches mix players - drop only this player's events
+        return `
+          UPDATE event_quarantine
+          SET events = filtered.events,
+              event_count = jsonb_array_length(filtered.events),
+              user_ids = array_remove(user_ids, $1)
+          FROM (
+            SELECT q.id, COALESCE(jsonb_agg(e) FILTER (WHERE e->>'user_id' IS DISTINCT FROM $1), '[]'::jsonb) as events
+            FROM event_quarantine q
+            CROSS JOIN LATERAL jsonb_array_elements(q.events) e
+            WHERE $1 = ANY(q.user_ids)
+            GROUP BY q.id
+          ) filtered
+          WHERE event_quarantine.id = filtered.id
+        `;
+      default:
+        throw new Error(`Unknown erase action: ${source.erase}`);
+    }
+  }
+
+  _eraseParams(source, userId, pseudonym) {
+    const usesPseudonym = source.erase === 'pseudonymize' || (source.set || '').includes('$2');
+    return usesPseudonym ? [userId, pseudonym] : [userId];
+  }
+
+  async _existingTables() {
+    const result = await this.db.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = ANY($1)
+    `, [[...DATA_SOURCES.map(source => source.table), EXPORT_JOBS_TABLE]]);
+    return new Set(result.rows.map(row => row.table_name));
+  }
+
+  async _recordRequest(type, userId, { status, report = {}, requestedBy, reference, keepUserId = false }) {
+    const result = await this.db.query(`
+      INSERT INTO data_subject_requests (
+        request_type, subject_hash, user_id, status, reference, requested_by, report, completed_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $4 = 'completed' THEN NOW() ELSE NULL END)
+      RETURNING *
+    `, [
+      type,
+      hashSubject(userId),
+      keepUserId ? userId : null,
+      status,
+      reference ? String(reference).substring(0, 255) : null,
+      requestedBy,
+      JSON.stringify(report)
+    ]);
+    return result.rows[0];
+  }
+
+  async _clearRedis(userId) {
+    if (!this.redisClient) return;
+    try {
+      await this.redisClient.del(...REDIS_KEY_PREFIXES.map(prefix => `${prefix}${userId}`));
+
+      // Windowed keys carry a bucket suffix - find them with SCAN (never KEYS)
+      const subject = String(userId).replace(/[*?[\]\\]/g, '\\$&');
+      for (const pattern of REDIS_KEY_PATTERNS) {
+        let cursor = '0';
+        do {
+          const [next, keys] = await this.redisClient.scan(cursor, 'MATCH', pattern(subject), 'COUNT', 100);
+          cursor = next;
+          if (keys.length > 0) {
+            await this.redisClient.unlink(...keys);
+          }
+        } while (cursor !== '0');
+      }
+    } catch (error) {
+      // Cached keys expire on their own - erasure is complete in PostgreSQL
+      logger.warn('🔐 Failed to clear cached player keys', { error: error.message });
+    }
+  }
+}
+
+PlayerDataManager.DATA_SOURCES = DATA_SOURCES;
+PlayerDataManager.hashSubject = hashSubject;
+
+module.exports = PlayerDataManager;
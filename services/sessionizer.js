@@ -0,0 +1,419 @@
+/**
+ * Sessionizer Service
+ * Reconstructs sessions server-side from the events table
+ *
+ * session_ended is lost whenever the app is killed or crashes, so counting
+ * session_started / session_ended events over- or under-reports sessions.
+ * This service:
+ * 1. Reads new events after its checkpoint in (received_at, id) order
+ * 2. Stitches them into sessions per user by session_id and client timestamp,
+ *    starting a new session after SESSION_INACTIVITY_TIMEOUT_SECONDS of silence
+ * 3. Tracks start, end, event count, games played and revenue per session
+ * 4. Closes orphaned sessions (no session_ended, inactive past the timeout)
+ * 5. Commits each batch together with its checkpoint (migration 048)
+ *
+ * Runs every 5 minutes from server.js; scripts/run-sessionizer.js backfills.
+ */
+
+const logger = require('../utils/logger');
+
+const DEFAULT_INACTIVITY_TIMEOUT_SECONDS = 1800;
+
+// Events received in the last minute may still be in the queue - leave them for the next run
+const SETTLE_SECONDS = 60;
+
+const GAME_EVENTS = ['game_started'];
+const PURCHASE_EVENTS = ['purchase_completed', 'special_offer_purchased'];
+
+/**
+ * Revenue carried by an event (USD)
+ * @param {Object} payload
+ * @returns {number}
+ */
+function eventRevenue(payload) {
+  if (PURCHASE_EVENTS.includes(payload.event_type)) {
+    return Number(payload.price_usd) || 0;
+  }
+
+  if (payload.event_type === 'ad_revenue') {
+    if (payload.revenue_usd != null) return Number(payload.revenue_usd) || 0;
+    if (payload.estimated_revenue_usd != null) return Number(payload.estimated_revenue_usd) || 0;
+    if (payload.revenue_micros != null) return (Number(payload.revenue_micros) || 0) / 1e6;
+  }
+
+  return 0;
+}
+
+class Sessionizer {
+  /**
+   * @param {Object} db - Database pool
+   * @param {Object} options
+   * @param {number} options.inactivityTimeoutSeconds - Gap that ends a session (default 30 min)
+   * @param {number} options.batchSize - Events per batch
+   */
+  constructor(db, {
+    inactivityTimeoutSeconds = parseInt(process.env.SESSION_INACTIVITY_TIMEOUT_SECONDS) || DEFAULT_INACTIVITY_TIMEOUT_SECONDS,
+    batchSize = 5000
+  } = {}) {
+    this.db = db;
+    this.timeoutMs = inactivityTimeoutSeconds * 1000;
+    this.batchSize = batchSize;
+    this.isRunning = false;
+  }
+
+  /**
+   * Sessionize new events and close orphaned sessions
+   * @param {Object} options
+   * @param {number} options.maxBatches - Stop after this many batches (default: until caught up)
+   * @returns {Promise<Object>} - { events_processed, sessions_upserted, sessions_closed, batches }
+   */
+  async run({ maxBatches = Infinity } = {}) {
+    if (this.isRunning) {
+      logger.warn('🧩 Sessionizer already running, skipping');
+      return { skipped: true };
+    }
+
+    this.isRunning = true;
+    const summary = { events_processed: 0, sessions_upserted: 0, sessions_closed: 0, batches: 0 };
+    const startTime = Date.now();
+
+    try {
+      let cursor = await this._getCheckpoint();
+
+      while (summary.batches < maxBatches) {
+        const rows = await this._fetchBatch(cursor);
+        if (rows.length === 0) break;
+
+        const result = await this._sessionizeBatch(rows);
+        cursor = result.cursor;
+        summary.events_processed += rows.length;
+        summary.sessions_upserted += result.sessions;
+        summary.batches++;
+
+        if (rows.length < this.batchSize) break;
+      }
+
+      summary.sessions_closed = await this.closeStaleSessions();
+
+      logger.info('🧩 Sessionizer run complete', {
+        ...summary,
+        duration_ms: Date.now() - startTime
+      });
+
+      return summary;
+
+    } catch (error) {
+      logger.error('🧩 ❌ Sessionizer run failed (resumes from checkpoint)', { error: error.message });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Close open sessions with no events for longer than the inactivity timeout
+   * @returns {Promise<number>} - Sessions closed
+   */
+  async closeStaleSessions() {
+    const result = await this.db.query(`
+      UPDATE sessions
+      SET status = 'closed',
+          end_reason = 'inactivity',
+          ended_at = last_event_at,
+          duration_seconds = GREATEST(EXTRACT(EPOCH FROM (last_event_at - started_at))::INT, 0),
+          updated_at = NOW()
+      WHERE status = 'open'
+        AND last_event_at < NOW() - make_interval(secs => $1)
+    `, [this.timeoutMs / 1000]);
+
+    if (result.rowCount > 0) {
+      logger.info('🧩 Closed orphaned sessions', { count: result.rowCount });
+    }
+
+    return result.rowCount;
+  }
+
+  async _getCheckpoint() {
+    const result = await this.db.query(`
+      SELECT cursor_received_at, cursor_event_id FROM sessionizer_checkpoint WHERE id = 1
+    `);
+    return result.rows[0] || { cursor_received_at: null, cursor_event_id: null };
+  }
+
+  /**
+   * Fetch the next batch after the checkpoint
+   */
+  async _fetchBatch(cursor) {
+    const params = [SETTLE_SECONDS, this.batchSize];
+    let cursorCondition = '';
+
+    if (cursor.cursor_received_at) {
+      params.push(cursor.cursor_received_at, cursor.cursor_event_id);
+      cursorCondition = 'AND (received_at, id) > ($3, $4)';
+    }
+
+    const result = await this.db.query(`
+      SELECT id, event_type, user_id, payload, received_at
+      FROM events
+      WHERE received_at < NOW() - make_interval(secs => $1)
+        ${cursorCondition}
+      ORDER BY received_at ASC, id ASC
+      LIMIT $2
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Client timestamp of an event (received_at when missing or unparseable)
+   */
+  _eventTime(row) {
+    const timestamp = row.payload && row.payload.timestamp ? new Date(row.payload.timestamp) : null;
+    return timestamp && !isNaN(timestamp.getTime()) ? timestamp : new Date(row.received_at);
+  }
+
+  /**
+   * Load each user's sessions that events in this batch could extend
+   * (latest session per user + client session_id within the timeout)
+   */
+  async _loadSessions(client, userIds, since) {
+    const result = await client.query(`
+      SELECT DISTINCT ON (user_id, COALESCE(client_session_id, ''))
+        user_id, session_key, client_session_id, started_at, last_event_at, ended_at,
+        duration_seconds, client_duration_seconds, event_count, games_played,
+        revenue_usd, status, end_reason, platform, app_version
+      FROM sessions
+      WHERE user_id = ANY($1)
+        AND last_event_at > $2
+      ORDER BY user_id, COALESCE(client_session_id, ''), last_event_at DESC
+    `, [userIds, since]);
+
+    return result.rows.map(row => ({
+      ...row,
+      started_at: new Date(row.started_at),
+      last_event_at: new Date(row.last_event_at),
+      ended_at: row.ended_at ? new Date(row.ended_at) : null,
+      revenue_usd: Number(row.revenue_usd) || 0
+    }));
+  }
+
+  /**
+   * Stitch one batch into sessions and advance the checkpoint in a transaction
+   */
+  async _sessionizeBatch(rows) {
+    const events = rows
+      .filter(row => row.user_id)
+      .map(row => ({ row, time: this._eventTime(row) }))
+      .sort((a, b) => a.time - b.time);
+    const last = rows[rows.length - 1];
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const touched = new Set();
+
+      if (events.length > 0) {
+        const userIds = [...new Set(events.map(({ row }) => row.user_id))];
+        const since = new Date(events[0].time.getTime() - this.timeoutMs);
+        const current = new Map(); // "user|session_id" -> session
+        const byUser = new Map(); // user -> sessions
+
+        for (const session of await this._loadSessions(client, userIds, since)) {
+          current.set(`${session.user_id}|${session.client_session_id || ''}`, session);
+          if (!byUser.has(session.user_id)) byUser.set(session.user_id, []);
+          byUser.get(session.user_id).push(session);
+        }
+
+        for (const { row, time } of events) {
+          const payload = row.payload || {};
+          const sessionId = payload.session_id ? String(payload.session_id).substring(0, 255) : null;
+          const key = `${row.user_id}|${sessionId || ''}`;
+          let session = current.get(key);
+
+          if (session && this._gap(session, time) > this.timeoutMs) {
+            if (session.status === 'open') {
+              this._close(session, 'inactivity', session.last_event_at);
+              touched.add(session);
+            }
+            session = null;
+          }
+
+          if (!session) {
+            session = this._newSession(row.user_id, sessionId, time);
+            current.set(key, session);
+            if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+            byUser.get(row.user_id).push(session);
+          }
+
+          this._apply(session, payload, time);
+          touched.add(session);
+
+          // The app only runs one session at a time - open ones that went quiet
+          // before this one started were orphaned (session_ended never arrived)
+          for (const other of byUser.get(row.user_id) || []) {
+            if (other !== session && other.status === 'open' && other.last_event_at < session.started_at) {
+              this._close(other, 'superseded', other.last_event_at);
+              touched.add(other);
+            }
+          }
+        }
+
+        if (touched.size > 0) {
+          await this._upsertSessions(client, [...touched]);
+        }
+      }
+
+      await client.query(`
+        UPDATE sessionizer_checkpoint
+        SET cursor_received_at = $1, cursor_event_id = $2, updated_at = NOW()
+        WHERE id = 1
+      `, [last.received_at, last.id]);
+
+      await client.query('COMMIT');
+
+      return {
+        sessions: touched.size,
+        cursor: { cursor_received_at: last.received_at, cursor_event_id: last.id }
+      };
+
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Distance (ms) between an event and a session's time span
+   */
+  _gap(session, time) {
+    if (time > session.last_event_at) return time - session.last_event_at;
+    if (time < session.started_at) return session.started_at - time;
+    return 0;
+  }
+
+  _newSession(userId, sessionId, time) {
+    return {
+      user_id: userId,
+      session_key: `${sessionId || 'auto'}@${Math.floor(time.getTime() / 1000)}`.substring(0, 300),
+      client_session_id: sessionId,
+      started_at: time,
+      last_event_at: time,
+      ended_at: null,
+      duration_seconds: 0,
+      client_duration_seconds: null,
+      event_count: 0,
+      games_played: 0,
+      revenue_usd: 0,
+      status: 'open',
+      end_reason: null,
+      platform: null,
+      app_version: null
+    };
+  }
+
+  _close(session, reason, endedAt) {
+    session.status = 'closed';
+    session.end_reason = reason;
+    session.ended_at = endedAt;
+    this._updateDuration(session);
+  }
+
+  /**
+   * Add an event to a session
+   */
+  _apply(session, payload, time) {
+    const isLatest = time >= session.last_event_at;
+
+    if (time < session.started_at) session.started_at = time;
+    if (isLatest) session.last_event_at = time;
+
+    session.event_count++;
+    if (GAME_EVENTS.includes(payload.event_type)) session.games_played++;
+    session.revenue_usd += eventRevenue(payload);
+
+    if (payload.platform && !session.platform) session.platform = String(payload.platform).substring(0, 20);
+    if (payload.app_version && (isLatest || !session.app_version)) {
+      session.app_version = String(payload.app_version).substring(0, 50);
+    }
+
+    if (payload.event_type === 'session_ended') {
+      if (Number.isFinite(Number(payload.duration_seconds))) {
+        session.client_duration_seconds = Math.round(Number(payload.duration_seconds));
+      }
+      this._close(session, 'session_ended', time);
+      return;
+    }
+
+    if (session.status === 'closed') {
+      if (isLatest && session.end_reason === 'session_ended') {
+        // Resumed after session_ended with the same session_id (app returned from background)
+        session.status = 'open';
+        session.end_reason = null;
+        session.ended_at = null;
+      } else if (session.ended_at && time > session.ended_at) {
+        session.ended_at = time;
+      }
+    }
+
+    this._updateDuration(session);
+  }
+
+  _updateDuration(session) {
+    const end = session.ended_at || session.last_event_at;
+    session.duration_seconds = Math.max(Math.round((end - session.started_at) / 1000), 0);
+  }
+
+  async _upsertSessions(client, sessions) {
+    const column = name => sessions.map(session => session[name]);
+
+    await client.query(`
+      INSERT INTO sessions (
+        user_id, session_key, client_session_id, started_at, last_event_at, ended_at,
+        duration_seconds, client_duration_seconds, event_count, games_played,
+        revenue_usd, status, end_reason, platform, app_version
+      )
+      SELECT * FROM UNNEST(
+        $1::VARCHAR[], $2::VARCHAR[], $3::VARCHAR[], $4::TIMESTAMPTZ[], $5::TIMESTAMPTZ[], $6::TIMESTAMPTZ[],
+        $7::INT[], $8::INT[], $9::INT[], $10::INT[],
+        $11::NUMERIC[], $12::VARCHAR[], $13::VARCHAR[], $14::VARCHAR[], $15::VARCHAR[]
+      )
+      ON CONFLICT (user_id, session_key) DO UPDATE SET
+        started_at = EXCLUDED.started_at,
+        last_event_at = EXCLUDED.last_event_at,
+        ended_at = EXCLUDED.ended_at,
+        duration_seconds = EXCLUDED.duration_seconds,
+        client_duration_seconds = EXCLUDED.client_duration_seconds,
+        event_count = EXCLUDED.event_count,
+        games_played = EXCLUDED.games_played,
+        revenue_usd = EXCLUDED.revenue_usd,
+        status = EXCLUDED.status,
+        end_reason = EXCLUDED.end_reason,
+        platform = EXCLUDED.platform,
+        app_version = EXCLUDED.app_version,
+        updated_at = NOW()
+    `, [
+      column('user_id'),
+      column('session_key'),
+      column('client_session_id'),
+      column('started_at'),
+      column('last_event_at'),
+      column('ended_at'),
+      column('duration_seconds'),
+      column('client_duration_seconds'),
+      column('event_count'),
+      column('games_played'),
+      sessions.map(session => session.revenue_usd.toFixed(6)),
+      column('status'),
+      column('end_reason'),
+      column('platform'),
+      column('app_version')
+    ]);
+  }
+}
+
+Sessionizer.eventRevenue = eventRevenue;
+
+module.exports = Sessionizer;
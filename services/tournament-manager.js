@@ -7,6 +7,9 @@ const { v4: uuidv4, validate: isValidUUID } = require('uuid');
 const { ValidationException, NetworkException } = require('../utils/exceptions');
 const logger = require('../utils/logger');
 
+// Max "you were overtaken" notifications per new best score
+const OVERTAKEN_NOTIFY_LIMIT = 50;
+
 class TournamentManager {
   constructor({ db, cacheManager, prizeManager, wsManager, leaderboardManager }) {
     this.db = db;
@@ -334,6 +337,14 @@ class TournamentManager {
             rank: rank
           }
         });
+
+        await this._notifyRankChanges(tournamentId, {
+          playerId,
+          playerName: currentPlayerName,
+          score,
+          rank,
+          previousBest: participant.best_score
+        });
       }
 
       return {
@@ -403,11 +414,20 @@ class TournamentManager {
 
       // Notify all participants via WebSocket
       if (this.wsManager) {
-        await this.wsManager.broadcastToRoom(`tournament_${tournamentId}`, {
+        const room = `tournament_${tournamentId}`;
+        const message = {
           type: 'tournament_started',
           tournamentId: tournamentId,
           message: 'Tournament has started! Good luck!'
-        });
+        };
+
+        await this.wsManager.broadcastToRoom(room, message);
+        // Participants not watching the tournament screen get it in their player room
+        await this.wsManager.notifyPlayers(
+          participantsResult.rows.map(row => row.player_id),
+          message,
+          { excludeRoom: room }
+        );
       }
 
       return {
@@ -514,12 +534,20 @@ class TournamentManager {
 
       // Notify all participants of tournament end
       if (this.wsManager) {
-        await this.wsManager.broadcastToRoom(`tournament_${tournamentId}`, {
+        const room = `tournament_${tournamentId}`;
+        const message = {
           type: 'tournament_ended',
           tournamentId: tournamentId,
           finalLeaderboard: finalLeaderboard.slice(0, 10),
           prizeDistributions: prizeResult.distributions
-        });
+        };
+
+        await this.wsManager.broadcastToRoom(room, message);
+        await this.wsManager.notifyPlayers(
+          finalLeaderboard.map(entry => entry.player_id),
+          message,
+          { excludeRoom: room }
+        );
       }
 
       return {
@@ -723,6 +751,100 @@ class TournamentManager {
     }));
   }
 
+  /**
+   * Snapshot sent when a player joins a tournament room (WebSocketManager)
+   * @param {string} tournamentId
+   * @param {string} playerId
+   * @returns {Promise<Object|null>} - { tournamentId, status, leaderboard, player }
+   */
+  async getRoomSnapshot(tournamentId, playerId) {
+    if (!isValidUUID(tournamentId)) return null;
+
+    const tournamentResult = await this.db.query(`
+      SELECT id, name, status, start_date, end_date FROM tournaments WHERE id = $1
+    `, [tournamentId]);
+
+    if (!tournamentResult.rows.length) return null;
+
+    const participantResult = await this.db.query(`
+      SELECT best_score, total_games
+      FROM tournament_participants
+      WHERE tournament_id = $1 AND player_id = $2
+    `, [tournamentId, playerId]);
+
+    const participant = participantResult.rows[0];
+    const tournament = tournamentResult.rows[0];
+
+    return {
+      tournamentId,
+      name: tournament.name,
+      status: tournament.status,
+      startDate: tournament.start_date,
+      endDate: tournament.end_date,
+      leaderboard: await this._getTournamentLeaderboard(tournamentId, { limit: 10 }),
+      player: participant ? {
+        rank: participant.best_score > 0 ? await this._getPlayerRank(tournamentId, playerId) : null,
+        score: participant.best_score,
+        totalGames: participant.total_games
+      } : null
+    };
+  }
+
+  /**
+   * Tell a player their new rank and the players they just passed that they were overtaken
+   * Overtaken = previous best < their score < new score (their rank drops by one)
+   */
+  async _notifyRankChanges(tournamentId, { playerId, playerName, score, rank, previousBest }) {
+    try {
+      const result = await this.db.query(`
+        SELECT
+          tp.player_id,
+          (
+            SELECT COUNT(*) + 1
+            FROM tournament_participants higher
+            WHERE higher.tournament_id = tp.tournament_id
+              AND higher.best_score > tp.best_score
+          ) as rank,
+          COUNT(*) OVER () as overtaken_total
+        FROM tournament_participants tp
+        WHERE tp.tournament_id = $1
+          AND tp.player_id <> $2
+          AND tp.best_score > $3
+          AND tp.best_score < $4
+        ORDER BY tp.best_score DESC
+        LIMIT $5
+      `, [tournamentId, playerId, previousBest, score, OVERTAKEN_NOTIFY_LIMIT]);
+
+      const overtakenTotal = parseInt(result.rows[0]?.overtaken_total || 0, 10);
+      // Players without a score yet weren't on the leaderboard
+      const previousRank = previousBest > 0 ? rank + overtakenTotal : null;
+
+      if (previousRank !== rank) {
+        await this.wsManager.notifyPlayer(playerId, {
+          type: 'tournament_rank_changed',
+          tournamentId,
+          rank,
+          previousRank,
+          score
+        });
+      }
+
+      for (const row of result.rows) {
+        const newRank = parseInt(row.rank, 10);
+        await this.wsManager.notifyPlayer(row.player_id, {
+          type: 'tournament_overtaken',
+          tournamentId,
+          rank: newRank,
+          previousRank: newRank - 1,
+          overtakenBy: { playerId, playerName, score }
+        });
+      }
+    } catch (error) {
+      // The score is already saved - notifications are best effort
+      logger.warn('🏆 Rank change notifications failed', { tournamentId, error: error.message });
+    }
+  }
+
   async _getPlayerRank(tournamentId, playerId) {
     const query = `
       SELECT COUNT(*) + 1 as rank
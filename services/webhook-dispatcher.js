@@ -0,0 +1,555 @@
+/**
+ * Webhook Dispatcher
+ * Pushes stored events to external systems (marketing tools, community bots)
+ *
+ * This service:
+ * 1. Manages admin-registered subscriptions (URL, event-type filters, secret)
+ * 2. Creates one delivery per stored event per matching subscription (enqueue)
+ * 3. POSTs deliveries signed with the subscription secret
+ * 4. Retries failures with exponential backoff (processDue - cron) until maxAttempts
+ * 5. Logs every attempt (webhook_delivery_attempts) and replays failed deliveries
+ *
+ * Request sent to subscribers:
+ *   POST <url>
+ *   X-Webhook-Event: level_completed
+ *   X-Webhook-Delivery: <delivery id>
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256("<timestamp>.<body>", secret)>
+ *   { "delivery_id": 1, "event_id": "...", "event_type": "...", "occurred_at": "...", "data": { ...event } }
+ *
+ * Subscribers should reject timestamps older than a few minutes (replays).
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const EVENT_TYPE_PATTERN = /^[a-z0-9_]{1,100}$/;
+const WILDCARD = '*';
+
+/**
+ * Compute a delivery signature
+ * @param {string} body - JSON request body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds (X-Webhook-Timestamp)
+ * @returns {string} - "sha256=<hex>"
+ */
+function signPayload(body, secret, timestamp) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {Object} db - PostgreSQL pool
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Per-request timeout
+   * @param {number} options.maxAttempts - Attempts before a delivery is marked failed
+   * @param {number} options.backoffBaseMs - Retry delay after the first failure (doubles per attempt)
+   * @param {number} options.subscriptionCacheMs - How long active subscriptions are cached for enqueue()
+   * @param {number} options.batchSize - Due deliveries claimed per processDue() run
+   */
+  constructor(db, {
+    timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+    maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10),
+    backoffBaseMs = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || '30000', 10),
+    subscriptionCacheMs = 60000,
+    batchSize = 100
+  } = {}) {
+    this.db = db;
+    this.timeoutMs = timeoutMs;
+    this.maxAttempts = maxAttempts;
+    this.backoffBaseMs = backoffBaseMs;
+    this.subscriptionCacheMs = subscriptionCacheMs;
+    this.batchSize = batchSize;
+    this.subscriptionCache = null;
+    this.subscriptionCacheAt = 0;
+    this.isProcessing = false;
+  }
+
+  // ============================================================================
+  // SUBSCRIPTIONS
+  // ============================================================================
+
+  /**
+   * Validate subscription fields
+   * @param {Object} fields - { name, url, event_types, secret }
+   * @param {boolean} partial - Only validate fields that are present (updates)
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  static validateSubscription(fields = {}, partial = false) {
+    const errors = [];
+
+    if (!partial || fields.name !== undefined) {
+      if (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.length > 100) {
+        errors.push('name is required (max 100 characters)');
+      }
+    }
+
+    if (!partial || fields.url !== undefined) {
+      let url = null;
+      try {
+        url = new URL(fields.url);
+      } catch (error) {
+        errors.push('url must be a valid URL');
+      }
+      if (url && !['http:', 'https:'].includes(url.protocol)) {
+        errors.push('url must use http or https');
+      } else if (url && url.protocol !== 'https:' && process.env.NODE_ENV === 'production') {
+        errors.push('url must use https in production');
+      }
+    }
+
+    if (!partial || fields.event_types !== undefined) {
+      if (!Array.isArray(fields.event_types) || fields.event_types.length === 0) {
+        errors.push('event_types must be a non-empty array (use ["*"] for every event)');
+      } else if (fields.event_types.some(type => type !== WILDCARD && !EVENT_TYPE_PATTERN.test(type))) {
+        errors.push('event_types must contain event type names or "*"');
+      }
+    }
+
+    if (fields.secret !== undefined && (typeof fields.secret !== 'string' || fields.secret.length < 16)) {
+      errors.push('secret must be at least 16 characters');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Register a subscription (a secret is generated when none is given)
+   * @param {Object} fields - { name, url, event_types, secret? }
+   * @param {string} createdBy - Admin player ID
+   * @returns {Promise<Object>} - Subscription row (including the secret)
+   */
+  async createSubscription({ name, url, event_types, secret }, createdBy = null) {
+    const result = await this.db.query(`
+      INSERT INTO webhook_subscriptions (name, url, event_types, secret, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [
+      name.trim(),
+      url,
+      [...new Set(event_types)],
+      secret || crypto.randomBytes(32).toString('hex'),
+      createdBy
+    ]);
+
+    this._invalidateCache();
+    return result.rows[0];
+  }
+
+  /**
+   * Update a subscription
+   * @param {number} id
+   * @param {Object} fields - Any of { name, url, event_types, secret, is_active }
+   * @returns {Promise<Object|null>} - Updated row (null if not found)
+   */
+  async updateSubscription(id, fields = {}) {
+    const columns = ['name', 'url', 'event_types', 'secret', 'is_active'];
+    const sets = [];
+    const params = [id];
+
+    for (const column of columns) {
+      if (fields[column] === undefined) continue;
+      let value = fields[column];
+      if (column === 'name') value = value.trim();
+      if (column === 'event_types') value = [...new Set(value)];
+      if (column === 'is_active') value = Boolean(value);
+      params.push(value);
+      sets.push(`${column} = $${params.length}`);
+    }
+
+    // Re-enabling a subscription starts its failure streak over
+    if (fields.is_active === true) {
+      sets.push('consecutive_failures = 0');
+    }
+
+    if (sets.length === 0) {
+      return this.getSubscription(id);
+    }
+
+    const result = await this.db.query(`
+      UPDATE webhook_subscriptions
+      SET ${sets.join(', ')}, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, params);
+
+    this._invalidateCache();
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a subscription (its deliveries and attempts cascade)
+   * @param {number} id
+   * @returns {Promise<boolean>} - false if not found
+   */
+  async deleteSubscription(id) {
+    const result = await this.db.query('DELETE FROM webhook_subscriptions WHERE id = $1', [id]);
+    this._invalidateCache();
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Get a subscription
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async getSubscription(id) {
+    const result = await this.db.query('SELECT * FROM webhook_subscriptions WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List subscriptions with 24h delivery counts (secrets are not returned)
+   * @returns {Promise<Array<Object>>}
+   */
+  async listSubscriptions() {
+    const result = await this.db.query(`
+      SELECT
+        s.id, s.name, s.url, s.event_types, s.is_active,
+        s.consecutive_failures, s.last_success_at, s.last_failure_at,
+        s.created_by, s.created_at, s.updated_at,
+        COUNT(d.id) FILTER (WHERE d.status = 'succeeded') as succeeded_24h,
+        COUNT(d.id) FILTER (WHERE d.status = 'failed') as failed_24h,
+        COUNT(d.id) FILTER (WHERE d.status IN ('pending', 'delivering')) as pending_24h
+      FROM webhook_subscriptions s
+      LEFT JOIN webhook_deliveries d
+        ON d.subscription_id = s.id AND d.created_at > NOW() - INTERVAL '24 hours'
+      GROUP BY s.id
+      ORDER BY s.created_at DESC
+    `);
+
+    return result.rows.map(row => ({
+      ...row,
+      succeeded_24h: parseInt(row.succeeded_24h),
+      failed_24h: parseInt(row.failed_24h),
+      pending_24h: parseInt(row.pending_24h)
+    }));
+  }
+
+  // ============================================================================
+  // DELIVERIES
+  // ============================================================================
+
+  /**
+   * Create deliveries for a stored event and send them (called by EventProcessor)
+   * @param {Object} event - Stored (enriched) event
+   * @param {string} eventId - events.id
+   * @returns {Promise<number>} - Deliveries created
+   */
+  async enqueue(event, eventId) {
+    const subscriptions = (await this._getActiveSubscriptions())
+      .filter(subscription => this._matches(subscription, event.event_type));
+
+    if (subscriptions.length === 0) {
+      return 0;
+    }
+
+    const payloads = subscriptions.map(() => JSON.stringify({
+      event_id: eventId,
+      event_type: event.event_type,
+      occurred_at: event.timestamp || null,
+      data: event
+    }));
+
+    const result = await this.db.query(`
+      INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, status, next_attempt_at)
+      SELECT subscription_id, $2, $3, payload::jsonb, 'delivering', NOW()
+      FROM UNNEST($1::int[], $4::text[]) AS t(subscription_id, payload)
+      RETURNING id, subscription_id, event_type, payload, attempts
+    `, [subscriptions.map(subscription => subscription.id), eventId, event.event_type, payloads]);
+
+    // ✅ First attempt right away - failures are picked up by processDue()
+    const byId = new Map(subscriptions.map(subscription => [subscription.id, subscription]));
+    for (const delivery of result.rows) {
+      this.deliver(delivery, byId.get(delivery.subscription_id)).catch(error => {
+        logger.error('🪝 Webhook delivery crashed', { delivery_id: delivery.id, error: error.message });
+      });
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Send a delivery once and record the outcome
+   * @param {Object} delivery - { id, event_type, payload, attempts } (status already 'delivering')
+   * @param {Object} subscription - { id, url, secret }
+   * @returns {Promise<Object>} - { delivered, status_code, error, status }
+   */
+  async deliver(delivery, subscription) {
+    const attempt = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({ delivery_id: delivery.id, ...delivery.payload });
+    const startedAt = Date.now();
+
+    let statusCode = null;
+    let error = null;
+    let responseBody = null;
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'FlappyJet-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(body, subscription.secret, timestamp)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      statusCode = response.status;
+      responseBody = (await response.text()).substring(0, 1024);
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (fetchError) {
+      error = fetchError.name === 'TimeoutError'
+        ? `Timed out after ${this.timeoutMs}ms`
+        : (fetchError.cause && fetchError.cause.message) || fetchError.message;
+    }
+
+    const delivered = error === null;
+    const status = delivered ? 'succeeded' : (attempt >= this.maxAttempts ? 'failed' : 'pending');
+
+    // Log numbering continues across replays (attempts is the current retry budget)
+    await this.db.query(`
+      INSERT INTO webhook_delivery_attempts (delivery_id, attempt, status_code, error, response_body, duration_ms)
+      SELECT $1, COALESCE(MAX(attempt), 0) + 1, $2, $3, $4, $5
+      FROM webhook_delivery_attempts
+      WHERE delivery_id = $1
+    `, [delivery.id, statusCode, error, responseBody, Date.now() - startedAt]);
+
+    await this.db.query(`
+      UPDATE webhook_deliveries
+      SET status = $2,
+          attempts = $3,
+          last_status_code = $4,
+          last_error = $5,
+          next_attempt_at = NOW() + ($6 * INTERVAL '1 millisecond'),
+          delivered_at = CASE WHEN $2 = 'succeeded' THEN NOW() ELSE delivered_at END,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [delivery.id, status, attempt, statusCode, error, delivered ? 0 : this.getBackoffMs(attempt)]);
+
+    await this.db.query(delivered ? `
+      UPDATE webhook_subscriptions
+      SET consecutive_failures = 0, last_success_at = NOW()
+      WHERE id = $1
+    ` : `
+      UPDATE webhook_subscriptions
+      SET consecutive_failures = consecutive_failures + 1, last_failure_at = NOW()
+      WHERE id = $1
+    `, [subscription.id]);
+
+    if (status === 'failed') {
+      logger.warn('🪝 Webhook delivery failed permanently', {
+        delivery_id: delivery.id,
+        subscription_id: subscription.id,
+        attempts: attempt,
+        error
+      });
+    } else if (!delivered) {
+      logger.debug('🪝 Webhook delivery will be retried', { delivery_id: delivery.id, attempt, error });
+    }
+
+    return { delivered, status_code: statusCode, error, status };
+  }
+
+  /**
+   * Retry delay after an attempt: backoffBaseMs * 2^(attempt - 1)
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} - Milliseconds
+   */
+  getBackoffMs(attempt) {
+    return this.backoffBaseMs * Math.pow(2, attempt - 1);
+  }
+
+  /**
+   * Send deliveries whose retry is due (cron)
+   * Rows left in 'delivering' by a crashed instance are retried after 5 minutes
+   * @returns {Promise<Object>} - { processed, succeeded, failed } or { skipped: true }
+   */
+  async processDue() {
+    if (this.isProcessing) {
+      return { skipped: true };
+    }
+
+    this.isProcessing = true;
+    const summary = { processed: 0, succeeded: 0, failed: 0 };
+
+    try {
+      const result = await this.db.query(`
+        UPDATE webhook_deliveries d
+        SET status = 'delivering', updated_at = NOW()
+        FROM webhook_subscriptions s
+        WHERE d.subscription_id = s.id
+          AND d.id IN (
+            SELECT id FROM webhook_deliveries
+            WHERE (status = 'pending' AND next_attempt_at <= NOW())
+               OR (status = 'delivering' AND updated_at < NOW() - INTERVAL '5 minutes')
+            ORDER BY next_attempt_at
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+          )
+        RETURNING d.id, d.event_type, d.payload, d.attempts, s.id as subscription_id, s.url, s.secret, s.is_active
+      `, [this.batchSize]);
+
+      for (const row of result.rows) {
+        // Paused subscription - keep the delivery for when it is re-enabled
+        if (!row.is_active) {
+          await this.db.query(`
+            UPDATE webhook_deliveries
+            SET status = 'pending', next_attempt_at = NOW() + INTERVAL '5 minutes', updated_at = NOW()
+            WHERE id = $1
+          `, [row.id]);
+          continue;
+        }
+
+        const outcome = await this.deliver(row, { id: row.subscription_id, url: row.url, secret: row.secret });
+        summary.processed++;
+        if (outcome.delivered) summary.succeeded++;
+        if (outcome.status === 'failed') summary.failed++;
+      }
+
+      if (summary.processed > 0) {
+        logger.info('🪝 Webhook retries processed', summary);
+      }
+
+      return summary;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Replay a delivery (any status) - sent immediately with a fresh attempt budget
+   * @param {number} deliveryId
+   * @returns {Promise<Object|null>} - Outcome of the attempt (null if not found or in flight)
+   */
+  async replay(deliveryId) {
+    const result = await this.db.query(`
+      UPDATE webhook_deliveries d
+      SET status = 'delivering', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+      FROM webhook_subscriptions s
+      WHERE d.subscription_id = s.id
+        AND d.id = $1
+        AND d.status <> 'delivering'
+      RETURNING d.id, d.event_type, d.payload, d.attempts, s.id as subscription_id, s.url, s.secret
+    `, [deliveryId]);
+
+    const row = result.rows[0];
+    if (!row) {
+      return null;
+    }
+
+    logger.info('🪝 Replaying webhook delivery', { delivery_id: row.id, subscription_id: row.subscription_id });
+    return this.deliver(row, { id: row.subscription_id, url: row.url, secret: row.secret });
+  }
+
+  /**
+   * Re-queue failed deliveries of a subscription (sent by the next processDue run)
+   * @param {number} subscriptionId
+   * @param {Object} options
+   * @param {string} options.since - Only deliveries created after this ISO date
+   * @returns {Promise<number>} - Deliveries re-queued
+   */
+  async replayFailed(subscriptionId, { since = null } = {}) {
+    const result = await this.db.query(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+      WHERE subscription_id = $1
+        AND status = 'failed'
+        AND ($2::timestamptz IS NULL OR created_at >= $2::timestamptz)
+    `, [subscriptionId, since]);
+
+    logger.info('🪝 Failed webhook deliveries re-queued', { subscription_id: subscriptionId, count: result.rowCount });
+    return result.rowCount;
+  }
+
+  /**
+   * List deliveries of a subscription (newest first, without payloads)
+   * @param {number} subscriptionId
+   * @param {Object} filters - { status, limit, offset }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listDeliveries(subscriptionId, { status, limit = 100, offset = 0 } = {}) {
+    const params = [subscriptionId];
+    let statusFilter = '';
+
+    if (status) {
+      params.push(status);
+      statusFilter = `AND status = $${params.length}`;
+    }
+
+    params.push(Math.min(parseInt(limit) || 100, 500));
+    params.push(parseInt(offset) || 0);
+
+    const result = await this.db.query(`
+      SELECT
+        id, event_id, event_type, status, attempts, next_attempt_at,
+        last_status_code, last_error, created_at, delivered_at
+      FROM webhook_deliveries
+      WHERE subscription_id = $1 ${statusFilter}
+      ORDER BY created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Get a delivery with its payload and attempt log
+   * @param {number} deliveryId
+   * @returns {Promise<Object|null>}
+   */
+  async getDelivery(deliveryId) {
+    const result = await this.db.query('SELECT * FROM webhook_deliveries WHERE id = $1', [deliveryId]);
+    if (!result.rows[0]) {
+      return null;
+    }
+
+    const attempts = await this.db.query(`
+      SELECT attempt, status_code, error, response_body, duration_ms, attempted_at
+      FROM webhook_delivery_attempts
+      WHERE delivery_id = $1
+      ORDER BY attempt
+    `, [deliveryId]);
+
+    return { ...result.rows[0], attempt_log: attempts.rows };
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  async _getActiveSubscriptions() {
+    if (this.subscriptionCache && Date.now() - this.subscriptionCacheAt < this.subscriptionCacheMs) {
+      return this.subscriptionCache;
+    }
+
+    const result = await this.db.query(`
+      SELECT id, url, event_types, secret
+      FROM webhook_subscriptions
+      WHERE is_active = true
+    `);
+
+    this.subscriptionCache = result.rows;
+    this.subscriptionCacheAt = Date.now();
+    return this.subscriptionCache;
+  }
+
+  _invalidateCache() {
+    this.subscriptionCache = null;
+  }
+
+  _matches(subscription, eventType) {
+    return subscription.event_types.includes(WILDCARD) || subscription.event_types.includes(eventType);
+  }
+}
+
+WebhookDispatcher.signPayload = signPayload;
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,690 @@
+/**
+ * WebSocket Manager
+ * Real-time channel for players (tournament / prize notifications) and live ops
+ *
+ * This service:
+ * 1. Accepts authenticated connections on /ws (?token=, Authorization or X-API-Key):
+ *    player JWTs, and admin session tokens / fjk_ API keys resolved like
+ *    middleware/admin-auth.js
+ * 2. Puts every player connection in its player room (player_<playerId>), so
+ *    notifyPlayer() reaches all of a player's devices
+ * 3. Lets clients join tournament rooms (tournament_<id>) for broadcastToRoom(),
+ *    answering with a snapshot (current leaderboard + own rank)
+ * 4. Numbers room messages (seq) and keeps the last few per room, so a client
+ *    that reconnects within 5 minutes resumes without missing notifications
+ * 5. Streams a live tail of ingested events to admins with events:read, filtered by
+ *    event_type, country and platform
+ * 6. Keeps idle mobile sockets from piling up: heartbeat pings, idle timeout,
+ *    max connections per player, and slow consumers are cut off (they resume)
+ *
+ * Client messages (JSON):
+ *   { "type": "join", "room": "tournament_42" }                  -> joined + snapshot
+ *   { "type": "join", "room": "tournament_42", "since": 1017 }   -> joined + missed messages
+ *   { "type": "resume", "rooms": { "tournament_42": 1017, "player_abc": 88 } }
+ *   { "type": "leave", "room": "tournament_42" }
+ *   { "type": "live_tail.subscribe", "filters": { "event_types": [...], "countries": [...], "platforms": [...] } }
+ *   { "type": "live_tail.unsubscribe" }
+ *   { "type": "ping" }                                           -> also keeps the socket from idling out
+ *
+ * Room messages carry { room, seq }. When the missed messages are no longer
+ * buffered the client gets { type: "resync", room } followed by a fresh snapshot.
+ *
+ * Rooms and the live tail are per instance - a player connected to another
+ * instance doesn't receive this instance's notifications.
+ */
+
+const { URL } = require('url');
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const logger = require('../utils/logger');
+const { validateToken } = require('../middleware/auth');
+const { resolveAdmin } = require('../middleware/admin-auth');
+const AdminIdentityService = require('./admin-identity');
+
+// Rooms players may join themselves (player rooms are joined on connect)
+const JOINABLE_ROOM_PREFIXES = ['tournament_'];
+
+// Admin permission for the live tail and for joining rooms players cannot join
+const ADMIN_ROOM_PERMISSION = 'events:read';
+
+// Skip live tail events for a client whose send buffer is this far behind
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// Disconnect a client this far behind on room messages (it resumes on reconnect)
+const SLOW_CLIENT_BUFFERED_BYTES = 4 * 1024 * 1024;
+
+class WebSocketManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.server - HTTP server to attach to
+   * @param {string} options.path - Upgrade path
+   * @param {number} options.pingInterval - Heartbeat interval (ms)
+   * @param {number} options.idleTimeout - Close sockets that send nothing for this long (ms)
+   * @param {number} options.maxPayload - Max incoming message size (bytes)
+   * @param {number} options.maxConnections - Max concurrent connections per instance
+   * @param {number} options.maxConnectionsPerPlayer - Older connections are closed beyond this
+   * @param {number} options.maxRoomsPerConnection - Rooms a client may join besides its player room
+   * @param {number} options.maxMessagesPerSecond - Incoming messages per connection
+   * @param {number} options.resumeWindow - How long missed room messages are kept (ms)
+   * @param {number} options.resumeBufferSize - Messages kept per room
+   * @param {Object} options.db - PostgreSQL pool (admin sessions and API keys)
+   * @param {Object} options.adminIdentity - AdminIdentityService (default: from db)
+   */
+  constructor({
+    server,
+    path = '/ws',
+    pingInterval = 30000,
+    idleTimeout = 10 * 60 * 1000,
+    maxPayload = 16 * 1024,
+    maxConnections = 1000,
+    maxConnectionsPerPlayer = 3,
+    maxRoomsPerConnection = 5,
+    maxMessagesPerSecond = 10,
+    resumeWindow = 5 * 60 * 1000,
+    resumeBufferSize = 50,
+    db = null,
+    adminIdentity = new AdminIdentityService(db)
+  }) {
+    this.server = server;
+    this.path = path;
+    this.pingInterval = pingInterval;
+    this.idleTimeout = idleTimeout;
+    this.maxPayload = maxPayload;
+    this.maxConnections = maxConnections;
+    this.maxConnectionsPerPlayer = maxConnectionsPerPlayer;
+    this.maxRoomsPerConnection = maxRoomsPerConnection;
+    this.maxMessagesPerSecond = maxMessagesPerSecond;
+    this.resumeWindow = resumeWindow;
+    this.resumeBufferSize = resumeBufferSize;
+    this.adminIdentity = adminIdentity;
+
+    this.wss = null;
+    this.heartbeat = null;
+    this.clients = new Map(); // clientId -> client
+    this.rooms = new Map(); // room -> Set<client>
+    this.roomHistory = new Map(); // room -> { seq, messages: [{ seq, data }], updatedAt }
+    this.snapshotProviders = []; // [{ prefix, provider }]
+    this.liveTailClients = new Set();
+    this._onUpgrade = this._handleUpgrade.bind(this);
+
+    this.stats = {
+      connections_total: 0,
+      connections_rejected: 0,
+      connections_replaced: 0,
+      connections_idle_closed: 0,
+      slow_clients_dropped: 0,
+      messages_sent: 0,
+      messages_replayed: 0,
+      live_tail_events_sent: 0,
+      live_tail_events_dropped: 0,
+    };
+  }
+
+  /**
+   * Attach to the HTTP server
+   */
+  start() {
+    if (this.wss) return;
+
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: this.maxPayload });
+    this.server.on('upgrade', this._onUpgrade);
+
+    this.heartbeat = setInterval(() => this._checkHeartbeats(), this.pingInterval);
+    if (this.heartbeat.unref) this.heartbeat.unref();
+
+    logger.info(`🌐 WebSocket Manager listening on ${this.path}`);
+  }
+
+  /**
+   * Close all connections and detach from the HTTP server
+   */
+  async close() {
+    if (!this.wss) return;
+
+    clearInterval(this.heartbeat);
+    this.server.removeListener('upgrade', this._onUpgrade);
+
+    for (const client of this.clients.values()) {
+      client.ws.close(1001, 'Server shutting down');
+    }
+
+    await new Promise(resolve => this.wss.close(() => resolve()));
+    this.wss = null;
+    logger.info('🌐 ✅ WebSocket Manager closed');
+  }
+
+  /**
+   * Answer joins of rooms with this prefix with a snapshot
+   * @param {string} prefix - e.g. 'tournament_'
+   * @param {Function} provider - async (roomSuffix, playerId) => Object|null
+   */
+  registerRoomSnapshot(prefix, provider) {
+    this.snapshotProviders.push({ prefix, provider });
+  }
+
+  /**
+   * Send a message to all connections of a player
+   * @param {string} playerId
+   * @param {Object} message
+   * @returns {Promise<number>} - Connections reached
+   */
+  async notifyPlayer(playerId, message) {
+    return this.broadcastToRoom(`player_${playerId}`, message);
+  }
+
+  /**
+   * Send a message to several players
+   * @param {Array<string>} playerIds
+   * @param {Object} message
+   * @param {Object} options
+   * @param {string} options.excludeRoom - Skip connections already in this room (got the room broadcast)
+   * @returns {Promise<number>} - Connections reached
+   */
+  async notifyPlayers(playerIds, message, { excludeRoom = null } = {}) {
+    const exclude = excludeRoom ? this.rooms.get(excludeRoom) : null;
+    let sent = 0;
+    for (const playerId of new Set(playerIds)) {
+      sent += this._deliver(`player_${playerId}`, message, exclude);
+    }
+    return sent;
+  }
+
+  /**
+   * Send a message to every client in a room
+   * @param {string} room
+   * @param {Object} message
+   * @returns {Promise<number>} - Connections reached
+   */
+  async broadcastToRoom(room, message) {
+    return this._deliver(room, message);
+  }
+
+  /**
+   * Send a message to every connected client
+   * @param {Object} message
+   * @returns {Promise<number>} - Connections reached
+   */
+  async broadcastGlobal(message) {
+    const data = JSON.stringify(message);
+    let sent = 0;
+    for (const client of [...this.clients.values()]) {
+      if (this._sendRaw(client, data)) sent++;
+    }
+    return sent;
+  }
+
+  /**
+   * Stream a stored event to live tail subscribers (called by EventProcessor)
+   * @param {Object} event - Validated, enriched event
+   * @param {string} eventId - Stored event ID
+   */
+  publishEvent(event, eventId) {
+    if (this.liveTailClients.size === 0) return;
+
+    let data = null;
+    for (const client of [...this.liveTailClients]) {
+      if (!this._matchesFilters(client.liveTail, event)) continue;
+
+      if (client.ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+        client.liveTail.dropped++;
+        this.stats.live_tail_events_dropped++;
+        continue;
+      }
+
+      // Tell the client it missed events while it was behind
+      if (client.liveTail.dropped > 0) {
+        this._send(client, { type: 'live_tail.dropped', count: client.liveTail.dropped });
+        client.liveTail.dropped = 0;
+      }
+
+      data = data || JSON.stringify({ type: 'event', event_id: eventId, event });
+      if (this._sendRaw(client, data)) this.stats.live_tail_events_sent++;
+    }
+  }
+
+  /**
+   * Connection and room counts (for /health)
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      connections: this.clients.size,
+      rooms: this.rooms.size,
+      resumable_rooms: this.roomHistory.size,
+      live_tail_subscribers: this.liveTailClients.size,
+    };
+  }
+
+  // ==========================================================================
+  // Connections
+  // ==========================================================================
+
+  async _handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== this.path) {
+      socket.destroy();
+      return;
+    }
+
+    const authHeader = req.headers['authorization'];
+    const credential = url.searchParams.get('token') || req.headers['x-api-key'] || (authHeader && authHeader.split(' ')[1]);
+
+    let identity;
+    try {
+      identity = await this._authenticate(req, credential);
+    } catch (error) {
+      logger.error('🌐 WebSocket authentication error', { error: error.message });
+      this._rejectUpgrade(socket, '503 Service Unavailable');
+      return;
+    }
+
+    if (!identity) {
+      this._rejectUpgrade(socket, '401 Unauthorized');
+      return;
+    }
+
+    if (this.clients.size >= this.maxConnections) {
+      logger.warn('🌐 WebSocket connection limit reached', { max: this.maxConnections });
+      this._rejectUpgrade(socket, '503 Service Unavailable');
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => this._onConnection(ws, identity));
+  }
+
+  /**
+   * Resolve a connection credential
+   * Admins as in middleware/admin-auth.js (legacy admin players keep their player room)
+   * @returns {Promise<Object|null>} - { playerId, admin } (playerId null for admin sessions
+   *   and API keys, admin null for players)
+   */
+  async _authenticate(req, credential) {
+    if (!credential) return null;
+
+    const admin = await resolveAdmin(req, { credential, identityService: this.adminIdentity });
+    if (admin) {
+      return { playerId: admin.player_id || null, admin };
+    }
+
+    const decoded = AdminIdentityService.isApiKey(credential) ? null : validateToken(credential);
+    return decoded && decoded.playerId && decoded.type !== 'admin'
+      ? { playerId: decoded.playerId, admin: null }
+      : null;
+  }
+
+  _rejectUpgrade(socket, status) {
+    this.stats.connections_rejected++;
+    socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+  }
+
+  _onConnection(ws, identity) {
+    const client = {
+      id: crypto.randomUUID(),
+      ws,
+      playerId: identity.playerId,
+      admin: identity.admin,
+      isAdmin: Boolean(identity.admin),
+      rooms: new Set(),
+      liveTail: null,
+      isAlive: true,
+      lastMessageAt: Date.now(),
+      messageWindow: { startedAt: Date.now(), count: 0 },
+    };
+
+    // Reinstalls / flaky networks leave stale sockets behind - keep the newest ones
+    const playerRoom = client.playerId ? `player_${client.playerId}` : null;
+    const existing = playerRoom ? [...(this.rooms.get(playerRoom) || [])] : [];
+    for (const stale of existing.slice(0, Math.max(existing.length - this.maxConnectionsPerPlayer + 1, 0))) {
+      this.stats.connections_replaced++;
+      stale.ws.close(4001, 'Replaced by a newer connection');
+      this._onClose(stale);
+    }
+
+    this.clients.set(client.id, client);
+    this.stats.connections_total++;
+    if (playerRoom) this._join(client, playerRoom);
+
+    ws.on('pong', () => { client.isAlive = true; });
+    ws.on('message', (data) => this._onMessage(client, data));
+    ws.on('close', () => this._onClose(client));
+    ws.on('error', (error) => {
+      logger.debug('🌐 WebSocket client error', { client_id: client.id, error: error.message });
+    });
+
+    logger.debug('🌐 WebSocket client connected', {
+      client_id: client.id,
+      player_id: client.playerId,
+      admin_role: client.admin ? client.admin.role : null
+    });
+
+    this._send(client, {
+      type: 'connected',
+      client_id: client.id,
+      player_id: client.playerId,
+      is_admin: client.isAdmin,
+      permissions: client.admin ? AdminIdentityService.permissionsFor(client.admin.role) : [],
+      player_room: playerRoom,
+      seq: playerRoom ? this._roomState(playerRoom).seq : null,
+      heartbeat_interval_seconds: this.pingInterval / 1000,
+      idle_timeout_seconds: this.idleTimeout / 1000,
+      resume_window_seconds: this.resumeWindow / 1000,
+    });
+  }
+
+  _onClose(client) {
+    if (!this.clients.has(client.id)) return;
+
+    for (const room of client.rooms) {
+      this._leave(client, room);
+    }
+    this.liveTailClients.delete(client);
+    this.clients.delete(client.id);
+
+    logger.debug('🌐 WebSocket client disconnected', { client_id: client.id, player_id: client.playerId });
+  }
+
+  _checkHeartbeats() {
+    const now = Date.now();
+
+    for (const client of [...this.clients.values()]) {
+      if (!client.isAlive) {
+        client.ws.terminate();
+        this._onClose(client);
+        continue;
+      }
+
+      // Backgrounded apps keep answering pings at the OS level - close sockets nobody uses
+      if (now - client.lastMessageAt > this.idleTimeout) {
+        this.stats.connections_idle_closed++;
+        client.ws.close(4000, 'Idle timeout');
+        this._onClose(client);
+        continue;
+      }
+
+      client.isAlive = false;
+      client.ws.ping();
+    }
+
+    // Forget room history past the resume window
+    for (const [room, state] of this.roomHistory) {
+      if (now - state.updatedAt > this.resumeWindow) {
+        this.roomHistory.delete(room);
+      }
+    }
+  }
+
+  // ==========================================================================
+  // Messages
+  // ==========================================================================
+
+  _onMessage(client, data) {
+    const now = Date.now();
+    client.lastMessageAt = now;
+
+    if (now - client.messageWindow.startedAt >= 1000) {
+      client.messageWindow = { startedAt: now, count: 0 };
+    }
+    if (++client.messageWindow.count > this.maxMessagesPerSecond) {
+      this._sendError(client, 'Rate limit exceeded');
+      client.ws.close(1008, 'Rate limit exceeded');
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString('utf8'));
+    } catch (error) {
+      return this._sendError(client, 'Invalid JSON');
+    }
+
+    if (!message || typeof message.type !== 'string') {
+      return this._sendError(client, 'Message type is required');
+    }
+
+    switch (message.type) {
+      case 'ping':
+        return this._send(client, { type: 'pong', timestamp: new Date().toISOString() });
+
+      case 'join':
+        return this._handleJoin(client, message.room, message.since);
+
+      case 'resume':
+        return this._handleResume(client, message.rooms);
+
+      case 'leave':
+        if (typeof message.room !== 'string' || message.room === `player_${client.playerId}`) {
+          return this._sendError(client, 'Cannot leave this room');
+        }
+        this._leave(client, message.room);
+        return this._send(client, { type: 'left', room: message.room });
+
+      case 'live_tail.subscribe':
+        return this._handleLiveTailSubscribe(client, message.filters);
+
+      case 'live_tail.unsubscribe':
+        this.liveTailClients.delete(client);
+        client.liveTail = null;
+        return this._send(client, { type: 'live_tail.unsubscribed' });
+
+      default:
+        return this._sendError(client, `Unknown message type: ${message.type}`);
+    }
+  }
+
+  /**
+   * Join a room, then send either the messages missed since `since` or a snapshot
+   */
+  async _handleJoin(client, room, since) {
+    if (typeof room !== 'string' || room.length > 100) {
+      return this._sendError(client, 'Room is required');
+    }
+
+    const ownRoom = Boolean(client.playerId) && room === `player_${client.playerId}`;
+    const joinable = ownRoom || this._can(client, ADMIN_ROOM_PERMISSION) ||
+      JOINABLE_ROOM_PREFIXES.some(prefix => room.startsWith(prefix));
+    if (!joinable) {
+      return this._sendError(client, `Cannot join room: ${room}`);
+    }
+
+    // The player room doesn't count towards the limit
+    if (!client.rooms.has(room) && client.rooms.size > this.maxRoomsPerConnection) {
+      return this._sendError(client, `Room limit reached (${this.maxRoomsPerConnection})`);
+    }
+
+    this._join(client, room);
+    const state = this._roomState(room);
+    this._send(client, { type: 'joined', room, seq: state.seq });
+
+    if (Number.isInteger(since)) {
+      if (this._replay(client, state, since)) return;
+      this._send(client, { type: 'resync', room });
+    }
+
+    if (!ownRoom) {
+      await this._sendSnapshot(client, room);
+    }
+  }
+
+  async _handleResume(client, rooms) {
+    if (!rooms || typeof rooms !== 'object' || Array.isArray(rooms)) {
+      return this._sendError(client, 'rooms must be an object of { room: lastSeq }');
+    }
+
+    for (const [room, since] of Object.entries(rooms).slice(0, this.maxRoomsPerConnection + 1)) {
+      await this._handleJoin(client, room, since);
+    }
+
+    this._send(client, { type: 'resumed', rooms: [...client.rooms] });
+  }
+
+  /**
+   * Re-send buffered messages after `since`
+   * @returns {boolean} - false when some of them are no longer buffered
+   */
+  _replay(client, state, since) {
+    if (since > state.seq) return false; // seq from before a restart
+    if (since === state.seq) return true;
+
+    const oldest = state.messages.length > 0 ? state.messages[0].seq : state.seq + 1;
+    if (oldest > since + 1) return false;
+
+    for (const message of state.messages) {
+      if (message.seq > since && this._sendRaw(client, message.data)) {
+        this.stats.messages_replayed++;
+      }
+    }
+    return true;
+  }
+
+  async _sendSnapshot(client, room) {
+    const match = this.snapshotProviders.find(({ prefix }) => room.startsWith(prefix));
+    if (!match) return;
+
+    try {
+      const snapshot = await match.provider(room.slice(match.prefix.length), client.playerId);
+      if (snapshot) {
+        this._send(client, { type: 'snapshot', room, seq: this._roomState(room).seq, data: snapshot });
+      }
+    } catch (error) {
+      logger.warn('🌐 Room snapshot failed', { room, error: error.message });
+    }
+  }
+
+  _handleLiveTailSubscribe(client, filters = {}) {
+    if (!client.isAdmin) {
+      return this._sendError(client, 'Admin access required');
+    }
+    if (!this._can(client, ADMIN_ROOM_PERMISSION)) {
+      return this._sendError(client, `Permission required: ${ADMIN_ROOM_PERMISSION}`);
+    }
+
+    const list = (value, normalize) => (Array.isArray(value) && value.length > 0)
+      ? new Set(value.filter(item => typeof item === 'string').map(normalize))
+      : null;
+
+    client.liveTail = {
+      eventTypes: list(filters && filters.event_types, value => value),
+      countries: list(filters && filters.countries, value => value.toUpperCase()),
+      platforms: list(filters && filters.platforms, value => value.toLowerCase()),
+      dropped: 0,
+    };
+    this.liveTailClients.add(client);
+
+    logger.info('🌐 Live tail subscribed', {
+      client_id: client.id,
+      admin: client.admin.email || client.admin.player_id,
+      filters
+    });
+
+    this._send(client, {
+      type: 'live_tail.subscribed',
+      filters: {
+        event_types: client.liveTail.eventTypes ? [...client.liveTail.eventTypes] : null,
+        countries: client.liveTail.countries ? [...client.liveTail.countries] : null,
+        platforms: client.liveTail.platforms ? [...client.liveTail.platforms] : null,
+      }
+    });
+  }
+
+  /**
+   * Whether the client's admin role has a permission (players never do)
+   */
+  _can(client, permission) {
+    return Boolean(client.admin) && AdminIdentityService.can(client.admin.role, permission);
+  }
+
+  _matchesFilters(filters, event) {
+    if (filters.eventTypes && !filters.eventTypes.has(event.event_type)) return false;
+    if (filters.countries && !filters.countries.has(String(event.country || '').toUpperCase())) return false;
+    if (filters.platforms && !filters.platforms.has(String(event.platform || '').toLowerCase())) return false;
+    return true;
+  }
+
+  // ==========================================================================
+  // Rooms
+  // ==========================================================================
+
+  _join(client, room) {
+    if (!this.rooms.has(room)) this.rooms.set(room, new Set());
+    this.rooms.get(room).add(client);
+    client.rooms.add(room);
+  }
+
+  _leave(client, room) {
+    const members = this.rooms.get(room);
+    if (members) {
+      members.delete(client);
+      if (members.size === 0) this.rooms.delete(room);
+    }
+    client.rooms.delete(room);
+  }
+
+  /**
+   * Sequence state of a room
+   * Counters start at the current time, so seqs keep growing after the
+   * state is forgotten (or the server restarts) and stale seqs trigger a resync.
+   */
+  _roomState(room) {
+    let state = this.roomHistory.get(room);
+    if (!state) {
+      state = { seq: Date.now(), messages: [], updatedAt: Date.now() };
+      this.roomHistory.set(room, state);
+    }
+    return state;
+  }
+
+  /**
+   * Number a room message, buffer it for resumes and send it to the members
+   */
+  _deliver(room, message, exclude = null) {
+    const state = this._roomState(room);
+    state.seq++;
+    state.updatedAt = Date.now();
+
+    const data = JSON.stringify({ ...message, room, seq: state.seq });
+    state.messages.push({ seq: state.seq, data });
+    if (state.messages.length > this.resumeBufferSize) state.messages.shift();
+
+    const members = this.rooms.get(room);
+    if (!members) return 0;
+
+    let sent = 0;
+    for (const client of [...members]) {
+      if (exclude && exclude.has(client)) continue;
+      if (this._sendRaw(client, data)) sent++;
+    }
+    return sent;
+  }
+
+  // ==========================================================================
+  // Sending
+  // ==========================================================================
+
+  _send(client, message) {
+    return this._sendRaw(client, JSON.stringify(message));
+  }
+
+  _sendError(client, error) {
+    return this._send(client, { type: 'error', error });
+  }
+
+  _sendRaw(client, data) {
+    if (client.ws.readyState !== WebSocket.OPEN) return false;
+
+    // Backpressure: a socket this far behind is on a dead network - drop it, it resumes
+    if (client.ws.bufferedAmount > SLOW_CLIENT_BUFFERED_BYTES) {
+      this.stats.slow_clients_dropped++;
+      client.ws.terminate();
+      this._onClose(client);
+      return false;
+    }
+
+    client.ws.send(data);
+    this.stats.messages_sent++;
+    return true;
+  }
+}
+
+module.exports = WebSocketManager;
@@ -11,6 +11,14 @@ const mockDb = {
   query: jest.fn(),
 };
 
+jest.mock('../../middleware/admin-auth', () => ({
+  adminRoute: () => (req, res, next) => {
+    req.admin = { id: 1, email: 'admin@example.com', role: 'superadmin', auth: 'session' };
+    req.user = { playerId: 'admin_player', isAdmin: true };
+    next();
+  },
+}));
+
 // Mock Firebase service
 jest.mock('../../services/firebase-messaging-service', () => ({
   initialize: jest.fn().mockResolvedValue(undefined),
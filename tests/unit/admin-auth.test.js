@@ -0,0 +1,183 @@
+/**
+ * Unit Tests for Admin Identity and Admin Auth Middleware
+ * Tests role permissions, credential resolution, audit logging and API key limits
+ */
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const AdminIdentityService = require('../../services/admin-identity');
+const { adminRoute, auditParams } = require('../../middleware/admin-auth');
+const { generateToken } = require('../../middleware/auth');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'flappyjet-dev-secret-change-in-production';
+
+describe('AdminIdentityService', () => {
+  test('should grant permissions by role', () => {
+    expect(AdminIdentityService.can('viewer', 'dashboard:read')).toBe(true);
+    expect(AdminIdentityService.can('viewer', 'events:read')).toBe(false);
+    expect(AdminIdentityService.can('analyst', 'events:export')).toBe(true);
+    expect(AdminIdentityService.can('live_ops', 'liveops:manage')).toBe(true);
+    expect(AdminIdentityService.can('live_ops', 'data:manage')).toBe(false);
+    expect(AdminIdentityService.permissionsFor('superadmin')).toEqual(Object.keys(AdminIdentityService.ROLE_PERMISSIONS));
+  });
+
+  test('should reject unknown permissions', () => {
+    expect(() => AdminIdentityService.can('superadmin', 'events:delete')).toThrow('Unknown admin permission');
+    expect(() => adminRoute('events:delete')).toThrow('Unknown admin permission');
+  });
+
+  test('should not let an API key exceed its owner role', async () => {
+    const db = { query: jest.fn().mockResolvedValue({ rows: [{ id: 3, role: 'analyst', is_active: true }] }) };
+    const service = new AdminIdentityService(db);
+
+    await expect(service.createApiKey(3, { name: 'ci', role: 'superadmin' }))
+      .rejects.toMatchObject({ status: 400, field: 'role' });
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not let a live_ops owner mint an analyst key', async () => {
+    const db = { query: jest.fn().mockResolvedValue({ rows: [{ id: 4, role: 'live_ops', is_active: true }] }) };
+    const service = new AdminIdentityService(db);
+
+    // analyst ranks below live_ops but holds events:export and analytics:manage, which live_ops lacks
+    await expect(service.createApiKey(4, { name: 'export', role: 'analyst' }))
+      .rejects.toMatchObject({ status: 400, field: 'role' });
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('should store only the hash of a new API key', async () => {
+    const db = { query: jest.fn() };
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 3, role: 'analyst', is_active: true }] })
+      .mockResolvedValueOnce({ rows: [{ id: 9, key_prefix: 'abcd1234' }] });
+    const service = new AdminIdentityService(db);
+
+    const { key } = await service.createApiKey(3, { name: 'ci', role: 'viewer', expires_in_days: 30 });
+
+    expect(AdminIdentityService.isApiKey(key)).toBe(true);
+    const params = db.query.mock.calls[1][1];
+    expect(params).not.toContain(key);
+    expect(params[3]).toMatch(/^[0-9a-f]{64}$/);
+    expect(params[4]).toBe('viewer');
+  });
+
+  test('should reject short passwords', async () => {
+    const service = new AdminIdentityService({ query: jest.fn() });
+
+    await expect(service.createUser({ email: 'ops@example.com', password: 'short', role: 'viewer' }))
+      .rejects.toMatchObject({ status: 400, field: 'password' });
+  });
+});
+
+describe('adminRoute middleware', () => {
+  let app;
+  let identity;
+  let originalAdminPlayers;
+
+  const auditCalls = () => identity.recordAudit.mock.calls.map(([entry]) => entry);
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeAll(() => {
+    originalAdminPlayers = process.env.ADMIN_PLAYER_IDS;
+  });
+
+  afterAll(() => {
+    process.env.ADMIN_PLAYER_IDS = originalAdminPlayers;
+  });
+
+  beforeEach(() => {
+    process.env.ADMIN_PLAYER_IDS = 'legacy_admin';
+
+    identity = {
+      verifyApiKey: jest.fn().mockResolvedValue(null),
+      verifySessionToken: jest.fn().mockResolvedValue(null),
+      recordAudit: jest.fn().mockResolvedValue(undefined)
+    };
+
+    app = express();
+    app.use(express.json());
+    app.locals.adminIdentity = identity;
+    app.get('/read', adminRoute('events:read'), (req, res) => res.json({ success: true, by: req.user.playerId }));
+    app.post('/manage', adminRoute('events:manage'), (req, res) => res.json({ success: true }));
+  });
+
+  test('should require credentials', async () => {
+    const response = await request(app).get('/read');
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('ADMIN_AUTH_REQUIRED');
+  });
+
+  test('should reject player tokens that are not admins', async () => {
+    const response = await request(app)
+      .get('/read')
+      .set('Authorization', `Bearer ${generateToken({ playerId: 'player_1' })}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('ADMIN_AUTH_INVALID');
+  });
+
+  test('should accept legacy admin player tokens as superadmin', async () => {
+    const response = await request(app)
+      .get('/read')
+      .set('Authorization', `Bearer ${generateToken({ playerId: 'legacy_admin' })}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.by).toBe('legacy_admin');
+  });
+
+  test('should resolve admin session tokens and enforce the role', async () => {
+    identity.verifySessionToken.mockResolvedValue({ id: 5, email: 'viewer@example.com', role: 'viewer', auth: 'session' });
+    const token = jwt.sign({ type: 'admin', adminId: 5 }, JWT_SECRET);
+
+    const response = await request(app).get('/read').set('Authorization', `Bearer ${token}`);
+
+    expect(identity.verifySessionToken).toHaveBeenCalledWith(token);
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('ADMIN_PERMISSION_DENIED');
+  });
+
+  test('should audit mutating calls with redacted params', async () => {
+    identity.verifyApiKey.mockResolvedValue({ id: 7, email: 'ops@example.com', role: 'live_ops', auth: 'api_key', api_key_id: 2 });
+
+    const response = await request(app)
+      .post('/manage?dry_run=true')
+      .set('X-API-Key', 'fjk_abcd1234_secret')
+      .send({ limit: 10, password: 'hunter2hunter2' });
+    await flush();
+
+    expect(response.status).toBe(200);
+    expect(auditCalls()).toEqual([expect.objectContaining({
+      permission: 'events:manage',
+      method: 'POST',
+      path: '/manage',
+      statusCode: 200,
+      params: { params: {}, query: { dry_run: 'true' }, body: { limit: 10, password: '[redacted]' } }
+    })]);
+  });
+
+  test('should audit denied mutating calls but not reads', async () => {
+    identity.verifyApiKey.mockResolvedValue({ id: 8, email: 'analyst@example.com', role: 'analyst', auth: 'api_key' });
+
+    await request(app).get('/read').set('X-API-Key', 'fjk_abcd1234_secret');
+    const response = await request(app).post('/manage').set('X-API-Key', 'fjk_abcd1234_secret').send({});
+    await flush();
+
+    expect(response.status).toBe(403);
+    expect(auditCalls()).toEqual([expect.objectContaining({ path: '/manage', statusCode: 403 })]);
+  });
+
+  test('should summarize long arrays in audit params', () => {
+    expect(auditParams({ body: { ids: Array.from({ length: 50 }, (_, i) => i) } }))
+      .toEqual({ body: { ids: '[50 items]' } });
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * Unit Tests for Cohort Engine
+ * Tests definition validation, cohort ranges, matrix SQL and results, and the dashboard endpoints
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../../middleware/admin-auth', () => ({
+  adminRoute: () => (req, res, next) => next(),
+}));
+
+const CohortEngine = require('../../services/cohort-engine');
+const DashboardFilters = require('../../services/dashboard-filters');
+
+// Monday
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+describe('CohortEngine.normalizeDefinition', () => {
+  test('should default to install cohorts with any activity, daily and classic', () => {
+    expect(CohortEngine.normalizeDefinition()).toEqual({
+      cohort_event: 'install',
+      cohort_event_types: ['user_installed', 'app_launched'],
+      return_event: 'any_activity',
+      return_event_types: ['app_launched', 'game_started', 'level_started'],
+      granularity: 'day',
+      retention_type: 'classic',
+      periods: 30,
+      cohorts: 30,
+      time_basis: 'received_at'
+    });
+  });
+
+  test('should accept event types and granularity defaults', () => {
+    const definition = CohortEngine.normalizeDefinition({
+      cohort_event: 'tournament_entered',
+      return_event: 'game_ended',
+      granularity: 'week',
+      retention_type: 'rolling'
+    });
+
+    expect(definition).toMatchObject({
+      cohort_event_types: ['tournament_entered'],
+      return_event_types: ['game_ended'],
+      periods: 12,
+      cohorts: 12
+    });
+    expect(CohortEngine.normalizeDefinition({ cohort_event: 'first_purchase', granularity: 'month', periods: '3' }))
+      .toMatchObject({ cohort_event_types: ['purchase_completed'], periods: 3, cohorts: 6 });
+  });
+
+  test.each([
+    [{ granularity: 'year' }, 'granularity'],
+    [{ retention_type: 'n_day' }, 'retention_type'],
+    [{ cohort_event: 'nope' }, 'cohort_event'],
+    [{ return_event: 'any_activity_ever' }, 'return_event'],
+    [{ periods: 0 }, 'periods'],
+    [{ granularity: 'week', periods: 27 }, 'periods'],
+    [{ cohorts: 'all' }, 'cohorts'],
+    [{ time_basis: 'created_at' }, 'time_basis']
+  ])('should reject %j', (definition, field) => {
+    expect(() => CohortEngine.normalizeDefinition(definition)).toThrow(expect.objectContaining({ status: 400, field }));
+  });
+});
+
+describe('CohortEngine.cacheKey', () => {
+  test('should be stable per definition', () => {
+    const key = CohortEngine.cacheKey(CohortEngine.normalizeDefinition({ return_event: 'game_ended' }));
+
+    expect(key).toBe(CohortEngine.cacheKey(CohortEngine.normalizeDefinition({ return_event: 'game_ended', periods: 30 })));
+    expect(key).not.toBe(CohortEngine.cacheKey(
+      CohortEngine.normalizeDefinition({ return_event: 'game_ended', retention_type: 'rolling' })
+    ));
+  });
+});
+
+describe('CohortEngine.cohortRange', () => {
+  test('should cover the latest cohorts', () => {
+    expect(CohortEngine.cohortRange(CohortEngine.normalizeDefinition(), null, NOW))
+      .toEqual({ from: '2026-09-20', to: '2026-10-19' });
+    expect(CohortEngine.cohortRange(CohortEngine.normalizeDefinition({ granularity: 'week', cohorts: 4 }), null, NOW))
+      .toEqual({ from: '2026-09-28', to: '2026-10-19' });
+    expect(CohortEngine.cohortRange(CohortEngine.normalizeDefinition({ granularity: 'month' }), null, NOW))
+      .toEqual({ from: '2026-05-01', to: '2026-10-01' });
+  });
+
+  test('should align an explicit date range to period starts', () => {
+    const filters = DashboardFilters.fromQuery({ start_date: '2026-10-07', end_date: '2026-10-18' }, NOW);
+
+    expect(CohortEngine.cohortRange(CohortEngine.normalizeDefinition({ granularity: 'week' }), filters, NOW))
+      .toEqual({ from: '2026-10-05', to: '2026-10-12' });
+  });
+});
+
+describe('CohortEngine.compile', () => {
+  const engine = new CohortEngine(null);
+
+  test('should count classic daily returns per period', () => {
+    const { sql, params } = engine.compile(CohortEngine.normalizeDefinition(), { now: NOW });
+
+    expect(sql).toContain("DATE(date_trunc('day', MIN(e.received_at))) AS cohort_date");
+    expect(sql).toContain('(DATE(e.received_at) - c.cohort_date) AS period');
+    expect(sql).toContain('BETWEEN 1 AND $4::integer');
+    expect(sql).not.toContain('generate_series');
+    expect(sql).not.toContain('user_acquisitions');
+    expect(params).toEqual([
+      '2026-09-20',
+      '2026-10-20',
+      '2026-11-19',
+      30,
+      ['user_installed', 'app_launched'],
+      ['app_launched', 'game_started', 'level_started']
+    ]);
+  });
+
+  test('should scan cohort and return events only from the cohort range onwards', () => {
+    const { sql } = engine.compile(CohortEngine.normalizeDefinition(), { now: NOW });
+
+    // Cohort events inside the range, for users without an earlier one
+    expect(sql).toContain('AND e.received_at >= $1::date AND e.received_at < $2::date');
+    expect(sql).toContain('AND earlier.received_at < $1::date');
+    // Returns up to the last cohort's last period
+    expect(sql).toContain('AND e.received_at >= $1::date AND e.received_at < $3::date');
+  });
+
+  test('should count rolling weekly returns up to each user\'s last period', () => {
+    const definition = CohortEngine.normalizeDefinition({
+      cohort_event: 'tournament_entered',
+      return_event: 'game_ended',
+      granularity: 'week',
+      retention_type: 'rolling',
+      time_basis: 'occurred_at'
+    });
+
+    const { sql, params } = engine.compile(definition, { now: NOW });
+
+    expect(sql).toContain("((DATE(date_trunc('week', COALESCE(e.occurred_at, e.received_at))) - c.cohort_date) / 7)");
+    expect(sql).toContain('JOIN generate_series(1, $4::integer) AS p(period) ON p.period <= r.last_period');
+    // Bounds on the occurred time, not received_at
+    expect(sql).toContain(
+      'AND COALESCE(e.occurred_at, e.received_at) >= $1::date AND COALESCE(e.occurred_at, e.received_at) < $3::date'
+    );
+    expect(sql).toContain('AND COALESCE(earlier.occurred_at, earlier.received_at) < $1::date');
+    // ...plus the received_at lower bound in the cohorts and returns scans, for partition pruning
+    expect(sql.match(/AND e\.received_at >= \$1::date\n/g)).toHaveLength(2);
+    expect(params).toEqual(['2026-08-03', '2026-10-26', '2027-01-18', 12, ['tournament_entered'], ['game_ended']]);
+  });
+
+  test('should apply segment filters to the cohort event', () => {
+    const filters = DashboardFilters.fromQuery({ platform: 'ios' }, NOW);
+
+    const { sql, params } = engine.compile(
+      CohortEngine.normalizeDefinition({ granularity: 'month' }),
+      { filters, now: NOW }
+    );
+
+    expect(sql).toContain("e.payload->>'platform' = $6");
+    expect(sql).toContain("earlier.payload->>'platform' = $7");
+    expect(sql).toContain('EXTRACT(MONTH FROM e.received_at)::int - EXTRACT(MONTH FROM c.cohort_date)::int');
+    expect(params.slice(0, 4)).toEqual(['2026-05-01', '2026-11-01', '2027-05-01', 6]);
+    expect(params.slice(5, 7)).toEqual(['ios', 'ios']);
+  });
+
+  test('should break cohorts down by acquisition campaign and platform', () => {
+    const { sql } = engine.compile(CohortEngine.normalizeDefinition(), { now: NOW, breakdown: ['campaign_id', 'platform'] });
+
+    expect(sql).toContain('LEFT JOIN user_acquisitions ua ON ua.user_id = e.user_id');
+    expect(sql).toContain('GROUP BY e.user_id, ua.campaign_id, ua.platform');
+    expect(sql).toContain('GROUP BY cohort_date, campaign_id, platform, period');
+    expect(sql).toContain('r.campaign_id IS NOT DISTINCT FROM cs.campaign_id AND r.platform IS NOT DISTINCT FROM cs.platform');
+    expect(() => engine.compile(CohortEngine.normalizeDefinition(), { now: NOW, breakdown: ['country'] }))
+      .toThrow('Unknown cohort breakdown: country');
+  });
+});
+
+describe('CohortEngine.compute', () => {
+  test('should build the matrix with nulls for periods not started yet', async () => {
+    const db = {
+      query: jest.fn().mockResolvedValue({
+        rows: [
+          { cohort_date: '2026-10-18', cohort_size: '5', period: 1, retained: '1' },
+          { cohort_date: '2026-10-17', cohort_size: '10', period: 1, retained: '4' },
+          { cohort_date: '2026-10-17', cohort_size: '10', period: 2, retained: '2' },
+          { cohort_date: '2026-10-16', cohort_size: '8', period: null, retained: null }
+        ]
+      })
+    };
+
+    const result = await new CohortEngine(db).compute(CohortEngine.normalizeDefinition({ periods: 3 }), { now: NOW });
+
+    expect(result.cohorts).toEqual([
+      {
+        cohort_date: '2026-10-18',
+        cohort_size: 5,
+        retention: { d1: 20, d2: null, d3: null },
+        retained: { d1: 1, d2: null, d3: null }
+      },
+      {
+        cohort_date: '2026-10-17',
+        cohort_size: 10,
+        retention: { d1: 40, d2: 20, d3: null },
+        retained: { d1: 4, d2: 2, d3: null }
+      },
+      {
+        cohort_date: '2026-10-16',
+        cohort_size: 8,
+        retention: { d1: 0, d2: 0, d3: 0 },
+        retained: { d1: 0, d2: 0, d3: 0 }
+      }
+    ]);
+    expect(result.average).toEqual({ d1: 21.7, d2: 11.1, d3: 0 });
+    expect(result.cohort_range).toEqual({ from: '2026-09-20', to: '2026-10-19' });
+    expect(result.definition.retention_type).toBe('classic');
+  });
+
+  test('should key weekly and monthly matrices by period', async () => {
+    const db = { query: jest.fn().mockResolvedValue({ rows: [{ cohort_date: '2026-10-05', cohort_size: '4', period: 1, retained: '3' }] }) };
+
+    const result = await new CohortEngine(db).compute(
+      CohortEngine.normalizeDefinition({ granularity: 'week', periods: 3 }),
+      { now: NOW }
+    );
+
+    expect(result.cohorts[0].retention).toEqual({ w1: 75, w2: 0, w3: null });
+  });
+
+  test('should return one row per cohort and breakdown value', async () => {
+    const db = {
+      query: jest.fn().mockResolvedValue({
+        rows: [
+          { cohort_date: '2026-10-17', campaign_id: 'summer', cohort_size: '4', period: 1, retained: '2' },
+          { cohort_date: '2026-10-17', campaign_id: null, cohort_size: '6', period: 1, retained: '0' }
+        ]
+      })
+    };
+
+    const result = await new CohortEngine(db).compute(
+      CohortEngine.normalizeDefinition({ periods: 2 }),
+      { now: NOW, breakdown: ['campaign_id'] }
+    );
+
+    expect(result.cohorts).toEqual([
+      { cohort_date: '2026-10-17', campaign_id: 'summer', cohort_size: 4, retention: { d1: 50, d2: 0 }, retained: { d1: 2, d2: 0 } },
+      { cohort_date: '2026-10-17', campaign_id: null, cohort_size: 6, retention: { d1: 0, d2: 0 }, retained: { d1: 0, d2: 0 } }
+    ]);
+    expect(result.average).toEqual({ d1: 20, d2: 0 });
+    expect(CohortEngine.average(result.cohorts.slice(0, 1), result.definition)).toEqual({ d1: 50, d2: 0 });
+  });
+});
+
+describe('Cohort engine dashboard endpoints', () => {
+  let app;
+  let db;
+  let cacheManager;
+
+  beforeEach(() => {
+    jest.resetModules();
+    db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    cacheManager = {
+      redis: { status: 'ready' },
+      get: jest.fn().mockResolvedValue(null),
+      set: jest.fn().mockResolvedValue(true),
+    };
+
+    app = express();
+    app.use('/api/dashboard', require('../../routes/dashboard-api')(db, cacheManager));
+  });
+
+  test('should compute and cache per definition', async () => {
+    const response = await request(app)
+      .get('/api/dashboard/cohort-retention?cohort_event=first_purchase&return_event=game_ended&granularity=week&retention_type=rolling&country=de');
+
+    expect(response.status).toBe(200);
+    expect(response.body.definition).toMatchObject({ cohort_event: 'first_purchase', granularity: 'week', retention_type: 'rolling' });
+    expect(response.body.cohorts).toEqual([]);
+    expect(response.body.filters).toEqual({ country: 'DE' });
+
+    const key = CohortEngine.cacheKey(CohortEngine.normalizeDefinition({
+      cohort_event: 'first_purchase',
+      return_event: 'game_ended',
+      granularity: 'week',
+      retention_type: 'rolling'
+    }));
+    expect(cacheManager.set.mock.calls[0][0]).toBe(`dashboard:cohort-retention:${key}:f:c=DE`);
+    expect(cacheManager.set.mock.calls[0][2]).toBe(10800);
+  });
+
+  test('should reject invalid definitions with 400', async () => {
+    const response = await request(app).get('/api/dashboard/cohort-retention?granularity=year');
+
+    expect(response.status).toBe(400);
+    expect(response.body.field).toBe('granularity');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('should compute /retention-detailed per campaign from the engine', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [
+        { cohort_date: '2026-09-01', campaign_id: 'summer', cohort_size: '10', period: 1, retained: '5' },
+        { cohort_date: '2026-09-01', campaign_id: 'summer', cohort_size: '10', period: 7, retained: '2' },
+        { cohort_date: '2026-09-01', campaign_id: null, cohort_size: '30', period: 1, retained: '3' }
+      ]
+    });
+
+    const response = await request(app).get('/api/dashboard/retention-detailed?days=120&cohort=campaign_id');
+
+    expect(response.status).toBe(200);
+    expect(db.query.mock.calls[0][0]).toContain('LEFT JOIN user_acquisitions ua');
+    expect(db.query.mock.calls[0][0]).not.toContain('cohort_aggregations');
+    expect(response.body.cohorts).toEqual([
+      expect.objectContaining({
+        cohort_date: '2026-09-01',
+        campaign_id: 'summer',
+        total_installs: 10,
+        d1_retained: 5,
+        d7_retention_rate: 20,
+        d30_retention_rate: 0
+      })
+    ]);
+    expect(response.body.summary).toMatchObject({ total_cohorts: 1, total_installs: 10, avg_d1_retention: 50 });
+  });
+
+  test('should merge /cohort-analysis-enhanced retention with cohort revenue', async () => {
+    db.query
+      .mockResolvedValueOnce({
+        rows: [{ cohort_date: '2026-09-01', campaign_id: 'summer', platform: 'ios', cohort_size: '4', period: 2, retained: '1' }]
+      })
+      .mockResolvedValueOnce({
+        rows: [{ cohort_date: '2026-09-01', campaign_id: 'summer', platform: 'ios', iap_revenue_usd: '12.50', cpi: '1.20' }]
+      });
+
+    const response = await request(app).get('/api/dashboard/cohort-analysis-enhanced?campaign_id=summer');
+
+    expect(response.status).toBe(200);
+    expect(db.query.mock.calls[0][0]).toContain('GROUP BY e.user_id, ua.campaign_id, ua.platform');
+    expect(db.query.mock.calls[1][0]).toContain('FROM cohort_aggregations');
+    expect(response.body.cohorts).toEqual([
+      expect.objectContaining({
+        campaign_id: 'summer',
+        platform: 'ios',
+        cohort_size: 4,
+        retention: expect.objectContaining({ d1: { retained: 0, rate: 0 }, d2: { retained: 1, rate: 25 } }),
+        revenue: expect.objectContaining({ iap_revenue_usd: 12.5 }),
+        campaign: expect.objectContaining({ cpi: 1.2 })
+      })
+    ]);
+    expect(response.body.filters.campaign_id).toBe('summer');
+  });
+});
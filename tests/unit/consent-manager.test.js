@@ -0,0 +1,148 @@
+/**
+ * Unit Tests for ConsentManager
+ * Tests consent defaults, batch priming, stale updates, withdrawal and attribution stripping
+ */
+
+const ConsentManager = require('../../services/consent-manager');
+const EventEnricher = require('../../services/event-enricher');
+
+describe('ConsentManager', () => {
+  let mockDb;
+  let mockRedis;
+  let stored;
+  let manager;
+
+  const consentEvent = (overrides = {}) => ({
+    event_type: 'consent_updated',
+    user_id: 'device_123',
+    timestamp: '2026-10-01T10:00:00.000Z',
+    app_version: '2.4.0',
+    platform: 'ios',
+    attribution: false,
+    personalized_push: true,
+    source: 'att',
+    att_status: 'denied',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    stored = null;
+    mockDb = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM user_consents')) return { rows: stored ? [stored] : [] };
+        if (sql.includes('INSERT INTO user_consents')) return { rows: [{ user_id: 'device_123' }] };
+        return { rows: [], rowCount: 1 };
+      })
+    };
+    mockRedis = {
+      get: jest.fn().mockResolvedValue(null),
+      set: jest.fn().mockResolvedValue('OK'),
+      del: jest.fn().mockResolvedValue(2)
+    };
+    manager = new ConsentManager(mockDb, { redisClient: mockRedis, requireConsent: false });
+  });
+
+  describe('allows', () => {
+    test('should allow users without a consent record unless consent is required', async () => {
+      expect(await manager.allows('device_123', 'attribution')).toBe(true);
+
+      const strict = new ConsentManager(mockDb, { requireConsent: true });
+      expect(await strict.allows('device_123', 'attribution')).toBe(false);
+    });
+
+    test('should follow the stored state per purpose', async () => {
+      stored = { attribution: false, personalized_push: true, consented_at: '2026-10-01T10:00:00.000Z' };
+
+      expect(await manager.allows('device_123', 'attribution')).toBe(false);
+      expect(await manager.allows('device_123', 'personalized_push')).toBe(true);
+    });
+
+    test('should share the lookup across a batch', async () => {
+      const context = new EventEnricher({ db: mockDb, enrichers: [] }).createContext();
+
+      await manager.allows('device_123', 'attribution', context);
+      await manager.allows('device_123', 'personalized_push', context);
+
+      expect(mockDb.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('primeBatch', () => {
+    test('should apply the newest consent_updated of a batch to the whole batch', async () => {
+      const context = new EventEnricher({ db: mockDb, enrichers: [] }).createContext();
+
+      manager.primeBatch([
+        consentEvent({ attribution: true, timestamp: '2026-10-01T09:00:00.000Z' }),
+        consentEvent(),
+        { event_type: 'user_installed', user_id: 'device_123' }
+      ], context);
+
+      expect(await manager.allows('device_123', 'attribution', context)).toBe(false);
+    });
+
+    test('should keep a stored state that is newer than the batch', async () => {
+      stored = { attribution: true, personalized_push: true, consented_at: '2026-10-05T00:00:00.000Z' };
+      const context = new EventEnricher({ db: mockDb, enrichers: [] }).createContext();
+
+      manager.primeBatch([consentEvent()], context);
+
+      expect(await manager.allows('device_123', 'attribution', context)).toBe(true);
+    });
+  });
+
+  describe('recordConsent', () => {
+    test('should upsert only newer states and clear stored attribution on withdrawal', async () => {
+      expect(await manager.recordConsent(consentEvent(), 'event-uuid')).toBe(true);
+
+      const [upsertSql, params] = mockDb.query.mock.calls[0];
+      expect(upsertSql).toContain('WHERE user_consents.consented_at <= EXCLUDED.consented_at');
+      expect(params).toEqual([
+        'device_123', false, true, 'att', 'denied', '2026-10-01T10:00:00.000Z', '2.4.0', 'ios', 'event-uuid'
+      ]);
+
+      const [clearSql, clearParams] = mockDb.query.mock.calls[1];
+      expect(clearSql).toContain('UPDATE user_acquisitions');
+      expect(clearSql).toContain('gclid = NULL');
+      expect(clearParams).toEqual(['device_123']);
+
+      expect(mockRedis.del).toHaveBeenCalledWith('consent:device_123', 'enrich:acquisition:device_123');
+    });
+
+    test('should ignore stale events', async () => {
+      mockDb.query.mockResolvedValue({ rows: [] });
+
+      expect(await manager.recordConsent(consentEvent())).toBe(false);
+      expect(mockDb.query).toHaveBeenCalledTimes(1);
+      expect(mockRedis.del).not.toHaveBeenCalled();
+    });
+  });
+
+  test('should strip ad identifiers and campaign fields, including the payload', () => {
+    const event = {
+      event_type: 'user_acquired',
+      user_id: 'device_123',
+      source: 'google',
+      gclid: 'Cj0K',
+      campaign_id: '987654',
+      payload: { idfa: 'XYZ', level: 3 }
+    };
+
+    expect(ConsentManager.stripAttribution(event)).toEqual({
+      event_type: 'user_acquired',
+      user_id: 'device_123',
+      source: 'google',
+      payload: { level: 3 }
+    });
+    expect(event.gclid).toBe('Cj0K');
+    expect(ConsentManager.hasAttribution(event)).toBe(true);
+    expect(ConsentManager.hasAttribution({ event_type: 'game_ended', payload: { score: 1 } })).toBe(false);
+  });
+
+  test('should build push targeting conditions', () => {
+    expect(ConsentManager.sqlAllows('personalized_push', 'ft.user_id', false))
+      .toBe('NOT EXISTS (SELECT 1 FROM user_consents uc WHERE uc.user_id = ft.user_id AND uc.personalized_push = false)');
+    expect(ConsentManager.sqlAllows('personalized_push', 'ft.user_id', true))
+      .toContain('uc.personalized_push = true');
+    expect(() => ConsentManager.sqlAllows('email', 'ft.user_id')).toThrow('Unknown consent purpose');
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Unit Tests for Dashboard Filters
+ * Tests query parsing, SQL conditions per source and the dashboard route middleware
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../../middleware/admin-auth', () => ({
+  adminRoute: () => (req, res, next) => next(),
+}));
+
+const DashboardFilters = require('../../services/dashboard-filters');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+describe('DashboardFilters.fromQuery', () => {
+  test('should parse and normalize segment filters', () => {
+    const filters = DashboardFilters.fromQuery({
+      platform: 'iOS',
+      country: 'de',
+      app_version: '2.4.x',
+      campaign: 'summer_push',
+      cohort_start: '2026-09-01'
+    }, NOW);
+
+    expect(filters).toMatchObject({
+      platform: 'ios',
+      country: 'DE',
+      appVersion: '2.4.x',
+      campaignId: 'summer_push',
+      cohortStart: '2026-09-01',
+      startDate: null
+    });
+    expect(filters.isSegmented).toBe(true);
+    expect(filters.hasRange).toBe(false);
+  });
+
+  test('should default end_date to today', () => {
+    const filters = DashboardFilters.fromQuery({ start_date: '2026-10-01' }, NOW);
+
+    expect(filters.endDate).toBe('2026-10-19');
+    expect(filters.dayCount(7)).toBe(19);
+  });
+
+  test('should ignore empty and "all" values', () => {
+    const filters = DashboardFilters.fromQuery({ platform: 'all', country: '' }, NOW);
+
+    expect(filters.isActive).toBe(false);
+    expect(filters.cacheKey()).toBe('');
+    expect(filters.meta()).toEqual({});
+    expect(filters.dayCount(30)).toBe(30);
+  });
+
+  test.each([
+    [{ start_date: '2026-13-01' }, 'start_date'],
+    [{ end_date: '2026-10-01' }, 'start_date'],
+    [{ start_date: '2026-10-10', end_date: '2026-10-01' }, 'end_date'],
+    [{ start_date: '2025-01-01', end_date: '2026-10-01' }, 'start_date'],
+    [{ platform: 'web' }, 'platform'],
+    [{ country: 'DEU' }, 'country'],
+    [{ app_version: '2.4; DROP' }, 'app_version'],
+    [{ campaign_id: 'a b' }, 'campaign_id'],
+    [{ cohort_start: '2026-10-10', cohort_end: '2026-10-01' }, 'cohort_end']
+  ])('should reject %j', (query, field) => {
+    expect(() => DashboardFilters.fromQuery(query, NOW)).toThrow(expect.objectContaining({ status: 400, field }));
+  });
+});
+
+describe('DashboardFilters SQL', () => {
+  test('should use the explicit range over days', () => {
+    const filters = DashboardFilters.fromQuery({ start_date: '2026-10-01', end_date: '2026-10-07' }, NOW);
+    const params = [];
+
+    const where = filters.where('events', { params, days: 30 });
+
+    expect(where).toBe('received_at >= $1::date AND received_at < $2::date + 1');
+    expect(params).toEqual(['2026-10-01', '2026-10-07']);
+  });
+
+  test('should fall back to days without a range', () => {
+    const params = ['other'];
+
+    const where = new DashboardFilters().where('sessions', { params, days: 7, alias: 's' });
+
+    expect(where).toBe('s.started_at >= CURRENT_DATE - make_interval(days => $2)');
+    expect(params).toEqual(['other', 7]);
+  });
+
+  test('should return TRUE without conditions', () => {
+    expect(new DashboardFilters().where('events', { params: [] })).toBe('TRUE');
+    expect(new DashboardFilters().range('install_date', { params: [] })).toBe('TRUE');
+  });
+
+  test('should add a received_at lower bound on the occurred_at basis', () => {
+    const params = [];
+
+    const where = new DashboardFilters().where('events', { params, days: 7, alias: 'e', basis: 'occurred_at' });
+
+    expect(where).toBe(
+      'COALESCE(e.occurred_at, e.received_at) >= CURRENT_DATE - make_interval(days => $1) AND ' +
+      'e.received_at >= CURRENT_DATE - make_interval(days => $1)'
+    );
+    expect(params).toEqual([7]);
+  });
+
+  test('should qualify payload dimensions and match version prefixes', () => {
+    const filters = DashboardFilters.fromQuery({ platform: 'android', app_version: '2.4.*' }, NOW);
+    const params = [];
+
+    const where = filters.where('events', { params, alias: 'e', range: false });
+
+    expect(where).toBe("e.payload->>'platform' = $1 AND e.payload->>'app_version' LIKE $2");
+    expect(params).toEqual(['android', '2.4.%']);
+  });
+
+  test('should match missing dimensions through user_acquisitions', () => {
+    const filters = DashboardFilters.fromQuery({ platform: 'ios', country: 'US', campaign_id: 'c1' }, NOW);
+    const params = [];
+
+    const where = filters.where('sessions', { params });
+
+    expect(where).toBe(
+      'platform = $1 AND user_id IN (SELECT user_id FROM user_acquisitions WHERE country = $2 AND campaign_id = $3)'
+    );
+    expect(params).toEqual(['ios', 'US', 'c1']);
+    expect(filters.supports('sessions')).toBe(true);
+  });
+
+  test('should report dimensions a source cannot honor', () => {
+    const filters = DashboardFilters.fromQuery({ country: 'US' }, NOW);
+
+    expect(filters.supports('daily_aggregations')).toBe(false);
+    expect(filters.where('daily_aggregations', { params: [], days: 7 })).toBe('date >= CURRENT_DATE - make_interval(days => $1)');
+    expect(filters.meta()).toEqual({ filters: { country: 'US', unsupported: ['country'] } });
+  });
+
+  test('should narrow to the last day of the range', () => {
+    const filters = DashboardFilters.fromQuery({ start_date: '2026-10-01', end_date: '2026-10-07', platform: 'ios' }, NOW);
+    const params = [];
+
+    filters.lastDay().where('sessions', { params, days: 0 });
+
+    expect(params).toEqual(['2026-10-07', '2026-10-07', 'ios']);
+  });
+
+  test('should drop dimensions with without()', () => {
+    const filters = DashboardFilters.fromQuery({ platform: 'ios', campaign_id: 'c1' }, NOW);
+    const params = [];
+
+    expect(filters.without('campaign_id').where('user_acquisitions', { params })).toBe('platform = $1');
+    expect(filters.campaignId).toBe('c1');
+  });
+
+  test('should build distinct cache keys', () => {
+    const filters = DashboardFilters.fromQuery({ start_date: '2026-10-01', end_date: '2026-10-07', platform: 'ios' }, NOW);
+
+    expect(filters.cacheKey()).toBe(':f:2026-10-01..2026-10-07:p=ios');
+  });
+
+  test('should reject unknown sources', () => {
+    expect(() => new DashboardFilters().where('nope', { params: [] })).toThrow('Unknown dashboard filter source');
+  });
+});
+
+describe('dashboard route filters', () => {
+  let app;
+  let db;
+  let cacheManager;
+
+  beforeEach(() => {
+    jest.resetModules();
+    db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    cacheManager = {
+      redis: { status: 'ready' },
+      get: jest.fn().mockResolvedValue(null),
+      set: jest.fn().mockResolvedValue(true),
+    };
+
+    app = express();
+    app.use('/api/dashboard', require('../../routes/dashboard-api')(db, cacheManager));
+  });
+
+  test('should reject invalid filters with 400', async () => {
+    const response = await request(app).get('/api/dashboard/rate-us?platform=web');
+
+    expect(response.status).toBe(400);
+    expect(response.body.field).toBe('platform');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('should pass filters as query parameters and echo them', async () => {
+    const response = await request(app)
+      .get('/api/dashboard/rate-us?start_date=2026-10-01&end_date=2026-10-07&country=us');
+
+    expect(response.status).toBe(200);
+    expect(response.body.days_analyzed).toBe(7);
+    expect(response.body.filters).toEqual({ start_date: '2026-10-01', end_date: '2026-10-07', country: 'US' });
+    expect(db.query.mock.calls[0][1]).toEqual(expect.arrayContaining(['2026-10-01', '2026-10-07', 'US']));
+    expect(cacheManager.set.mock.calls[0][0]).toContain(':f:2026-10-01..2026-10-07:c=US');
+  });
+});
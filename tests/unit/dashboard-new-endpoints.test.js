@@ -8,6 +8,14 @@
 const express = require('express');
 const request = require('supertest');
 
+jest.mock('../../middleware/admin-auth', () => ({
+  adminRoute: () => (req, res, next) => {
+    req.admin = { id: 1, email: 'admin@example.com', role: 'superadmin', auth: 'session' };
+    req.user = { playerId: 'admin_player', isAdmin: true };
+    next();
+  },
+}));
+
 describe('New Dashboard Endpoints', () => {
   let app;
   let db;
@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for compressed / signed event uploads
+ * Tests eventBodyParser (gzip, deflate, brotli) and EventBatchVerifier verdicts
+ */
+
+const zlib = require('zlib');
+const request = require('supertest');
+const express = require('express');
+const { eventBodyParser } = require('../../middleware/event-body-parser');
+const EventBatchVerifier = require('../../services/event-batch-verifier');
+
+describe('eventBodyParser', () => {
+  let app;
+  const batch = [{ event_type: 'game_started', user_id: 'device_123', app_version: '1.6.0' }];
+  const body = JSON.stringify(batch);
+
+  // superagent would JSON-serialize Buffers sent as application/json
+  const post = (encoding, payload) => {
+    const req = request(app)
+      .post('/api/events')
+      .set('Content-Type', 'application/json')
+      .serialize(data => data);
+    return (encoding ? req.set('Content-Encoding', encoding) : req).send(payload);
+  };
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api/events', eventBodyParser({ limit: 1024 }));
+    app.use(express.json());
+    app.post('/api/events', (req, res) => {
+      res.json({ body: req.body, raw: req.rawBody ? req.rawBody.toString('utf8') : null });
+    });
+    app.use((err, req, res, _next) => {
+      res.status(err.status || 500).json({ type: err.type });
+    });
+  });
+
+  test.each([
+    ['gzip', zlib.gzipSync],
+    ['deflate', zlib.deflateSync],
+    ['br', zlib.brotliCompressSync]
+  ])('should decode %s bodies and keep the uncompressed raw body', async (encoding, compress) => {
+    const response = await post(encoding, compress(Buffer.from(body)));
+
+    expect(response.status).toBe(200);
+    expect(response.body.body).toEqual(batch);
+    expect(response.body.raw).toBe(body);
+  });
+
+  test('should keep the raw body of uncompressed requests', async () => {
+    const response = await post(null, body);
+
+    expect(response.body.raw).toBe(body);
+  });
+
+  test('should reject unsupported encodings', async () => {
+    const response = await post('zstd', Buffer.from(body));
+
+    expect(response.status).toBe(415);
+  });
+
+  test('should cap the decompressed size', async () => {
+    const large = JSON.stringify(Array.from({ length: 100 }, () => batch[0]));
+
+    const response = await post('gzip', zlib.gzipSync(Buffer.from(large)));
+
+    expect(response.status).toBe(413);
+    expect(response.body.type).toBe('entity.too.large');
+  });
+
+  test('should reject corrupt compressed bodies', async () => {
+    const response = await post('gzip', Buffer.from('not gzip at all'));
+
+    expect(response.status).toBe(400);
+    expect(response.body.type).toBe('encoding.invalid');
+  });
+});
+
+describe('EventBatchVerifier', () => {
+  const events = [{ event_type: 'game_started', user_id: 'device_123', app_version: '1.6.0' }];
+  const rawBody = Buffer.from(JSON.stringify(events));
+  const verifier = new EventBatchVerifier({ secrets: { '1.6.0': 'secret-160' }, required: false });
+
+  test('should parse per-version secrets', () => {
+    expect(EventBatchVerifier.parseSecrets('1.6.0:abc, 1.7.0:d:e,broken')).toEqual({ '1.6.0': 'abc', '1.7.0': 'd:e' });
+  });
+
+  test('should accept a valid signature', () => {
+    const result = verifier.verify({
+      rawBody,
+      headers: { 'x-event-signature': EventBatchVerifier.signBatch(rawBody, 'secret-160') }
+    }, events);
+
+    expect(result).toEqual({ verdict: 'valid', quarantine: false, app_version: '1.6.0' });
+  });
+
+  test('should quarantine a bad signature', () => {
+    const result = verifier.verify({
+      rawBody,
+      headers: { 'x-event-signature': EventBatchVerifier.signBatch(rawBody, 'guessed') }
+    }, events);
+
+    expect(result.verdict).toBe('invalid');
+    expect(result.quarantine).toBe(true);
+  });
+
+  test('should quarantine unsigned batches from a version that signs', () => {
+    const result = verifier.verify({ rawBody, headers: {} }, events);
+
+    expect(result).toEqual(expect.objectContaining({ verdict: 'missing', quarantine: true }));
+  });
+
+  test('should let versions without a secret through unless signatures are required', () => {
+    const legacy = [{ ...events[0], app_version: '1.4.0' }];
+    const strict = new EventBatchVerifier({ secrets: { '1.6.0': 'secret-160' }, required: true });
+
+    expect(verifier.verify({ rawBody, headers: {} }, legacy).quarantine).toBe(false);
+    expect(strict.verify({ rawBody, headers: {} }, legacy)).toEqual(expect.objectContaining({
+      verdict: 'unsigned_version',
+      quarantine: true
+    }));
+  });
+
+  test('should pick the secret from X-App-Version', () => {
+    const signer = new EventBatchVerifier({ secrets: { '1.7.0': 'secret-170' } });
+
+    const result = signer.verify({
+      rawBody,
+      headers: { 'x-app-version': '1.7.0', 'x-event-signature': EventBatchVerifier.signBatch(rawBody, 'secret-170') }
+    }, events);
+
+    expect(result.verdict).toBe('valid');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for EventDeadLetterStore
+ * Tests storing, listing, grouping and re-submission bookkeeping
+ */
+
+const EventDeadLetterStore = require('../../services/event-dead-letter-store');
+
+describe('EventDeadLetterStore', () => {
+  let mockDb;
+  let store;
+
+  beforeEach(() => {
+    mockDb = {
+      query: jest.fn().mockResolvedValue({ rows: [] })
+    };
+
+    store = new EventDeadLetterStore(mockDb);
+  });
+
+  describe('store', () => {
+    test('should store payload, identity fields and error details', async () => {
+      mockDb.query.mockResolvedValue({ rows: [{ id: 42 }] });
+      const event = { event_type: 'game_ended', user_id: 'device_123', app_version: '2.5.0', platform: 'android' };
+      const details = [{ message: '"score" is required', path: 'score', type: 'any.required' }];
+
+      const rawEvent = { ...event, device_id: 'a1b2-c3d4' };
+
+      const id = await store.store(event, { valid: false, errors: [details[0].message], details }, rawEvent);
+
+      expect(id).toBe(42);
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO event_dead_letters'),
+        ['game_ended', 'device_123', '2.5.0', 'android', JSON.stringify(event), JSON.stringify(details), JSON.stringify(rawEvent)]
+      );
+    });
+
+    test('should wrap non-object payloads and fall back to error messages', async () => {
+      mockDb.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+      await store.store('garbage', { valid: false, errors: ['Event must be an object'] });
+
+      const params = mockDb.query.mock.calls[0][1];
+      expect(params.slice(0, 4)).toEqual([null, null, null, null]);
+      expect(JSON.parse(params[4])).toEqual({ raw: 'garbage' });
+      expect(JSON.parse(params[5])).toEqual([{ message: 'Event must be an object' }]);
+    });
+  });
+
+  describe('list', () => {
+    test('should filter by status, event type and app version with capped limit', async () => {
+      await store.list({ eventType: 'game_ended', appVersion: '2.5.0', limit: 5000, offset: 10 });
+
+      const [sql, params] = mockDb.query.mock.calls[0];
+      expect(sql).toContain('event_type = $2');
+      expect(sql).toContain('app_version = $3');
+      expect(sql).toContain('LIMIT $4 OFFSET $5');
+      expect(params).toEqual(['pending', 'game_ended', '2.5.0', 500, 10]);
+      expect(sql).not.toContain('raw_payload');
+    });
+  });
+
+  describe('groupByError', () => {
+    test('should parse counts', async () => {
+      mockDb.query.mockResolvedValue({ rows: [
+        { event_type: 'game_ended', error_type: 'any.required', path: 'score', count: '12', unique_users: '4' }
+      ] });
+
+      const groups = await store.groupByError(7);
+
+      expect(mockDb.query.mock.calls[0][1]).toEqual(['7']);
+      expect(groups[0]).toEqual(expect.objectContaining({ path: 'score', count: 12, unique_users: 4 }));
+    });
+  });
+
+  describe('getPending', () => {
+    test('should filter by ids and Joi error type', async () => {
+      await store.getPending({ ids: [1, '2', 'x'], errorType: 'any.required', limit: 10 });
+
+      const [sql, params] = mockDb.query.mock.calls[0];
+      expect(sql).toContain('id = ANY($1::bigint[])');
+      expect(sql).toContain('errors @> $2::jsonb');
+      expect(params).toEqual([[1, 2], JSON.stringify([{ type: 'any.required' }]), 10]);
+    });
+
+    test('should re-submit the unscrubbed copy when one was kept', async () => {
+      await store.getPending();
+
+      expect(mockDb.query.mock.calls[0][0]).toContain('COALESCE(raw_payload, payload) as payload');
+    });
+  });
+
+  describe('getStats', () => {
+    test('should return pending and resubmitted counts', async () => {
+      mockDb.query.mockResolvedValue({ rows: [{ pending: '3', resubmitted: '1' }] });
+
+      const stats = await store.getStats('7 days');
+
+      expect(stats).toEqual({ pending: 3, resubmitted: 1 });
+    });
+
+    test('should return null when the table is unavailable', async () => {
+      mockDb.query.mockRejectedValue(new Error('relation "event_dead_letters" does not exist'));
+
+      expect(await store.getStats()).toBeNull();
+    });
+  });
+});
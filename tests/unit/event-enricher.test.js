@@ -0,0 +1,219 @@
+/**
+ * Unit Tests for EventEnricher and the built-in enrichers
+ * Tests ordering, toggling, timeouts and per-batch lookups
+ */
+
+jest.mock('../../services/geolocation-service');
+
+const GeolocationService = require('../../services/geolocation-service');
+const EventEnricher = require('../../services/event-enricher');
+const geoCountry = require('../../services/enrichers/geo-country');
+const installCohort = require('../../services/enrichers/install-cohort');
+const campaignAttribution = require('../../services/enrichers/campaign-attribution');
+const sessionSequence = require('../../services/enrichers/session-sequence');
+const occurredAt = require('../../services/enrichers/occurred-at');
+
+describe('EventEnricher', () => {
+  let mockDb;
+  let mockGeoService;
+
+  const baseEvent = {
+    event_type: 'game_started',
+    user_id: 'device_123',
+    timestamp: '2025-03-10T12:00:00.000Z',
+    session_id: 'session_a'
+  };
+
+  beforeEach(() => {
+    mockDb = {
+      query: jest.fn().mockResolvedValue({ rows: [] })
+    };
+
+    mockGeoService = {
+      getCountryForUser: jest.fn().mockResolvedValue('IL')
+    };
+    GeolocationService.mockImplementation(() => mockGeoService);
+  });
+
+  describe('pipeline', () => {
+    test('should run enrichers in order, each seeing earlier fields', async () => {
+      const first = { name: 'first', enrich: jest.fn(async () => ({ a: 1 })) };
+      const second = { name: 'second', enrich: jest.fn(async event => ({ b: event.a + 1 })) };
+      const enricher = new EventEnricher({ db: mockDb, enrichers: [first, second], disabled: [] });
+
+      const result = await enricher.enrich({ ...baseEvent });
+
+      expect(result).toEqual({ ...baseEvent, a: 1, b: 2 });
+      expect(enricher.getStats()).toEqual({
+        first: { applied: 1, timeouts: 0, errors: 0 },
+        second: { applied: 1, timeouts: 0, errors: 0 }
+      });
+    });
+
+    test('should skip disabled enrichers', async () => {
+      const first = { name: 'first', enrich: jest.fn(async () => ({ a: 1 })) };
+      const enricher = new EventEnricher({ db: mockDb, enrichers: [first], disabled: ['first'] });
+
+      const result = await enricher.enrich({ ...baseEvent });
+
+      expect(result).toEqual(baseEvent);
+      expect(first.enrich).not.toHaveBeenCalled();
+    });
+
+    test('should read disabled enrichers from EVENT_ENRICHERS_DISABLED', () => {
+      process.env.EVENT_ENRICHERS_DISABLED = 'geo_country, session_sequence';
+
+      const enricher = new EventEnricher({ db: mockDb });
+
+      expect(enricher.enrichers.map(e => e.name)).toEqual(['install_cohort', 'campaign_attribution', 'occurred_at']);
+      delete process.env.EVENT_ENRICHERS_DISABLED;
+    });
+
+    test('should time out slow enrichers and continue', async () => {
+      const slow = { name: 'slow', timeoutMs: 20, enrich: () => new Promise(() => {}) };
+      const fast = { name: 'fast', enrich: async () => ({ fast: true }) };
+      const enricher = new EventEnricher({ db: mockDb, enrichers: [slow, fast], disabled: [] });
+
+      const result = await enricher.enrich({ ...baseEvent });
+
+      expect(result.fast).toBe(true);
+      expect(enricher.getStats().slow.timeouts).toBe(1);
+    });
+
+    test('should never fail the event when an enricher throws', async () => {
+      const broken = { name: 'broken', enrich: async () => { throw new Error('db down'); } };
+      const enricher = new EventEnricher({ db: mockDb, enrichers: [broken], disabled: [] });
+
+      const result = await enricher.enrich({ ...baseEvent });
+
+      expect(result).toEqual(baseEvent);
+      expect(enricher.getStats().broken.errors).toBe(1);
+    });
+
+    test('should share lookups across a batch context', async () => {
+      const enricher = new EventEnricher({ db: mockDb, enrichers: [geoCountry], disabled: [] });
+      const context = enricher.createContext({ ip: '203.0.113.7' });
+
+      const results = await Promise.all([
+        enricher.enrich({ ...baseEvent }, context),
+        enricher.enrich({ ...baseEvent, event_type: 'game_ended' }, context)
+      ]);
+
+      expect(results.map(e => e.country)).toEqual(['IL', 'IL']);
+      expect(mockGeoService.getCountryForUser).toHaveBeenCalledTimes(1);
+      expect(mockGeoService.getCountryForUser).toHaveBeenCalledWith('device_123', { ip: '203.0.113.7' });
+    });
+  });
+
+  describe('built-in enrichers', () => {
+    const run = (enricherModule, event, deps = {}, base = {}) => {
+      const enricher = new EventEnricher({ db: mockDb, enrichers: [enricherModule], disabled: [], ...deps });
+      return enricher.enrich(event, base);
+    };
+
+    test('geo_country should skip events without a client IP', async () => {
+      const result = await run(geoCountry, { ...baseEvent });
+
+      expect(result.country).toBeUndefined();
+      expect(mockGeoService.getCountryForUser).not.toHaveBeenCalled();
+    });
+
+    test('install_cohort should use the acquisition install date', async () => {
+      mockDb.query.mockResolvedValue({ rows: [{ install_date: new Date('2025-02-01T23:30:00Z'), campaign_id: null }] });
+
+      const result = await run(installCohort, { ...baseEvent });
+
+      expect(result.install_cohort).toBe('2025-02-01');
+      expect(mockDb.query).toHaveBeenCalledWith(expect.stringContaining('FROM user_acquisitions'), ['device_123']);
+    });
+
+    test('install_cohort should fall back to the timestamp of install events', async () => {
+      const result = await run(installCohort, { ...baseEvent, event_type: 'app_installed' });
+
+      expect(result.install_cohort).toBe('2025-03-10');
+    });
+
+    test('campaign_attribution should fill a missing campaign_id only', async () => {
+      mockDb.query.mockResolvedValue({ rows: [{ install_date: new Date(), campaign_id: '987654' }] });
+
+      const filled = await run(campaignAttribution, { ...baseEvent });
+      const kept = await run(campaignAttribution, { ...baseEvent, campaign_id: 'client_campaign' });
+
+      expect(filled.campaign_id).toBe('987654');
+      expect(kept.campaign_id).toBe('client_campaign');
+    });
+
+    test('campaign_attribution should skip users who declined attribution', async () => {
+      mockDb.query.mockResolvedValue({ rows: [{ install_date: new Date(), campaign_id: '987654' }] });
+      const consentManager = { allows: jest.fn().mockResolvedValue(false) };
+
+      const result = await run(campaignAttribution, { ...baseEvent }, { consentManager });
+
+      expect(result.campaign_id).toBeUndefined();
+      expect(consentManager.allows).toHaveBeenCalledWith('device_123', 'attribution', expect.any(Object));
+    });
+
+    test('session_sequence should number new sessions and reuse known ones', async () => {
+      const redisClient = {
+        hget: jest.fn().mockResolvedValueOnce(null).mockResolvedValueOnce('2'),
+        hincrby: jest.fn().mockResolvedValue(3),
+        hsetnx: jest.fn().mockResolvedValue(1),
+        expire: jest.fn().mockResolvedValue(1),
+        get: jest.fn(),
+        set: jest.fn()
+      };
+
+      const fresh = await run(sessionSequence, { ...baseEvent }, { redisClient });
+      const known = await run(sessionSequence, { ...baseEvent, session_id: 'session_old' }, { redisClient });
+
+      expect(fresh.session_seq).toBe(3);
+      expect(redisClient.hsetnx).toHaveBeenCalledWith('enrich:sessions:device_123', 'session_a', 3);
+      expect(known.session_seq).toBe(2);
+      expect(redisClient.hincrby).toHaveBeenCalledTimes(1);
+    });
+
+    test('session_sequence should skip without Redis', async () => {
+      const result = await run(sessionSequence, { ...baseEvent });
+
+      expect(result.session_seq).toBeUndefined();
+    });
+
+    test('occurred_at should correct the timestamp by the device clock offset', async () => {
+      // Device clock 2h behind, batch sent offline 5h after the event
+      const result = await run(occurredAt, { ...baseEvent, timestamp: '2025-03-10T05:00:00.000Z' }, {}, {
+        received_at: '2025-03-10T12:00:00.000Z',
+        sent_at: '2025-03-10T10:00:00.000Z'
+      });
+
+      expect(result.occurred_at).toBe('2025-03-10T07:00:00.000Z');
+      expect(result.clock_offset_ms).toBe(2 * 60 * 60 * 1000);
+      expect(result.timestamp_flag).toBe('skewed_clock');
+    });
+
+    test('occurred_at should trust the client clock without a send time', async () => {
+      const result = await run(occurredAt, { ...baseEvent, timestamp: '2025-03-09T23:00:00.000Z' }, {}, {
+        received_at: '2025-03-10T08:00:00.000Z'
+      });
+
+      expect(result.occurred_at).toBe('2025-03-09T23:00:00.000Z');
+      expect(result).not.toHaveProperty('clock_offset_ms');
+      expect(result).not.toHaveProperty('timestamp_flag');
+    });
+
+    test('occurred_at should fall back to received_at for implausible timestamps', async () => {
+      const context = { received_at: '2025-03-10T12:00:00.000Z', sent_at: '2025-03-10T12:00:00.000Z' };
+
+      const future = await run(occurredAt, { ...baseEvent, timestamp: '2025-03-10T13:00:00.000Z' }, {}, context);
+      const stale = await run(occurredAt, { ...baseEvent, timestamp: '2024-01-01T00:00:00.000Z' }, {}, context);
+
+      expect(future).toEqual(expect.objectContaining({ occurred_at: context.received_at, timestamp_flag: 'future' }));
+      expect(stale).toEqual(expect.objectContaining({ occurred_at: context.received_at, timestamp_flag: 'stale' }));
+    });
+
+    test('occurred_at should skip events without a receipt time (dead-letter resubmits)', async () => {
+      const result = await run(occurredAt, { ...baseEvent });
+
+      expect(result.occurred_at).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit Tests for EventExporter
+ * Tests schema-derived CSV columns, gzip NDJSON/CSV output and progress tracking
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const EventExporter = require('../../services/event-exporter');
+
+describe('EventExporter', () => {
+  let mockDb;
+  let job;
+  let events;
+  let exportDir;
+
+  const gameEnded = (id, receivedAt, extra = {}) => ({
+    id,
+    received_at: new Date(receivedAt),
+    payload: {
+      event_type: 'game_ended',
+      user_id: 'device_123',
+      timestamp: '2025-01-10T10:00:00.000Z',
+      app_version: '1.5.0',
+      platform: 'android',
+      game_mode: 'endless',
+      score: 42,
+      ...extra
+    }
+  });
+
+  const readGzip = filePath => zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8');
+
+  beforeEach(() => {
+    exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-export-test-'));
+
+    job = {
+      id: 3,
+      from_ts: new Date('2025-01-01T00:00:00Z'),
+      to_ts: new Date('2025-02-01T00:00:00Z'),
+      event_types: ['game_ended'],
+      formats: ['ndjson', 'csv'],
+      status: 'queued',
+      total_events: null,
+      events_exported: 0,
+      files: {}
+    };
+
+    events = [
+      gameEnded('00000000-0000-0000-0000-000000000001', '2025-01-10T10:00:01Z'),
+      gameEnded('00000000-0000-0000-0000-000000000002', '2025-01-10T10:00:02Z', { cause_of_death: 'hit "pipe", top' }),
+      gameEnded('00000000-0000-0000-0000-000000000003', '2025-01-10T10:00:03Z')
+    ];
+
+    mockDb = {
+      query: jest.fn(async (text, params) => {
+        if (text.includes('INSERT INTO event_export_jobs')) {
+          return { rows: [{ ...job, event_types: params[2], formats: params[3] }] };
+        }
+        if (text.includes('SELECT * FROM event_export_jobs')) return { rows: [job] };
+        if (text.includes('COUNT(*)')) return { rows: [{ total: String(events.length) }] };
+        if (text.includes('FROM events')) {
+          const after = params[4] ? events.filter(e => e.received_at > params[4]) : events;
+          return { rows: after.slice(0, params[3]) };
+        }
+        if (text.includes("status = 'completed'")) {
+          job = { ...job, status: 'completed', events_exported: params[1], files: JSON.parse(params[2]) };
+          return { rows: [job] };
+        }
+        if (text.includes("status = 'failed'")) {
+          job = { ...job, status: 'failed', error: params[1] };
+        }
+        return { rows: [] };
+      })
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  });
+
+  describe('createJob', () => {
+    test('should reject an invalid date range', async () => {
+      const exporter = new EventExporter(mockDb, { exportDir });
+
+      await expect(exporter.createJob({ from: '2025-02-01', to: '2025-01-01' }))
+        .rejects.toMatchObject({ name: 'ValidationException', status: 400 });
+    });
+
+    test('should reject unsupported formats', async () => {
+      const exporter = new EventExporter(mockDb, { exportDir });
+
+      await expect(exporter.createJob({ from: '2025-01-01', to: '2025-02-01', formats: ['parquet'] }))
+        .rejects.toThrow('Unsupported formats: parquet');
+    });
+  });
+
+  describe('getCsvColumns', () => {
+    test('should derive one column per payload key from the Joi schema', () => {
+      const columns = EventExporter.getCsvColumns(['game_ended']);
+
+      expect(columns.slice(0, 4)).toEqual(['id', 'received_at', 'event_type', 'user_id']);
+      expect(columns).toEqual(expect.arrayContaining(['score', 'game_mode', 'obstacles_dodged', 'session_seq']));
+      expect(new Set(columns).size).toBe(columns.length);
+    });
+
+    test('should map conversion_* event types to the dynamic schema', () => {
+      expect(EventExporter.getCsvColumns(['conversion_games_played_3'])).toEqual(
+        expect.arrayContaining(['milestone_type', 'milestone_value', 'days_since_install'])
+      );
+      expect(EventExporter.getCsvColumns(['not_a_schema'])).toEqual(['id', 'received_at']);
+    });
+
+    test('should escape CSV fields', () => {
+      expect(EventExporter.toCsvField('hit "pipe", top')).toBe('"hit ""pipe"", top"');
+      expect(EventExporter.toCsvField(null)).toBe('');
+      expect(EventExporter.toCsvField(['a', 'b'])).toBe('"[""a"",""b""]"');
+    });
+  });
+
+  describe('runJob', () => {
+    test('should write gzip NDJSON and CSV files in batches', async () => {
+      const exporter = new EventExporter(mockDb, { exportDir, batchSize: 2 });
+
+      const result = await exporter.runJob(3);
+
+      expect(result.status).toBe('completed');
+      expect(result.events_exported).toBe(3);
+      expect(result.progress_percent).toBe(100);
+
+      const ndjson = readGzip(result.files.ndjson.path).trim().split('\n').map(line => JSON.parse(line));
+      expect(ndjson).toHaveLength(3);
+      expect(ndjson[0]).toEqual(expect.objectContaining({
+        id: '00000000-0000-0000-0000-000000000001',
+        event_type: 'game_ended',
+        score: 42
+      }));
+
+      const csv = readGzip(result.files.csv.path).trim().split('\n');
+      const header = csv[0].split(',');
+      expect(csv).toHaveLength(4);
+      expect(header).toEqual(EventExporter.getCsvColumns(['game_ended']));
+      expect(csv[1].split(',')[header.indexOf('score')]).toBe('42');
+      expect(csv[2]).toContain('"hit ""pipe"", top"');
+
+      // Second batch continues after the first batch's last event
+      const fetches = mockDb.query.mock.calls.filter(([text]) => text.includes('FROM events') && !text.includes('COUNT'));
+      expect(fetches).toHaveLength(2);
+      expect(fetches[1][1][5]).toBe('00000000-0000-0000-0000-000000000002');
+      expect(mockDb.query).toHaveBeenCalledWith(expect.stringContaining('events_exported = $2'), [3, 2]);
+    });
+
+    test('should mark the job failed and remove partial files', async () => {
+      const defaultQuery = mockDb.query.getMockImplementation();
+      mockDb.query.mockImplementation(async (text, params) => {
+        if (text.includes('FROM events') && params[4]) throw new Error('connection lost');
+        return defaultQuery(text, params);
+      });
+      const exporter = new EventExporter(mockDb, { exportDir, batchSize: 2 });
+
+      await expect(exporter.runJob(3)).rejects.toThrow('connection lost');
+
+      expect(job.status).toBe('failed');
+      expect(fs.readdirSync(exportDir)).toEqual([]);
+    });
+  });
+});
@@ -3,7 +3,17 @@
  * Tests event validation, storage, and error handling
  */
 
+jest.mock('../../services/event-enricher');
+// Real validation unless a test rejects an event once (e.g. before a schema fix)
+jest.mock('../../services/event-schemas', () => ({
+  ...jest.requireActual('../../services/event-schemas'),
+  validateEvent: jest.fn()
+}));
+
 const EventProcessor = require('../../services/event-processor');
+const EventEnricher = require('../../services/event-enricher');
+const { validateEvent } = require('../../services/event-schemas');
+const { PrivacyFilter } = require('../../utils/privacy');
 
 describe('EventProcessor', () => {
   let mockDb;
@@ -15,6 +25,15 @@ describe('EventProcessor', () => {
       query: jest.fn()
     };
 
+    validateEvent.mockImplementation(jest.requireActual('../../services/event-schemas').validateEvent);
+
+    // Enrichment is covered in event-enricher.test.js - pass events through here
+    EventEnricher.mockImplementation(() => ({
+      createContext: jest.fn(context => context),
+      enrich: jest.fn(async event => event),
+      getStats: jest.fn(() => ({}))
+    }));
+
     processor = new EventProcessor(mockDb);
   });
 
@@ -76,7 +95,7 @@ describe('EventProcessor', () => {
 
       expect(result.success).toBe(false);
       expect(result.error).toBeDefined();
-      expect(mockDb.query).not.toHaveBeenCalled();
+      expect(mockDb.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO events'), expect.anything());
     });
 
     test('should reject unknown event type', async () => {
@@ -90,7 +109,7 @@ describe('EventProcessor', () => {
 
       expect(result.success).toBe(false);
       expect(result.error).toContain('Unknown event type');
-      expect(mockDb.query).not.toHaveBeenCalled();
+      expect(mockDb.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO events'), expect.anything());
     });
 
     test('should handle database errors gracefully', async () => {
@@ -182,6 +201,272 @@ describe('EventProcessor', () => {
     });
   });
 
+  describe('versioned schemas', () => {
+    test('should store old-client payloads in the current shape', async () => {
+      mockDb.query.mockResolvedValue({ rows: [{ id: 'event_789' }] });
+
+      const result = await processor.processEvent({
+        event_type: 'game_ended',
+        user_id: 'device_789',
+        timestamp: '2025-01-01T00:00:00.000Z',
+        app_version: '1.3.0',
+        platform: 'ios',
+        score: 12,
+        duration_seconds: 40,
+        obstacles_passed: 12,
+        coins_collected: 3,
+        gems_collected: 0,
+        hearts_remaining: 0,
+        cause_of_death: 'obstacle_collision',
+        max_combo: 2
+      });
+
+      expect(result.success).toBe(true);
+      const payload = JSON.parse(mockDb.query.mock.calls[0][1][3]);
+      expect(payload).toEqual(expect.objectContaining({ game_mode: 'endless', obstacles_dodged: 12 }));
+      expect(payload).not.toHaveProperty('obstacles_passed');
+    });
+  });
+
+  describe('event_id deduplication', () => {
+    const baseEvent = {
+      event_type: 'tutorial_started',
+      user_id: 'device_123',
+      timestamp: '2025-01-01T00:00:00.000Z',
+      app_version: '2.4.0',
+      platform: 'android'
+    };
+
+    test('should claim event_id and use it as the event id', async () => {
+      const event = { ...baseEvent, event_id: '3f1c2a4e-8d9b-4c6a-9e2f-1a2b3c4d5e6f' };
+      mockDb.query.mockResolvedValue({ rows: [{ id: event.event_id }] });
+
+      const result = await processor.processEvent(event);
+
+      expect(result.success).toBe(true);
+      expect(result.duplicate).toBeUndefined();
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO event_ids'),
+        expect.arrayContaining([event.event_id])
+      );
+    });
+
+    test('should drop retried event with an already stored event_id', async () => {
+      const event = { ...baseEvent, event_id: '3f1c2a4e-8d9b-4c6a-9e2f-1a2b3c4d5e6f' };
+      mockDb.query.mockResolvedValue({ rows: [] });
+
+      const result = await processor.processEvent(event);
+
+      expect(result).toEqual({ success: true, duplicate: true, event_id: event.event_id });
+      expect(processor.getStats().total_duplicates).toBe(1);
+      expect(processor.getStats().total_processed).toBe(0);
+    });
+
+    test('should insert without dedup claim when event_id is absent', async () => {
+      mockDb.query.mockResolvedValue({ rows: [{ id: 'event_123' }] });
+
+      await processor.processEvent({ ...baseEvent });
+
+      expect(mockDb.query.mock.calls[0][0]).not.toContain('event_ids');
+    });
+
+    test('should reject non-UUID event_id', async () => {
+      const result = await processor.processEvent({ ...baseEvent, event_id: 'not-a-uuid' });
+
+      expect(result.success).toBe(false);
+      expect(mockDb.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO events'), expect.anything());
+    });
+
+    test('should count duplicates separately in batch results', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ id: 'a' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await processor.processBatch([
+        { ...baseEvent, event_id: '11111111-1111-4111-8111-111111111111' },
+        { ...baseEvent, event_id: '11111111-1111-4111-8111-111111111111' }
+      ]);
+
+      expect(result.processed).toBe(1);
+      expect(result.duplicates).toBe(1);
+      expect(result.failed).toBe(0);
+    });
+  });
+
+  describe('backfill', () => {
+    const backfillEvent = (occurredAt) => ({
+      event_type: 'tutorial_started',
+      user_id: 'device_123',
+      timestamp: occurredAt,
+      occurred_at: occurredAt,
+      app_version: '2.4.0',
+      platform: 'android'
+    });
+
+    test('should store events at occurred_at and mark past dates', async () => {
+      const now = new Date().toISOString();
+      mockDb.query.mockResolvedValue({ rows: [{ id: 'event_123' }] });
+
+      const result = await processor.processBatch([
+        backfillEvent('2025-01-05T10:00:00.000Z'),
+        backfillEvent('2025-01-05T22:00:00.000Z'),
+        backfillEvent(now)
+      ], { received_at: now, backfill: true });
+
+      const inserts = mockDb.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO events'));
+      expect(inserts.map(([, params]) => params[6])).toEqual(['2025-01-05T10:00:00.000Z', '2025-01-05T22:00:00.000Z', now]);
+
+      expect(result.late_dates).toEqual(['2025-01-05']);
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO aggregate_dirty_dates'),
+        [['2025-01-05'], [2], 'backfill']
+      );
+    });
+
+    test('should store regular batches at NOW() and still mark their past dates', async () => {
+      mockDb.query.mockResolvedValue({ rows: [{ id: 'event_123' }] });
+
+      const result = await processor.processBatch([backfillEvent('2025-01-05T10:00:00.000Z')]);
+
+      expect(mockDb.query.mock.calls[0][1][6]).toBeNull();
+      expect(result.late_dates).toEqual(['2025-01-05']);
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO aggregate_dirty_dates'),
+        [['2025-01-05'], [1], 'offline_batch']
+      );
+    });
+
+    test('should not mark today and yesterday (always refreshed)', async () => {
+      mockDb.query.mockResolvedValue({ rows: [{ id: 'event_123' }] });
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+      const result = await processor.processBatch([backfillEvent(yesterday), backfillEvent(new Date().toISOString())]);
+
+      expect(result.late_dates).toEqual([]);
+      expect(mockDb.query).not.toHaveBeenCalledWith(expect.stringContaining('aggregate_dirty_dates'), expect.anything());
+    });
+  });
+
+  describe('dead-letter store', () => {
+    const invalidEvent = {
+      event_type: 'tutorial_started',
+      timestamp: '2025-01-01T00:00:00.000Z',
+      app_version: '2.5.0',
+      platform: 'ios'
+    };
+
+    test('should store invalid events with error details', async () => {
+      mockDb.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+      const result = await processor.processEvent({ ...invalidEvent });
+
+      expect(result.success).toBe(false);
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO event_dead_letters'),
+        expect.arrayContaining(['tutorial_started', null, '2.5.0', 'ios'])
+      );
+      const errors = JSON.parse(mockDb.query.mock.calls[0][1][5]);
+      expect(errors).toEqual([expect.objectContaining({ path: 'user_id', type: 'any.required' })]);
+    });
+
+    test('should still reject the event when the dead-letter insert fails', async () => {
+      mockDb.query.mockRejectedValue(new Error('relation "event_dead_letters" does not exist'));
+
+      const result = await processor.processEvent({ ...invalidEvent });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid event schema');
+    });
+
+    test('should not dead-letter again when deadLetter is false', async () => {
+      await processor.processEvent({ ...invalidEvent }, { deadLetter: false });
+
+      expect(mockDb.query).not.toHaveBeenCalled();
+    });
+
+    test('should resubmit pending dead letters that are now valid', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [
+          { id: 1, payload: { ...invalidEvent, user_id: 'device_123' } },
+          { id: 2, payload: { ...invalidEvent } }
+        ] })
+        .mockResolvedValueOnce({ rows: [{ id: 'event_123' }] }) // INSERT INTO events
+        .mockResolvedValueOnce({ rows: [] }) // mark resubmitted
+        .mockResolvedValueOnce({ rows: [] }); // record failed resubmit
+
+      const result = await processor.resubmitDeadLetters({ eventType: 'tutorial_started' });
+
+      expect(result).toEqual({ success: true, total: 2, resubmitted: 1, still_invalid: 1, failed: 0 });
+      expect(mockDb.query.mock.calls[2][0]).toContain("status = 'resubmitted'");
+      expect(mockDb.query.mock.calls[2][1]).toEqual([1, 'event_123']);
+      expect(mockDb.query.mock.calls[3][1][0]).toBe(2);
+      // Details of the failed validation itself, each payload validated once
+      expect(JSON.parse(mockDb.query.mock.calls[3][1][1]))
+        .toEqual([expect.objectContaining({ path: 'user_id', type: 'any.required' })]);
+      expect(validateEvent).toHaveBeenCalledTimes(2);
+      expect(mockDb.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO event_dead_letters'),
+        expect.anything()
+      );
+    });
+  });
+
+  describe('dead-letter re-submission', () => {
+    const acquiredEvent = () => ({
+      event_type: 'user_acquired',
+      user_id: 'device_123',
+      timestamp: '2025-01-01T00:00:00.000Z',
+      app_version: '2.5.0',
+      platform: 'android',
+      install_date: '2025-01-01T00:00:00.000Z',
+      device_id: 'a1b2-c3d4',
+      gclid: 'click_1'
+    });
+    const storedPayload = () => JSON.parse(
+      mockDb.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO events'))[1][3]
+    );
+    const acquisitionRow = () => mockDb.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO user_acquisitions'))[1];
+
+    beforeEach(() => {
+      processor = new EventProcessor(mockDb, {
+        privacyFilter: new PrivacyFilter({ fieldPolicy: {}, hashSecret: 'test-secret' })
+      });
+      mockDb.query.mockResolvedValue({ rows: [{ id: 'event_1' }] });
+    });
+
+    test('should store a resubmitted event as direct ingestion would', async () => {
+      await processor.processEvent(acquiredEvent());
+      const direct = storedPayload();
+      const directGclid = acquisitionRow()[9];
+
+      // Rejected before a schema fix: listed pseudonymized, raw copy kept for re-submission
+      mockDb.query.mockClear();
+      validateEvent.mockReturnValueOnce({
+        valid: false,
+        errors: ['"install_date" must be a valid date'],
+        details: [{ message: '"install_date" must be a valid date', path: 'install_date', type: 'date.base' }]
+      });
+      await processor.processEvent(acquiredEvent());
+      const [, deadLetterParams] = mockDb.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO event_dead_letters'));
+      expect(JSON.parse(deadLetterParams[4]).device_id).toBe(direct.device_id);
+      expect(JSON.parse(deadLetterParams[4]).gclid).toBeUndefined();
+
+      // getPending returns COALESCE(raw_payload, payload)
+      mockDb.query.mockClear();
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ id: 7, payload: JSON.parse(deadLetterParams[6]) }] })
+        .mockResolvedValue({ rows: [{ id: 'event_2' }] });
+
+      const result = await processor.resubmitDeadLetters();
+
+      expect(result.resubmitted).toBe(1);
+      expect(storedPayload().device_id).toBe(direct.device_id);
+      expect(storedPayload().device_id).not.toBe('a1b2-c3d4');
+      expect(acquisitionRow()[9]).toBe(directGclid);
+      expect(directGclid).toBe('click_1');
+    });
+  });
+
   describe('getStats', () => {
     test('should return processor statistics', () => {
       const stats = processor.getStats();
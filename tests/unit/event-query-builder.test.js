@@ -0,0 +1,155 @@
+/**
+ * Unit Tests for Event Query Builder
+ * Tests spec validation, SQL compilation and the cost/timeout limits
+ */
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const EventQueryBuilder = require('../../services/event-query-builder');
+
+const baseSpec = {
+  event_type: 'level_completed',
+  from: '2026-10-01',
+  to: '2026-10-08'
+};
+
+describe('EventQueryBuilder.getFields', () => {
+  test('should derive fields from the event schema', () => {
+    const fields = EventQueryBuilder.getFields('level_completed');
+
+    expect(fields.numeric).toEqual(expect.arrayContaining(['score', 'time_seconds', 'level_id']));
+    expect(fields.numeric).not.toContain('platform');
+    expect(fields.dimensions).toEqual(expect.arrayContaining(['platform', 'country', 'first_attempt']));
+    expect(fields.dimensions).not.toContain('user_id');
+    expect(fields.filterable).toContain('user_id');
+    expect(fields.filterable).not.toContain('event_type');
+    expect(fields.filterable).not.toContain('timestamp');
+  });
+
+  test('should use the shared schema for conversion events', () => {
+    expect(EventQueryBuilder.getFields('conversion_first_purchase').event_type).toBe('conversion_first_purchase');
+  });
+
+  test('should reject unknown event types', () => {
+    expect(() => EventQueryBuilder.getFields('nope')).toThrow(expect.objectContaining({ field: 'event_type' }));
+  });
+});
+
+describe('EventQueryBuilder.compile', () => {
+  const builder = new EventQueryBuilder(null, { maxRangeDays: 93 });
+
+  test('should compile aggregations, group-bys, buckets and filters to parameterized SQL', () => {
+    const { sql, params, columns, spec } = builder.compile({
+      ...baseSpec,
+      time_bucket: 'day',
+      group_by: ['platform'],
+      aggregations: [{ fn: 'count' }, { fn: 'p95', field: 'time_seconds', as: 'p95_time' }],
+      filters: [
+        { field: 'zone_id', op: 'in', value: [1, 2] },
+        { field: 'country', op: 'eq', value: "US' OR 1=1 --" }
+      ]
+    });
+
+    expect(columns).toEqual(['bucket', 'platform', 'count', 'p95_time']);
+    expect(sql).toContain("percentile_cont(0.95) WITHIN GROUP (ORDER BY (CASE WHEN jsonb_typeof(e.payload #> '{time_seconds}') = 'number'");
+    expect(sql).toContain('GROUP BY 1, 2');
+    expect(sql).toContain('e.received_at >= $2::timestamptz');
+    expect(sql).toContain('= ANY($5::numeric[])');
+    expect(sql).not.toContain('OR 1=1');
+    expect(params).toEqual(['day', '2026-10-01T00:00:00.000Z', 'level_completed', '2026-10-08T00:00:00.000Z', [1, 2], "US' OR 1=1 --", 101]);
+    expect(spec.aggregations).toEqual([{ fn: 'count', as: 'count' }, { fn: 'p95', field: 'time_seconds', as: 'p95_time' }]);
+  });
+
+  test('should default to a count without grouping', () => {
+    const { sql, columns } = builder.compile(baseSpec);
+
+    expect(columns).toEqual(['count']);
+    expect(sql).not.toContain('GROUP BY');
+  });
+
+  test('should keep a received_at bound on the occurred_at basis', () => {
+    const { sql } = builder.compile({ ...baseSpec, time_basis: 'occurred_at', time_bucket: 'hour' });
+
+    expect(sql).toContain('COALESCE(e.occurred_at, e.received_at) >= $2::timestamptz');
+    expect(sql).toContain('e.received_at >= $2::timestamptz');
+  });
+
+  test.each([
+    [{ event_type: 'level_completed' }, 'from'],
+    [{ ...baseSpec, to: '2027-10-01' }, 'from'],
+    [{ ...baseSpec, group_by: ['user_id'] }, 'group_by'],
+    [{ ...baseSpec, group_by: ['a', 'b', 'c', 'd'] }, 'group_by'],
+    [{ ...baseSpec, aggregations: [{ fn: 'sum', field: 'platform' }] }, 'aggregations'],
+    [{ ...baseSpec, aggregations: [{ fn: 'stddev', field: 'score' }] }, 'aggregations'],
+    [{ ...baseSpec, aggregations: [{ fn: 'count', as: 'Robert"); DROP' }] }, 'aggregations'],
+    [{ ...baseSpec, filters: [{ field: "payload->>'x'", op: 'eq', value: 1 }] }, 'filters'],
+    [{ ...baseSpec, filters: [{ field: 'platform', op: 'gt', value: 'ios' }] }, 'filters'],
+    [{ ...baseSpec, filters: [{ field: 'score', op: 'eq', value: '10' }] }, 'filters'],
+    [{ ...baseSpec, time_bucket: 'minute' }, 'time_bucket'],
+    [{ ...baseSpec, limit: 5000 }, 'limit']
+  ])('should reject %j', (spec, field) => {
+    expect(() => builder.compile(spec)).toThrow(expect.objectContaining({ status: 400, field }));
+  });
+});
+
+describe('EventQueryBuilder.run', () => {
+  let client;
+  let db;
+
+  const plan = (cost) => ({ rows: [{ 'QUERY PLAN': [{ Plan: { 'Total Cost': cost } }] }] });
+
+  beforeEach(() => {
+    client = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+    db = { connect: jest.fn().mockResolvedValue(client) };
+  });
+
+  test('should run in a read-only transaction with a timeout and flag truncated results', async () => {
+    client.query.mockImplementation((sql) => {
+      if (sql.startsWith('EXPLAIN')) return Promise.resolve(plan(1200.4));
+      if (sql.includes('FROM events')) return Promise.resolve({ rows: [{ count: '5' }, { count: '3' }, { count: '1' }] });
+      return Promise.resolve({ rows: [] });
+    });
+    const builder = new EventQueryBuilder(db, { timeoutMs: 5000 });
+
+    const result = await builder.run({ ...baseSpec, group_by: ['platform'], limit: 2 });
+
+    expect(client.query.mock.calls.map(([sql]) => sql.trim().split('\n')[0])).toEqual([
+      'BEGIN READ ONLY',
+      'SET LOCAL statement_timeout = 5000',
+      expect.stringMatching(/^EXPLAIN \(FORMAT JSON\)/),
+      'SELECT (e.payload #>> \'{platform}\') AS "platform",',
+      'COMMIT'
+    ]);
+    expect(result).toMatchObject({ row_count: 2, truncated: true, estimated_cost: 1200 });
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('should reject plans above the cost limit', async () => {
+    client.query.mockImplementation((sql) => Promise.resolve(sql.startsWith('EXPLAIN') ? plan(9e9) : { rows: [] }));
+    const builder = new EventQueryBuilder(db, { maxCost: 1000 });
+
+    await expect(builder.run(baseSpec)).rejects.toMatchObject({ status: 400 });
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.query.mock.calls.some(([sql]) => sql.trim().startsWith('SELECT'))).toBe(false);
+  });
+
+  test('should report statement timeouts as 504', async () => {
+    client.query.mockImplementation((sql) => {
+      if (sql.startsWith('EXPLAIN')) return Promise.resolve(plan(10));
+      if (sql.includes('FROM events')) return Promise.reject(Object.assign(new Error('canceling statement'), { code: '57014' }));
+      return Promise.resolve({ rows: [] });
+    });
+    const builder = new EventQueryBuilder(db, { timeoutMs: 100 });
+
+    await expect(builder.run(baseSpec)).rejects.toMatchObject({ status: 504 });
+    expect(client.release).toHaveBeenCalled();
+  });
+});
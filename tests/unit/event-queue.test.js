@@ -0,0 +1,194 @@
+/**
+ * Unit Tests for EventQueue
+ * Tests batch enqueueing, retry narrowing, dead-lettering and stats
+ */
+
+jest.mock('bull');
+jest.mock('../../services/event-processor');
+
+const Queue = require('bull');
+const EventProcessor = require('../../services/event-processor');
+const EventQueue = require('../../services/event-queue');
+
+describe('EventQueue', () => {
+  let mockQueue;
+  let mockRedisClient;
+  let mockProcessor;
+  let mockMulti;
+  let eventQueue;
+
+  beforeEach(() => {
+    mockMulti = {
+      lpush: jest.fn().mockReturnThis(),
+      ltrim: jest.fn().mockReturnThis(),
+      exec: jest.fn().mockResolvedValue([]),
+    };
+
+    mockQueue = {
+      add: jest.fn().mockResolvedValue({ id: 'job_1' }),
+      process: jest.fn(),
+      on: jest.fn(),
+      close: jest.fn().mockResolvedValue(),
+      getJobCounts: jest.fn().mockResolvedValue({ waiting: 2, active: 1, completed: 5, failed: 0, delayed: 1 }),
+      client: {
+        multi: jest.fn(() => mockMulti),
+        llen: jest.fn().mockResolvedValue(3),
+        lrange: jest.fn().mockResolvedValue([]),
+        rpop: jest.fn().mockResolvedValue(null),
+      },
+    };
+    Queue.mockImplementation(() => mockQueue);
+
+    mockProcessor = {
+      processBatch: jest.fn(),
+    };
+    EventProcessor.mockImplementation(() => mockProcessor);
+
+    mockRedisClient = {
+      duplicate: jest.fn(() => ({ quit: jest.fn().mockResolvedValue('OK'), disconnect: jest.fn() })),
+    };
+
+    eventQueue = new EventQueue({ db: {}, redisClient: mockRedisClient, concurrency: 3, attempts: 4 });
+    eventQueue.start();
+  });
+
+  describe('start', () => {
+    test('should register worker with configured concurrency', () => {
+      expect(mockQueue.process).toHaveBeenCalledWith(3, expect.any(Function));
+    });
+
+    test('should configure retries with exponential backoff', () => {
+      const [, options] = Queue.mock.calls[0];
+      expect(options.defaultJobOptions.attempts).toBe(4);
+      expect(options.defaultJobOptions.backoff.type).toBe('exponential');
+    });
+
+    test('should duplicate redis client for blocking connections without ready check', () => {
+      const [, options] = Queue.mock.calls[0];
+      options.createClient('bclient');
+
+      expect(mockRedisClient.duplicate).toHaveBeenCalledWith({
+        enableReadyCheck: false,
+        maxRetriesPerRequest: null,
+      });
+    });
+  });
+
+  describe('addBatch', () => {
+    test('should enqueue batch and update stats', async () => {
+      const events = [{ event_type: 'game_started' }, { event_type: 'game_ended' }];
+
+      const result = await eventQueue.addBatch(events);
+
+      expect(mockQueue.add).toHaveBeenCalledWith(expect.objectContaining({ events }));
+      expect(result).toEqual({ job_id: 'job_1', count: 2 });
+      expect(eventQueue.stats.events_enqueued).toBe(2);
+    });
+
+    test('should throw when queue not started', async () => {
+      const stopped = new EventQueue({ db: {}, redisClient: mockRedisClient });
+
+      await expect(stopped.addBatch([])).rejects.toThrow('Event queue not started');
+    });
+  });
+
+  describe('_processJob', () => {
+    test('should complete when all events succeed or are invalid', async () => {
+      mockProcessor.processBatch.mockResolvedValue({
+        processed: 1,
+        results: [
+          { index: 0, success: true },
+          { index: 1, success: false, error: 'Invalid event schema' },
+        ],
+      });
+      const job = { data: { events: [{}, {}] }, update: jest.fn() };
+
+      const result = await eventQueue._processJob(job);
+
+      expect(result).toEqual({ processed: 1, invalid: 1 });
+      expect(job.update).not.toHaveBeenCalled();
+    });
+
+    test('should pass the enrichment context to the processor', async () => {
+      mockProcessor.processBatch.mockResolvedValue({ processed: 1, results: [{ index: 0, success: true }] });
+      const context = { ip: '203.0.113.7', received_at: '2025-01-01T00:00:00.000Z' };
+      const job = { data: { events: [{}], context }, update: jest.fn() };
+
+      await eventQueue._processJob(job);
+
+      expect(mockProcessor.processBatch).toHaveBeenCalledWith([{}], context);
+    });
+
+    test('should narrow job to failed events and throw for retry', async () => {
+      const events = [{ event_type: 'a' }, { event_type: 'b' }];
+      mockProcessor.processBatch.mockResolvedValue({
+        processed: 1,
+        results: [
+          { index: 0, success: true },
+          { index: 1, success: false, error: 'Database connection lost' },
+        ],
+      });
+      const job = { data: { events }, update: jest.fn().mockResolvedValue() };
+
+      await expect(eventQueue._processJob(job)).rejects.toThrow('1 event(s) failed to store');
+      expect(job.update).toHaveBeenCalledWith({ events: [events[1]] });
+    });
+  });
+
+  describe('_handleFailedJob', () => {
+    test('should not dead-letter jobs with attempts remaining', async () => {
+      const job = { id: 'job_1', attemptsMade: 1, opts: { attempts: 4 }, data: { events: [] } };
+
+      await eventQueue._handleFailedJob(job, new Error('boom'));
+
+      expect(mockQueue.client.multi).not.toHaveBeenCalled();
+    });
+
+    test('should dead-letter jobs that exhausted retries', async () => {
+      const job = { id: 'job_1', attemptsMade: 4, opts: { attempts: 4 }, data: { events: [{}] } };
+
+      await eventQueue._handleFailedJob(job, new Error('boom'));
+
+      expect(mockMulti.lpush).toHaveBeenCalledWith('events:dead_letter', expect.stringContaining('"error":"boom"'));
+      expect(mockMulti.ltrim).toHaveBeenCalled();
+      expect(eventQueue.stats.batches_dead_lettered).toBe(1);
+    });
+  });
+
+  describe('requeueDeadLetters', () => {
+    test('should re-enqueue dead-lettered batches', async () => {
+      mockQueue.client.rpop
+        .mockResolvedValueOnce(JSON.stringify({ events: [{}, {}] }))
+        .mockResolvedValueOnce(null);
+
+      const result = await eventQueue.requeueDeadLetters(10);
+
+      expect(result).toEqual({ requeued: 1, events: 2 });
+      expect(mockQueue.add).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getStats', () => {
+    test('should combine job counts, dead-letter size and counters', async () => {
+      const stats = await eventQueue.getStats();
+
+      expect(stats.waiting).toBe(2);
+      expect(stats.dead_letter).toBe(3);
+      expect(stats.concurrency).toBe(3);
+      expect(stats.running).toBe(true);
+    });
+  });
+
+  describe('close', () => {
+    test('should close queue and quit duplicated connections', async () => {
+      const [, options] = Queue.mock.calls[0];
+      const connection = options.createClient('client');
+
+      await eventQueue.close();
+
+      expect(mockQueue.close).toHaveBeenCalled();
+      expect(connection.quit).toHaveBeenCalled();
+      expect(eventQueue.isRunning).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit Tests for EventRateLimiter and EventAnomalyStore
+ * Tests per-user/per-IP sliding windows, anomaly flags and fail-open behaviour
+ */
+
+const EventRateLimiter = require('../../services/event-rate-limiter');
+const EventAnomalyStore = require('../../services/event-anomaly-store');
+
+/**
+ * Minimal in-memory stand-in for the ioredis commands the limiter uses
+ */
+function createFakeRedis() {
+  const store = new Map();
+
+  const commands = {
+    incrby: (key, amount) => {
+      store.set(key, (parseInt(store.get(key)) || 0) + amount);
+      return store.get(key);
+    },
+    expire: () => 1,
+    get: key => (store.has(key) ? String(store.get(key)) : null),
+  };
+
+  return {
+    status: 'ready',
+    store,
+    multi: jest.fn(() => {
+      const queued = [];
+      const chain = {
+        incrby: (...args) => { queued.push(['incrby', args]); return chain; },
+        expire: (...args) => { queued.push(['expire', args]); return chain; },
+        get: (...args) => { queued.push(['get', args]); return chain; },
+        exec: async () => queued.map(([name, args]) => [null, commands[name](...args)]),
+      };
+      return chain;
+    }),
+    set: jest.fn(async (key) => {
+      if (store.has(key)) return null;
+      store.set(key, '1');
+      return 'OK';
+    }),
+  };
+}
+
+describe('EventRateLimiter', () => {
+  let redis;
+  let mockDb;
+
+  const event = (eventType, userId = 'device_123') => ({
+    event_type: eventType,
+    user_id: userId,
+    timestamp: '2025-01-10T10:00:00.000Z'
+  });
+
+  const createLimiter = (options = {}) => new EventRateLimiter({
+    redisClient: redis,
+    db: mockDb,
+    limits: {
+      user: { maxEvents: 5, windowSeconds: 60 },
+      ip: { maxEvents: 20, windowSeconds: 60 }
+    },
+    rules: [{ name: 'impossible_game_rate', eventTypes: ['game_ended'], threshold: 3, windowSeconds: 60 }],
+    ...options
+  });
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    mockDb = {
+      query: jest.fn().mockResolvedValue({ rows: [{ id: 1 }] })
+    };
+  });
+
+  test('should allow batches under the limits', async () => {
+    const events = [event('game_started'), event('game_ended')];
+
+    const result = await createLimiter().filterBatch(events, { ip: '203.0.113.7' });
+
+    expect(result.allowed).toEqual(events);
+    expect(result.dropped).toBe(0);
+    expect(result.flags).toEqual([]);
+  });
+
+  test('should drop events over the per-user limit and flag the user once', async () => {
+    const limiter = createLimiter();
+    const batch = () => [1, 2, 3, 4].map(() => event('game_started'));
+
+    const first = await limiter.filterBatch(batch(), { ip: '203.0.113.7' });
+    const second = await limiter.filterBatch(batch(), { ip: '203.0.113.7' });
+    const third = await limiter.filterBatch(batch(), { ip: '203.0.113.7' });
+
+    expect(first.allowed).toHaveLength(4);
+    expect(second.allowed).toHaveLength(1);
+    expect(second.dropped).toBe(3);
+    expect(second.flags).toEqual([expect.objectContaining({ rule: 'user_rate_limited', user_id: 'device_123' })]);
+    expect(third.allowed).toHaveLength(0);
+    expect(third.flags).toEqual([]);
+    expect(mockDb.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('should limit users independently behind a shared IP', async () => {
+    const limiter = createLimiter();
+    const events = ['a', 'b', 'c'].flatMap(user => [1, 2, 3, 4, 5].map(() => event('game_started', user)));
+
+    const result = await limiter.filterBatch(events, { ip: '198.51.100.1' });
+
+    expect(result.allowed).toHaveLength(15);
+  });
+
+  test('should drop the whole batch over the per-IP limit', async () => {
+    const limiter = createLimiter();
+    const events = Array.from({ length: 21 }, (_, i) => event('game_started', `device_${i}`));
+
+    const result = await limiter.filterBatch(events, { ip: '198.51.100.1' });
+
+    expect(result.allowed).toEqual([]);
+    expect(result.flags[0]).toEqual(expect.objectContaining({ rule: 'ip_rate_limited', ip: '198.51.100.1' }));
+  });
+
+  test('should flag impossible rates without dropping the events', async () => {
+    const events = [1, 2, 3, 4].map(() => event('game_ended'));
+
+    const result = await createLimiter().filterBatch(events, { ip: '203.0.113.7' });
+
+    expect(result.allowed).toHaveLength(4);
+    expect(result.flags).toEqual([expect.objectContaining({
+      rule: 'impossible_game_rate',
+      event_type: 'game_ended',
+      observed_count: 4,
+      threshold: 3
+    })]);
+    expect(mockDb.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO event_anomaly_flags'),
+      expect.arrayContaining(['device_123', '203.0.113.0', 'impossible_game_rate'])
+    );
+  });
+
+  test('should weight the previous window (sliding window)', async () => {
+    const limiter = createLimiter();
+    const now = Date.now();
+    const bucket = Math.floor(now / 60000);
+    redis.store.set(`ratelimit:events:user:device_123:${bucket - 1}`, 100);
+
+    const count = await limiter._slidingWindowAdd('ratelimit:events:user:device_123', 1, 60);
+
+    const elapsed = (now % 60000) / 60000;
+    expect(count).toBeGreaterThanOrEqual(Math.floor(100 * (1 - elapsed)));
+    expect(count).toBeLessThanOrEqual(101);
+  });
+
+  test('should fail open without Redis or when Redis errors', async () => {
+    const events = [event('game_started')];
+
+    const noRedis = await createLimiter({ redisClient: null }).filterBatch(events, { ip: '203.0.113.7' });
+    redis.multi.mockImplementation(() => { throw new Error('Connection is closed'); });
+    const broken = await createLimiter().filterBatch(events, { ip: '203.0.113.7' });
+
+    expect(noRedis.allowed).toEqual(events);
+    expect(broken.allowed).toEqual(events);
+  });
+});
+
+describe('EventAnomalyStore', () => {
+  let mockDb;
+
+  beforeEach(() => {
+    mockDb = {
+      query: jest.fn().mockResolvedValue({ rows: [] })
+    };
+  });
+
+  test('should aggregate flagged users', async () => {
+    mockDb.query.mockResolvedValue({
+      rows: [{ user_id: 'device_123', flag_count: '3', rules: ['impossible_game_rate'], max_observed_count: '120' }]
+    });
+
+    const users = await new EventAnomalyStore(mockDb).getFlaggedUsers({ days: 7 });
+
+    expect(users[0]).toEqual(expect.objectContaining({ user_id: 'device_123', flag_count: 3, max_observed_count: 120 }));
+    expect(mockDb.query).toHaveBeenCalledWith(expect.stringContaining('GROUP BY user_id'), ['open', '7', 100]);
+  });
+
+  test('should reject unknown review statuses', async () => {
+    await expect(new EventAnomalyStore(mockDb).review(1, { status: 'banned' }))
+      .rejects.toThrow('Invalid status: banned');
+    expect(mockDb.query).not.toHaveBeenCalled();
+  });
+});
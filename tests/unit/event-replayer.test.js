@@ -0,0 +1,224 @@
+/**
+ * Unit Tests for EventReplayer
+ * Tests run validation, batching, dry-run rollback, row counting and resume
+ */
+
+jest.mock('../../services/event-enricher');
+
+const EventEnricher = require('../../services/event-enricher');
+const EventReplayer = require('../../services/event-replayer');
+
+describe('EventReplayer', () => {
+  let mockDb;
+  let mockClient;
+  let run;
+  let events;
+
+  const crashRow = (id, receivedAt) => ({
+    id,
+    event_type: 'app_crashed',
+    user_id: 'device_123',
+    payload: {
+      event_type: 'app_crashed',
+      user_id: 'device_123',
+      timestamp: '2025-01-10T10:00:00.000Z',
+      crash_message: 'boom'
+    },
+    received_at: new Date(receivedAt)
+  });
+
+  const checkpoint = (params) => ({
+    ...run,
+    cursor_received_at: params[1],
+    cursor_event_id: params[2],
+    events_replayed: run.events_replayed + params[3],
+    events_failed: run.events_failed + params[4],
+    rows_changed: JSON.parse(params[5])
+  });
+
+  beforeEach(() => {
+    EventEnricher.mockImplementation(() => ({
+      createContext: c => c,
+      enrich: async e => e,
+      getStats: () => ({})
+    }));
+
+    run = {
+      id: 7,
+      from_ts: new Date('2025-01-01T00:00:00Z'),
+      to_ts: new Date('2025-02-01T00:00:00Z'),
+      handlers: ['crash_logs'],
+      dry_run: false,
+      batch_size: 2,
+      cursor_received_at: null,
+      cursor_event_id: null,
+      status: 'running',
+      events_replayed: 0,
+      events_failed: 0,
+      rows_changed: {}
+    };
+
+    events = [
+      crashRow('00000000-0000-0000-0000-000000000001', '2025-01-10T10:00:01Z'),
+      crashRow('00000000-0000-0000-0000-000000000002', '2025-01-10T10:00:02Z'),
+      crashRow('00000000-0000-0000-0000-000000000003', '2025-01-10T10:00:03Z')
+    ];
+
+    mockClient = {
+      query: jest.fn(async (text, params) => {
+        if (text.includes('DELETE FROM crash_logs')) return { rowCount: 1, rows: [] };
+        if (text.includes('INSERT INTO crash_logs')) return { rowCount: 1, rows: [] };
+        if (text.includes('UPDATE event_replay_runs')) {
+          run = checkpoint(params);
+          return { rows: [run] };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+
+    mockDb = {
+      connect: jest.fn().mockResolvedValue(mockClient),
+      query: jest.fn(async (text, params) => {
+        if (text.includes('INSERT INTO event_replay_runs')) {
+          return { rows: [{ ...run, handlers: params[2], dry_run: params[3], batch_size: params[4] }] };
+        }
+        if (text.includes('SELECT * FROM event_replay_runs')) return { rows: [run] };
+        if (text.includes('MIN(received_at)')) return { rows: [{ oldest: new Date('2024-06-01T00:00:00Z') }] };
+        if (text.includes('FROM events')) {
+          const after = params[4]
+            ? events.filter(e => e.received_at > params[4])
+            : events;
+          return { rows: after.slice(0, params[3]) };
+        }
+        if (text.includes("status = 'completed'")) {
+          run = { ...run, status: 'completed' };
+          return { rows: [run] };
+        }
+        if (text.includes('UPDATE event_replay_runs')) {
+          if (params.length === 6) run = checkpoint(params);
+          return { rows: [run] };
+        }
+        return { rows: [] };
+      })
+    };
+  });
+
+  describe('createRun', () => {
+    test('should reject an invalid date range', async () => {
+      const replayer = new EventReplayer(mockDb);
+
+      await expect(replayer.createRun({ from: '2025-02-01', to: '2025-01-01' }))
+        .rejects.toMatchObject({ name: 'ValidationException', status: 400 });
+      expect(mockDb.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown handlers', async () => {
+      const replayer = new EventReplayer(mockDb);
+
+      await expect(replayer.createRun({ from: '2025-01-01', to: '2025-02-01', handlers: ['sessions'] }))
+        .rejects.toThrow('Unknown handlers: sessions');
+    });
+
+    test('should clamp the batch size', async () => {
+      const replayer = new EventReplayer(mockDb);
+
+      const created = await replayer.createRun({ from: '2025-01-01', to: '2025-02-01', batchSize: 100000 });
+
+      expect(created.batch_size).toBe(5000);
+      expect(created.handlers).toEqual(EventReplayer.handlerNames);
+    });
+  });
+
+  describe('claimRun', () => {
+    test('should claim only failed or stale running runs in one statement', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [{ ...run, status: 'running' }] });
+      const replayer = new EventReplayer(mockDb);
+
+      const claimed = await replayer.claimRun(7);
+
+      const [sql, params] = mockDb.query.mock.calls[0];
+      expect(sql).toContain("SET status = 'running'");
+      expect(sql).toContain("status = 'failed' OR (status = 'running' AND updated_at <");
+      expect(sql).toContain('RETURNING *');
+      expect(params).toEqual([7, 15]);
+      expect(claimed.status).toBe('running');
+    });
+
+    test('should return null when the run is not claimable', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [] });
+      const replayer = new EventReplayer(mockDb);
+
+      expect(await replayer.claimRun(7)).toBeNull();
+    });
+  });
+
+  describe('runReplay', () => {
+    test('should replay all batches and count rows changed', async () => {
+      const replayer = new EventReplayer(mockDb);
+
+      const summary = await replayer.runReplay(7);
+
+      expect(summary.status).toBe('completed');
+      expect(summary.events_replayed).toBe(3);
+      expect(summary.rows_changed).toEqual({ crash_logs: { inserted: 3, updated: 0, deleted: 3 } });
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO crash_logs'),
+        expect.arrayContaining(['00000000-0000-0000-0000-000000000003'])
+      );
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(mockClient.release).toHaveBeenCalledTimes(2);
+    });
+
+    test('should roll back dry runs and still record the checkpoint', async () => {
+      run.dry_run = true;
+      const replayer = new EventReplayer(mockDb);
+
+      const summary = await replayer.runReplay(7);
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockClient.query).not.toHaveBeenCalledWith('COMMIT');
+      expect(summary.rows_changed.crash_logs.inserted).toBe(3);
+      expect(run.cursor_event_id).toBe('00000000-0000-0000-0000-000000000003');
+    });
+
+    test('should resume from the checkpoint', async () => {
+      const replayer = new EventReplayer(mockDb);
+
+      const partial = await replayer.runReplay(7, { maxBatches: 1 });
+      expect(partial.status).toBe('running');
+      expect(partial.events_replayed).toBe(2);
+
+      const summary = await replayer.runReplay(7);
+
+      expect(summary.status).toBe('completed');
+      expect(summary.events_replayed).toBe(3);
+      const fetches = mockDb.query.mock.calls.filter(([text]) => text.includes('FROM events') && !text.includes('MIN('));
+      expect(fetches[fetches.length - 1][1][5]).toBe('00000000-0000-0000-0000-000000000002');
+    });
+
+    test('should isolate an event whose handler swallowed a database error', async () => {
+      const defaultQuery = mockClient.query.getMockImplementation();
+      let aborted = false;
+      mockClient.query.mockImplementation(async (text, params) => {
+        if (text.includes('INSERT INTO crash_logs') && params[11] === events[0].id) {
+          aborted = true;
+          throw new Error('constraint violation');
+        }
+        if (text === 'RELEASE SAVEPOINT replay_event' && aborted) {
+          throw new Error('current transaction is aborted');
+        }
+        if (text === 'ROLLBACK TO SAVEPOINT replay_event') aborted = false;
+        return defaultQuery(text, params);
+      });
+      const replayer = new EventReplayer(mockDb);
+
+      const summary = await replayer.runReplay(7);
+
+      expect(summary.events_failed).toBe(1);
+      expect(summary.events_replayed).toBe(2);
+      expect(summary.rows_changed).toEqual({ crash_logs: { inserted: 2, updated: 0, deleted: 2 } });
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK TO SAVEPOINT replay_event');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit Tests for EventRetentionManager
+ * Tests policy validation, per-type expiry, partition archival and run reports
+ */
+
+const EventRetentionManager = require('../../services/event-retention-manager');
+
+describe('EventRetentionManager', () => {
+  let mockDb;
+  let mockClient;
+  let policies;
+  let partitions;
+  let partitionCounts;
+  let manager;
+
+  const policy = (event_type, retention_days, archive = false, archive_retention_days = null) => ({
+    event_type, retention_days, archive, archive_retention_days
+  });
+
+  const finishCall = () => mockDb.query.mock.calls.find(([sql]) => sql.includes('UPDATE event_archival_runs'));
+
+  beforeEach(() => {
+    policies = [
+      policy('*', 365),
+      policy('app_crashed', 30),
+      policy('purchase_completed', 365, true, 2555)
+    ];
+    partitions = [];
+    partitionCounts = [];
+
+    const respond = async (sql) => {
+      if (sql.includes('FROM event_retention_policies')) return { rows: policies };
+      if (sql.includes('INSERT INTO event_archival_runs')) return { rows: [{ id: 11 }] };
+      if (sql.includes("status = 'running'")) return { rows: [] };
+      if (sql.includes('FROM pg_tables')) return { rows: partitions.map(tablename => ({ tablename })) };
+      if (sql.includes('GROUP BY event_type')) return { rows: partitionCounts };
+      if (sql.includes('WITH doomed')) return { rows: [{ moved: '3', archived: '0' }] };
+      if (sql.includes('INSERT INTO events_archive')) return { rows: [], rowCount: 2 };
+      if (sql.includes('SELECT COUNT(*)')) return { rows: [{ count: '5' }] };
+      return { rows: [], rowCount: 0 };
+    };
+
+    mockClient = { query: jest.fn(respond), release: jest.fn() };
+    mockDb = { query: jest.fn(respond), connect: jest.fn().mockResolvedValue(mockClient) };
+    manager = new EventRetentionManager(mockDb, { batchSize: 100 });
+  });
+
+  describe('setPolicy', () => {
+    test('should save a valid policy', async () => {
+      await manager.setPolicy('app_error', { retention_days: 14 }, 'admin_1');
+
+      const upsert = mockDb.query.mock.calls.find(([sql]) => sql.includes('ON CONFLICT (event_type)'));
+      expect(upsert[1]).toEqual(['app_error', 14, false, null, null, 'admin_1']);
+    });
+
+    test('should reject retention beyond the partition window', async () => {
+      await expect(manager.setPolicy('user_acquired', { retention_days: 800 }))
+        .rejects.toMatchObject({ status: 400, message: expect.stringContaining('archive: true') });
+    });
+
+    test('should not shrink the default below type policies', async () => {
+      await expect(manager.setPolicy('*', { retention_days: 180 }))
+        .rejects.toMatchObject({ status: 400, message: expect.stringContaining('purchase_completed') });
+      await expect(manager.setPolicy('*', { retention_days: 7 })).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('should refuse to delete the default policy', async () => {
+      await expect(manager.deletePolicy('*')).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('run', () => {
+    test('should expire short-lived types and archive long-lived ones before dropping partitions', async () => {
+      partitions = ['events_week_2024_01_01'];
+      partitionCounts = [
+        { event_type: 'game_started', count: '10' },
+        { event_type: 'purchase_completed', count: '2' }
+      ];
+
+      const report = await manager.run();
+
+      // app_crashed: 30 days < 365 -> deleted row by row
+      const expire = mockDb.query.mock.calls.find(([sql]) => sql.includes('WITH doomed'));
+      expect(expire[1]).toEqual(['app_crashed', 30, 100, 11, false]);
+      expect(report.expired.app_crashed).toEqual({ retention_days: 30, deleted: 3, archived: 0 });
+
+      // Partition: purchases archived in the drop transaction
+      const calls = mockClient.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+      expect(calls).toEqual([
+        'BEGIN',
+        'SELECT event_type, COUNT(*)',
+        'INSERT INTO events_archive',
+        'DROP TABLE IF',
+        'COMMIT'
+      ]);
+      const archive = mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO events_archive'));
+      expect(archive[1]).toEqual([['purchase_completed'], 11]);
+
+      expect(report.partitions).toEqual([{
+        partition_name: 'events_week_2024_01_01',
+        rows: 12,
+        archived: 2,
+        archived_by_type: { purchase_completed: 2 },
+        dropped: true
+      }]);
+      expect(report.totals).toEqual({ events_deleted: 13, events_archived: 2, partitions_dropped: 1, archive_purged: 0 });
+
+      // Report stored with the run
+      expect(finishCall()[1].slice(0, 6)).toEqual([11, 'completed', 13, 2, 1, 0]);
+    });
+
+    test('should archive only columns the expiry DELETE returns', async () => {
+      policies = [policy('*', 365), policy('app_error', 30, true, 400)];
+
+      await manager.run();
+
+      const [sql] = mockDb.query.mock.calls.find(([query]) => query.includes('WITH doomed'));
+      const list = pattern => sql.match(pattern)[1].split(',').map(column => column.trim());
+      const returned = list(/RETURNING ([^\n]+)\n\s*\), archived/).map(column => column.replace(/^e\./, ''));
+      const inserted = list(/INSERT INTO events_archive \(([^)]+), archive_run_id\)/);
+      const selected = list(/SELECT ([^\n]+), \$4 FROM moved/);
+
+      expect(selected).toEqual(inserted);
+      expect(selected.filter(column => !returned.includes(column))).toEqual([]);
+      expect(selected).toEqual(expect.arrayContaining(['occurred_at', 'timestamp_flag']));
+    });
+
+    test('should roll back the drop when archiving fails', async () => {
+      partitions = ['events_week_2024_01_01'];
+      partitionCounts = [{ event_type: 'purchase_completed', count: '2' }];
+      const query = mockClient.query.getMockImplementation();
+      mockClient.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('INSERT INTO events_archive')) throw new Error('disk full');
+        return query(sql, params);
+      });
+
+      await expect(manager.run()).rejects.toThrow('disk full');
+
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql.trim());
+      expect(statements).toContain('ROLLBACK');
+      expect(statements.some(sql => sql.startsWith('DROP TABLE'))).toBe(false);
+      expect(finishCall()[1][1]).toBe('failed');
+    });
+
+    test('should only count in dry runs', async () => {
+      partitions = ['events_week_2024_01_01'];
+      partitionCounts = [{ event_type: 'purchase_completed', count: '2' }];
+
+      const report = await manager.run({ dryRun: true });
+
+      expect(mockDb.connect).not.toHaveBeenCalled();
+      expect(mockDb.query.mock.calls.some(([sql]) => /DELETE|DROP|INSERT INTO events_archive/.test(sql))).toBe(false);
+      expect(report.expired.app_crashed.deleted).toBe(5);
+      expect(report.partitions[0]).toEqual(expect.objectContaining({ archived: 2, dropped: false }));
+      expect(report.archive_purged.purchase_completed).toBe(5);
+    });
+
+    test('should skip when another run is in progress', async () => {
+      const query = mockDb.query.getMockImplementation();
+      mockDb.query.mockImplementation(async (sql, params) => {
+        if (sql.includes("status = 'running'")) return { rows: [{ '?column?': 1 }] };
+        return query(sql, params);
+      });
+
+      expect(await manager.run()).toEqual({ skipped: true });
+      expect(mockDb.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO event_archival_runs'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit Tests for Event Schema Registry (Joi -> JSON Schema export)
+ */
+
+const Joi = require('joi');
+const { schemaMap } = require('../../services/event-schemas');
+const {
+  joiToJsonSchema,
+  buildSchemaRegistry,
+  getSchemaRegistry,
+  stableStringify
+} = require('../../services/event-schema-registry');
+
+describe('Event Schema Registry', () => {
+  describe('joiToJsonSchema', () => {
+    test('should convert required/optional fields, enums and numeric bounds', () => {
+      const schema = Joi.object({
+        mode: Joi.string().valid('endless', 'story').required(),
+        score: Joi.number().integer().min(0).max(100).required(),
+        ratio: Joi.number().min(0).optional(),
+        level_id: Joi.number().integer().min(1).allow(null).optional(),
+        name: Joi.string().max(20).optional(),
+      });
+
+      const jsonSchema = joiToJsonSchema(schema.describe());
+
+      expect(jsonSchema.type).toBe('object');
+      expect(jsonSchema.required).toEqual(['mode', 'score']);
+      expect(jsonSchema.additionalProperties).toBe(false);
+      expect(jsonSchema.properties.mode).toEqual({ type: 'string', enum: ['endless', 'story'] });
+      expect(jsonSchema.properties.score).toEqual({ type: 'integer', minimum: 0, maximum: 100 });
+      expect(jsonSchema.properties.ratio).toEqual({ type: 'number', minimum: 0 });
+      expect(jsonSchema.properties.level_id).toEqual({ type: ['integer', 'null'], minimum: 1 });
+      expect(jsonSchema.properties.name).toEqual({ type: 'string', maxLength: 20 });
+    });
+
+    test('should convert formats, defaults, arrays and alternatives', () => {
+      const schema = Joi.object({
+        timestamp: Joi.string().isoDate().required(),
+        event_id: Joi.string().guid().optional(),
+        powerups: Joi.array().items(Joi.string()).default([]),
+        at: Joi.alternatives().try(Joi.string(), Joi.number().integer().positive()),
+      }).unknown(true);
+
+      const jsonSchema = joiToJsonSchema(schema.describe());
+
+      expect(jsonSchema.additionalProperties).toBe(true);
+      expect(jsonSchema.properties.timestamp).toEqual({ type: 'string', format: 'date-time' });
+      expect(jsonSchema.properties.event_id).toEqual({ type: 'string', format: 'uuid' });
+      expect(jsonSchema.properties.powerups).toEqual({ type: 'array', items: { type: 'string' }, default: [] });
+      expect(jsonSchema.properties.at).toEqual({
+        anyOf: [{ type: 'string' }, { type: 'integer', exclusiveMinimum: 0 }]
+      });
+    });
+  });
+
+  describe('buildSchemaRegistry', () => {
+    test('should export every schemaMap event plus the conversion_* family', () => {
+      const registry = buildSchemaRegistry();
+
+      expect(Object.keys(registry.schemas).sort()).toEqual(Object.keys(schemaMap).sort());
+      expect(registry.event_count).toBe(Object.keys(schemaMap).length);
+      expect(registry.dynamic['conversion_*'].properties.event_type.pattern).toBe('^conversion_');
+      expect(registry.schemas.game_ended).toEqual(expect.objectContaining({
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'game_ended',
+        type: 'object'
+      }));
+    });
+
+    test('should produce a stable content hash', () => {
+      const registry = buildSchemaRegistry();
+
+      expect(registry.hash).toMatch(/^[a-f0-9]{64}$/);
+      expect(buildSchemaRegistry().hash).toBe(registry.hash);
+      expect(getSchemaRegistry().hash).toBe(registry.hash);
+    });
+
+    test('should hash independently of key order', () => {
+      expect(stableStringify({ b: 1, a: [{ d: 2, c: 3 }] })).toBe(stableStringify({ a: [{ c: 3, d: 2 }], b: 1 }));
+    });
+  });
+});
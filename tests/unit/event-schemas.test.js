@@ -3,7 +3,7 @@
  * Tests all 28 event schemas to ensure proper validation
  */
 
-const { schemaMap } = require('../../services/event-schemas');
+const { schemaMap, validateEvent, getSchemaVariant, compareVersions } = require('../../services/event-schemas');
 
 describe('Event Schemas Validation', () => {
   describe('app_installed', () => {
@@ -1454,5 +1454,70 @@ describe('Event Schemas Validation', () => {
       expect(error).toBeUndefined();
     });
   });
-});
 
+  describe('versioned schemas (app_version)', () => {
+    const legacyGameEnded = {
+      event_type: 'game_ended',
+      user_id: 'device_123',
+      timestamp: '2025-01-01T00:00:00.000Z',
+      app_version: '1.3.9',
+      platform: 'android',
+      score: 42,
+      duration_seconds: 120,
+      obstacles_passed: 42,
+      coins_collected: 15,
+      gems_collected: 2,
+      hearts_remaining: 0,
+      cause_of_death: 'obstacle_collision',
+      max_combo: 5
+    };
+
+    test('should compare app versions numerically', () => {
+      expect(compareVersions('1.10.0', '1.9.9')).toBeGreaterThan(0);
+      expect(compareVersions('2.3.0+45', '2.3.0')).toBe(0);
+      expect(compareVersions('v1.4', '1.4.0')).toBe(0);
+      expect(compareVersions('1.3.9', '1.4.0')).toBeLessThan(0);
+    });
+
+    test('should pick the variant covering the app version', () => {
+      expect(getSchemaVariant('game_ended', '1.3.9')).not.toBeNull();
+      expect(getSchemaVariant('game_ended', '1.4.0')).toBeNull();
+      expect(getSchemaVariant('game_ended', 'unknown')).toBeNull();
+      expect(getSchemaVariant('game_started', '1.0.0')).toBeNull();
+    });
+
+    test('should upcast old game_ended payloads to the current shape', () => {
+      const result = validateEvent(legacyGameEnded);
+
+      expect(result.valid).toBe(true);
+      expect(result.upcast_from).toBe('1.3.9');
+      expect(result.event).toEqual(expect.objectContaining({
+        game_mode: 'endless',
+        obstacles_dodged: 42,
+        powerups_used: []
+      }));
+      expect(result.event).not.toHaveProperty('obstacles_passed');
+      expect(schemaMap.game_ended.validate(result.event).error).toBeUndefined();
+    });
+
+    test('should reject the old payload shape from current app versions', () => {
+      const result = validateEvent({ ...legacyGameEnded, app_version: '2.3.0' });
+
+      expect(result.valid).toBe(false);
+      expect(result.details).toEqual(expect.arrayContaining([
+        expect.objectContaining({ path: 'obstacles_dodged', type: 'any.required' })
+      ]));
+    });
+
+    test('should return current-version events unchanged', () => {
+      const { obstacles_passed, ...rest } = legacyGameEnded;
+      const event = { ...rest, app_version: '2.3.0', game_mode: 'story', obstacles_dodged: obstacles_passed, level_id: 3, zone_id: 1 };
+
+      const result = validateEvent(event);
+
+      expect(result.valid).toBe(true);
+      expect(result.event).toBe(event);
+      expect(result.upcast_from).toBeUndefined();
+    });
+  });
+});
@@ -14,6 +14,15 @@ const express = require('express');
 // Mock dependencies before requiring the route
 jest.mock('../../services/event-processor');
 jest.mock('../../services/geolocation-service');
+jest.mock('../../services/event-replayer');
+jest.mock('../../services/event-exporter');
+jest.mock('../../middleware/admin-auth', () => ({
+  adminRoute: () => (req, res, next) => {
+    req.admin = { id: 1, email: 'admin@example.com', role: 'superadmin', auth: 'session' };
+    req.user = { playerId: 'admin_player', isAdmin: true };
+    next();
+  },
+}));
 jest.mock('../../utils/logger', () => ({
   info: jest.fn(),
   debug: jest.fn(),
@@ -261,6 +270,80 @@ describe('Events Route - Fire and Forget', () => {
       expect(mockEventQueue.addBatch).toHaveBeenCalled();
     });
 
+    test('should pass the client IP to the enrichment stage with the batch', async () => {
+      const events = [{ event_type: 'test', user_id: 'user_123' }];
+
+      await request(app)
+        .post('/api/events')
+        .send(events);
+
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mockEventQueue.addBatch).toHaveBeenCalledWith(events, expect.objectContaining({
+        ip: expect.any(String),
+        received_at: expect.any(String)
+      }));
+    });
+
+    test('should pass the batch send time for clock-skew correction', async () => {
+      const events = [{ event_type: 'test', user_id: 'user_123' }];
+
+      await request(app)
+        .post('/api/events')
+        .send({ events, sent_at: '2026-10-19T08:00:00+02:00' });
+      await request(app)
+        .post('/api/events')
+        .set('X-Batch-Sent-At', 'not-a-date')
+        .send(events);
+
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mockEventQueue.addBatch.mock.calls[0][1].sent_at).toBe('2026-10-19T06:00:00.000Z');
+      expect(mockEventQueue.addBatch.mock.calls[1][1]).not.toHaveProperty('sent_at');
+    });
+
+    test('should quarantine unsigned batches instead of queuing them', async () => {
+      process.env.EVENT_SIGNING_SECRETS = '*:test-secret';
+      const events = [{ event_type: 'test', user_id: 'user_123', app_version: '1.6.0' }];
+
+      const response = await request(app)
+        .post('/api/events')
+        .send(events);
+
+      await new Promise(resolve => setImmediate(resolve));
+      await new Promise(resolve => setImmediate(resolve));
+      delete process.env.EVENT_SIGNING_SECRETS;
+
+      expect(response.status).toBe(200);
+      expect(mockEventQueue.addBatch).not.toHaveBeenCalled();
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO event_quarantine'),
+        expect.arrayContaining(['missing', '1.6.0', ['user_123'], 1])
+      );
+    });
+
+    test('should quarantine forged batches before rate limiting the user', async () => {
+      process.env.EVENT_SIGNING_SECRETS = '*:test-secret';
+      const filterBatch = jest.spyOn(require('../../services/event-rate-limiter').prototype, 'filterBatch');
+      const events = [{ event_type: 'test', user_id: 'victim_user', app_version: '1.6.0' }];
+
+      await request(app)
+        .post('/api/events')
+        .set('X-Event-Signature', 'forged')
+        .send(events);
+
+      await new Promise(resolve => setImmediate(resolve));
+      await new Promise(resolve => setImmediate(resolve));
+      delete process.env.EVENT_SIGNING_SECRETS;
+
+      expect(filterBatch).not.toHaveBeenCalled();
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO event_quarantine'),
+        expect.arrayContaining(['1.6.0', ['victim_user'], 1])
+      );
+      filterBatch.mockRestore();
+    });
+
     test('should fall back to direct processing when queue unavailable', async () => {
       // Remove event queue
       app.locals.eventQueue = null;
@@ -318,6 +401,217 @@ describe('Events Route - Fire and Forget', () => {
       expect(mockEventQueue.addBatch).toHaveBeenCalled();
     });
   });
+
+  describe('Schema Registry', () => {
+    test('should return JSON Schemas with content hash as ETag', async () => {
+      const response = await request(app).get('/api/events/schemas');
+
+      expect(response.status).toBe(200);
+      expect(response.body.hash).toMatch(/^[a-f0-9]{64}$/);
+      expect(response.headers.etag).toBe(`"${response.body.hash}"`);
+      expect(response.body.schemas.game_ended.required).toContain('score');
+      expect(response.body.dynamic['conversion_*']).toBeDefined();
+    });
+
+    test('should return 304 when the client hash matches', async () => {
+      const first = await request(app).get('/api/events/schemas');
+
+      const response = await request(app)
+        .get('/api/events/schemas')
+        .set('If-None-Match', first.headers.etag);
+
+      expect(response.status).toBe(304);
+    });
+
+    test('should return a single schema by event_type', async () => {
+      const response = await request(app).get('/api/events/schemas?event_type=conversion_games_played_3');
+
+      expect(response.status).toBe(200);
+      expect(response.body.schema.title).toBe('conversion_*');
+    });
+
+    test('should return 404 for unknown event_type', async () => {
+      const response = await request(app).get('/api/events/schemas?event_type=nope');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Offline Batch Backfill (admin)', () => {
+    beforeEach(() => {
+      // The route was loaded after jest.resetModules() - mock its EventProcessor
+      require('../../services/event-processor').mockImplementation(() => mockProcessor);
+    });
+
+    test('should process the batch in-request at its original times', async () => {
+      mockProcessor.processBatch.mockResolvedValue({
+        processed: 1,
+        duplicates: 0,
+        failed: 1,
+        late_dates: ['2026-10-12'],
+        results: [
+          { index: 0, event_type: 'game_ended', success: true, event_id: 'e1' },
+          { index: 1, event_type: 'nope', success: false, error: 'Invalid event schema', details: ['unknown'] }
+        ]
+      });
+
+      const response = await request(app)
+        .post('/api/events/backfill')
+        .send({ events: [{ event_type: 'game_ended' }, { event_type: 'nope' }], sent_at: '2026-10-19T08:00:00Z' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.late_dates).toEqual(['2026-10-12']);
+      expect(response.body.rejected).toEqual([
+        { index: 1, event_type: 'nope', error: 'Invalid event schema', details: ['unknown'] }
+      ]);
+      expect(mockEventQueue.addBatch).not.toHaveBeenCalled();
+
+      const context = mockProcessor.processBatch.mock.calls[0][1];
+      expect(context).toMatchObject({ backfill: true, sent_at: '2026-10-19T08:00:00.000Z' });
+      expect(context).not.toHaveProperty('ip');
+    });
+
+    test('should reject empty and oversized batches', async () => {
+      const empty = await request(app).post('/api/events/backfill').send({ events: [] });
+      const oversized = await request(app)
+        .post('/api/events/backfill')
+        .send(Array.from({ length: 1001 }, () => ({ event_type: 'game_ended' })));
+
+      expect(empty.status).toBe(400);
+      expect(oversized.status).toBe(400);
+      expect(mockProcessor.processBatch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Event Replay (admin)', () => {
+    let EventReplayer;
+    let mockReplayer;
+
+    beforeEach(() => {
+      EventReplayer = require('../../services/event-replayer');
+      EventReplayer.handlerNames = ['user_acquisitions', 'crash_logs'];
+      mockReplayer = {
+        createRun: jest.fn().mockResolvedValue({ id: 12, status: 'running' }),
+        runReplay: jest.fn().mockResolvedValue({ run_id: 12, status: 'completed' }),
+        getRun: jest.fn().mockResolvedValue({ id: 12, status: 'failed' }),
+        claimRun: jest.fn().mockResolvedValue({ id: 12, status: 'running' }),
+        listRuns: jest.fn().mockResolvedValue([]),
+      };
+      EventReplayer.mockImplementation(() => mockReplayer);
+    });
+
+    test('should create a run and start it in the background', async () => {
+      const response = await request(app)
+        .post('/api/events/replay')
+        .send({ from: '2025-01-01', to: '2025-02-01', dry_run: true });
+
+      expect(response.status).toBe(202);
+      expect(response.body.run.id).toBe(12);
+      expect(mockReplayer.createRun).toHaveBeenCalledWith(expect.objectContaining({
+        handlers: ['user_acquisitions', 'crash_logs'],
+        dryRun: true,
+        requestedBy: 'admin_player'
+      }));
+      expect(mockReplayer.runReplay).toHaveBeenCalledWith(12);
+    });
+
+    test('should return 400 for invalid replay parameters', async () => {
+      mockReplayer.createRun.mockRejectedValue(Object.assign(new Error('from and to must be valid dates'), { status: 400 }));
+
+      const response = await request(app).post('/api/events/replay').send({ from: 'nope' });
+
+      expect(response.status).toBe(400);
+      expect(mockReplayer.runReplay).not.toHaveBeenCalled();
+    });
+
+    test('should resume a failed run', async () => {
+      const response = await request(app).post('/api/events/replay/12/resume');
+
+      expect(response.status).toBe(202);
+      expect(response.body.run.status).toBe('running');
+      expect(mockReplayer.claimRun).toHaveBeenCalledWith(12);
+      expect(mockReplayer.runReplay).toHaveBeenCalledWith(12);
+    });
+
+    test('should return 409 when the run is already running', async () => {
+      mockReplayer.getRun.mockResolvedValue({ id: 12, status: 'running' });
+      mockReplayer.claimRun.mockResolvedValue(null);
+
+      const response = await request(app).post('/api/events/replay/12/resume');
+
+      expect(response.status).toBe(409);
+      expect(mockReplayer.runReplay).not.toHaveBeenCalled();
+    });
+
+    test('should return 409 for completed runs without claiming them', async () => {
+      mockReplayer.getRun.mockResolvedValue({ id: 12, status: 'completed' });
+
+      const response = await request(app).post('/api/events/replay/12/resume');
+
+      expect(response.status).toBe(409);
+      expect(mockReplayer.claimRun).not.toHaveBeenCalled();
+      expect(mockReplayer.runReplay).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Event Export (admin)', () => {
+    let EventExporter;
+    let mockExporter;
+
+    beforeEach(() => {
+      EventExporter = require('../../services/event-exporter');
+      EventExporter.formats = ['ndjson', 'csv'];
+      mockExporter = {
+        createJob: jest.fn().mockResolvedValue({ id: 5, status: 'queued' }),
+        runJob: jest.fn().mockResolvedValue({ id: 5, status: 'completed' }),
+        getJob: jest.fn().mockResolvedValue({ id: 5, status: 'running', formats: ['csv'], files: {}, progress_percent: 40 }),
+        listJobs: jest.fn().mockResolvedValue([]),
+      };
+      EventExporter.mockImplementation(() => mockExporter);
+    });
+
+    test('should create an export job and start it in the background', async () => {
+      const response = await request(app)
+        .post('/api/events/exports')
+        .send({ from: '2025-01-01', to: '2025-02-01', event_types: ['game_ended'] });
+
+      expect(response.status).toBe(202);
+      expect(mockExporter.createJob).toHaveBeenCalledWith(expect.objectContaining({
+        eventTypes: ['game_ended'],
+        formats: ['ndjson', 'csv'],
+        requestedBy: 'admin_player'
+      }));
+      expect(mockExporter.runJob).toHaveBeenCalledWith(5);
+    });
+
+    test('should not download an export that is still running', async () => {
+      const response = await request(app).get('/api/events/exports/5/download?format=csv');
+
+      expect(response.status).toBe(409);
+      expect(response.body.progress_percent).toBe(40);
+    });
+  });
+
+  describe('Event Query (admin)', () => {
+    test('should list the queryable fields of an event type', async () => {
+      const response = await request(app).get('/api/events/query/fields?event_type=level_completed');
+
+      expect(response.status).toBe(200);
+      expect(response.body.numeric).toContain('time_seconds');
+      expect(response.body.dimensions).toContain('platform');
+      expect(response.body.dimensions).not.toContain('user_id');
+    });
+
+    test('should reject specs with fields outside the schema', async () => {
+      const response = await request(app)
+        .post('/api/events/query')
+        .send({ event_type: 'level_completed', from: '2026-10-01', to: '2026-10-08', group_by: ['payload'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe('group_by');
+      expect(mockDb.query).not.toHaveBeenCalled();
+    });
+  });
 });
 
 describe('Events Route - Edge Cases', () => {
@@ -0,0 +1,212 @@
+/**
+ * Unit Tests for Funnel Analyzer
+ * Tests definition validation, funnel SQL, result summaries and the funnels routes
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../../middleware/admin-auth', () => ({
+  adminRoute: () => (req, res, next) => {
+    req.admin = { id: 1, email: 'analyst@example.com', role: 'analyst', auth: 'session' };
+    req.user = { playerId: 'analyst@example.com', isAdmin: true };
+    next();
+  },
+}));
+
+const FunnelAnalyzer = require('../../services/funnel-analyzer');
+const DashboardFilters = require('../../services/dashboard-filters');
+
+const steps = [
+  { event_type: 'app_installed' },
+  { event_type: 'tutorial_completed' },
+  { event_type: 'level_completed', label: 'Level 5', filters: [{ field: 'level_id', op: 'eq', value: 5 }] },
+  { event_type: 'purchase_completed' }
+];
+
+const range = { from: new Date('2026-10-01T00:00:00Z'), to: new Date('2026-10-08T00:00:00Z') };
+
+describe('FunnelAnalyzer.validateDefinition', () => {
+  test('should normalize steps and default the window', () => {
+    const funnel = FunnelAnalyzer.validateDefinition({ name: ' Install to purchase ', steps });
+
+    expect(funnel.name).toBe('Install to purchase');
+    expect(funnel.conversion_window_hours).toBe(168);
+    expect(funnel.steps[0]).toEqual({ event_type: 'app_installed', label: 'app_installed', filters: [] });
+    expect(funnel.steps[2].label).toBe('Level 5');
+  });
+
+  test.each([
+    [{ steps }, 'name'],
+    [{ name: 'x', steps: steps.slice(0, 1) }, 'steps'],
+    [{ name: 'x', steps: [...steps, { event_type: 'nope' }] }, 'steps'],
+    [{ name: 'x', steps: [steps[0], { event_type: 'level_completed', filters: [{ field: 'secret', op: 'eq', value: 1 }] }] }, 'steps'],
+    [{ name: 'x', steps, conversion_window_hours: 0 }, 'conversion_window_hours'],
+    [{ name: 'x', steps, conversion_window_hours: 24 * 365 }, 'conversion_window_hours']
+  ])('should reject %j', (definition, field) => {
+    expect(() => FunnelAnalyzer.validateDefinition(definition)).toThrow(expect.objectContaining({ status: 400, field }));
+  });
+});
+
+describe('FunnelAnalyzer.compile', () => {
+  const analyzer = new FunnelAnalyzer(null);
+
+  test('should chain steps within the conversion window', () => {
+    const funnel = FunnelAnalyzer.validateDefinition({ name: 'x', steps, conversion_window_hours: 48 });
+
+    const { sql, params } = analyzer.compile(funnel, range);
+
+    expect(sql).toContain('s4 AS (');
+    expect(sql).toContain('FROM s3 p');
+    expect(sql).toContain('COALESCE(e.occurred_at, e.received_at) <= p.t0 + make_interval(hours => $3::integer)');
+    expect(sql).toContain("(e.payload #>> '{level_id}')::numeric END) = $");
+    expect(sql).toContain('percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM s4.t - s3.t)) AS step_4_median_seconds');
+    expect(sql).not.toContain('GROUPING SETS');
+    expect(params.slice(0, 4)).toEqual(['2026-10-01T00:00:00.000Z', '2026-10-08T00:00:00.000Z', 48, 'app_installed']);
+  });
+
+  test('should not let a repeated event type match the same event', () => {
+    const funnel = FunnelAnalyzer.validateDefinition({
+      name: 'x',
+      steps: [{ event_type: 'game_started' }, { event_type: 'game_started' }]
+    });
+
+    const { sql } = analyzer.compile(funnel, range);
+
+    expect(sql).toContain('COALESCE(e.occurred_at, e.received_at) > p.t');
+  });
+
+  test('should add breakdowns and entry segment filters', () => {
+    const funnel = FunnelAnalyzer.validateDefinition({ name: 'x', steps });
+    const segment = DashboardFilters.fromQuery({ platform: 'ios' });
+
+    const { sql, params } = analyzer.compile(funnel, { ...range, breakdown: 'country', segment });
+
+    expect(sql).toContain("GROUP BY GROUPING SETS ((), (COALESCE(ua.country, 'unknown')))");
+    expect(sql).toContain('LEFT JOIN user_acquisitions ua ON ua.user_id = s1.user_id');
+    expect(sql).toContain("e.payload->>'platform' = $5");
+    expect(params[4]).toBe('ios');
+  });
+});
+
+describe('FunnelAnalyzer.evaluate', () => {
+  let client;
+  let analyzer;
+
+  beforeEach(() => {
+    client = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+    analyzer = new FunnelAnalyzer({ connect: jest.fn().mockResolvedValue(client) }, { timeoutMs: 1000 });
+  });
+
+  test('should report per-step conversion, drop-off and median times', async () => {
+    client.query.mockImplementation((sql) => Promise.resolve(sql.includes('WITH s1') ? {
+      rows: [
+        { is_total: true, breakdown_value: 'unknown', step_1_users: '200', step_2_users: '150', step_2_median_seconds: '95.4', step_3_users: '60', step_3_median_seconds: '3600', step_4_users: '6', step_4_median_seconds: null },
+        { is_total: false, breakdown_value: 'ios', step_1_users: '120', step_2_users: '100', step_3_users: '40', step_4_users: '5' }
+      ]
+    } : { rows: [] }));
+
+    const result = await analyzer.evaluate({ id: 3, name: 'x', steps, conversion_window_hours: 72 }, { ...range, breakdown: 'platform' });
+
+    expect(client.query).toHaveBeenCalledWith('BEGIN READ ONLY');
+    expect(client.query).toHaveBeenCalledWith('SET LOCAL statement_timeout = 1000');
+    expect(result.funnel.id).toBe(3);
+    expect(result.overall).toMatchObject({ entered: 200, converted: 6, conversion_rate: 3 });
+    expect(result.overall.steps[1]).toMatchObject({
+      users: 150,
+      conversion_from_previous: 75,
+      drop_off: 50,
+      drop_off_rate: 25,
+      median_seconds_from_previous: 95
+    });
+    expect(result.overall.steps[2]).toMatchObject({ label: 'Level 5', conversion_from_start: 30, drop_off: 90 });
+    expect(result.breakdowns).toEqual([expect.objectContaining({ value: 'ios', entered: 120, converted: 5 })]);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('should reject long ranges and unknown breakdowns', async () => {
+    const definition = { steps };
+
+    await expect(analyzer.evaluate(definition, { from: new Date('2026-01-01'), to: new Date('2026-10-01') }))
+      .rejects.toMatchObject({ status: 400, field: 'start_date' });
+    await expect(analyzer.evaluate(definition, { ...range, breakdown: 'locale' }))
+      .rejects.toMatchObject({ status: 400, field: 'breakdown' });
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test('should report statement timeouts as 504', async () => {
+    client.query.mockImplementation((sql) => (sql.includes('WITH s1')
+      ? Promise.reject(Object.assign(new Error('canceling statement'), { code: '57014' }))
+      : Promise.resolve({ rows: [] })));
+
+    await expect(analyzer.evaluate({ steps }, range)).rejects.toMatchObject({ status: 504 });
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+});
+
+describe('Funnels routes', () => {
+  let app;
+  let db;
+  let client;
+
+  beforeEach(() => {
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    db = { query: jest.fn(), connect: jest.fn().mockResolvedValue(client) };
+
+    app = express();
+    app.use(express.json());
+    app.locals.db = db;
+    app.use('/api/funnels', require('../../routes/funnels'));
+  });
+
+  test('should save a valid funnel', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 7, name: 'Install to purchase' }] });
+
+    const response = await request(app).post('/api/funnels').send({ name: 'Install to purchase', steps });
+
+    expect(response.status).toBe(201);
+    expect(response.body.funnel.id).toBe(7);
+    const params = db.query.mock.calls[0][1];
+    expect(JSON.parse(params[2])).toHaveLength(4);
+    expect(params[4]).toBe('analyst@example.com');
+  });
+
+  test('should reject invalid funnels', async () => {
+    const response = await request(app).post('/api/funnels').send({ name: 'x', steps: [{ event_type: 'nope' }, steps[1]] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.field).toBe('steps');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('should evaluate a saved funnel over the requested dates', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 7, name: 'x', steps, conversion_window_hours: 168 }] });
+
+    const response = await request(app).get('/api/funnels/7/evaluate?start_date=2026-10-01&end_date=2026-10-07&country=de');
+
+    expect(response.status).toBe(200);
+    expect(response.body.from).toBe('2026-10-01T00:00:00.000Z');
+    expect(response.body.to).toBe('2026-10-08T00:00:00.000Z');
+    expect(response.body.overall.entered).toBe(0);
+    expect(response.body.filters).toMatchObject({ country: 'DE' });
+  });
+
+  test('should return 404 for unknown funnels', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    const response = await request(app).get('/api/funnels/99/evaluate');
+
+    expect(response.status).toBe(404);
+    expect(db.connect).not.toHaveBeenCalled();
+  });
+});
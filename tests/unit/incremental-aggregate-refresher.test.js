@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for IncrementalAggregateRefresher
+ * Tests dirty date marking, affected date ranges and the refresh transaction
+ */
+
+const IncrementalAggregateRefresher = require('../../services/incremental-aggregate-refresher');
+
+describe('IncrementalAggregateRefresher', () => {
+  let mockDb;
+  let mockClient;
+  let dirtyDates;
+  let revenueCohorts;
+  let refresher;
+
+  const now = new Date('2026-10-19T10:00:00.000Z');
+
+  const clientCall = (prefix) => mockClient.query.mock.calls.find(([sql]) => sql.trim().startsWith(prefix));
+
+  beforeEach(() => {
+    dirtyDates = [];
+    revenueCohorts = [];
+
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [], rowCount: 3 }),
+      release: jest.fn()
+    };
+    mockDb = {
+      connect: jest.fn().mockResolvedValue(mockClient),
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM aggregate_dirty_dates')) return { rows: dirtyDates.map(date => ({ date })) };
+        if (sql.includes('FROM user_acquisitions')) return { rows: revenueCohorts.map(cohort_date => ({ cohort_date })) };
+        return { rows: [], rowCount: 1 };
+      })
+    };
+    refresher = new IncrementalAggregateRefresher(mockDb);
+  });
+
+  test('should add late event counts per date', async () => {
+    await refresher.markDirty(new Map([['2026-10-12', 40], ['2026-10-13', 2]]));
+
+    const [sql, params] = mockDb.query.mock.calls[0];
+    expect(sql).toContain('event_count = aggregate_dirty_dates.event_count + EXCLUDED.event_count');
+    expect(params).toEqual([['2026-10-12', '2026-10-13'], [40, 2], 'backfill']);
+  });
+
+  test('should only recompute today and yesterday without late data', async () => {
+    const result = await refresher.refresh({ now });
+
+    expect(result.daily_dates).toBe(2);
+    const [, dailyParams] = clientCall('INSERT INTO daily_aggregations');
+    expect(dailyParams).toEqual([['2026-10-18', '2026-10-19'], '2026-10-18', '2026-10-19']);
+
+    const [, cohortParams] = clientCall('INSERT INTO cohort_aggregations');
+    expect(cohortParams[0]).toEqual([
+      '2026-09-18', '2026-09-19', '2026-10-11', '2026-10-12', '2026-10-15',
+      '2026-10-16', '2026-10-17', '2026-10-18', '2026-10-19'
+    ]);
+  });
+
+  test('should converge the MAU window and cohorts of a week-old offline batch', async () => {
+    dirtyDates = ['2026-10-12'];
+    revenueCohorts = ['2026-08-01'];
+
+    await refresher.refresh({ now });
+
+    // 2026-10-12 .. today: the late date and every MAU window containing it
+    const [dailySql, dailyParams] = clientCall('INSERT INTO daily_aggregations');
+    // Counted on the day the events happened, received up to EVENT_MAX_DELAY_DAYS later
+    expect(dailySql).toContain('DATE(COALESCE(occurred_at, received_at)) = ANY($1::date[])');
+    expect(dailySql).toContain("received_at < $3::date + INTERVAL '31 days'");
+    expect(dailyParams[0]).toHaveLength(8);
+    expect(dailyParams[0][0]).toBe('2026-10-12');
+
+    // Retention offsets of the late date, plus the install cohort of a paying user
+    const [, cohortParams] = clientCall('INSERT INTO cohort_aggregations');
+    expect(cohortParams[0]).toEqual(expect.arrayContaining(['2026-08-01', '2026-09-12', '2026-10-05', '2026-10-09', '2026-10-12']));
+
+    const [clearSql, clearParams] = clientCall('DELETE FROM aggregate_dirty_dates');
+    expect(clearSql).toContain('last_marked_at <= $2');
+    expect(clearParams[0]).toEqual(['2026-10-12']);
+    expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('should rebuild the whole window', async () => {
+    await refresher.refresh({ now, rebuild: true });
+
+    const [, dailyParams] = clientCall('INSERT INTO daily_aggregations');
+    expect(dailyParams[0]).toHaveLength(91);
+    expect(mockDb.query).not.toHaveBeenCalledWith(expect.stringContaining('aggregate_dirty_dates'), expect.anything());
+  });
+
+  test('should keep the marks when the refresh fails', async () => {
+    dirtyDates = ['2026-10-12'];
+    mockClient.query.mockImplementation(async (sql) => {
+      if (sql.includes('INSERT INTO cohort_aggregations')) throw new Error('statement timeout');
+      return { rows: [], rowCount: 0 };
+    });
+
+    await expect(refresher.refresh({ now })).rejects.toThrow('statement timeout');
+
+    expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(clientCall('DELETE FROM aggregate_dirty_dates')).toBeUndefined();
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Unit Tests for PlayerDataManager
+ * Tests GDPR export, transactional erasure, verification and the audit record
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PlayerDataManager = require('../../services/player-data-manager');
+const EventExporter = require('../../services/event-exporter');
+const EventRateLimiter = require('../../services/event-rate-limiter');
+
+/**
+ * In-memory Redis with what the rate limiter writes and erasure reads
+ * (SCAN returns every match in one page)
+ */
+function createRedis() {
+  const store = new Map();
+  const globToRegExp = pattern => new RegExp(`^${pattern
+    .replace(/\\(.)|([.+^${}()|[\]])|(\*)/g, (match, escaped, special, star) => {
+      if (star) return '.*';
+      return `\\${escaped || special}`;
+    })}$`);
+  const remove = async (...keys) => keys.filter(key => store.delete(key)).length;
+
+  return {
+    status: 'ready',
+    store,
+    multi() {
+      const ops = [];
+      const chain = {
+        incrby: (key, amount) => {
+          ops.push(() => {
+            store.set(key, String((parseInt(store.get(key), 10) || 0) + amount));
+            return store.get(key);
+          });
+          return chain;
+        },
+        expire: () => {
+          ops.push(() => 1);
+          return chain;
+        },
+        get: key => {
+          ops.push(() => (store.has(key) ? store.get(key) : null));
+          return chain;
+        },
+        exec: async () => ops.map(op => [null, op()])
+      };
+      return chain;
+    },
+    set: async (key, value) => {
+      if (store.has(key)) return null;
+      store.set(key, value);
+      return 'OK';
+    },
+    del: jest.fn(remove),
+    unlink: jest.fn(remove),
+    scan: jest.fn(async (cursor, match, pattern) => ['0', [...store.keys()].filter(key => globToRegExp(pattern).test(key))])
+  };
+}
+
+describe('PlayerDataManager', () => {
+  let mockDb;
+  let mockClient;
+  let mockRedis;
+  let request;
+  let remaining;
+  let manager;
+  let exportDir;
+  let exportFiles;
+
+  const userId = 'device_123';
+  const tables = PlayerDataManager.DATA_SOURCES.map(source => source.table);
+
+  const requestUpdate = () => mockDb.query.mock.calls
+    .find(([sql]) => sql.includes('UPDATE data_subject_requests') && sql.includes('verification'));
+
+  beforeEach(() => {
+    request = { id: 5, request_type: 'erasure', status: 'running', user_id: userId };
+    remaining = {};
+    exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdm-exports-'));
+    exportFiles = ['ndjson', 'csv'].map(format => path.join(exportDir, `event-export-3.${format}.gz`));
+    exportFiles.forEach(file => fs.writeFileSync(file, 'events'));
+
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [], rowCount: 2 }),
+      release: jest.fn()
+    };
+    mockDb = {
+      connect: jest.fn().mockResolvedValue(mockClient),
+      query: jest.fn(async (sql) => {
+        if (sql.includes('information_schema.tables')) {
+          // purchases only exists in legacy deployments
+          return {
+            rows: [...tables, 'event_export_jobs'].filter(table => table !== 'purchases').map(table_name => ({ table_name }))
+          };
+        }
+        if (sql.includes('FROM event_export_jobs j')) {
+          return { rows: [{ id: 3, files: { ndjson: { path: exportFiles[0] }, csv: { path: exportFiles[1] } } }] };
+        }
+        if (sql.includes('INSERT INTO data_subject_requests')) return { rows: [{ id: 5 }] };
+        if (sql.includes('SELECT * FROM data_subject_requests')) return { rows: [request] };
+        if (sql.includes('SELECT COUNT(*)')) {
+          const table = sql.match(/FROM (\w+)/)[1];
+          return { rows: [{ count: String(remaining[table] || 0) }] };
+        }
+        if (sql.includes('UPDATE data_subject_requests')) return { rows: [{ id: 5 }] };
+        if (sql.includes('FROM event_quarantine')) {
+          return { rows: [{ id: 1, events: [{ user_id: userId }, { user_id: 'someone_else' }] }] };
+        }
+        if (sql.includes('FROM users')) return { rows: [{ user_id: userId, nickname: 'Ace' }] };
+        return { rows: [] };
+      })
+    };
+    mockRedis = createRedis();
+    manager = new PlayerDataManager(mockDb, { redisClient: mockRedis, eventExporter: new EventExporter(mockDb, { exportDir }) });
+  });
+
+  afterEach(() => {
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  });
+
+  test('should export every table and record an audit entry without the user_id', async () => {
+    const archive = await manager.exportUser(userId, { requestedBy: 'admin_1', reference: 'TICKET-9' });
+
+    expect(archive.request_id).toBe(5);
+    expect(archive.tables.users).toEqual([{ user_id: userId, nickname: 'Ace' }]);
+    expect(archive.tables.purchases).toBeUndefined();
+    // Other players' events in a quarantined batch are not exported
+    expect(archive.tables.event_quarantine[0].events).toEqual([{ user_id: userId }]);
+
+    const insert = mockDb.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO data_subject_requests'));
+    expect(insert[1].slice(0, 6)).toEqual([
+      'export', PlayerDataManager.hashSubject(userId), null, 'completed', 'TICKET-9', 'admin_1'
+    ]);
+    expect(JSON.parse(insert[1][6]).purchases).toEqual({ action: 'missing', rows: 0 });
+  });
+
+  test('should reject pseudonyms and empty IDs', async () => {
+    await expect(manager.exportUser('erased_abc')).rejects.toMatchObject({ status: 400 });
+    await expect(manager.createErasure('')).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('should erase in one transaction, verify and clear the user_id', async () => {
+    await manager.runErasure(5);
+
+    const statements = mockClient.query.mock.calls.map(([sql]) => sql.trim());
+    expect(statements[0]).toBe('BEGIN');
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+    expect(statements).toContain('DELETE FROM users WHERE user_id = $1');
+    expect(statements.some(sql => sql.startsWith('UPDATE purchases'))).toBe(false);
+
+    // Pseudonymized tables get a random erased_ ID
+    const events = mockClient.query.mock.calls.find(([sql]) => sql.startsWith('UPDATE events SET user_id = $2'));
+    expect(events[1][0]).toBe(userId);
+    expect(events[1][1]).toMatch(/^erased_[0-9a-f-]{36}$/);
+    expect(events[0]).toContain("payload - '{user_id,nickname");
+
+    expect(mockRedis.del).toHaveBeenCalledWith(
+      `enrich:acquisition:${userId}`, `enrich:sessions:${userId}`, `consent:${userId}`, `geo:user:${userId}`
+    );
+
+    const [, params] = requestUpdate();
+    expect(params[1]).toBe('completed');
+    expect(JSON.parse(params[2]).users).toEqual({ action: 'deleted', rows: 2 });
+    expect(JSON.parse(params[2]).tournament_participants).toEqual({ action: 'pseudonymized', rows: 2 });
+    expect(Object.values(JSON.parse(params[3])).every(count => count === 0)).toBe(true);
+  });
+
+  test('should clear the rate-limit and anomaly keys the limiter wrote for the user', async () => {
+    const limiter = new EventRateLimiter({
+      redisClient: mockRedis,
+      limits: { user: { maxEvents: 1, windowSeconds: 60 }, ip: { maxEvents: 100, windowSeconds: 60 } },
+      rules: [{ name: 'impossible_game_rate', eventTypes: ['game_ended'], threshold: 1, windowSeconds: 60 }]
+    });
+    const games = id => [{ event_type: 'game_ended', user_id: id }, { event_type: 'game_ended', user_id: id }];
+    await limiter.filterBatch([...games(userId), ...games('someone_else')], { ip: '203.0.113.0' });
+
+    const written = [...mockRedis.store.keys()];
+    expect(written).toEqual(expect.arrayContaining([
+      expect.stringMatching(new RegExp(`^ratelimit:events:user:${userId}:\\d+$`)),
+      expect.stringMatching(new RegExp(`^anomaly:impossible_game_rate:${userId}:\\d+$`)),
+      `anomaly:flagged:user_rate_limited:${userId}`,
+      `anomaly:flagged:impossible_game_rate:${userId}`
+    ]));
+
+    await manager.runErasure(5);
+
+    const left = [...mockRedis.store.keys()];
+    expect(left.filter(key => key.includes(userId))).toEqual([]);
+    expect(left.filter(key => key.includes('someone_else'))).toHaveLength(4);
+    expect(left.some(key => key.startsWith('ratelimit:events:ip:'))).toBe(true);
+  });
+
+  test('should delete event export files holding the user\'s events', async () => {
+    await manager.runErasure(5);
+
+    expect(exportFiles.some(file => fs.existsSync(file))).toBe(false);
+    const lookup = mockDb.query.mock.calls.find(([sql]) => sql.includes('FROM event_export_jobs j'));
+    expect(lookup[1]).toEqual([userId]);
+    expect(mockDb.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE event_export_jobs'), [[3]]);
+
+    // Found through the user's events, so before they are pseudonymized
+    expect(mockDb.query.mock.invocationCallOrder[mockDb.query.mock.calls.indexOf(lookup)])
+      .toBeLessThan(mockClient.query.mock.invocationCallOrder[0]);
+
+    const [, params] = requestUpdate();
+    expect(JSON.parse(params[2]).event_export_jobs).toEqual({ action: 'files_deleted', rows: 1 });
+  });
+
+  test('should fail the request when rows remain after erasure', async () => {
+    remaining.fcm_tokens = 1;
+
+    await manager.runErasure(5);
+
+    const [, params] = requestUpdate();
+    expect(params[1]).toBe('failed');
+    expect(params[4]).toContain('fcm_tokens=1');
+  });
+
+  test('should roll back and mark the request failed on error', async () => {
+    mockClient.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('DELETE FROM fcm_tokens')) throw new Error('lock timeout');
+      return { rows: [], rowCount: 1 };
+    });
+
+    await expect(manager.runErasure(5)).rejects.toThrow('lock timeout');
+
+    expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(mockDb.query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'failed'"), [5, 'lock timeout']);
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('should not re-run completed erasures', async () => {
+    request = { ...request, status: 'completed', user_id: null };
+
+    await manager.runErasure(5);
+
+    expect(mockDb.connect).not.toHaveBeenCalled();
+  });
+});
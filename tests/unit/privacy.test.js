@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for PrivacyFilter
+ * Tests IP truncation, field policies, rotating identifier hashes and log scrubbing
+ */
+
+const { PrivacyFilter, parseFieldPolicy, truncateIP } = require('../../utils/privacy');
+
+describe('PrivacyFilter', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  let filter;
+
+  beforeEach(() => {
+    filter = new PrivacyFilter({ fieldPolicy: {}, hashSecret: 'test-secret', saltRotationDays: 30 });
+  });
+
+  describe('truncateIP', () => {
+    test('should truncate IPv4, IPv6 and mapped addresses', () => {
+      expect(truncateIP('203.0.113.42')).toBe('203.0.113.0');
+      expect(truncateIP('::ffff:203.0.113.42')).toBe('203.0.113.0');
+      expect(truncateIP('2001:db8:85a3:8d3:1319:8a2e:370:7348')).toBe('2001:db8:85a3::');
+      expect(truncateIP('2001:db8::1')).toBe('2001:db8:0::');
+    });
+
+    test('should return null for non-IPs', () => {
+      expect(truncateIP('unknown')).toBeNull();
+      expect(truncateIP(undefined)).toBeNull();
+    });
+  });
+
+  describe('field policy', () => {
+    test('should parse overrides and ignore unknown actions', () => {
+      expect(parseFieldPolicy('gclid:keep, nickname:drop,foo:explode')).toEqual({ gclid: 'keep', nickname: 'drop' });
+      expect(parseFieldPolicy('')).toEqual({});
+    });
+
+    test('should let overrides turn a default off', () => {
+      const custom = new PrivacyFilter({ fieldPolicy: { gclid: 'keep', nickname: 'drop' }, hashSecret: 's' });
+
+      expect(custom.actionFor('gclid')).toBeNull();
+      expect(custom.actionFor('nickname')).toBe('drop');
+      expect(custom.actionFor('deviceId')).toBe('hash');
+    });
+  });
+
+  describe('scrubEvent', () => {
+    test('should drop, hash and truncate without touching the input', () => {
+      const event = {
+        event_type: 'user_installed',
+        user_id: 'device_123',
+        email: 'ace@example.com',
+        device_id: 'ABC-123',
+        ip_address: '198.51.100.7',
+        attribution: { gclid: 'Cj0K', campaign: 'summer', IDFA: 'XYZ' }
+      };
+      const copy = JSON.parse(JSON.stringify(event));
+
+      const scrubbed = filter.scrubEvent(event);
+
+      expect(scrubbed).toEqual({
+        event_type: 'user_installed',
+        user_id: 'device_123',
+        device_id: filter.hashIdentifier('ABC-123'),
+        ip_address: '198.51.100.0',
+        attribution: { campaign: 'summer', IDFA: filter.hashIdentifier('XYZ') }
+      });
+      expect(scrubbed.device_id).toMatch(/^h_[0-9a-f]{32}$/);
+      expect(event).toEqual(copy);
+    });
+
+    test('should scrub objects inside arrays', () => {
+      const scrubbed = filter.scrubEvent({ devices: [{ android_id: 'a1', model: 'Pixel' }] });
+
+      expect(scrubbed.devices[0]).toEqual({ android_id: filter.hashIdentifier('a1'), model: 'Pixel' });
+    });
+  });
+
+  describe('hashIdentifier', () => {
+    test('should be stable within a period and change when the salt rotates', () => {
+      const start = 1000 * 30 * DAY;
+
+      expect(filter.hashIdentifier('ABC', start)).toBe(filter.hashIdentifier('ABC', start + 29 * DAY));
+      expect(filter.hashIdentifier('ABC', start)).not.toBe(filter.hashIdentifier('ABC', start + 30 * DAY));
+    });
+
+    test('should depend on the secret', () => {
+      const other = new PrivacyFilter({ fieldPolicy: {}, hashSecret: 'other-secret' });
+
+      expect(other.hashIdentifier('ABC', 0)).not.toBe(filter.hashIdentifier('ABC', 0));
+      expect(other.hasStableSecret).toBe(true);
+      expect(new PrivacyFilter({ fieldPolicy: {}, hashSecret: '' }).hasStableSecret).toBe(false);
+    });
+  });
+
+  describe('scrubLogInfo', () => {
+    test('should redact metadata and truncate IPs in messages', () => {
+      const info = {
+        level: 'info',
+        message: 'Request from 203.0.113.42 accepted',
+        ip: '203.0.113.42',
+        email: 'ace@example.com',
+        user_id: 'device_123',
+        context: { deviceId: 'ABC' }
+      };
+
+      filter.scrubLogInfo(info);
+
+      expect(info).toEqual({
+        level: 'info',
+        message: 'Request from 203.0.113.0 accepted',
+        ip: '203.0.113.0',
+        email: '[redacted]',
+        user_id: 'device_123',
+        context: { deviceId: filter.hashIdentifier('ABC') }
+      });
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Unit Tests for Sessionizer
+ * Tests session stitching, inactivity splits, orphan closing and checkpointing
+ */
+
+const Sessionizer = require('../../services/sessionizer');
+
+const COLUMNS = [
+  'user_id', 'session_key', 'client_session_id', 'started_at', 'last_event_at', 'ended_at',
+  'duration_seconds', 'client_duration_seconds', 'event_count', 'games_played',
+  'revenue_usd', 'status', 'end_reason', 'platform', 'app_version'
+];
+
+describe('Sessionizer', () => {
+  let mockDb;
+  let mockClient;
+  let loadedSessions;
+  let eventId;
+
+  const row = (eventType, time, extra = {}) => ({
+    id: `evt-${++eventId}`,
+    event_type: eventType,
+    user_id: 'device_123',
+    received_at: new Date('2025-01-10T12:00:00.000Z'),
+    payload: {
+      event_type: eventType,
+      user_id: 'device_123',
+      session_id: 'sess_a',
+      timestamp: `2025-01-10T${time}:00.000Z`,
+      platform: 'android',
+      app_version: '1.6.0',
+      ...extra
+    }
+  });
+
+  // Upserted sessions as objects (from the UNNEST column arrays)
+  const upserted = () => {
+    const call = mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO sessions'));
+    if (!call) return [];
+    const params = call[1];
+    return params[0].map((_, i) => Object.fromEntries(COLUMNS.map((name, c) => [name, params[c][i]])));
+  };
+
+  beforeEach(() => {
+    eventId = 0;
+    loadedSessions = [];
+    mockClient = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM sessions')) return { rows: loadedSessions };
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    mockDb = {
+      query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+      connect: jest.fn().mockResolvedValue(mockClient)
+    };
+  });
+
+  test('should compute revenue from purchases and ad revenue', () => {
+    expect(Sessionizer.eventRevenue({ event_type: 'purchase_completed', price_usd: 4.99 })).toBe(4.99);
+    expect(Sessionizer.eventRevenue({ event_type: 'ad_revenue', revenue_usd: 0.02 })).toBe(0.02);
+    expect(Sessionizer.eventRevenue({ event_type: 'ad_revenue', revenue_micros: 15000 })).toBe(0.015);
+    expect(Sessionizer.eventRevenue({ event_type: 'game_started', price_usd: 1 })).toBe(0);
+  });
+
+  test('should aggregate a session and close it on session_ended', async () => {
+    const sessionizer = new Sessionizer(mockDb, { inactivityTimeoutSeconds: 1800 });
+
+    await sessionizer._sessionizeBatch([
+      row('session_started', '10:00'),
+      row('game_started', '10:01'),
+      row('purchase_completed', '10:03', { price_usd: 2.99 }),
+      row('game_started', '10:05'),
+      row('session_ended', '10:10', { duration_seconds: 605 })
+    ]);
+
+    const sessions = upserted();
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0]).toEqual(expect.objectContaining({
+      session_key: `sess_a@${Date.parse('2025-01-10T10:00:00.000Z') / 1000}`,
+      event_count: 5,
+      games_played: 2,
+      revenue_usd: '2.990000',
+      duration_seconds: 600,
+      client_duration_seconds: 605,
+      status: 'closed',
+      end_reason: 'session_ended',
+      platform: 'android'
+    }));
+  });
+
+  test('should split a session_id reused after the inactivity timeout', async () => {
+    const sessionizer = new Sessionizer(mockDb, { inactivityTimeoutSeconds: 1800 });
+
+    // Out of order on purpose - events are stitched by client timestamp
+    await sessionizer._sessionizeBatch([
+      row('game_started', '10:05'),
+      row('session_started', '10:00'),
+      row('game_started', '11:00')
+    ]);
+
+    const [first, second] = upserted();
+    expect(first).toEqual(expect.objectContaining({
+      event_count: 2,
+      duration_seconds: 300,
+      status: 'closed',
+      end_reason: 'inactivity'
+    }));
+    expect(second).toEqual(expect.objectContaining({ event_count: 1, status: 'open' }));
+    expect(second.session_key).not.toBe(first.session_key);
+  });
+
+  test('should extend a stored session and supersede orphaned ones', async () => {
+    loadedSessions = [
+      {
+        user_id: 'device_123', session_key: 'sess_a@1', client_session_id: 'sess_a',
+        started_at: '2025-01-10T09:50:00.000Z', last_event_at: '2025-01-10T09:55:00.000Z', ended_at: null,
+        duration_seconds: 300, client_duration_seconds: null, event_count: 4, games_played: 1,
+        revenue_usd: '0.500000', status: 'open', end_reason: null, platform: 'android', app_version: '1.6.0'
+      },
+      {
+        user_id: 'device_123', session_key: 'sess_old@1', client_session_id: 'sess_old',
+        started_at: '2025-01-10T09:30:00.000Z', last_event_at: '2025-01-10T09:40:00.000Z', ended_at: null,
+        duration_seconds: 600, client_duration_seconds: null, event_count: 3, games_played: 0,
+        revenue_usd: '0', status: 'open', end_reason: null, platform: 'android', app_version: '1.6.0'
+      }
+    ];
+    const sessionizer = new Sessionizer(mockDb, { inactivityTimeoutSeconds: 1800 });
+
+    await sessionizer._sessionizeBatch([row('game_started', '10:00')]);
+
+    const sessions = upserted();
+    expect(sessions.find(s => s.session_key === 'sess_a@1')).toEqual(expect.objectContaining({
+      event_count: 5,
+      games_played: 2,
+      duration_seconds: 600,
+      revenue_usd: '0.500000',
+      status: 'open'
+    }));
+    expect(sessions.find(s => s.session_key === 'sess_old@1')).toEqual(expect.objectContaining({
+      status: 'closed',
+      end_reason: 'superseded'
+    }));
+  });
+
+  test('should commit each batch with its checkpoint', async () => {
+    const rows = [row('session_started', '10:00'), row('game_started', '10:01')];
+    const sessionizer = new Sessionizer(mockDb);
+
+    const result = await sessionizer._sessionizeBatch(rows);
+
+    const statements = mockClient.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+    expect(statements[0]).toBe('BEGIN');
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+    expect(mockClient.query).toHaveBeenCalledWith(
+      expect.stringContaining('UPDATE sessionizer_checkpoint'),
+      [rows[1].received_at, 'evt-2']
+    );
+    expect(result.cursor.cursor_event_id).toBe('evt-2');
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('should roll back the batch when the upsert fails', async () => {
+    mockClient.query.mockImplementation(async (sql) => {
+      if (sql.includes('INSERT INTO sessions')) throw new Error('deadlock detected');
+      return { rows: [] };
+    });
+
+    await expect(new Sessionizer(mockDb)._sessionizeBatch([row('game_started', '10:00')]))
+      .rejects.toThrow('deadlock detected');
+    expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(mockClient.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE sessionizer_checkpoint'), expect.anything());
+  });
+
+  test('should run until caught up, then close orphaned sessions', async () => {
+    const batch = [row('session_started', '10:00'), row('game_started', '10:01')];
+    mockDb.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM sessionizer_checkpoint')) return { rows: [{ cursor_received_at: null, cursor_event_id: null }] };
+      if (sql.includes('FROM events')) {
+        const fetches = mockDb.query.mock.calls.filter(([query]) => query.includes('FROM events')).length;
+        return { rows: fetches === 1 ? batch : [] };
+      }
+      if (sql.includes('UPDATE sessions')) return { rowCount: 3 };
+      return { rows: [] };
+    });
+    const sessionizer = new Sessionizer(mockDb, { batchSize: 2 });
+
+    const summary = await sessionizer.run();
+
+    expect(summary).toEqual({ events_processed: 2, sessions_upserted: 1, sessions_closed: 3, batches: 1 });
+    const secondFetch = mockDb.query.mock.calls.filter(([sql]) => sql.includes('FROM events'))[1];
+    expect(secondFetch[1]).toEqual([60, 2, batch[1].received_at, 'evt-2']);
+  });
+
+  test('should skip a run while another is in progress', async () => {
+    const sessionizer = new Sessionizer(mockDb);
+    sessionizer.isRunning = true;
+
+    expect(await sessionizer.run()).toEqual({ skipped: true });
+    expect(mockDb.query).not.toHaveBeenCalled();
+  });
+});
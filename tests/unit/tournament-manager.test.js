@@ -28,7 +28,8 @@ const mockPrizeManager = {
 
 const mockWebSocketManager = {
   broadcastToRoom: jest.fn(),
-  notifyPlayer: jest.fn()
+  notifyPlayer: jest.fn(),
+  notifyPlayers: jest.fn()
 };
 
 describe('TournamentManager', () => {
@@ -517,4 +518,75 @@ describe('TournamentManager', () => {
       expect(result.error).toContain('Invalid tournament ID');
     });
   });
+
+  describe('Live Tournament Notifications', () => {
+    const mockTournamentId = '123e4567-e89b-12d3-a456-426614174000';
+
+    test('should notify the player of a new rank and the players they overtook', async () => {
+      mockDb.query.mockResolvedValueOnce({
+        rows: [
+          { player_id: 'player-b', rank: '4', overtaken_total: '2' },
+          { player_id: 'player-c', rank: '5', overtaken_total: '2' }
+        ]
+      });
+
+      await tournamentManager._notifyRankChanges(mockTournamentId, {
+        playerId: 'player-a',
+        playerName: 'Ace',
+        score: 900,
+        rank: 3,
+        previousBest: 400
+      });
+
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('tp.best_score < $4'),
+        [mockTournamentId, 'player-a', 400, 900, 50]
+      );
+      expect(mockWebSocketManager.notifyPlayer).toHaveBeenCalledWith('player-a', expect.objectContaining({
+        type: 'tournament_rank_changed',
+        rank: 3,
+        previousRank: 5
+      }));
+      expect(mockWebSocketManager.notifyPlayer).toHaveBeenCalledWith('player-c', expect.objectContaining({
+        type: 'tournament_overtaken',
+        rank: 5,
+        previousRank: 4,
+        overtakenBy: { playerId: 'player-a', playerName: 'Ace', score: 900 }
+      }));
+    });
+
+    test('should not fail when notifications fail', async () => {
+      mockDb.query.mockRejectedValueOnce(new Error('Connection timeout'));
+
+      await expect(tournamentManager._notifyRankChanges(mockTournamentId, {
+        playerId: 'player-a', playerName: 'Ace', score: 900, rank: 1, previousBest: 0
+      })).resolves.toBeUndefined();
+      expect(mockWebSocketManager.notifyPlayer).not.toHaveBeenCalled();
+    });
+
+    test('should build a room snapshot with the leaderboard and own rank', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ id: mockTournamentId, name: 'Weekly', status: 'active' }] })
+        .mockResolvedValueOnce({ rows: [{ best_score: 700, total_games: 4 }] })
+        .mockResolvedValueOnce({
+          rows: [{ player_id: 'player-b', player_name: 'Bee', score: '900', rank: '1', total_games: '2', prize_won: null }]
+        })
+        .mockResolvedValueOnce({ rows: [{ rank: '2' }] });
+
+      const snapshot = await tournamentManager.getRoomSnapshot(mockTournamentId, 'player-a');
+
+      expect(snapshot).toEqual(expect.objectContaining({
+        status: 'active',
+        player: { rank: 2, score: 700, totalGames: 4 }
+      }));
+      expect(snapshot.leaderboard[0]).toEqual(expect.objectContaining({ player_id: 'player-b', rank: 1, score: 900 }));
+    });
+
+    test('should return no snapshot for unknown tournaments', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await tournamentManager.getRoomSnapshot(mockTournamentId, 'player-a')).toBeNull();
+      expect(await tournamentManager.getRoomSnapshot('invalid-uuid', 'player-a')).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,179 @@
+/**
+ * Unit Tests for WebhookDispatcher
+ * Tests subscription validation, signed deliveries to a local HTTP stub, retries/backoff and replay
+ */
+
+const http = require('http');
+const WebhookDispatcher = require('../../services/webhook-dispatcher');
+
+describe('WebhookDispatcher', () => {
+  let server;
+  let baseUrl;
+  let received;
+  let responseStatus;
+  let mockDb;
+  let dispatcher;
+
+  const subscription = (extra = {}) => ({
+    id: 7,
+    url: `${baseUrl}/hook`,
+    event_types: ['level_completed'],
+    secret: 'super-secret-webhook-key',
+    ...extra
+  });
+
+  const delivery = (extra = {}) => ({
+    id: 42,
+    event_type: 'level_completed',
+    payload: { event_id: 'evt-1', event_type: 'level_completed', data: { level: 3 } },
+    attempts: 0,
+    ...extra
+  });
+
+  // Parameters of the webhook_deliveries status update
+  const statusUpdate = () => mockDb.query.mock.calls
+    .find(([sql]) => sql.includes('UPDATE webhook_deliveries') && sql.includes('last_status_code'))[1];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseStatus);
+        res.end('ok');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    responseStatus = 200;
+    mockDb = {
+      query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 })
+    };
+    dispatcher = new WebhookDispatcher(mockDb, { timeoutMs: 2000, maxAttempts: 3, backoffBaseMs: 1000 });
+  });
+
+  test('should validate subscriptions', () => {
+    expect(WebhookDispatcher.validateSubscription({
+      name: 'Discord', url: 'https://example.com/hook', event_types: ['level_completed']
+    })).toEqual([]);
+    expect(WebhookDispatcher.validateSubscription({
+      name: 'Bad', url: 'ftp://example.com', event_types: ['Level Completed!']
+    })).toHaveLength(2);
+    expect(WebhookDispatcher.validateSubscription({ event_types: ['*'] }, true)).toEqual([]);
+    expect(WebhookDispatcher.validateSubscription({ secret: 'short' }, true)).toHaveLength(1);
+  });
+
+  test('should send signed deliveries and mark them succeeded', async () => {
+    const outcome = await dispatcher.deliver(delivery(), subscription());
+
+    expect(outcome).toEqual({ delivered: true, status_code: 200, error: null, status: 'succeeded' });
+    expect(received).toHaveLength(1);
+
+    const { headers, body } = received[0];
+    expect(headers['x-webhook-event']).toBe('level_completed');
+    expect(headers['x-webhook-delivery']).toBe('42');
+    expect(headers['x-webhook-signature']).toBe(
+      WebhookDispatcher.signPayload(body, 'super-secret-webhook-key', headers['x-webhook-timestamp'])
+    );
+    expect(JSON.parse(body)).toEqual(expect.objectContaining({ delivery_id: 42, event_id: 'evt-1' }));
+
+    expect(statusUpdate().slice(0, 4)).toEqual([42, 'succeeded', 1, 200]);
+    expect(mockDb.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO webhook_delivery_attempts'),
+      [42, 200, null, 'ok', expect.any(Number)]
+    );
+  });
+
+  test('should schedule a retry with exponential backoff on failure', async () => {
+    responseStatus = 503;
+
+    const outcome = await dispatcher.deliver(delivery({ attempts: 1 }), subscription());
+
+    expect(outcome).toEqual(expect.objectContaining({ delivered: false, status: 'pending', error: 'HTTP 503' }));
+    // Second attempt failed -> 1000 * 2^1
+    expect(statusUpdate()).toEqual([42, 'pending', 2, 503, 'HTTP 503', 2000]);
+    expect(mockDb.query).toHaveBeenCalledWith(
+      expect.stringContaining('consecutive_failures = consecutive_failures + 1'),
+      [7]
+    );
+  });
+
+  test('should mark deliveries failed after the last attempt', async () => {
+    const outcome = await dispatcher.deliver(delivery({ attempts: 2 }), subscription({ url: 'http://127.0.0.1:1/hook' }));
+
+    expect(outcome.status).toBe('failed');
+    expect(outcome.status_code).toBeNull();
+    expect(outcome.error).toBeTruthy();
+  });
+
+  test('should only create deliveries for matching active subscriptions', async () => {
+    mockDb.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM webhook_subscriptions')) {
+        return { rows: [subscription(), subscription({ id: 8, event_types: ['purchase_completed'] })] };
+      }
+      if (sql.includes('INSERT INTO webhook_deliveries')) {
+        return { rows: params[0].map((id, i) => ({ ...delivery(), id: 100 + i, subscription_id: id })) };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    expect(await dispatcher.enqueue({ event_type: 'game_started' }, 'evt-0')).toBe(0);
+    expect(await dispatcher.enqueue({ event_type: 'level_completed', level: 3 }, 'evt-1')).toBe(1);
+
+    const insert = mockDb.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO webhook_deliveries'));
+    expect(insert[1][0]).toEqual([7]);
+
+    // Subscriptions are cached between events
+    expect(mockDb.query.mock.calls.filter(([sql]) => sql.includes('FROM webhook_subscriptions'))).toHaveLength(1);
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(received).toHaveLength(1);
+  });
+
+  test('should send due deliveries and skip overlapping runs', async () => {
+    mockDb.query.mockImplementation(async (sql) => {
+      if (sql.includes('FOR UPDATE SKIP LOCKED')) {
+        return {
+          rows: [
+            { ...delivery({ attempts: 1 }), subscription_id: 7, url: `${baseUrl}/hook`, secret: 'super-secret-webhook-key', is_active: true },
+            { ...delivery({ id: 43 }), subscription_id: 9, url: `${baseUrl}/hook`, secret: 'x', is_active: false }
+          ]
+        };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    const run = dispatcher.processDue();
+    expect(await dispatcher.processDue()).toEqual({ skipped: true });
+    expect(await run).toEqual({ processed: 1, succeeded: 1, failed: 0 });
+    expect(received).toHaveLength(1);
+  });
+
+  test('should replay a delivery with a fresh attempt budget', async () => {
+    mockDb.query.mockImplementation(async (sql) => {
+      if (sql.includes("SET status = 'delivering', attempts = 0")) {
+        return { rows: [{ ...delivery(), subscription_id: 7, url: `${baseUrl}/hook`, secret: 'super-secret-webhook-key' }] };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    const outcome = await dispatcher.replay(42);
+
+    expect(outcome.delivered).toBe(true);
+    expect(received).toHaveLength(1);
+  });
+
+  test('should return null when replaying an unknown delivery', async () => {
+    expect(await dispatcher.replay(999)).toBeNull();
+    expect(received).toHaveLength(0);
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * Unit Tests for WebSocketManager
+ * Tests JWT / admin credential handshake, player/tournament rooms and the admin live tail
+ */
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+const WebSocketManager = require('../../services/websocket-manager');
+const AdminIdentityService = require('../../services/admin-identity');
+const { generateToken } = require('../../middleware/auth');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'flappyjet-dev-secret-change-in-production';
+
+describe('WebSocketManager', () => {
+  let server;
+  let manager;
+  let port;
+  let db;
+  const sockets = [];
+
+  /**
+   * Connect and collect incoming messages
+   */
+  const connect = (playerId, path = '/ws', headers = {}) => new Promise((resolve, reject) => {
+    const query = playerId ? `?token=${generateToken({ playerId })}` : '';
+    const ws = new WebSocket(`ws://127.0.0.1:${port}${path}${query}`, { headers });
+    ws.messages = [];
+    ws.on('message', data => ws.messages.push(JSON.parse(data.toString())));
+    ws.on('unexpected-response', (req, res) => reject(new Error(`HTTP ${res.statusCode}`)));
+    ws.on('error', reject);
+    ws.on('open', () => {
+      sockets.push(ws);
+      resolve(ws);
+    });
+  });
+
+  // Wait until a message of the given type arrives
+  const nextMessage = (ws, type) => new Promise((resolve) => {
+    const check = () => {
+      const message = ws.messages.find(m => m.type === type);
+      if (message) {
+        ws.messages.splice(ws.messages.indexOf(message), 1);
+        resolve(message);
+      } else {
+        setTimeout(check, 5);
+      }
+    };
+    check();
+  });
+
+  const send = (ws, message) => ws.send(JSON.stringify(message));
+
+  beforeEach(async () => {
+    process.env.ADMIN_PLAYER_IDS = 'admin_player';
+    server = http.createServer();
+    db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    manager = new WebSocketManager({
+      server,
+      pingInterval: 60000,
+      maxRoomsPerConnection: 2,
+      adminIdentity: new AdminIdentityService(db)
+    });
+    manager.start();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    sockets.splice(0).forEach(ws => ws.terminate());
+    await manager.close();
+    await new Promise(resolve => server.close(resolve));
+    delete process.env.ADMIN_PLAYER_IDS;
+  });
+
+  test('should reject connections without a valid token', async () => {
+    await expect(connect(null)).rejects.toThrow('HTTP 401');
+    expect(manager.getStats().connections_rejected).toBe(1);
+  });
+
+  test('should put each connection in its player room for notifyPlayer()', async () => {
+    const phone = await connect('player_1');
+    const tablet = await connect('player_1');
+    const other = await connect('player_2');
+    await nextMessage(phone, 'connected');
+    await nextMessage(tablet, 'connected');
+    await nextMessage(other, 'connected');
+
+    const sent = await manager.notifyPlayer('player_1', { type: 'prize_awarded', prize: 500 });
+
+    expect(sent).toBe(2);
+    expect(await nextMessage(phone, 'prize_awarded')).toEqual(expect.objectContaining({ prize: 500, room: 'player_player_1' }));
+    expect(await nextMessage(tablet, 'prize_awarded')).toEqual(expect.objectContaining({ prize: 500, room: 'player_player_1' }));
+    expect(other.messages).toEqual([]);
+  });
+
+  test('should broadcast to tournament rooms players joined', async () => {
+    const ws = await connect('player_1');
+    send(ws, { type: 'join', room: 'tournament_42' });
+    const joined = await nextMessage(ws, 'joined');
+
+    const sent = await manager.broadcastToRoom('tournament_42', { type: 'leaderboard_update' });
+
+    expect(sent).toBe(1);
+    expect((await nextMessage(ws, 'leaderboard_update')).seq).toBe(joined.seq + 1);
+  });
+
+  test('should send a snapshot when joining a room with a provider', async () => {
+    const provider = jest.fn().mockResolvedValue({ leaderboard: [], player: { rank: 3 } });
+    manager.registerRoomSnapshot('tournament_', provider);
+    const ws = await connect('player_1');
+
+    send(ws, { type: 'join', room: 'tournament_42' });
+
+    expect((await nextMessage(ws, 'snapshot')).data).toEqual({ leaderboard: [], player: { rank: 3 } });
+    expect(provider).toHaveBeenCalledWith('42', 'player_1');
+  });
+
+  test('should replay missed messages when a client resumes', async () => {
+    const first = await connect('player_1');
+    send(first, { type: 'join', room: 'tournament_42' });
+    const joined = await nextMessage(first, 'joined');
+    const connected = await nextMessage(first, 'connected');
+    first.terminate();
+
+    await manager.broadcastToRoom('tournament_42', { type: 'leaderboard_update', n: 1 });
+    await manager.notifyPlayer('player_1', { type: 'tournament_overtaken', rank: 4 });
+
+    const second = await connect('player_1');
+    send(second, { type: 'resume', rooms: { tournament_42: joined.seq, [connected.player_room]: connected.seq } });
+
+    expect((await nextMessage(second, 'leaderboard_update')).n).toBe(1);
+    expect((await nextMessage(second, 'tournament_overtaken')).rank).toBe(4);
+    expect((await nextMessage(second, 'resumed')).rooms).toEqual(expect.arrayContaining(['tournament_42']));
+    expect(second.messages.find(m => m.type === 'resync')).toBeUndefined();
+  });
+
+  test('should ask for a resync when missed messages are no longer buffered', async () => {
+    manager.resumeBufferSize = 2;
+    const ws = await connect('player_1');
+    send(ws, { type: 'join', room: 'tournament_42' });
+    const joined = await nextMessage(ws, 'joined');
+    send(ws, { type: 'leave', room: 'tournament_42' });
+    await nextMessage(ws, 'left');
+
+    for (let n = 0; n < 3; n++) {
+      await manager.broadcastToRoom('tournament_42', { type: 'leaderboard_update', n });
+    }
+    send(ws, { type: 'join', room: 'tournament_42', since: joined.seq });
+
+    await nextMessage(ws, 'resync');
+    expect(ws.messages.filter(m => m.type === 'leaderboard_update')).toEqual([]);
+  });
+
+  test('should close the oldest connections beyond the per-player limit', async () => {
+    manager.maxConnectionsPerPlayer = 2;
+    const oldest = await connect('player_1');
+    const closed = new Promise(resolve => oldest.on('close', code => resolve(code)));
+    await connect('player_1');
+    await connect('player_1');
+
+    expect(await closed).toBe(4001);
+    expect(manager.getStats().connections).toBe(2);
+  });
+
+  test('should close idle sockets and clients flooding messages', async () => {
+    manager.maxMessagesPerSecond = 3;
+    const idle = await connect('player_1');
+    const flooder = await connect('player_2');
+    const idleClosed = new Promise(resolve => idle.on('close', code => resolve(code)));
+    const floodClosed = new Promise(resolve => flooder.on('close', code => resolve(code)));
+
+    for (let n = 0; n < 5; n++) send(flooder, { type: 'ping' });
+    for (const client of manager.clients.values()) {
+      if (client.playerId === 'player_1') client.lastMessageAt = Date.now() - manager.idleTimeout - 1;
+    }
+    manager._checkHeartbeats();
+
+    expect(await idleClosed).toBe(4000);
+    expect(await floodClosed).toBe(1008);
+  });
+
+  test('should not let players join other rooms or exceed the room limit', async () => {
+    const ws = await connect('player_1');
+
+    send(ws, { type: 'join', room: 'player_2' });
+    expect((await nextMessage(ws, 'error')).error).toBe('Cannot join room: player_2');
+
+    send(ws, { type: 'join', room: 'tournament_1' });
+    send(ws, { type: 'join', room: 'tournament_2' });
+    send(ws, { type: 'join', room: 'tournament_3' });
+    expect((await nextMessage(ws, 'error')).error).toBe('Room limit reached (2)');
+  });
+
+  test('should stream filtered events to admin live tail subscribers', async () => {
+    const admin = await connect('admin_player');
+    expect((await nextMessage(admin, 'connected')).is_admin).toBe(true);
+
+    send(admin, { type: 'live_tail.subscribe', filters: { event_types: ['game_ended'], countries: ['us'], platforms: ['Android'] } });
+    expect((await nextMessage(admin, 'live_tail.subscribed')).filters).toEqual({
+      event_types: ['game_ended'],
+      countries: ['US'],
+      platforms: ['android']
+    });
+
+    manager.publishEvent({ event_type: 'game_started', country: 'US', platform: 'android' }, 'evt-1');
+    manager.publishEvent({ event_type: 'game_ended', country: 'DE', platform: 'android' }, 'evt-2');
+    manager.publishEvent({ event_type: 'game_ended', country: 'US', platform: 'android', score: 12 }, 'evt-3');
+
+    const message = await nextMessage(admin, 'event');
+    expect(message.event_id).toBe('evt-3');
+    expect(message.event.score).toBe(12);
+    expect(admin.messages.filter(m => m.type === 'event')).toEqual([]);
+  });
+
+  test('should refuse the live tail to non-admins', async () => {
+    const ws = await connect('player_1');
+
+    send(ws, { type: 'live_tail.subscribe' });
+
+    expect((await nextMessage(ws, 'error')).error).toBe('Admin access required');
+    expect(manager.getStats().live_tail_subscribers).toBe(0);
+  });
+
+  test('should give the live tail to admin API keys with events:read', async () => {
+    db.query.mockResolvedValue({
+      rows: [{ id: 9, key_prefix: 'fjk_abcd', role: 'analyst', admin_user_id: 4, email: 'analyst@flappyjet.com', name: 'Ana' }]
+    });
+    const ws = await connect(null, '/ws', { 'X-API-Key': 'fjk_abcd1234' });
+
+    const connected = await nextMessage(ws, 'connected');
+    expect(connected.player_id).toBeNull();
+    expect(connected.player_room).toBeNull();
+    expect(connected.permissions).toContain('events:read');
+    expect(db.query.mock.calls[0][0]).toContain('admin_api_keys');
+
+    send(ws, { type: 'live_tail.subscribe' });
+    await nextMessage(ws, 'live_tail.subscribed');
+    expect(manager.getStats().live_tail_subscribers).toBe(1);
+  });
+
+  test('should refuse the live tail to admin roles without events:read', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 5, email: 'viewer@flappyjet.com', name: 'Vic', role: 'viewer' }] });
+    const token = jwt.sign({ type: 'admin', adminId: 5, email: 'viewer@flappyjet.com', role: 'viewer' }, JWT_SECRET);
+    const ws = await connect(null, '/ws', { Authorization: `Bearer ${token}` });
+    expect((await nextMessage(ws, 'connected')).is_admin).toBe(true);
+
+    send(ws, { type: 'live_tail.subscribe' });
+    expect((await nextMessage(ws, 'error')).error).toBe('Permission required: events:read');
+
+    send(ws, { type: 'join', room: 'player_someone' });
+    expect((await nextMessage(ws, 'error')).error).toBeDefined();
+    expect(manager.getStats().live_tail_subscribers).toBe(0);
+  });
+
+  test('should reject API keys the identity service does not know', async () => {
+    await expect(connect(null, '/ws', { 'X-API-Key': 'fjk_revoked' })).rejects.toThrow('HTTP 401');
+  });
+
+  test('should clean up rooms when clients disconnect', async () => {
+    const ws = await connect('player_1');
+    await nextMessage(ws, 'connected');
+
+    ws.close();
+    await new Promise(resolve => {
+      const check = () => (manager.getStats().connections === 0 ? resolve() : setTimeout(check, 5));
+      check();
+    });
+
+    expect(manager.getStats().rooms).toBe(0);
+    expect(await manager.notifyPlayer('player_1', { type: 'prize_awarded' })).toBe(0);
+  });
+});
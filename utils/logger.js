@@ -3,9 +3,14 @@
 
 const winston = require('winston');
 const path = require('path');
+const { getPrivacyFilter } = require('./privacy');
+
+// 🔏 IPs truncated, device IDs hashed, PII keys redacted (utils/privacy.js field policy)
+const privacyFormat = winston.format((info) => getPrivacyFilter().scrubLogInfo(info));
 
 // Production logging configuration
 const logFormat = winston.format.combine(
+  privacyFormat(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.errors({ stack: true }),
   winston.format.json(),
@@ -14,6 +19,7 @@ const logFormat = winston.format.combine(
 
 // Development logging configuration (readable)
 const devFormat = winston.format.combine(
+  privacyFormat(),
   winston.format.timestamp({ format: 'HH:mm:ss' }),
   winston.format.colorize(),
   winston.format.printf(({ timestamp, level, message, service, ...meta }) => {
@@ -178,3 +184,7 @@ productionLogger.info('🚂 Production Logger initialized', {
   environment: process.env.NODE_ENV || 'development',
   transports: logger.transports.length
 });
+
+if (!getPrivacyFilter().hasStableSecret && process.env.NODE_ENV === 'production') {
+  productionLogger.warn('🔏 PRIVACY_HASH_SECRET not set - hashed device IDs differ per instance and restart');
+}
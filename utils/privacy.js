@@ -0,0 +1,239 @@
+/// 🔏 Privacy Filter
+/// Pseudonymizes personal data before it is stored (event payloads) or logged
+///
+/// Field policy - PRIVACY_FIELD_POLICY="email:drop,device_id:hash,ip:truncate,gclid:keep"
+/// (merged over DEFAULT_FIELD_POLICY, keys matched case-insensitively without _ and -):
+/// - drop      -> removed from stored payloads ("[redacted]" in logs)
+/// - hash      -> HMAC-SHA256 with a salt that rotates every PRIVACY_SALT_ROTATION_DAYS
+/// - truncate  -> IP truncated (IPv4 /24, IPv6 /48) - still good for a country lookup
+/// - keep      -> unchanged (turns a default off)
+///
+/// user_id is never touched: it is the join key for every table
+/// (a player's data is erased through services/player-data-manager.js instead).
+
+const crypto = require('crypto');
+const net = require('net');
+
+const DEFAULT_FIELD_POLICY = {
+  // Direct identifiers / ad click IDs
+  email: 'drop',
+  phone: 'drop',
+  phone_number: 'drop',
+  first_name: 'drop',
+  last_name: 'drop',
+  full_name: 'drop',
+  gclid: 'drop',
+  fbclid: 'drop',
+  ttclid: 'drop',
+  fcm_token: 'drop',
+  push_token: 'drop',
+
+  // Device-level identifiers
+  device_id: 'hash',
+  advertising_id: 'hash',
+  ad_id: 'hash',
+  idfa: 'hash',
+  idfv: 'hash',
+  gaid: 'hash',
+  android_id: 'hash',
+  install_id: 'hash',
+
+  // Network
+  ip: 'truncate',
+  ip_address: 'truncate',
+  client_ip: 'truncate',
+  remote_address: 'truncate'
+};
+
+const ACTIONS = ['drop', 'hash', 'truncate', 'keep'];
+const MAX_DEPTH = 6;
+const IPV4_IN_TEXT = /\b(\d{1,3}\.\d{1,3}\.\d{1,3})\.\d{1,3}\b/g;
+
+// Winston's own fields are never scrubbed
+const LOG_RESERVED_KEYS = new Set(['level', 'message', 'timestamp', 'service', 'version', 'environment', 'stack']);
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[_-]/g, '');
+
+/**
+ * Parse "field:action,field:action"
+ * @param {string} value
+ * @returns {Object} - { field: action } (unknown actions ignored)
+ */
+function parseFieldPolicy(value = '') {
+  const policy = {};
+  for (const entry of value.split(',')) {
+    const [field, action] = entry.split(':').map(part => part && part.trim());
+    if (field && ACTIONS.includes(action)) {
+      policy[field] = action;
+    }
+  }
+  return policy;
+}
+
+/**
+ * Truncate an IP address (IPv4 -> /24, IPv6 -> /48)
+ * @param {string} ip
+ * @returns {string|null} - Truncated IP, null when not an IP
+ */
+function truncateIP(ip) {
+  if (typeof ip !== 'string') return null;
+  let address = ip.trim();
+
+  // IPv6-mapped IPv4 (::ffff:192.168.1.1)
+  if (address.toLowerCase().startsWith('::ffff:') && net.isIPv4(address.substring(7))) {
+    address = address.substring(7);
+  }
+
+  if (net.isIPv4(address)) {
+    return address.replace(/\.\d+$/, '.0');
+  }
+
+  if (net.isIPv6(address)) {
+    const [head, tail = ''] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = address.includes('::') ? (tail ? tail.split(':') : []) : [];
+    const groups = address.includes('::')
+      ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+      : headGroups;
+    return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::`;
+  }
+
+  return null;
+}
+
+class PrivacyFilter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.fieldPolicy - { field: action } merged over the defaults
+   * @param {string} options.hashSecret - Secret the rotating salts are derived from
+   * @param {number} options.saltRotationDays - Days before identifiers hash differently
+   */
+  constructor({
+    fieldPolicy = parseFieldPolicy(process.env.PRIVACY_FIELD_POLICY),
+    hashSecret = process.env.PRIVACY_HASH_SECRET,
+    saltRotationDays = parseInt(process.env.PRIVACY_SALT_ROTATION_DAYS || '30', 10)
+  } = {}) {
+    this.policy = new Map();
+    for (const [field, action] of Object.entries({ ...DEFAULT_FIELD_POLICY, ...fieldPolicy })) {
+      if (action !== 'keep') this.policy.set(normalizeKey(field), action);
+    }
+
+    // Without a configured secret hashes are only stable for this process (never reversible)
+    this.hashSecret = hashSecret || crypto.randomBytes(32).toString('hex');
+    this.hasStableSecret = Boolean(hashSecret);
+    this.saltRotationMs = Math.max(1, saltRotationDays) * 24 * 60 * 60 * 1000;
+    this.salts = new Map();
+  }
+
+  /**
+   * Action for a payload/log key
+   * @param {string} key
+   * @returns {string|null} - 'drop' | 'hash' | 'truncate' | null
+   */
+  actionFor(key) {
+    return this.policy.get(normalizeKey(key)) || null;
+  }
+
+  /**
+   * Hash a device-level identifier with the current period's salt
+   * @param {*} value
+   * @param {number} now - Timestamp (ms) selecting the salt period
+   * @returns {string} - "h_<32 hex>"
+   */
+  hashIdentifier(value, now = Date.now()) {
+    const period = Math.floor(now / this.saltRotationMs);
+    let salt = this.salts.get(period);
+    if (!salt) {
+      salt = crypto.createHmac('sha256', this.hashSecret).update(`privacy-salt:${period}`).digest();
+      this.salts.clear(); // Only the current period is ever needed
+      this.salts.set(period, salt);
+    }
+    return `h_${crypto.createHmac('sha256', salt).update(String(value)).digest('hex').substring(0, 32)}`;
+  }
+
+  /**
+   * Copy of an event with the field policy applied (stored analytics copy)
+   * Dropped keys are removed; the original event is not modified
+   * @param {Object} event
+   * @returns {Object}
+   */
+  scrubEvent(event) {
+    return this._scrub(event, 'store', 0);
+  }
+
+  /**
+   * Apply the field policy to a winston info object in place (log format)
+   * Dropped keys become "[redacted]", IPv4 addresses in strings are truncated
+   * @param {Object} info - Winston info (Symbol keys are left alone)
+   * @returns {Object}
+   */
+  scrubLogInfo(info) {
+    for (const key of Object.keys(info)) {
+      if (key === 'message') {
+        if (typeof info.message === 'string') info.message = info.message.replace(IPV4_IN_TEXT, '$1.0');
+        continue;
+      }
+      if (LOG_RESERVED_KEYS.has(key)) continue;
+      info[key] = this._scrubValue(key, info[key], 'log', 0);
+    }
+    return info;
+  }
+
+  _scrub(value, mode, depth) {
+    if (depth > MAX_DEPTH) return value;
+
+    if (Array.isArray(value)) {
+      return value.map(item => this._scrub(item, mode, depth + 1));
+    }
+
+    if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) {
+      return mode === 'log' && typeof value === 'string' ? value.replace(IPV4_IN_TEXT, '$1.0') : value;
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (mode === 'store' && this.actionFor(key) === 'drop') continue;
+      result[key] = this._scrubValue(key, item, mode, depth + 1);
+    }
+    return result;
+  }
+
+  _scrubValue(key, value, mode, depth) {
+    const action = this.actionFor(key);
+    if (value === null || value === undefined || !action) {
+      return this._scrub(value, mode, depth);
+    }
+
+    switch (action) {
+      case 'drop':
+        return '[redacted]';
+      case 'hash':
+        return typeof value === 'object' ? '[redacted]' : this.hashIdentifier(value);
+      case 'truncate':
+        return truncateIP(value) || '[redacted]';
+      default:
+        return value;
+    }
+  }
+}
+
+let defaultFilter = null;
+
+/**
+ * Shared filter built from the environment
+ * @returns {PrivacyFilter}
+ */
+function getPrivacyFilter() {
+  if (!defaultFilter) {
+    defaultFilter = new PrivacyFilter();
+  }
+  return defaultFilter;
+}
+
+module.exports = {
+  PrivacyFilter,
+  getPrivacyFilter,
+  parseFieldPolicy,
+  truncateIP,
+  DEFAULT_FIELD_POLICY
+};